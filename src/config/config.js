@@ -29,7 +29,16 @@ const {
   SMTP_SERVICE,
   SMTP_USER,
   SMTP_PASS,
-  ADMIN_EMAIL
+  ADMIN_EMAIL,
+  STOCK_RESERVATION_TTL_MINUTES,
+  PENDING_PAYMENT_EXPIRY_MINUTES,
+  GUEST_CART_SECRET,
+  LOW_STOCK_THRESHOLD,
+  EXCHANGE_HOLD_DAYS,
+  SELLER_NAME,
+  SELLER_GSTIN,
+  SELLER_ADDRESS,
+  SELLER_STATE
 } = process.env;
 
 export const _config = {
@@ -59,5 +68,17 @@ export const _config = {
   SMTP_SERVICE,
   SMTP_USER,
   SMTP_PASS,
-  ADMIN_EMAIL
+  ADMIN_EMAIL,
+  STOCK_RESERVATION_TTL_MINUTES: Number(STOCK_RESERVATION_TTL_MINUTES) || 15,
+  PENDING_PAYMENT_EXPIRY_MINUTES: Number(PENDING_PAYMENT_EXPIRY_MINUTES) || 30,
+  GUEST_CART_SECRET: GUEST_CART_SECRET || SESSION_SECRET,
+  // Default reorder threshold for sizes and products without their own
+  LOW_STOCK_THRESHOLD: LOW_STOCK_THRESHOLD !== undefined ? Number(LOW_STOCK_THRESHOLD) : 5,
+  // How long the replacement of an exchange stays held while the customer ships the item back
+  EXCHANGE_HOLD_DAYS: Number(EXCHANGE_HOLD_DAYS) || 14,
+  // Registered business printed on GST invoices
+  SELLER_NAME: SELLER_NAME || "Vibly",
+  SELLER_GSTIN,
+  SELLER_ADDRESS,
+  SELLER_STATE
 };
@@ -70,7 +70,7 @@ export const getReturnOrderData = (order, items, {length, breadth, height, weigh
       name: item.product.name,
       qc_enable: shiprocketConfig.return.qcEnable,
       qc_product_name: item.product.name,
-      sku: `${item.product.name}-${item.size}-${item.color.name}`,
+      sku: item.sku || `${item.product.name}-${item.size}-${item.color.name}`,
       units: item.quantity,
       selling_price: item.amount,
       discount: 0,
@@ -3,6 +3,12 @@ import { generateTokens } from "../utils/generateTokens.js";
 import RefreshToken from "../models/refreshToken.model.js";
 import { _config } from "../config/config.js";
 import logger from "../utils/logger.js";
+import {
+    mergeGuestCart,
+    verifyGuestCartToken,
+    clearGuestCartCookie,
+    GUEST_CART_COOKIE,
+} from "../services/cartService.js";
 
 
 export const googleCallback = async (req, res) => {
@@ -38,7 +44,21 @@ export const googleCallback = async (req, res) => {
             maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
         });
 
-        res.redirect(`${_config.CLIENT_URL}/login/success?accessToken=${accessToken}`);
+        // Carry the guest cart over; a failed merge must not block the login
+        let cartMerged = false;
+        const guestCartId = verifyGuestCartToken(req.cookies?.[GUEST_CART_COOKIE]);
+        if (guestCartId) {
+            try {
+                const mergeResult = await mergeGuestCart({ guestCartId, userId: user._id });
+                cartMerged = Boolean(mergeResult);
+            } catch (mergeError) {
+                console.error("Failed to merge guest cart:", mergeError);
+            }
+            clearGuestCartCookie(res);
+        }
+
+        // Client fetches /api/cart/merge-report when cartMerged is set
+        res.redirect(`${_config.CLIENT_URL}/login/success?accessToken=${accessToken}${cartMerged ? "&cartMerged=true" : ""}`);
 
 
     } catch (error) {
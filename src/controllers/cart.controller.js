@@ -1,8 +1,18 @@
-import Color from "../models/color.model.js";
-import Product from "../models/product.model.js";
-import User from "../models/user.model.js";
 import Cart from "../models/cart.model.js";
 import { withTransaction } from "../utils/withTransaction.js";
+import {
+  validateCartItem,
+  addItemToCart,
+  findCart,
+  signGuestCartToken,
+  setGuestCartCookie,
+} from "../services/cartService.js";
+import { recordProductEvent } from "../services/productAnalyticsService.js";
+import { ProductEventType } from "../models/productAnalytics.model.js";
+
+// Logged-in users own their cart, guests are identified by their guest cart token
+const getCartOwner = (req) =>
+  req.user ? { userId: req.user } : { guestCartId: req.guestCartId };
 
 /**
  * @route   POST /cart
@@ -13,120 +23,37 @@ import { withTransaction } from "../utils/withTransaction.js";
 export const addProductinCart = async (req, res) => {
   try {
     await withTransaction(async (session) => {
-      const userId = req.user;
       const { productId, colorId, quantity, size } = req.body;
 
-      // Basic validations
-      if (!productId) {
-        return res.status(400).json({ message: "Please select product." });
-      }
-      if (!colorId) {
-        return res.status(400).json({ message: "Please select color." });
-      }
-      if (!quantity || quantity <= 0) {
-        return res
-          .status(400)
-          .json({ message: "Please select a valid quantity." });
-      }
-      if (!size) {
-        return res.status(400).json({ message: "Please select size." });
-      }
-
-      const product = await Product.findOne({
-        _id: productId,
-        isActive: true,
-      }).session(session);
-      if (!product) {
-        return res.status(404).json({ message: "Product not found." });
-      }
-
-      // Check if product has variants
-      if (
-        !product.variants ||
-        !Array.isArray(product.variants) ||
-        product.variants.length === 0
-      ) {
-        return res
-          .status(400)
-          .json({ message: "Product has no variants available." });
-      }
-
-      const color = await Color.findOne({
-        _id: colorId,
-        isActive: true,
-      }).session(session);
-      if (!color) {
-        return res.status(404).json({ message: "Color not found." });
-      }
-
-      const variant = product.variants.find(
-        (v) => v.color && v.color.equals(color._id)
+      const check = await validateCartItem(
+        { productId, colorId, size, quantity },
+        session
       );
-      if (!variant) {
-        return res.status(404).json({ message: "Selected variant not found." });
-      }
-
-      // Check if variant has sizes
-      if (
-        !variant.sizes ||
-        !Array.isArray(variant.sizes) ||
-        variant.sizes.length === 0
-      ) {
-        return res
-          .status(400)
-          .json({ message: "Selected variant has no sizes available." });
-      }
-
-      const sizeOption = variant.sizes.find((s) => s.size === size);
-      if (!sizeOption) {
-        return res
-          .status(404)
-          .json({ message: `${size} size is not available.` });
-      }
-
-      if (sizeOption.stock < quantity) {
-        return res.status(400).json({
-          message: `Only ${sizeOption.stock} units available in stock for size ${size}.`,
-        });
+      if (!check.isValid) {
+        return res.status(check.status).json({ message: check.message });
       }
 
-      const user = await User.findById(userId)
-        .populate("cartList")
-        .session(session);
-      let cart = user?.cartList;
-
-      if (!cart) {
-        [cart] = await Cart.create([{ items: [] }], { session });
-        user.cartList = cart._id;
-        await user.save({ session });
-      } else {
-        // If cart exists but is populated, we need to get the actual document
-        cart = await Cart.findById(cart._id).session(session);
-      }
-
-      // Ensure cart.items is initialized
-      if (!cart.items) {
-        cart.items = [];
-      }
+      const { cart, isNew } = await addItemToCart(
+        { owner: getCartOwner(req), productId, color: check.color, size, quantity },
+        session
+      );
 
-      const existingItem = cart.items.find(
-        (item) =>
-          item.productId.equals(productId) &&
-          item.size === size &&
-          item.color.equals(color._id)
+      await recordProductEvent(
+        { productId, type: ProductEventType.ADD_TO_CART, quantity, userId: req.user || null },
+        session
       );
 
-      if (existingItem) {
-        existingItem.quantity += quantity;
-      } else {
-        cart.items.push({ productId, quantity, size, color: color._id });
+      // First item of a guest: hand out the token that identifies the new cart
+      let guestCartToken;
+      if (cart.isGuest && isNew) {
+        guestCartToken = signGuestCartToken(cart._id);
+        setGuestCartCookie(res, guestCartToken);
       }
 
-      await cart.save({ session });
-
       return res.status(200).json({
         message: "Product successfully added to cart.",
         cart: cart.items,
+        guestCartToken,
       });
     });
   } catch (err) {
@@ -146,23 +73,20 @@ export const addProductinCart = async (req, res) => {
 
 export const GetCartProducts = async (req, res) => {
   try {
-    const userId = req.user;
-    // Fetch user and populate cart with product details and colors
-    const user = await User.findById(userId).populate({
-      path: "cartList",
+    // Fetch the cart and populate it with product details and colors
+    const cart = await findCart(getCartOwner(req));
+    await cart?.populate({
+      path: "items.productId",
+      model: "Product",
+      match: { isActive: true },
       populate: {
-        path: "items.productId",
-        model: "Product",
+        path: "variants.color",
+        model: "Color",
         match: { isActive: true },
-        populate: {
-          path: "variants.color",
-          model: "Color",
-          match: { isActive: true },
-        },
       },
     });
 
-    const rawCart = user?.cartList?.items || [];
+    const rawCart = cart?.items || [];
 
     // Filter out invalid product references
     const filteredCart = rawCart.filter((item) => item.productId);
@@ -254,7 +178,6 @@ export const GetCartProducts = async (req, res) => {
 export const RemoveFromCart = async (req, res) => {
   try {
     await withTransaction(async (session) => {
-      const userId = req.user;
       const { productId, colorId, size } = req.body;
 
       if (!productId || !colorId || !size) {
@@ -263,15 +186,7 @@ export const RemoveFromCart = async (req, res) => {
           .json({ message: "Product ID, color ID, and size are required." });
       }
 
-      const user = await User.findById(userId)
-        .populate("cartList")
-        .session(session);
-      if (!user || !user.cartList) {
-        return res.status(404).json({ message: "User or cart not found." });
-      }
-
-      // Get the actual cart document, not the populated reference
-      const cart = await Cart.findById(user.cartList._id).session(session);
+      const cart = await findCart(getCartOwner(req), session);
       if (!cart) {
         return res.status(404).json({ message: "Cart not found." });
       }
@@ -319,7 +234,6 @@ export const RemoveFromCart = async (req, res) => {
 export const UpdateQuantity = async (req, res) => {
   try {
     await withTransaction(async (session) => {
-      const userId = req.user;
       const { productId, colorId, size, quantity } = req.body;
 
       if (!productId || !colorId || !size) {
@@ -332,36 +246,15 @@ export const UpdateQuantity = async (req, res) => {
         return res.status(400).json({ message: "Invalid quantity." });
       }
 
-      const user = await User.findById(userId)
-        .populate({
-          path: "cartList",
-          populate: {
-            path: "items.productId",
-            model: "Product",
-            match: { isActive: true },
-            populate: {
-              path: "variants.color",
-              model: "Color",
-              match: { isActive: true },
-            },
-          },
-        })
-        .session(session);
-
-      if (!user || !user.cartList) {
-        return res.status(404).json({ message: "Cart not found." });
-      }
-
-      // Get the actual cart document with populated products
-      const cart = await Cart.findById(user.cartList._id)
-        .populate({
-          path: 'items.productId',
-          populate: {
-            path: 'variants.color',
-            model: 'Color'
-          }
-        })
-        .session(session);
+      // Get the cart document with populated products
+      const cart = await findCart(getCartOwner(req), session);
+      await cart?.populate({
+        path: 'items.productId',
+        populate: {
+          path: 'variants.color',
+          model: 'Color'
+        }
+      });
       if (!cart) {
         return res.status(404).json({ message: "Cart not found." });
       }
@@ -439,3 +332,40 @@ export const UpdateQuantity = async (req, res) => {
     });
   }
 };
+
+/**
+ * @route   GET /cart/merge-report
+ * @desc    Get the lines of the guest cart that could not be fully merged at login.
+ *          The report is cleared once read.
+ * @access  Private (User)
+ */
+
+export const GetCartMergeReport = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    const cart = await findCart({ userId: req.user });
+    const report = cart?.mergeReport?.mergedAt ? cart.mergeReport : null;
+
+    if (report) {
+      await Cart.updateOne({ _id: cart._id }, { $unset: { mergeReport: 1 } });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: report ? "Cart merge report fetched successfully" : "No cart merge to report",
+      data: report
+        ? { mergedAt: report.mergedAt, unavailableItems: report.items }
+        : null,
+    });
+  } catch (err) {
+    console.error("Failed to fetch cart merge report:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch cart merge report",
+      error: err.message,
+    });
+  }
+};
@@ -3,6 +3,8 @@ import Color from "../models/color.model.js";
 import Product from "../models/product.model.js";
 import { deleteFromCloudinary } from "../utils/cloudinary.js";
 import { withTransaction } from "../utils/withTransaction.js";
+import { recordRemovedStock } from "../services/inventoryService.js";
+import { MovementReason } from "../models/stockMovement.model.js";
 
 /* User Routes */
 
@@ -351,6 +353,12 @@ export const deleteColor = async (req, res) => {
                 if (product.variants.length !== originalLength) {
                     totalVariantsDeleted += originalLength - product.variants.length;
                     await product.save({ session });
+
+                    await recordRemovedStock(product._id, variantsToDelete, {
+                        reason: MovementReason.ADMIN_ADJUSTMENT,
+                        actor: req.user,
+                        note: `Color ${color.name} deleted`,
+                    }, session);
                 }
             }
 
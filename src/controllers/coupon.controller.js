@@ -0,0 +1,333 @@
+import Joi from "joi";
+import { Coupon, DiscountType } from "../models/coupon.model.js";
+import { CouponRedemption } from "../models/couponRedemption.model.js";
+import User from "../models/user.model.js";
+import { evaluateCoupon, buildCartLines } from "../services/couponService.js";
+
+const objectIdList = Joi.array().items(Joi.string().hex().length(24));
+
+const couponFields = {
+    code: Joi.string().trim().uppercase().min(3).max(30),
+    description: Joi.string().allow(""),
+    discountType: Joi.string().valid(...Object.values(DiscountType)),
+    discountValue: Joi.number().min(0),
+    maxDiscount: Joi.number().min(0).allow(null),
+    minCartValue: Joi.number().min(0),
+    usageLimit: Joi.number().integer().min(1).allow(null),
+    perUserLimit: Joi.number().integer().min(1),
+    startDate: Joi.date(),
+    endDate: Joi.date(),
+    isActive: Joi.boolean(),
+    applicableCategories: objectIdList,
+    applicableProducts: objectIdList,
+    applicableColors: objectIdList,
+};
+
+const createCouponSchema = Joi.object(couponFields).fork(
+    ["code", "discountType", "discountValue", "startDate", "endDate"],
+    (field) => field.required()
+);
+
+// Partial updates, model defaults are not re-applied
+const updateCouponSchema = Joi.object(couponFields).min(1);
+
+/**
+ * @route   POST /validate
+ * @desc    Validate a coupon code against the user's cart
+ * @access  Private (User)
+ */
+export const validateCoupon = async (req, res) => {
+    try {
+        const { code } = req.body;
+        const userId = req.user;
+
+        const userDoc = await User.findById(userId).populate({
+            path: "cartList",
+            populate: { path: "items.productId" },
+        });
+
+        const lines = buildCartLines(userDoc?.cartList);
+        if (lines.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Your cart is empty",
+                data: null,
+                error: "No items to apply the coupon on",
+            });
+        }
+
+        const result = await evaluateCoupon({ code, userId, lines });
+        if (!result.isValid) {
+            return res.status(400).json({
+                success: false,
+                message: result.message,
+                data: null,
+                error: result.message,
+            });
+        }
+
+        const { coupon, subtotal, eligibleSubtotal, discount } = result;
+        return res.status(200).json({
+            success: true,
+            message: result.message,
+            data: {
+                code: coupon.code,
+                description: coupon.description,
+                discountType: coupon.discountType,
+                discountValue: coupon.discountValue,
+                subtotal,
+                eligibleSubtotal,
+                discount,
+                totalAfterDiscount: Math.round((subtotal - discount) * 100) / 100,
+            },
+            error: null,
+        });
+    } catch (err) {
+        console.error("Error in validateCoupon:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Failed to validate coupon",
+            error: err.message,
+        });
+    }
+};
+
+/**
+ * @route   POST /
+ * @desc    Create new coupon
+ * @access  Private (Admin)
+ */
+export const createCoupon = async (req, res) => {
+    try {
+        const { error, value } = createCouponSchema.validate(req.body, { abortEarly: false });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid coupon details",
+                data: null,
+                error: error.details.map((d) => d.message),
+            });
+        }
+
+        const existing = await Coupon.findOne({ code: value.code });
+        if (existing) {
+            return res.status(409).json({
+                success: false,
+                message: "Coupon code already exists",
+                data: null,
+                error: `A coupon with code ${value.code} already exists`,
+            });
+        }
+
+        const coupon = await Coupon.create(value);
+
+        return res.status(201).json({
+            success: true,
+            message: "Coupon created successfully",
+            data: coupon,
+            error: null,
+        });
+    } catch (err) {
+        console.error("Error in createCoupon:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Error creating coupon",
+            error: err.message,
+        });
+    }
+};
+
+/**
+ * @route   GET /
+ * @desc    Get all coupons for admin
+ * @access  Private (Admin)
+ */
+export const getCouponsForAdmin = async (req, res) => {
+    try {
+        const coupons = await Coupon.find().sort({ createdAt: -1 });
+
+        return res.status(200).json({
+            success: true,
+            message: "Coupons fetched successfully",
+            data: coupons,
+            error: null,
+        });
+    } catch (err) {
+        console.error("Error in getCouponsForAdmin:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Failed to fetch coupons",
+            error: err.message,
+        });
+    }
+};
+
+/**
+ * @route   GET /:id
+ * @desc    Get coupon by ID with its redemptions
+ * @access  Private (Admin)
+ */
+export const getCouponByIdForAdmin = async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id)
+            .populate("applicableCategories", "name")
+            .populate("applicableProducts", "name")
+            .populate("applicableColors", "name hexCode");
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: "Coupon not found",
+                data: null,
+                error: "No coupon found with the provided ID",
+            });
+        }
+
+        const redemptions = await CouponRedemption.find({ coupon: coupon._id })
+            .populate("user", "firstname lastname email")
+            .sort({ updatedAt: -1 });
+
+        return res.status(200).json({
+            success: true,
+            message: "Coupon fetched successfully",
+            data: { coupon, redemptions },
+            error: null,
+        });
+    } catch (err) {
+        console.error("Error in getCouponByIdForAdmin:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Failed to fetch coupon",
+            error: err.message,
+        });
+    }
+};
+
+/**
+ * @route   PUT /:id
+ * @desc    Update coupon details
+ * @access  Private (Admin)
+ */
+export const updateCoupon = async (req, res) => {
+    try {
+        const { error, value } = updateCouponSchema.validate(req.body, { abortEarly: false });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid coupon details",
+                data: null,
+                error: error.details.map((d) => d.message),
+            });
+        }
+
+        const coupon = await Coupon.findById(req.params.id);
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: "Coupon not found",
+                data: null,
+                error: "No coupon found with the provided ID",
+            });
+        }
+
+        if (value.code && value.code !== coupon.code) {
+            const existing = await Coupon.findOne({ code: value.code });
+            if (existing) {
+                return res.status(409).json({
+                    success: false,
+                    message: "Coupon code already exists",
+                    data: null,
+                    error: `A coupon with code ${value.code} already exists`,
+                });
+            }
+        }
+
+        Object.assign(coupon, value);
+        await coupon.save();
+
+        return res.status(200).json({
+            success: true,
+            message: "Coupon updated successfully",
+            data: coupon,
+            error: null,
+        });
+    } catch (err) {
+        console.error("Error in updateCoupon:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Failed to update coupon",
+            error: err.message,
+        });
+    }
+};
+
+/**
+ * @route   DELETE /:id
+ * @desc    Delete a coupon
+ * @access  Private (Admin)
+ */
+export const deleteCoupon = async (req, res) => {
+    try {
+        const coupon = await Coupon.findByIdAndDelete(req.params.id);
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: "Coupon not found",
+                data: null,
+                error: "No coupon found with the provided ID",
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Coupon deleted successfully",
+            data: null,
+            error: null,
+        });
+    } catch (err) {
+        console.error("Error in deleteCoupon:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Failed to delete coupon",
+            error: err.message,
+        });
+    }
+};
+
+/**
+ * @route   PATCH /:id/toggle
+ * @desc    Toggle coupon status (active/inactive)
+ * @access  Private (Admin)
+ */
+export const toggleCouponStatus = async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: "Coupon not found",
+                data: null,
+                error: "No coupon found with the provided ID",
+            });
+        }
+
+        coupon.isActive = !coupon.isActive;
+        await coupon.save();
+
+        return res.status(200).json({
+            success: true,
+            message: `Coupon ${coupon.isActive ? "activated" : "deactivated"} successfully`,
+            data: coupon,
+            error: null,
+        });
+    } catch (err) {
+        console.error("Error in toggleCouponStatus:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Failed to toggle coupon status",
+            error: err.message,
+        });
+    }
+};
@@ -0,0 +1,150 @@
+import Joi from "joi";
+import mongoose from "mongoose";
+import { CreditNote } from "../models/creditNote.model.js";
+import {
+    getCreditNotes,
+    getCreditNoteRows,
+    creditNoteRowsToCsv,
+    renderCreditNotePdf,
+    getCreditNoteFileName,
+} from "../services/creditNoteService.js";
+
+// Defaults to the current month in India time, the period of a GST return
+const dateRangeSchema = Joi.object({
+    from: Joi.date().iso().default(() => {
+        const now = new Date(Date.now() + 330 * 60 * 1000);
+        return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    }),
+    to: Joi.date().iso().min(Joi.ref("from")).default(() => new Date()),
+    format: Joi.string().valid("csv", "json").default("csv"),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(200).default(20),
+});
+
+const validateDateRange = (query) => dateRangeSchema.validate(query, { stripUnknown: true });
+
+/**
+ * @route   GET /?from=&to=
+ * @desc    List credit notes issued in a date range with their tax totals
+ * @access  Private (Admin)
+ */
+export const listCreditNotes = async (req, res) => {
+    try {
+        const { error, value } = validateDateRange(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid date range",
+                data: null,
+                error: error.details[0].message,
+            });
+        }
+
+        const result = await getCreditNotes(value);
+
+        return res.status(200).json({
+            success: true,
+            message: "Credit notes fetched successfully",
+            data: result,
+            error: null,
+        });
+    } catch (error) {
+        console.error("Error in listCreditNotes:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Failed to fetch credit notes",
+            data: null,
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @route   GET /export?from=&to=&format=csv
+ * @desc    Export the credit notes of a date range, one row per line, for GST filing
+ * @access  Private (Admin)
+ */
+export const exportCreditNotes = async (req, res) => {
+    try {
+        const { error, value } = validateDateRange(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid date range",
+                data: null,
+                error: error.details[0].message,
+            });
+        }
+
+        const rows = await getCreditNoteRows(value);
+        const day = (date) => date.toISOString().slice(0, 10);
+        const fileName = `credit-notes-${day(value.from)}-to-${day(value.to)}.${value.format}`;
+
+        res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+
+        if (value.format === "json") {
+            return res.status(200).json({
+                success: true,
+                message: "Credit notes exported successfully",
+                data: rows,
+                error: null,
+            });
+        }
+
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        return res.status(200).send(creditNoteRowsToCsv(rows));
+    } catch (error) {
+        console.error("Error in exportCreditNotes:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Failed to export credit notes",
+            data: null,
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @route   GET /:id/pdf
+ * @desc    Download a credit note as PDF
+ * @access  Private (Admin)
+ */
+export const downloadCreditNote = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid credit note ID",
+                data: null,
+                error: "Invalid credit note ID",
+            });
+        }
+
+        const creditNote = await CreditNote.findById(req.params.id);
+        if (!creditNote) {
+            return res.status(404).json({
+                success: false,
+                message: "Credit note not found",
+                data: null,
+                error: "Credit note not found",
+            });
+        }
+
+        const pdf = await renderCreditNotePdf(creditNote);
+
+        res.set({
+            "Content-Type": "application/pdf",
+            "Content-Disposition": `attachment; filename="${getCreditNoteFileName(creditNote)}"`,
+            "Content-Length": pdf.length,
+        });
+        return res.status(200).send(pdf);
+    } catch (error) {
+        console.error("Error in downloadCreditNote:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Failed to generate the credit note",
+            data: null,
+            error: error.message,
+        });
+    }
+};
@@ -0,0 +1,244 @@
+import Joi from "joi";
+import {
+  NewOrder as Order,
+  OrderStatus,
+  ReturnCondition,
+} from "../models/newOrder.model.js";
+import { withTransaction } from "../utils/withTransaction.js";
+import {
+  requestExchange,
+  bookExchangePickup,
+  receiveExchange,
+  cancelExchange,
+  ExchangeError,
+} from "../services/exchangeService.js";
+
+const exchangeRequestSchema = Joi.object({
+  itemId: Joi.string().required(),
+  quantity: Joi.number().integer().min(1).required(),
+  size: Joi.string().trim().required(),
+  colorId: Joi.string().allow(null, ""),
+  note: Joi.string().trim().max(500).allow(""),
+});
+
+const pickupSchema = Joi.object({
+  package: Joi.object({
+    length: Joi.number().positive().required(),
+    breadth: Joi.number().positive().required(),
+    height: Joi.number().positive().required(),
+    weight: Joi.number().positive().required(),
+  }).required(),
+  note: Joi.string().trim().max(500).allow(""),
+});
+
+const findOrderItem = async (filter, itemId, session) => {
+  const order = await Order.findOne({ "items._id": itemId, ...filter }).session(session);
+  if (!order) throw new ExchangeError("Item not found", 404);
+
+  return { order, item: order.items.id(itemId) };
+};
+
+/**
+ * Request Exchange
+ * PUT /api/newOrders/exchange
+ * Swap some or all units of a delivered item for another size/color of the same product.
+ */
+export const requestItemExchange = async (req, res) => {
+  const { error, value } = exchangeRequestSchema.validate(req.body);
+  if (error) {
+    return res
+      .status(400)
+      .json({ success: false, message: error.details[0].message });
+  }
+
+  try {
+    const exchange = await withTransaction(async (session) => {
+      const { order, item } = await findOrderItem({ user: req.user }, value.itemId, session);
+
+      const line = await requestExchange(
+        order,
+        item,
+        {
+          quantity: value.quantity,
+          colorId: value.colorId || null,
+          size: value.size,
+          note: value.note,
+          userId: req.user,
+        },
+        session
+      );
+
+      await order.save({ session });
+      return line.exchange;
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Exchange requested successfully",
+      data: {
+        exchangeId: exchange.exchangeId,
+        replacement: exchange.replacement,
+      },
+    });
+  } catch (err) {
+    console.error("Request Exchange Error:", err);
+    return res
+      .status(err.statusCode || 500)
+      .json({ success: false, message: err.message || "Server error" });
+  }
+};
+
+/**
+ * Cancel Exchange
+ * PUT /api/newOrders/exchange-cancel
+ * Customers can cancel until the reverse pickup is booked.
+ */
+export const cancelItemExchange = async (req, res) => {
+  const { itemId, note } = req.body;
+
+  if (!itemId) {
+    return res
+      .status(400)
+      .json({ success: false, message: "itemId is required" });
+  }
+
+  try {
+    await withTransaction(async (session) => {
+      const { order, item } = await findOrderItem({ user: req.user }, itemId, session);
+
+      if (item.orderStatus !== OrderStatus.EXCHANGE_REQUESTED.value) {
+        throw new ExchangeError("The exchange can no longer be cancelled, the pickup is already booked");
+      }
+
+      await cancelExchange(item, { reason: note || "Exchange cancelled by user" }, session);
+      await order.save({ session });
+    });
+
+    return res
+      .status(200)
+      .json({ success: true, message: "Exchange cancelled successfully" });
+  } catch (err) {
+    console.error("Cancel Exchange Error:", err);
+    return res
+      .status(err.statusCode || 500)
+      .json({ success: false, message: err.message || "Server error" });
+  }
+};
+
+/**
+ * Book Exchange Pickup
+ * POST /api/admin/newOrders/items/:itemId/exchange/pickup
+ */
+export const bookItemExchangePickup = async (req, res) => {
+  const { itemId } = req.params;
+  const token = req.shiprocketToken;
+
+  const { error, value } = pickupSchema.validate(req.body);
+  if (error) {
+    return res
+      .status(400)
+      .json({ success: false, message: error.details[0].message });
+  }
+  if (!token) {
+    return res
+      .status(400)
+      .json({ success: false, message: "Shiprocket token required" });
+  }
+
+  try {
+    await withTransaction(async (session) => {
+      const { order, item } = await findOrderItem({}, itemId, session);
+
+      await bookExchangePickup(order, item, {
+        dimensions: value.package,
+        token,
+        note: value.note,
+      });
+      await order.save({ session });
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Reverse pickup booked, the item is on its way back for exchange",
+    });
+  } catch (err) {
+    console.error("Book Exchange Pickup Error:", err);
+    return res
+      .status(err.statusCode || 500)
+      .json({ success: false, message: err.message || "Server error" });
+  }
+};
+
+/**
+ * Receive Exchange
+ * POST /api/admin/newOrders/items/:itemId/exchange/receive
+ * Records the QC of the returned unit and creates the zero-value replacement order.
+ */
+export const receiveItemExchange = async (req, res) => {
+  const { itemId } = req.params;
+  const { note = "" } = req.body;
+  const condition = req.body.condition?.toUpperCase();
+
+  if (!Object.values(ReturnCondition).includes(condition)) {
+    return res.status(400).json({
+      success: false,
+      message: `Return condition is required. Valid conditions are: ${Object.values(ReturnCondition).join(", ")}`,
+    });
+  }
+
+  try {
+    const replacementOrder = await withTransaction(async (session) => {
+      const { order, item } = await findOrderItem({}, itemId, session);
+
+      const created = await receiveExchange(
+        order,
+        item,
+        { condition, note, actor: req.user },
+        session
+      );
+      await order.save({ session });
+      return created;
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Exchange received, replacement order ${replacementOrder.orderId} is ready to ship`,
+      data: {
+        replacementOrderId: replacementOrder.orderId,
+        exchangeFor: replacementOrder.exchangeFor,
+      },
+    });
+  } catch (err) {
+    console.error("Receive Exchange Error:", err);
+    return res
+      .status(err.statusCode || 500)
+      .json({ success: false, message: err.message || "Server error" });
+  }
+};
+
+/**
+ * Cancel Exchange (Admin)
+ * POST /api/admin/newOrders/items/:itemId/exchange/cancel
+ */
+export const cancelItemExchangeByAdmin = async (req, res) => {
+  const { itemId } = req.params;
+  const { note } = req.body;
+
+  try {
+    await withTransaction(async (session) => {
+      const { order, item } = await findOrderItem({}, itemId, session);
+
+      await cancelExchange(item, { reason: note || "Exchange cancelled by admin" }, session);
+      await order.save({ session });
+    });
+
+    return res
+      .status(200)
+      .json({ success: true, message: "Exchange cancelled successfully" });
+  } catch (err) {
+    console.error("Cancel Exchange By Admin Error:", err);
+    return res
+      .status(err.statusCode || 500)
+      .json({ success: false, message: err.message || "Server error" });
+  }
+};
@@ -0,0 +1,264 @@
+import Joi from "joi";
+import {
+    findSku,
+    setStock,
+    getSkuMovements,
+    reconcileStock,
+} from "../services/inventoryService.js";
+import { MovementReason } from "../models/stockMovement.model.js";
+import { dispatchProductAlerts } from "../services/productAlertService.js";
+import { getLowStockReport } from "../services/lowStockService.js";
+import Product from "../models/product.model.js";
+
+const setStockSchema = Joi.object({
+    stock: Joi.number().integer().min(0).required(),
+    note: Joi.string().trim().max(500).allow(""),
+});
+
+/**
+ * @route   GET /:sku/movements
+ * @desc    Get the stock movement history of a SKU, newest first
+ * @access  Private (Admin)
+ */
+export const getMovementsBySku = async (req, res) => {
+    try {
+        const sku = req.params.sku.trim().toUpperCase();
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+        const [location, history] = await Promise.all([
+            findSku(sku),
+            getSkuMovements(sku, { page, limit }),
+        ]);
+
+        // Deleted sizes have no location but keep their history
+        if (!location && !history.pagination.total) {
+            return res.status(404).json({
+                success: false,
+                message: "SKU not found",
+                data: null,
+                error: `No stock or movements for SKU '${sku}'`,
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Stock movements fetched successfully",
+            data: { sku, current: location, ...history },
+            error: null,
+        });
+    } catch (error) {
+        console.error("Error in getMovementsBySku:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Failed to fetch stock movements",
+            data: null,
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @route   PUT /:sku/stock
+ * @desc    Set the stock of a SKU, recorded as an admin adjustment
+ * @access  Private (Admin)
+ */
+export const setSkuStock = async (req, res) => {
+    try {
+        const { error, value } = setStockSchema.validate(req.body, { abortEarly: false });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid stock details",
+                data: null,
+                error: error.details.map((d) => d.message),
+            });
+        }
+
+        const sku = req.params.sku.trim().toUpperCase();
+        const location = await findSku(sku);
+        if (!location) {
+            return res.status(404).json({
+                success: false,
+                message: "SKU not found",
+                data: null,
+                error: `No product size with SKU '${sku}'`,
+            });
+        }
+
+        const movement = await setStock({
+            productId: location.productId,
+            colorId: location.colorId,
+            size: location.size,
+            stock: value.stock,
+            reason: MovementReason.ADMIN_ADJUSTMENT,
+            actor: req.user,
+            note: value.note || undefined,
+        });
+
+        if (movement && movement.delta > 0) {
+            await dispatchProductAlerts([location.productId]);
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: movement ? "Stock updated successfully" : "Stock is already at that level",
+            data: movement,
+            error: null,
+        });
+    } catch (error) {
+        console.error("Error in setSkuStock:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Failed to update stock",
+            data: null,
+            error: error.message,
+        });
+    }
+};
+
+const thresholdSchema = Joi.object({
+    threshold: Joi.number().integer().min(0).allow(null).required(),
+});
+
+/**
+ * @route   PUT /:sku/threshold
+ * @desc    Set the reorder threshold of a SKU, null falls back to the product threshold
+ * @access  Private (Admin)
+ */
+export const setSkuThreshold = async (req, res) => {
+    try {
+        const { error, value } = thresholdSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid threshold",
+                data: null,
+                error: error.details.map((d) => d.message),
+            });
+        }
+
+        const sku = req.params.sku.trim().toUpperCase();
+        const location = await findSku(sku);
+        if (!location) {
+            return res.status(404).json({
+                success: false,
+                message: "SKU not found",
+                data: null,
+                error: `No product size with SKU '${sku}'`,
+            });
+        }
+
+        // A new threshold starts a fresh alert cycle
+        await Product.updateOne(
+            { _id: location.productId },
+            {
+                $set: {
+                    "variants.$[v].sizes.$[s].lowStockThreshold": value.threshold,
+                    "variants.$[v].sizes.$[s].lowStockAlertedAt": null,
+                },
+            },
+            { arrayFilters: [{ "v.color": location.colorId }, { "s.sku": sku }] }
+        );
+
+        return res.status(200).json({
+            success: true,
+            message: "Threshold updated successfully",
+            data: { sku, threshold: value.threshold },
+            error: null,
+        });
+    } catch (error) {
+        console.error("Error in setSkuThreshold:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Failed to update threshold",
+            data: null,
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @route   GET /low-stock?days=30
+ * @desc    List low and out of stock SKUs with their sales velocity
+ * @access  Private (Admin)
+ */
+export const getLowStock = async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+        const report = await getLowStockReport({ days });
+
+        return res.status(200).json({
+            success: true,
+            message: "Low stock report fetched successfully",
+            data: {
+                days: report.days,
+                outOfStock: report.items.filter((item) => item.stock === 0),
+                lowStock: report.items.filter((item) => item.stock > 0),
+            },
+            error: null,
+        });
+    } catch (error) {
+        console.error("Error in getLowStock:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Failed to fetch low stock report",
+            data: null,
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @route   GET /reconcile
+ * @desc    Compare the ledger balance of every SKU with the product stock
+ * @access  Private (Admin)
+ */
+export const getReconciliation = async (req, res) => {
+    try {
+        const report = await reconcileStock();
+
+        return res.status(200).json({
+            success: true,
+            message: report.mismatches.length
+                ? `${report.mismatches.length} SKU(s) do not match the ledger`
+                : "Ledger matches product stock",
+            data: report,
+            error: null,
+        });
+    } catch (error) {
+        console.error("Error in getReconciliation:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Failed to reconcile stock",
+            data: null,
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @route   POST /reconcile
+ * @desc    Append correction movements so the ledger matches the product stock
+ * @access  Private (Admin)
+ */
+export const fixReconciliation = async (req, res) => {
+    try {
+        const report = await reconcileStock({ fix: true, actor: req.user });
+
+        return res.status(200).json({
+            success: true,
+            message: `${report.fixed} correction(s) recorded`,
+            data: report,
+            error: null,
+        });
+    } catch (error) {
+        console.error("Error in fixReconciliation:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Failed to reconcile stock",
+            data: null,
+            error: error.message,
+        });
+    }
+};
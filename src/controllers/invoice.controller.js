@@ -0,0 +1,69 @@
+import { NewOrder as Order } from "../models/newOrder.model.js";
+import {
+  canIssueInvoice,
+  issueInvoice,
+  renderInvoicePdf,
+  getInvoiceFileName,
+} from "../services/invoiceService.js";
+
+const sendInvoice = async (res, order) => {
+  const check = canIssueInvoice(order);
+  if (!check.isValid) {
+    return res.status(400).json({ success: false, message: check.message });
+  }
+
+  const invoice = await issueInvoice(order);
+  const pdf = await renderInvoicePdf(invoice);
+
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="${getInvoiceFileName(invoice)}"`,
+    "Content-Length": pdf.length,
+  });
+  return res.status(200).send(pdf);
+};
+
+/**
+ * Download Invoice
+ * GET /api/newOrders/:orderId/invoice
+ * Issues the GST invoice on first download once every item has shipped.
+ */
+export const downloadInvoice = async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId, user: req.user });
+    if (!order) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Order not found" });
+    }
+
+    return await sendInvoice(res, order);
+  } catch (err) {
+    console.error("Download Invoice Error:", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Could not generate the invoice, please try again" });
+  }
+};
+
+/**
+ * Download Invoice (Admin)
+ * GET /api/admin/newOrders/:orderId/invoice
+ */
+export const downloadInvoiceByAdmin = async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Order not found" });
+    }
+
+    return await sendInvoice(res, order);
+  } catch (err) {
+    console.error("Download Invoice By Admin Error:", err);
+    return res
+      .status(500)
+      .json({ success: false, message: err.message || "Server error" });
+  }
+};
@@ -1,9 +1,12 @@
 import Joi from "joi";
+import fs from "fs";
 import {
   NewOrder as Order,
   PaymentMethod,
   PaymentStatus,
   OrderStatus,
+  RefundStatus,
+  ReturnCondition,
 } from "../models/newOrder.model.js";
 import User from "../models/user.model.js";
 import Product from "../models/product.model.js";
@@ -17,7 +20,45 @@ import {
   createStatusHistoryEntry,
 } from "../services/orderUtils.js";
 import { EmailQueue } from "../queue/producer.js";
+import {
+  getConfirmedReservations,
+  consumeReservations,
+} from "../services/stockReservationService.js";
+import { adjustStock } from "../services/inventoryService.js";
+import { recordProductEvent } from "../services/productAnalyticsService.js";
+import {
+  releaseCancelledItem,
+  inspectReturnedItem,
+} from "../services/orderStockService.js";
+import {
+  recordOrderCharges,
+  recordLineSplit,
+  recordRefund,
+  getRefundableAmount,
+  getOrderLedger,
+} from "../services/orderLedgerService.js";
+import { issueCreditNote } from "../services/creditNoteService.js";
+import { MovementReason } from "../models/stockMovement.model.js";
+import { ProductEventType } from "../models/productAnalytics.model.js";
+import { evaluateCoupon, redeemCoupon } from "../services/couponService.js";
+import { toPaise } from "../services/checkoutService.js";
+import { getShippingRules, calculateShipping } from "../services/shippingService.js";
+import {
+  getReturnPolicy,
+  findReturnReason,
+  getOrderReturnEligibility,
+} from "../services/returnPolicyService.js";
+import { uploadToCloudinary, deleteFromCloudinary } from "../utils/cloudinary.js";
+import { queueDeliveryEmail } from "../services/invoiceService.js";
+import {
+  reserveProviderRefund,
+  executeProviderRefund,
+} from "../services/refundService.js";
 const { paymentService } = await import("../services/paymetService.js");
+import {
+  PaymentTransaction,
+  PaymentStatus as TransactionStatus,
+} from "../models/paymentTransaction.model.js";
 import {
   prepareShiprocketOrderData,
   updateOrderWithAWBData,
@@ -88,8 +129,10 @@ const createOrderSchema = Joi.object({
     .allow(null)
     .optional(),
   transactionId: Joi.string().allow(null).optional(),
+  paymentOrderId: Joi.string().allow(null).optional(),
   shippingCharges: Joi.number().precision(2).min(0).default(0),
   totalAmount: Joi.number().precision(2).min(0).optional(),
+  couponCode: Joi.string().trim().allow(null, "").optional(),
 });
 
 export const createOrder = async (req, res) => {
@@ -128,8 +171,10 @@ export const createOrder = async (req, res) => {
     paymentMethod,
     paymentProvider,
     transactionId,
+    paymentOrderId,
     shippingCharges,
     totalAmount,
+    couponCode,
   } = value;
   const userId = req.user;
 
@@ -249,6 +294,28 @@ export const createOrder = async (req, res) => {
 
       console.log("Generated orderId:", orderId);
       const orderItems = [];
+      const pricingLines = [];
+
+      // A payment webhook may have settled the payment before the browser got here
+      let orderTransactionId = transactionId;
+      if (paymentMethod === PaymentMethod.ONLINE && !transactionId && paymentOrderId) {
+        const settledTransaction = await PaymentTransaction.findOne({
+          orderId: paymentOrderId,
+          user: userId,
+          status: TransactionStatus.SUCCESS,
+        }).session(session);
+        orderTransactionId = settledTransaction?.transactionId;
+      }
+
+      // Verified online payments already hold their stock from checkout
+      const reservations =
+        paymentMethod === PaymentMethod.ONLINE && orderTransactionId
+          ? await getConfirmedReservations(
+              { userId, transactionId: orderTransactionId },
+              session
+            )
+          : [];
+      const usedReservationIds = [];
 
       // Loop over requested items and prepare order items, check stock, update stock
       console.log("Processing items for order creation...");
@@ -276,16 +343,43 @@ export const createOrder = async (req, res) => {
         if (!variant)
           throw new Error(`Variant not found for product ${product.name}`);
 
-        const sizeStock = variant.sizes.find((s) => s.size === size);
-        if (sizeStock.stock < quantity) {
-          throw new Error(
-            `Insufficient stock for ${product.name} - size ${size}`
+        const reservation = reservations.find(
+          (r) =>
+            !usedReservationIds.includes(r._id) &&
+            r.product.toString() === productId &&
+            r.color.toString() === colorId &&
+            r.size === size &&
+            r.quantity === quantity
+        );
+
+        if (reservation) {
+          // Stock was deducted when the reservation was made
+          usedReservationIds.push(reservation._id);
+        } else {
+          // Deduct stock for this variant and size
+          const sold = await adjustStock(
+            {
+              productId,
+              colorId,
+              size,
+              delta: -quantity,
+              reason: MovementReason.ORDER,
+              actor: userId,
+              orderId,
+            },
+            session
           );
+          if (!sold) {
+            throw new Error(
+              `Insufficient stock for ${product.name} - size ${size}`
+            );
+          }
         }
 
-        // Deduct stock for this variant and size
-        sizeStock.stock -= quantity;
-        await product.save({ session });
+        await recordProductEvent(
+          { productId, type: ProductEventType.ORDER, quantity, userId },
+          session
+        );
 
         // Calculate price (backend controlled)
         const price = product.isOnSale
@@ -293,6 +387,15 @@ export const createOrder = async (req, res) => {
           : product.nonSalePrice.discountedPrice;
 
 
+        pricingLines.push({
+          productId: product._id,
+          categoryId: product.category,
+          colorId,
+          price,
+          quantity,
+          weight: product.weight,
+        });
+
         // Get the best available image
         const productImage = variant.images?.[0] ||
           product.images?.[0] || { secure_url: variant.orderImage };
@@ -310,10 +413,15 @@ export const createOrder = async (req, res) => {
             },
           },
           color: {
+            colorId: color._id,
             name: color.name,
             hexCode: color.hexCode,
           },
           size,
+          sku: variant.sizes.find((s) => s.size === size).sku,
+          hsnCode: product.hsnCode || undefined,
+          isOnSale: Boolean(product.isOnSale),
+          isReturnable: product.isReturnable !== false,
           quantity,
           amount: price,
           orderStatus: OrderStatus.ORDERED.value,
@@ -321,20 +429,67 @@ export const createOrder = async (req, res) => {
         });
       }
 
-      // Calculate total shipping charges for the order
-      let totalOrderShippingCharges = 0;
-      if (paymentMethod === PaymentMethod.COD) {
-        totalOrderShippingCharges = 50; // ₹50 for COD orders
-      } else if (paymentMethod === PaymentMethod.ONLINE) {
-        // For online payments, calculate based on order total
-        const orderSubtotal = orderItems.reduce(
-          (sum, item) => sum + item.amount.price * item.quantity,
-          0
+      // Close out used holds and return any the order did not need
+      if (reservations.length) {
+        await consumeReservations(usedReservationIds, reservations, session);
+      }
+
+      // Calculate shipping charges from the configured rules (same as the shipping quote)
+      const orderSubtotal = orderItems.reduce(
+        (sum, item) => sum + item.amount * item.quantity,
+        0
+      );
+      const shippingRules = await getShippingRules();
+      const shippingQuote = calculateShipping(shippingRules, {
+        paymentMethod,
+        subtotal: orderSubtotal,
+        items: pricingLines,
+        postalCode: shippingInfo.postalCode,
+        state: shippingInfo.state,
+      });
+      if (!shippingQuote.isServiceable) {
+        throw new Error("Delivery is not available for this location");
+      }
+      const totalOrderShippingCharges = shippingQuote.shippingCharges;
+
+      // Apply coupon discount (backend controlled)
+      let appliedCoupon = null;
+      let discount = 0;
+      if (couponCode) {
+        const couponResult = await evaluateCoupon(
+          { code: couponCode, userId, lines: pricingLines },
+          session
         );
-        if (orderSubtotal < 599) {
-          totalOrderShippingCharges = 50; // ₹50 for orders below ₹599
-        } else {
-          totalOrderShippingCharges = 0; // Free shipping for orders ₹599 and above
+        if (!couponResult.isValid) throw new Error(couponResult.message);
+
+        appliedCoupon = couponResult.coupon;
+        discount = couponResult.discount;
+        console.log("Coupon applied:", appliedCoupon.code, "discount:", discount);
+      }
+
+      const orderTotal = totalOrderShippingCharges + orderSubtotal - discount;
+
+      // The order must add up to what was actually charged
+      if (paymentMethod === PaymentMethod.ONLINE && orderTransactionId) {
+        const paidTransaction = await PaymentTransaction.findOne({
+          transactionId: orderTransactionId,
+          user: userId,
+          status: TransactionStatus.SUCCESS,
+        }).session(session);
+        if (!paidTransaction) {
+          throw new Error("Payment not found for this order");
+        }
+        if (paidTransaction.amount !== toPaise(orderTotal)) {
+          throw new Error(
+            `Order total ₹${orderTotal} does not match the amount paid ₹${paidTransaction.amount / 100}`
+          );
+        }
+
+        // Placed after its holds were given up on, the payment is no longer owed back
+        if (paidTransaction.needsRefund) {
+          paidTransaction.needsRefund = false;
+          paidTransaction.error = undefined;
+          await paidTransaction.save({ session });
         }
       }
 
@@ -342,26 +497,26 @@ export const createOrder = async (req, res) => {
       let paymentStatus = PaymentStatus.PENDING;
       console.log("Payment status determination:", {
         paymentMethod,
-        transactionId,
-        hasTransactionId: !!transactionId,
+        transactionId: orderTransactionId,
+        hasTransactionId: !!orderTransactionId,
       });
 
       if (paymentMethod === PaymentMethod.COD) {
         paymentStatus = PaymentStatus.PENDING; // COD is pending until delivery
-      } else if (paymentMethod === PaymentMethod.ONLINE && transactionId) {
+      } else if (paymentMethod === PaymentMethod.ONLINE && orderTransactionId) {
         paymentStatus = PaymentStatus.PAID; // Online payment is already verified
         console.log(
           "Setting payment status to PAID for online payment with transaction ID:",
-          transactionId
+          orderTransactionId
         );
-      } else if (paymentMethod === PaymentMethod.ONLINE && !transactionId) {
+      } else if (paymentMethod === PaymentMethod.ONLINE && !orderTransactionId) {
         console.log(
           "Online payment but no transaction ID - keeping status as PENDING"
         );
       }
 
       // Create single order with all items
-      console.log("Creating order with transaction ID:", transactionId);
+      console.log("Creating order with transaction ID:", orderTransactionId);
       console.log("Creating order with payment provider:", paymentProvider);
       console.log("Creating order with payment status:", paymentStatus);
       console.log(
@@ -377,24 +532,31 @@ export const createOrder = async (req, res) => {
         shippingInfo,
         paymentMethod,
         paymentProvider: paymentProvider || null,
-        transactionId: transactionId || null,
+        transactionId: orderTransactionId || null,
+        paymentOrderId: paymentOrderId || null,
         paymentStatus,
         shippingCharges: totalOrderShippingCharges,
         orderedAt: new Date(),
         amount: {
           shippingCharges: totalOrderShippingCharges,
-          totalAmount:
-            totalOrderShippingCharges +
-            orderItems.reduce(
-              (sum, item) => sum + item.amount * item.quantity,
-              0
-            ),
+          discount,
+          couponCode: appliedCoupon?.code || null,
+          totalAmount: orderTotal,
         },
       });
 
       console.log("Saving order to database...");
       const savedOrder = await order.save({ session });
       console.log("Order saved successfully with ID:", savedOrder._id);
+      await recordOrderCharges(savedOrder, session);
+
+      // Count the coupon use, rolls the order back if a limit was hit meanwhile
+      if (appliedCoupon) {
+        await redeemCoupon(
+          { coupon: appliedCoupon, userId, orderId, discount },
+          session
+        );
+      }
 
       // Remove ordered items from user's cart
       console.log("Removing items from cart...");
@@ -579,8 +741,13 @@ export const getOrderByOrderId = async (req, res) => {
         .json({ success: false, message: "Order not found" });
     }
 
+    // Verdict of the return policy, so the frontend does not repeat the rules
+    const returnEligibility = await getOrderReturnEligibility(order);
+
     const productsMap = {};
     for (const item of order.items) {
+      const itemReturnEligibility = returnEligibility.get(item._id.toString());
+
       const variantKey = `${item.product.productId}_${item.color.name}_${item.size}`;
 
       if (!productsMap[variantKey]) {
@@ -612,6 +779,9 @@ export const getOrderByOrderId = async (req, res) => {
         refundProcessedAt: item.refundProcessedAt,
         refundStatus: item.refundStatus,
         returnRequestNote: item.returnRequestNote,
+        returnReasonCode: item.returnReasonCode,
+        returnEvidence: item.returnEvidence,
+        returnEligibility: itemReturnEligibility,
         statusHistory: item.statusHistory,
         quantity: item.quantity, // Fix typo: quantiy -> quantity
         size: item.size,
@@ -636,6 +806,9 @@ export const getOrderByOrderId = async (req, res) => {
         refundProcessedAt: item.refundProcessedAt,
         refundStatus: item.refundStatus,
         returnRequestNote: item.returnRequestNote,
+        returnReasonCode: item.returnReasonCode,
+        returnEvidence: item.returnEvidence,
+        returnEligibility: itemReturnEligibility,
         statusHistory: item.statusHistory,
         quantity: item.quantity,
         size: item.size,
@@ -762,9 +935,12 @@ export const cancelReturnRequest = async (req, res) => {
         delete cancelledBatch.returnId;
         delete cancelledBatch.returnRequestedAt;
         delete cancelledBatch.returnRequestNote;
+        delete cancelledBatch.returnReasonCode;
+        delete cancelledBatch.returnEvidence;
 
         item.quantity -= quantity;
         order.items.push(cancelledBatch);
+        await recordLineSplit(order, item, order.items[order.items.length - 1], session);
       } else {
         // Full cancel — update in place
         item.orderStatus = OrderStatus.RETURN_CANCELLED;
@@ -775,6 +951,8 @@ export const cancelReturnRequest = async (req, res) => {
         delete item.returnId;
         delete item.returnRequestedAt;
         delete item.returnRequestNote;
+        delete item.returnReasonCode;
+        delete item.returnEvidence;
       }
 
       await order.save({ session });
@@ -1035,6 +1213,9 @@ export const processRefund = async (req, res) => {
   }
 
   try {
+    let providerRefundId = null;
+    let manualRefund = null;
+
     await withTransaction(async (session) => {
       const order = await Order.findOne({ "items._id": itemId }).session(
         session
@@ -1057,37 +1238,66 @@ export const processRefund = async (req, res) => {
         throw new Error(`Cannot refund item with status: ${item.orderStatus}`);
       }
 
+      if (item.refundId && item.refundStatus === RefundStatus.PENDING) {
+        throw new Error("A refund is already in progress for this item");
+      }
+
+      let refundItem = item;
       if (refundQty < item.quantity) {
         // Partial refund → split the batch
-        const refundedBatch = {
-          ...item.toObject(),
+        const { _id, ...itemData } = item.toObject();
+        order.items.push({
+          ...itemData,
           quantity: refundQty,
-          orderStatus: OrderStatus.REFUNDED.value,
-          refundAmount: refundAmount,
-          refundStatus: "Refunded",
-          refundProcessedAt: new Date(),
-          statusHistory: [
-            ...item.statusHistory,
-            {
-              status: OrderStatus.REFUNDED.value,
-              note: "Refund processed by admin",
-              changedAt: new Date(),
-            },
-          ],
-        };
+        });
 
         // Reduce original quantity
         item.quantity -= refundQty;
+        refundItem = order.items[order.items.length - 1];
+        await recordLineSplit(order, item, refundItem, session);
+      }
+
+      const refundable = await getRefundableAmount(order, refundItem, {}, session);
+      if (refundAmount > refundable) {
+        throw new Error(
+          `Refund amount exceeds the refundable amount of the item (₹${refundable})`
+        );
+      }
 
-        // Push refunded batch
-        order.items.push(refundedBatch);
+      if (order.paymentMethod === PaymentMethod.ONLINE) {
+        // Online payments are refunded through the payment provider
+        providerRefundId = await reserveProviderRefund(
+          {
+            order,
+            item: refundItem,
+            amount: refundAmount,
+            reason: "Refund processed by admin",
+            initiatedBy: req.user,
+          },
+          session
+        );
+        refundItem.refundApprovedAt = new Date();
+        refundItem.refundApprovedBy = req.user;
+        refundItem.statusHistory.push({
+          status: refundItem.orderStatus,
+          note: `Refund of ₹${refundAmount} initiated with payment provider`,
+          changedAt: new Date(),
+        });
       } else {
-        // Full batch refund
-        item.orderStatus = OrderStatus.REFUNDED.value;
-        item.refundAmount = refundAmount;
-        item.refundStatus = "Refunded";
-        item.refundProcessedAt = new Date();
-        item.statusHistory.push({
+        // COD refunds are paid out manually
+        const entry = await recordRefund(
+          order,
+          refundItem,
+          { amount: refundAmount, actor: req.user, note: "Refund processed by admin" },
+          session
+        );
+        manualRefund = { order, item: refundItem, entry };
+        refundItem.orderStatus = OrderStatus.REFUNDED.value;
+        refundItem.refundAmount = refundAmount;
+        refundItem.refundStatus = RefundStatus.REFUNDED;
+        refundItem.refundMethod = "MANUAL";
+        refundItem.refundProcessedAt = new Date();
+        refundItem.statusHistory.push({
           status: OrderStatus.REFUNDED.value,
           note: "Refund processed by admin",
           changedAt: new Date(),
@@ -1097,6 +1307,28 @@ export const processRefund = async (req, res) => {
       await order.save({ session });
     });
 
+    if (manualRefund) {
+      await issueCreditNote(manualRefund.order, manualRefund.item, manualRefund.entry);
+    }
+
+    if (providerRefundId) {
+      const result = await executeProviderRefund(providerRefundId);
+      if (!result.success) {
+        return res.status(502).json({
+          success: false,
+          message: `Refund could not be started with the payment provider: ${result.message}`,
+          refundId: result.refundId,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Refund initiated with payment provider",
+        refundId: result.refundId,
+        providerRefundId: result.providerRefundId,
+      });
+    }
+
     return res.status(200).json({
       success: true,
       message: "Refund processed successfully",
@@ -1110,6 +1342,29 @@ export const processRefund = async (req, res) => {
   }
 };
 
+/**
+ * Order Financial Ledger
+ * GET /api/admin/newOrders/:orderId/ledger
+ * Charges, discounts, shipping and refunds per line, with split lineage and what is left to refund.
+ */
+export const getOrderLedgerByOrderId = async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Order not found" });
+    }
+
+    const ledger = await getOrderLedger(order);
+
+    return res.status(200).json({ success: true, data: ledger });
+  } catch (err) {
+    console.error("getOrderLedgerByOrderId error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
 // Address Management Functions
 
 const addressSchema = Joi.object({
@@ -1313,22 +1568,10 @@ export const requestRefund = async (req, res) => {
   const { orderId, itemId, quantity, refundAccountDetails, note } = req.body;
 
   // Validation
-  if (!orderId || !itemId || !quantity || !refundAccountDetails) {
+  if (!orderId || !itemId || !quantity) {
     return res.status(400).json({
       success: false,
-      message:
-        "Missing required fields (orderId, itemId, quantity, refundAccountDetails)",
-    });
-  }
-
-  // Validate account details
-  if (
-    !refundAccountDetails.accountType ||
-    (!refundAccountDetails.upiId && !refundAccountDetails.accountNumber)
-  ) {
-    return res.status(400).json({
-      success: false,
-      message: "Please provide valid account details (UPI ID or Bank Account)",
+      message: "Missing required fields (orderId, itemId, quantity)",
     });
   }
 
@@ -1340,6 +1583,19 @@ export const requestRefund = async (req, res) => {
         .json({ success: false, message: "Order not found" });
     }
 
+    // Online payments go back to the original payment method,
+    // COD refunds need somewhere to send the money
+    if (
+      order.paymentMethod === PaymentMethod.COD &&
+      (!refundAccountDetails?.accountType ||
+        (!refundAccountDetails.upiId && !refundAccountDetails.accountNumber))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide valid account details (UPI ID or Bank Account)",
+      });
+    }
+
     // Find the specific item
     const item = order.items.find((item) => item._id.toString() === itemId);
     if (!item) {
@@ -1357,7 +1613,7 @@ export const requestRefund = async (req, res) => {
     }
 
     // Check if already refunded
-    if (item.refundStatus === PaymentStatus.REFUNDED) {
+    if (item.refundStatus === RefundStatus.REFUNDED) {
       return res.status(400).json({
         success: false,
         message: "Refund already processed for this item",
@@ -1380,15 +1636,25 @@ export const requestRefund = async (req, res) => {
       });
     }
 
-    // Calculate refund amount
-    const refundAmount = item.amount.totalAmount * quantity;
+    // The item's share of what was paid, see orderLedgerService for the rules
+    const refundAmount = await getRefundableAmount(order, item, { quantity });
+    if (refundAmount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Nothing is left to refund for this item",
+      });
+    }
 
     // Update item with refund request details
     item.refundAmount = refundAmount;
-    item.refundStatus = PaymentStatus.PENDING;
+    item.refundStatus = RefundStatus.PENDING;
     item.refundRequestedAt = new Date();
     item.refundRequestNote = note || "User requested refund for cancelled item";
-    item.refundAccountDetails = refundAccountDetails;
+    item.refundMethod =
+      order.paymentMethod === PaymentMethod.ONLINE ? "PROVIDER" : "MANUAL";
+    if (refundAccountDetails) {
+      item.refundAccountDetails = refundAccountDetails;
+    }
 
     // Add status history entry
     item.statusHistory.push({
@@ -1404,7 +1670,7 @@ export const requestRefund = async (req, res) => {
       message: "Refund request submitted successfully",
       data: {
         refundAmount,
-        status: PaymentStatus.PENDING,
+        status: RefundStatus.PENDING,
         requestedAt: item.refundRequestedAt,
       },
     });
@@ -1499,6 +1765,10 @@ export const getAllRefundRequests = async (req, res) => {
             refundRejectedAt: item.refundRejectedAt,
             refundRejectionReason: item.refundRejectionReason,
             refundRequestNote: item.refundRequestNote,
+            refundMethod: item.refundMethod,
+            refundId: item.refundId,
+            providerRefundId: item.providerRefundId,
+            refundFailureReason: item.refundFailureReason,
             accountType: item.refundAccountDetails?.accountType,
             upiId: item.refundAccountDetails?.upiId,
             phoneNumber: item.refundAccountDetails?.phoneNumber,
@@ -1549,43 +1819,119 @@ export const approveRefundRequest = async (req, res) => {
     // Extract order ID and item ID from composite ID
     const [orderId, itemId] = refundRequestId.split("-");
 
-    const order = await Order.findById(orderId);
-    if (!order) {
-      return res.status(404).json({
-        success: false,
-        message: "Order not found",
-      });
-    }
+    // Checked and reserved in one transaction, so two approvals cannot both refund
+    const outcome = await withTransaction(async (session) => {
+      const order = await Order.findById(orderId).session(session);
+      if (!order) {
+        return { status: 404, message: "Order not found" };
+      }
 
-    const item = order.items.find((item) => item._id.toString() === itemId);
-    if (!item) {
-      return res.status(404).json({
-        success: false,
-        message: "Order item not found",
+      const item = order.items.find((item) => item._id.toString() === itemId);
+      if (!item) {
+        return { status: 404, message: "Order item not found" };
+      }
+
+      // Failed provider refunds can be approved again
+      const canApprove =
+        (item.refundStatus === RefundStatus.PENDING && !item.refundId) ||
+        item.refundStatus === RefundStatus.FAILED;
+      if (!item.refundRequestedAt || !canApprove) {
+        return { status: 400, message: "Refund request not found or already processed" };
+      }
+
+      const refundable = await getRefundableAmount(order, item, {}, session);
+      if (refundAmount > refundable) {
+        return {
+          status: 400,
+          message: `Refund amount exceeds the refundable amount of the item (₹${refundable})`,
+        };
+      }
+
+      // Online payments: refund the item's share through the payment provider
+      if (order.paymentMethod === PaymentMethod.ONLINE) {
+        const refundId = await reserveProviderRefund(
+          {
+            order,
+            item,
+            amount: refundAmount,
+            reason: item.refundRequestNote,
+            initiatedBy: req.user,
+          },
+          session
+        );
+        item.refundApprovedAt = new Date();
+        item.refundApprovedBy = req.user;
+        item.statusHistory.push({
+          status: item.orderStatus,
+          note: `Refund approved by admin - ₹${refundAmount} initiated with payment provider`,
+          changedAt: new Date(),
+        });
+        await order.save({ session });
+        return { order, item, refundId };
+      }
+
+      // COD: money is sent to the bank/UPI details by hand
+      const entry = await recordRefund(
+        order,
+        item,
+        {
+          amount: refundAmount,
+          actor: req.user,
+          note: `Refund approved by admin - Amount: ₹${refundAmount}`,
+        },
+        session
+      );
+      item.refundStatus = RefundStatus.REFUNDED;
+      item.refundMethod = "MANUAL";
+      item.refundAmount = refundAmount;
+      item.refundApprovedAt = new Date();
+      item.refundApprovedBy = req.user; // Admin user ID
+
+      // Add status history entry
+      item.statusHistory.push({
+        status: item.orderStatus,
+        note: `Refund approved by admin - Amount: ₹${refundAmount}`,
+        changedAt: new Date(),
       });
-    }
 
-    if (!item.refundRequestedAt || item.refundStatus !== "PENDING") {
-      return res.status(400).json({
+      await order.save({ session });
+      return { order, item, entry };
+    });
+
+    if (outcome.status) {
+      return res.status(outcome.status).json({
         success: false,
-        message: "Refund request not found or already processed",
+        message: outcome.message,
       });
     }
 
-    // Update refund status
-    item.refundStatus = "REFUNDED";
-    item.refundAmount = refundAmount;
-    item.refundApprovedAt = new Date();
-    item.refundApprovedBy = req.user; // Admin user ID
+    const { order, item, refundId, entry } = outcome;
 
-    // Add status history entry
-    item.statusHistory.push({
-      status: item.orderStatus,
-      note: `Refund approved by admin - Amount: ₹${refundAmount}`,
-      changedAt: new Date(),
-    });
+    // The provider is only called once the reservation is committed
+    if (refundId) {
+      const result = await executeProviderRefund(refundId);
+      if (!result.success) {
+        return res.status(502).json({
+          success: false,
+          message: `Refund could not be started with the payment provider: ${result.message}`,
+          data: { refundId, status: RefundStatus.FAILED },
+        });
+      }
 
-    await order.save();
+      return res.status(200).json({
+        success: true,
+        message: "Refund initiated with payment provider",
+        data: {
+          refundAmount,
+          approvedAt: item.refundApprovedAt,
+          status: RefundStatus.PENDING,
+          refundId,
+          providerRefundId: result.providerRefundId,
+        },
+      });
+    }
+
+    await issueCreditNote(order, item, entry);
 
     return res.status(200).json({
       success: true,
@@ -1593,7 +1939,7 @@ export const approveRefundRequest = async (req, res) => {
       data: {
         refundAmount,
         approvedAt: item.refundApprovedAt,
-        status: "REFUNDED",
+        status: RefundStatus.REFUNDED,
       },
     });
   } catch (err) {
@@ -1637,7 +1983,7 @@ export const rejectRefundRequest = async (req, res) => {
       });
     }
 
-    if (!item.refundRequestedAt || item.refundStatus !== "PENDING") {
+    if (!item.refundRequestedAt || item.refundStatus !== RefundStatus.PENDING || item.refundId) {
       return res.status(400).json({
         success: false,
         message: "Refund request not found or already processed",
@@ -1645,7 +1991,7 @@ export const rejectRefundRequest = async (req, res) => {
     }
 
     // Update refund status
-    item.refundStatus = "REJECTED";
+    item.refundStatus = RefundStatus.REJECTED;
     item.refundRejectedAt = new Date();
     item.refundRejectedBy = req.user; // Admin user ID
     item.refundRejectionReason = rejectionReason;
@@ -1665,7 +2011,7 @@ export const rejectRefundRequest = async (req, res) => {
       data: {
         rejectedAt: item.refundRejectedAt,
         rejectionReason,
-        status: "REJECTED",
+        status: RefundStatus.REJECTED,
       },
     });
   } catch (err) {
@@ -1824,6 +2170,7 @@ export const getReturnRequestDetails = async (req, res) => {
       });
     }
 
+    const policy = await getReturnPolicy();
     const returnDetails = {
       returnId: returnItem.returnId,
       orderId: order.orderId,
@@ -1846,6 +2193,13 @@ export const getReturnRequestDetails = async (req, res) => {
       returnInfo: {
         returnRequestedAt: returnItem.returnRequestedAt,
         returnRequestNote: returnItem.returnRequestNote,
+        returnReason: returnItem.returnReasonCode
+          ? {
+              code: returnItem.returnReasonCode,
+              label: policy.reasons.find((r) => r.code === returnItem.returnReasonCode)?.label || returnItem.returnReasonCode,
+            }
+          : null,
+        returnEvidence: returnItem.returnEvidence || [],
         returnedAt: returnItem.returnedAt,
         refundAmount: returnItem.refundAmount,
         refundProcessedAt: returnItem.refundProcessedAt,
@@ -1887,6 +2241,18 @@ export const updateReturnRequestStatus = async (req, res) => {
       });
     }
 
+    // Returned units need a QC decision before they can be restocked
+    const returnCondition = req.body.condition?.toUpperCase();
+    if (
+      status === OrderStatus.RETURNED.value &&
+      !Object.values(ReturnCondition).includes(returnCondition)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `Return condition is required. Valid conditions are: ${Object.values(ReturnCondition).join(", ")}`,
+      });
+    }
+
     await withTransaction(async (session) => {
       const order = await Order.findOne({ "items.returnId": returnId }).session(
         session
@@ -1918,6 +2284,11 @@ export const updateReturnRequestStatus = async (req, res) => {
       // Set specific timestamps based on status
       if (status === "Returned") {
         item.returnedAt = new Date();
+        await inspectReturnedItem(
+          item,
+          { condition: returnCondition, orderId: order.orderId, actor: req.user, note },
+          session
+        );
       } else if (status === "Refunded") {
         item.refundProcessedAt = new Date();
       }
@@ -1938,6 +2309,69 @@ export const updateReturnRequestStatus = async (req, res) => {
   }
 };
 
+/**
+ * Record the QC decision on a returned item
+ * PUT /api/admin/newOrders/items/:itemId/return-inspection
+ * For items that reached "Returned" without one, e.g. through the Shiprocket webhook.
+ */
+export const inspectReturn = async (req, res) => {
+  const { itemId } = req.params;
+  const { note = "" } = req.body;
+  const condition = req.body.condition?.toUpperCase();
+
+  if (!Object.values(ReturnCondition).includes(condition)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid condition. Valid conditions are: ${Object.values(ReturnCondition).join(", ")}`,
+    });
+  }
+
+  try {
+    let inspectedItem;
+
+    await withTransaction(async (session) => {
+      const order = await Order.findOne({ "items._id": itemId }).session(session);
+      if (!order) throw new Error("Order item not found");
+
+      const item = order.items.id(itemId);
+      if (!item.returnedAt) {
+        throw new Error("Item has not been returned yet");
+      }
+
+      await inspectReturnedItem(
+        item,
+        { condition, orderId: order.orderId, actor: req.user, note },
+        session
+      );
+      item.statusHistory.push(
+        createStatusHistoryEntry(
+          item.orderStatus,
+          note || `Return inspected: ${condition.toLowerCase()}`
+        )
+      );
+
+      await order.save({ session });
+      inspectedItem = item;
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Return inspection recorded successfully",
+      data: {
+        itemId,
+        returnCondition: inspectedItem.returnCondition,
+        returnInspectedAt: inspectedItem.returnInspectedAt,
+      },
+    });
+  } catch (err) {
+    console.error("inspectReturn error:", err);
+    return res.status(500).json({
+      success: false,
+      message: err.message || "Server error",
+    });
+  }
+};
+
 /**
  * Item Status Controller
  * Handles individual item status changes
@@ -2402,12 +2836,20 @@ export const cancelOrderItem = async (req, res) => {
 
         item.quantity -= quantity;
         order.items.push(cancelledBatch);
+        await recordLineSplit(order, item, order.items[order.items.length - 1], session);
       } else {
         // Full item cancellation
         item.orderStatus = OrderStatus.CANCELLED.value;
         item.statusHistory.push(historyEntry);
       }
 
+      // Cancelled units go back on the shelf
+      await releaseCancelledItem(
+        { ...item.toObject({ depopulate: true }), quantity },
+        { orderId: order.orderId, actor: req.user, note: historyEntry.note },
+        session
+      );
+
       await order.save({ session });
     });
 
@@ -2477,12 +2919,20 @@ export const cancelOrderItemByAdmin = async (req, res) => {
 
         item.quantity -= quantity;
         order.items.push(cancelledBatch);
+        await recordLineSplit(order, item, order.items[order.items.length - 1], session);
       } else {
         // Full item cancellation
         item.orderStatus = OrderStatus.CANCELLED.value;
         item.statusHistory.push(historyEntry);
       }
 
+      // Cancelled units go back on the shelf
+      await releaseCancelledItem(
+        { ...item.toObject({ depopulate: true }), quantity },
+        { orderId: order.orderId, actor: req.user, note: historyEntry.note },
+        session
+      );
+
       await order.save({ session });
     });
 
@@ -2497,66 +2947,106 @@ export const cancelOrderItemByAdmin = async (req, res) => {
   }
 };
 
+/**
+ * Check that units of an item can be returned under the return policy
+ * @throws {Error} - With the reason the return is refused
+ */
+const assertReturnable = (item, quantity, eligibility) => {
+  if (!canTransition(item.orderStatus, OrderStatus.RETURN_REQUESTED.value)) {
+    throw new Error(`Cannot return item with status: ${item.orderStatus}`);
+  }
+  if (quantity > item.quantity) {
+    throw new Error("Return quantity exceeds ordered quantity");
+  }
+  if (!eligibility?.isEligible) {
+    throw new Error(eligibility?.message || "This item is not returnable");
+  }
+};
+
+// Drop evidence left in the temp folder by multer
+const discardTempFiles = (files) => {
+  for (const file of files) {
+    if (fs.existsSync(file.path)) {
+      try {
+        fs.unlinkSync(file.path);
+      } catch (error) {
+        console.error(`Error cleaning up file: ${error.message}`);
+      }
+    }
+  }
+};
+
 /**
  * Return Order Item
- * POST /api/admin/newOrders/items/return
+ * PUT /api/newOrders/return
+ * Multipart: itemId, quantity, reasonCode, note (optional), evidence (photos).
  */
 export const returnOrderItem = async (req, res) => {
-  const { itemId, quantity, note } = req.body;
+  const { itemId, reasonCode, note = "" } = req.body;
+  // Sent as multipart form data, so numbers arrive as strings
+  const quantity = Number(req.body.quantity);
+  const evidenceFiles = req.files || [];
+
+  const reject = (status, message) => {
+    discardTempFiles(evidenceFiles);
+    return res.status(status).json({ success: false, message });
+  };
 
   if (!itemId || !Number.isInteger(quantity) || quantity < 1) {
-    return res
-      .status(400)
-      .json({ success: false, message: "Invalid item or quantity" });
+    return reject(400, "Invalid item or quantity");
   }
-  if (!note || typeof note !== "string") {
-    return res
-      .status(400)
-      .json({ success: false, message: "Return note is required" });
+  if (typeof note !== "string" || note.length > 500) {
+    return reject(400, "Return note must be text of up to 500 characters");
   }
 
+  let uploaded = [];
   try {
-    await withTransaction(async (session) => {
+    const policy = await getReturnPolicy();
+    const reason = findReturnReason(policy, reasonCode);
+    if (!reason) {
+      return reject(400, "A valid return reason is required");
+    }
+    if (reason.requiresEvidence && evidenceFiles.length === 0) {
+      return reject(400, `Please attach a photo for "${reason.label}"`);
+    }
+    if (evidenceFiles.length > policy.maxEvidencePhotos) {
+      return reject(400, `You can attach up to ${policy.maxEvidencePhotos} photo(s)`);
+    }
+
+    // Refuse before uploading anything, checked again in the transaction
+    const current = await Order.findOne({ "items._id": itemId, user: req.user });
+    const currentItem = current?.items.id(itemId);
+    if (!currentItem) {
+      return reject(404, "Item not found");
+    }
+    try {
+      const eligibility = await getOrderReturnEligibility(current);
+      assertReturnable(currentItem, quantity, eligibility.get(itemId));
+    } catch (err) {
+      return reject(400, err.message);
+    }
+
+    uploaded = await Promise.all(
+      evidenceFiles.map((file) => uploadToCloudinary(file.path, "returns"))
+    );
+    if (uploaded.some((image) => !image)) {
+      throw new Error("Photo upload failed, please try again");
+    }
+    const evidence = uploaded.map((image) => ({
+      id: image.public_id,
+      secure_url: image.secure_url,
+    }));
+
+    const returnId = await withTransaction(async (session) => {
       const order = await Order.findOne({
         "items._id": itemId,
         user: req.user,
       }).session(session);
-      if (!order) throw new Error("Item not found");
-
-      const itemIndex = order.items.findIndex(
-        (i) => i._id.toString() === itemId
-      );
-      if (itemIndex === -1) throw new Error("Item not found in order");
-
-      const item = order.items[itemIndex];
-
-      if (
-        !canTransition(item.orderStatus, OrderStatus.RETURN_REQUESTED.value)
-      ) {
-        throw new Error(`Cannot return item with status: ${item.orderStatus}`);
-      }
+      const item = order?.items.id(itemId);
+      if (!item) throw new Error("Item not found");
 
-      if (quantity > item.quantity) {
-        throw new Error("Return quantity exceeds ordered quantity");
-      }
-
-      const deliveredEntry = item.statusHistory.find(
-        (s) => s.status === OrderStatus.DELIVERED.value
-      );
-      if (!deliveredEntry?.changedAt) {
-        throw new Error("Delivery date missing in history");
-      }
-
-      const daysPassed = Math.floor(
-        (new Date().setHours(0, 0, 0, 0) -
-          new Date(deliveredEntry.changedAt).setHours(0, 0, 0, 0)) /
-          (1000 * 60 * 60 * 24)
-      );
-      if (daysPassed > 7) {
-        throw new Error(
-          `Return window expired (${daysPassed} days since delivery)`
-        );
-      }
+      const eligibility = await getOrderReturnEligibility(order, session);
+      assertReturnable(item, quantity, eligibility.get(itemId));
 
       let returnId;
       do {
@@ -2567,18 +3057,22 @@ export const returnOrderItem = async (req, res) => {
 
       const historyEntry = {
         status: OrderStatus.RETURN_REQUESTED.value,
-        note,
+        note: note || reason.label,
         changedAt: new Date(),
       };
+      const returnDetails = {
+        orderStatus: OrderStatus.RETURN_REQUESTED.value,
+        returnId,
+        returnRequestedAt: new Date(),
+        returnRequestNote: note,
+        returnReasonCode: reason.code,
+        returnEvidence: evidence,
+      };
 
       if (quantity < item.quantity) {
         const returnedBatch = item.toObject({ depopulate: true });
         delete returnedBatch._id;
-        returnedBatch.quantity = quantity;
-        returnedBatch.orderStatus = OrderStatus.RETURN_REQUESTED.value;
-        returnedBatch.returnId = returnId;
-        returnedBatch.returnRequestedAt = new Date();
-        returnedBatch.returnRequestNote = note;
+        Object.assign(returnedBatch, returnDetails, { quantity });
         returnedBatch.statusHistory = [
           ...returnedBatch.statusHistory,
           historyEntry,
@@ -2586,22 +3080,29 @@ export const returnOrderItem = async (req, res) => {
 
         item.quantity -= quantity;
         order.items.push(returnedBatch);
+        await recordLineSplit(order, item, order.items[order.items.length - 1], session);
       } else {
-        item.orderStatus = OrderStatus.RETURN_REQUESTED.value;
-        item.returnId = returnId;
-        item.returnRequestedAt = new Date();
-        item.returnRequestNote = note;
+        Object.assign(item, returnDetails);
         item.statusHistory.push(historyEntry);
       }
 
       await order.save({ session });
+      return returnId;
     });
 
-    return res
-      .status(200)
-      .json({ success: true, message: "Return request placed successfully" });
+    return res.status(200).json({
+      success: true,
+      message: "Return request placed successfully",
+      data: { returnId },
+    });
   } catch (err) {
     console.error("Return Order Error:", err);
+    discardTempFiles(evidenceFiles);
+    await Promise.all(
+      uploaded
+        .filter(Boolean)
+        .map((image) => deleteFromCloudinary(image.public_id).catch(() => null))
+    );
     return res
       .status(500)
       .json({ success: false, message: err.message || "Server error" });
@@ -2725,6 +3226,7 @@ export const markItemAsDepartedForReturn = async (req, res) => {
 
           // Add new departed item to order
           order.items.push(departedBatch);
+          await recordLineSplit(order, item, order.items[order.items.length - 1], session);
           processedItems.push(departedBatch);
         } else {
           // Full return departure - update existing item
@@ -2841,8 +3343,9 @@ export const processReturnCancelByAdmin = async (req, res) => {
 
       // Handle partial quantity
       if (cancelQty < item.quantity) {
+        const { _id, ...itemData } = item.toObject();
         const cancelledBatch = {
-          ...item.toObject(),
+          ...itemData,
           quantity: cancelQty,
           orderStatus: OrderStatus.RETURN_CANCELLED.value,
           statusHistory: [
@@ -2861,6 +3364,7 @@ export const processReturnCancelByAdmin = async (req, res) => {
 
         // Push the new cancelled batch
         order.items.push(cancelledBatch);
+        await recordLineSplit(order, item, order.items[order.items.length - 1], session);
       } else {
         // Full batch change
         item.orderStatus = OrderStatus.RETURN_CANCELLED.value;
@@ -2932,8 +3436,9 @@ export const processReturnCancel = async (req, res) => {
 
       // Handle partial quantity
       if (cancelQty < item.quantity) {
+        const { _id, ...itemData } = item.toObject();
         const cancelledBatch = {
-          ...item.toObject(),
+          ...itemData,
           quantity: cancelQty,
           orderStatus: OrderStatus.RETURN_CANCELLED.value,
           statusHistory: [
@@ -2952,6 +3457,7 @@ export const processReturnCancel = async (req, res) => {
 
         // Push the new cancelled batch
         order.items.push(cancelledBatch);
+        await recordLineSplit(order, item, order.items[order.items.length - 1], session);
       } else {
         // Full batch change
         item.orderStatus = OrderStatus.RETURN_CANCELLED.value;
@@ -3016,11 +3522,37 @@ export const updateOrderItemStatus = async (req, res) => {
     });
   }
 
+  // Exchanges hold stock and create orders, they only move through their own endpoints
+  const exchangeStatuses = [
+    OrderStatus.EXCHANGE_REQUESTED.value,
+    OrderStatus.DEPARTED_FOR_EXCHANGE.value,
+    OrderStatus.EXCHANGED.value,
+    OrderStatus.EXCHANGE_CANCELLED.value,
+  ];
+  if (exchangeStatuses.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `"${status}" is set through the exchange endpoints`
+    });
+  }
+
+  // Returned units need a QC decision before they can be restocked
+  const returnCondition = req.body.condition?.toUpperCase();
+  if (
+    status === OrderStatus.RETURNED.value &&
+    !Object.values(ReturnCondition).includes(returnCondition)
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: `Return condition is required. Valid conditions are: ${Object.values(ReturnCondition).join(", ")}`
+    });
+  }
+
   // Store currentStatus outside transaction for use in response
   let currentStatus = null;
 
   try {
-    await withTransaction(async (session) => {
+    const delivery = await withTransaction(async (session) => {
       // Find the order containing this item
       const order = await Order.findOne({ "items._id": itemId }).session(session);
       if (!order) {
@@ -3062,6 +3594,8 @@ export const updateOrderItemStatus = async (req, res) => {
         note || `Status updated from ${currentStatus} to ${status} by admin`
       );
 
+      let changedItem = item;
+
       if (updateQuantity < item.quantity) {
         // Partial update - split the item
         const updatedBatch = item.toObject({ depopulate: true });
@@ -3090,6 +3624,8 @@ export const updateOrderItemStatus = async (req, res) => {
         
         // Add the new batch
         order.items.push(updatedBatch);
+        await recordLineSplit(order, item, order.items[order.items.length - 1], session);
+        changedItem = order.items[order.items.length - 1];
       } else {
         // Full update - modify existing item
         item.orderStatus = status;
@@ -3110,11 +3646,34 @@ export const updateOrderItemStatus = async (req, res) => {
         }
       }
 
+      // Cancelled and returned units leave the order, put them back in stock
+      if (status === OrderStatus.CANCELLED.value) {
+        await releaseCancelledItem(
+          changedItem,
+          { orderId: order.orderId, actor: req.user, note: historyEntry.note },
+          session
+        );
+      } else if (status === OrderStatus.RETURNED.value) {
+        await inspectReturnedItem(
+          changedItem,
+          { condition: returnCondition, orderId: order.orderId, actor: req.user, note },
+          session
+        );
+      }
+
       // Save order with updated status
       // This update will be immediately visible to users when they fetch their orders
       await order.save({ session });
+
+      return status === OrderStatus.DELIVERED.value
+        ? { order, items: [changedItem] }
+        : null;
     });
 
+    if (delivery) {
+      await queueDeliveryEmail(delivery.order, delivery.items);
+    }
+
     // Transaction completed successfully - status update is now in database
     // User endpoints (getUserOrders, getOrderByOrderId) will automatically reflect this change
     // as they query the database directly with .lean()
@@ -5,6 +5,8 @@ import { generateCancelId, generateItemId, generateOrderId, generateReturnId } f
 import Product from '../models/product.model.js';
 import User from '../models/user.model.js';
 import Color from '../models/color.model.js';
+import { MovementReason } from '../models/stockMovement.model.js';
+import { adjustStock } from '../services/inventoryService.js';
 
 const canTransition = (current, target) => {
     return OrderStatus[current]?.next.includes(target);
@@ -152,14 +154,19 @@ export const createOrder = async (req, res) => {
                     throw new Error(`Variant not found for product ${product.name}`);
                 }
 
-                const sizeStock = variant.sizes.find(s => s.size === size);
-                if (sizeStock.stock < quantity) {
-                    throw new Error(`Insufficient stock for ${product.name} - size ${size} and color ${variant.color.name}`);
-                }
-
                 // Decrement stock
-                sizeStock.stock -= quantity;
-                await product.save({ session });
+                const sold = await adjustStock({
+                    productId,
+                    colorId,
+                    size,
+                    delta: -quantity,
+                    reason: MovementReason.ORDER,
+                    actor: userId,
+                    orderId
+                }, session);
+                if (!sold) {
+                    throw new Error(`Insufficient stock for ${product.name} - size ${size} and color ${color.name}`);
+                }
 
                 // Create individual order items per quantity
                 for (let i = 0; i < quantity; i++) {
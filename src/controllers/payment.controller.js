@@ -2,8 +2,53 @@ import { paymentService } from '../services/paymetService.js';
 import { PaymentTransaction, PaymentStatus, PaymentProvider } from '../models/paymentTransaction.model.js';
 import { NewOrder } from '../models/newOrder.model.js';
 import { generateOrderId } from '../services/orderUtils.js';
+import { reserveStock, releaseReservations } from '../services/stockReservationService.js';
+import {
+  isSignatureValid,
+  settleSuccessfulPayment,
+  reconcileProviderPayment,
+  recordWebhookEvent,
+  completeWebhookEvent
+} from '../services/paymentReconciliationService.js';
+import { WebhookEventStatus } from '../models/webhookEvent.model.js';
+import { settleRefund } from '../services/refundService.js';
+import { quoteCheckout, toPaise } from '../services/checkoutService.js';
+import { PaymentMethod, PaymentStatus as OrderPaymentStatus } from '../models/newOrder.model.js';
+import User from '../models/user.model.js';
 import { _config } from '../config/config.js';
 import crypto from 'crypto';
+import Joi from 'joi';
+import { ALLOWED_SIZES } from '../models/product.model.js';
+
+const checkoutItemSchema = Joi.object({
+  productId: Joi.string().hex().length(24).required(),
+  colorId: Joi.string().hex().length(24).required(),
+  size: Joi.string().valid(...ALLOWED_SIZES).required(),
+  quantity: Joi.number().integer().min(1).required()
+});
+
+const checkoutItemsSchema = Joi.array().items(checkoutItemSchema);
+
+const cartLineKey = (item) => `${item.productId}:${item.colorId}:${item.size}`;
+
+/**
+ * First checkout item asking for more than the cart holds, lines of the same
+ * size added up
+ * @param {Array} items - [{ productId, colorId, size, quantity }]
+ * @param {Array} cartItems - Same shape, from the user's cart
+ * @returns {Object|null}
+ */
+const findItemOverCart = (items, cartItems) => {
+  const inCart = new Map();
+  for (const item of cartItems) {
+    inCart.set(cartLineKey(item), (inCart.get(cartLineKey(item)) || 0) + item.quantity);
+  }
+  const requested = new Map();
+  for (const item of items) {
+    requested.set(cartLineKey(item), (requested.get(cartLineKey(item)) || 0) + item.quantity);
+  }
+  return items.find((item) => requested.get(cartLineKey(item)) > (inCart.get(cartLineKey(item)) || 0)) || null;
+};
 
 // Get payment configuration
 export const getPaymentConfig = async (req, res) => {
@@ -92,13 +137,13 @@ export const createSimplePayment = async (req, res) => {
   }
 };
 
-// Create payment order (Razorpay/Cashfree)
+// Create payment order (Razorpay/Cashfree). The amount is worked out here, never taken from the client.
 export const createPaymentOrder = async (req, res) => {
   try {
-    const { orderId, amount, provider } = req.body;
+    const { orderId, provider, couponCode, shippingInfo } = req.body;
     const userId = req.user;
 
-    if (!orderId || !amount || !provider) {
+    if (!orderId || !provider) {
       return res.status(400).json({ success: false, message: 'Missing required fields' });
     }
 
@@ -113,27 +158,111 @@ export const createPaymentOrder = async (req, res) => {
     // Generate transaction ID
     const transactionId = `txn_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
 
+    // Order-first flow: the order was placed before paying and already took its stock
+    const existingOrder = await NewOrder.findOne({ orderId }).select('user paymentMethod paymentStatus amount');
+    if (existingOrder && existingOrder.user.toString() !== userId.toString()) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    if (
+      existingOrder &&
+      (existingOrder.paymentMethod !== PaymentMethod.ONLINE ||
+        ![OrderPaymentStatus.PENDING, OrderPaymentStatus.FAILED].includes(existingOrder.paymentStatus))
+    ) {
+      return res.status(400).json({ success: false, message: 'This order is not awaiting an online payment' });
+    }
+
+    let quote;
+    let reservations = [];
+    if (existingOrder) {
+      // Charged what the order was placed for, its stock needs no hold
+      quote = existingOrder.amount;
+    } else {
+      const { error: itemsError, value: requestedItems } = checkoutItemsSchema.validate(req.body.items);
+      if (itemsError) {
+        return res.status(400).json({ success: false, message: 'Invalid checkout items', details: itemsError.details });
+      }
+
+      const userDoc = await User.findById(userId).populate('cartList');
+      const cartItems = (userDoc?.cartList?.items || []).map(item => ({
+        productId: item.productId.toString(),
+        colorId: item.color.toString(),
+        size: item.size,
+        quantity: item.quantity
+      }));
+
+      // Items to hold: explicit checkout items, otherwise the user's cart
+      const checkoutItems = requestedItems?.length ? requestedItems : cartItems;
+
+      if (checkoutItems.length === 0) {
+        return res.status(400).json({ success: false, message: 'No items to checkout' });
+      }
+
+      // Only what is in the cart can be held, up to its cart quantity
+      const overCart = findItemOverCart(checkoutItems, cartItems);
+      if (overCart) {
+        return res.status(400).json({
+          success: false,
+          message: `Only the quantity in your cart can be checked out (${overCart.size})`
+        });
+      }
+
+      // Priced like createOrder will price the order
+      try {
+        quote = await quoteCheckout({
+          userId,
+          items: checkoutItems,
+          paymentMethod: PaymentMethod.ONLINE,
+          couponCode,
+          postalCode: shippingInfo?.postalCode,
+          state: shippingInfo?.state
+        });
+      } catch (quoteError) {
+        return res.status(400).json({ success: false, message: quoteError.message });
+      }
+
+      // Hold stock until the payment is verified or the reservation expires
+      try {
+        reservations = await reserveStock({
+          userId,
+          reference: orderId,
+          transactionId,
+          items: checkoutItems
+        });
+      } catch (reserveError) {
+        console.error('Error reserving stock:', reserveError.message);
+        return res.status(409).json({ success: false, message: reserveError.message });
+      }
+    }
+    // Charged in paise
+    const amount = toPaise(quote.totalAmount);
+
     let paymentOrder;
     let providerOrderId;
 
-    if (provider === 'razorpay') {
-      paymentOrder = await paymentService.createRazorpayOrder({
-        orderId,
-        amount,
-        userId: userId.toString()
-      });
-      providerOrderId = paymentOrder.id;
-    } else if (provider === 'cashfree') {
-      paymentOrder = await paymentService.createCashfreeOrder({
-        orderId,
-        amount: amount / 100, // Convert from paise to rupees (frontend sends paise)
-        userId: userId.toString(),
-        customerName: req.body.customerName,
-        customerEmail: req.body.customerEmail,
-        customerPhone: req.body.customerPhone
-      });
-      providerOrderId = paymentOrder.order_id;
-      console.log('Cashfree order created:', paymentOrder);
+    try {
+      if (provider === 'razorpay') {
+        paymentOrder = await paymentService.createRazorpayOrder({
+          orderId,
+          amount,
+          userId: userId.toString()
+        });
+        providerOrderId = paymentOrder.id;
+      } else if (provider === 'cashfree') {
+        paymentOrder = await paymentService.createCashfreeOrder({
+          orderId,
+          amount: amount / 100, // Paise to rupees
+          userId: userId.toString(),
+          customerName: req.body.customerName,
+          customerEmail: req.body.customerEmail,
+          customerPhone: req.body.customerPhone
+        });
+        providerOrderId = paymentOrder.order_id;
+        console.log('Cashfree order created:', paymentOrder);
+      }
+    } catch (providerError) {
+      // Provider order failed, give the held stock back straight away
+      if (reservations.length) await releaseReservations(orderId);
+      throw providerError;
     }
 
     // Create payment transaction record
@@ -158,7 +287,10 @@ export const createPaymentOrder = async (req, res) => {
       orderId, // Add the internal order ID
       providerOrderId, // Keep the provider order ID for compatibility
       paymentOrder,
-      provider
+      provider,
+      amount,
+      quote,
+      reservationExpiresAt: reservations[0]?.expiresAt
     };
 
     // Add provider-specific data
@@ -210,29 +342,20 @@ export const verifyRazorpayPayment = async (req, res) => {
     });
     console.log('Payment verification successful:', verificationData);
 
-    // Update transaction
-    console.log('Updating payment transaction...');
-    await paymentService.updatePaymentTransaction(transactionId, {
-      status: PaymentStatus.SUCCESS,
+    // Update transaction, held stock and orders (same path as the webhook)
+    console.log('Settling payment for orderId:', transaction.orderId);
+    const settleResult = await settleSuccessfulPayment({
+      transaction,
       providerTransactionId: razorpay_payment_id,
-      razorpay: {
-        orderId: razorpay_order_id,
-        paymentId: razorpay_payment_id,
-        signature: razorpay_signature
-      },
-      completedAt: new Date()
-    });
-
-    // Update order payment status and transaction ID
-    console.log('Updating order payment status for orderId:', transaction.orderId);
-    const orderUpdateResult = await NewOrder.findOneAndUpdate(
-      { orderId: transaction.orderId },
-      { 
-        paymentStatus: 'PAID',
-        transactionId: transactionId
+      details: {
+        razorpay: {
+          orderId: razorpay_order_id,
+          paymentId: razorpay_payment_id,
+          signature: razorpay_signature
+        }
       }
-    );
-    console.log('Order update result:', orderUpdateResult);
+    });
+    console.log('Settle result:', settleResult);
 
     console.log('=== RAZORPAY PAYMENT VERIFICATION DEBUG END (SUCCESS) ===');
     return res.status(200).json({
@@ -248,16 +371,22 @@ export const verifyRazorpayPayment = async (req, res) => {
     console.log('=== RAZORPAY PAYMENT VERIFICATION DEBUG END (ERROR) ===');
     console.error('Error verifying Razorpay payment:', error);
     
-    // Update transaction as failed
+    // Update transaction as failed, unless a webhook already settled it
     if (req.body.transactionId) {
-      await paymentService.updatePaymentTransaction(req.body.transactionId, {
-        status: PaymentStatus.FAILED,
-        failedAt: new Date(),
-        error: {
-          code: 'VERIFICATION_FAILED',
-          message: error.message
+      await PaymentTransaction.updateOne(
+        {
+          transactionId: req.body.transactionId,
+          status: { $nin: [PaymentStatus.SUCCESS, PaymentStatus.REFUNDED] }
+        },
+        {
+          status: PaymentStatus.FAILED,
+          failedAt: new Date(),
+          error: {
+            code: 'VERIFICATION_FAILED',
+            message: error.message
+          }
         }
-      });
+      );
     }
 
     return res.status(400).json({ success: false, message: error.message });
@@ -285,15 +414,29 @@ export const verifyCashfreePayment = async (req, res) => {
 
       if (verificationData.payment_status === 'SUCCESS') {
         console.log('Payment verification successful, updating order...');
-        // Update order payment status and transaction ID
-        const orderUpdateResult = await NewOrder.findOneAndUpdate(
-          { orderId: orderId },
-          { 
-            paymentStatus: 'PAID',
-            transactionId: verificationData.transactionId
-          }
-        );
-        console.log('Order update result:', orderUpdateResult);
+        const providerTransactionId = String(verificationData.transactionId);
+        const cashfreeTransaction = await PaymentTransaction.findOne({
+          provider: PaymentProvider.CASHFREE,
+          providerOrderId: orderId
+        }).sort({ createdAt: -1 });
+
+        if (cashfreeTransaction) {
+          await settleSuccessfulPayment({
+            transaction: cashfreeTransaction,
+            providerTransactionId,
+            details: { cashfree: { orderId, paymentId: providerTransactionId } }
+          });
+        } else {
+          // Simple payments have no transaction record
+          const orderUpdateResult = await NewOrder.findOneAndUpdate(
+            { orderId: orderId },
+            { 
+              paymentStatus: 'PAID',
+              transactionId: verificationData.transactionId
+            }
+          );
+          console.log('Order update result:', orderUpdateResult);
+        }
 
         console.log('=== CASHFREE PAYMENT VERIFICATION DEBUG END (SUCCESS) ===');
         return res.status(200).json({
@@ -340,25 +483,17 @@ export const verifyCashfreePayment = async (req, res) => {
       throw new Error('Payment verification failed');
     }
 
-    // Update transaction
-    await paymentService.updatePaymentTransaction(transactionId, {
-      status: PaymentStatus.SUCCESS,
+    // Update transaction, held stock and orders (same path as the webhook)
+    await settleSuccessfulPayment({
+      transaction,
       providerTransactionId: payment_id,
-      cashfree: {
-        orderId: order_id,
-        paymentId: payment_id
-      },
-      completedAt: new Date()
-    });
-
-    // Update order payment status and transaction ID
-    await NewOrder.findOneAndUpdate(
-      { orderId: transaction.orderId },
-      { 
-        paymentStatus: 'PAID',
-        transactionId: transactionId
+      details: {
+        cashfree: {
+          orderId: order_id,
+          paymentId: payment_id
+        }
       }
-    );
+    });
 
     return res.status(200).json({
       success: true,
@@ -373,16 +508,22 @@ export const verifyCashfreePayment = async (req, res) => {
     console.log('=== CASHFREE PAYMENT VERIFICATION DEBUG END (ERROR) ===');
     console.error('Error verifying Cashfree payment:', error);
     
-    // Update transaction as failed
+    // Update transaction as failed, unless a webhook already settled it
     if (req.body.transactionId) {
-      await paymentService.updatePaymentTransaction(req.body.transactionId, {
-        status: PaymentStatus.FAILED,
-        failedAt: new Date(),
-        error: {
-          code: 'VERIFICATION_FAILED',
-          message: error.message
+      await PaymentTransaction.updateOne(
+        {
+          transactionId: req.body.transactionId,
+          status: { $nin: [PaymentStatus.SUCCESS, PaymentStatus.REFUNDED] }
+        },
+        {
+          status: PaymentStatus.FAILED,
+          failedAt: new Date(),
+          error: {
+            code: 'VERIFICATION_FAILED',
+            message: error.message
+          }
         }
-      });
+      );
     }
 
     return res.status(400).json({ success: false, message: error.message });
@@ -411,84 +552,213 @@ export const getPaymentTransactions = async (req, res) => {
 };
 
 // Webhook handlers
+// Priority: .env file credentials > database credentials
+const getWebhookSecret = async (provider, envSecret) => {
+  if (envSecret) return envSecret;
+  const config = await paymentService.getPaymentConfig();
+  return config?.providers?.find(p => p.name === provider)?.credentials?.webhookSecret;
+};
+
+const RAZORPAY_SUCCESS_EVENTS = ['payment.captured', 'order.paid'];
+const RAZORPAY_REFUND_EVENTS = ['refund.processed', 'refund.failed'];
+const CASHFREE_FAILURE_EVENTS = ['PAYMENT_FAILED_WEBHOOK', 'PAYMENT_USER_DROPPED_WEBHOOK'];
+const CASHFREE_REFUND_FINAL_STATUSES = ['SUCCESS', 'FAILED', 'CANCELLED'];
+
 export const razorpayWebhook = async (req, res) => {
+  let webhookEvent;
   try {
     const signature = req.headers['x-razorpay-signature'];
-    const body = JSON.stringify(req.body);
-
-    // Verify webhook signature only if webhook secret is available
-    if (_config.RAZORPAY_WEBHOOK_SECRET) {
-      const expectedSignature = crypto
-        .createHmac('sha256', _config.RAZORPAY_WEBHOOK_SECRET)
-        .update(body)
-        .digest('hex');
-
-      if (signature !== expectedSignature) {
-        console.log('Webhook signature verification failed, but continuing...');
-        // Don't return error, just log it since webhook secret might not be configured
-      }
-    } else {
-      console.log('Razorpay webhook secret not configured, skipping signature verification');
+    const secret = await getWebhookSecret(PaymentProvider.RAZORPAY, _config.RAZORPAY_WEBHOOK_SECRET);
+
+    if (!secret) {
+      console.error('Razorpay webhook secret not configured, rejecting webhook');
+      return res.status(500).json({ success: false, message: 'Webhook secret not configured' });
+    }
+
+    // Signature is computed over the exact bytes Razorpay sent
+    const expectedSignature = crypto
+      .createHmac('sha256', secret)
+      .update(req.rawBody || '')
+      .digest('hex');
+
+    if (!isSignatureValid(expectedSignature, signature)) {
+      console.log('Razorpay webhook signature verification failed');
+      return res.status(400).json({ success: false, message: 'Invalid webhook signature' });
     }
 
     const { event, payload } = req.body;
+    const eventId = req.headers['x-razorpay-event-id'] ||
+      crypto.createHash('sha256').update(req.rawBody).digest('hex');
+
+    const recorded = await recordWebhookEvent({
+      provider: PaymentProvider.RAZORPAY,
+      eventId,
+      eventType: event,
+      payload: req.body
+    });
+    webhookEvent = recorded.event;
+
+    if (recorded.isDuplicate) {
+      console.log('Duplicate Razorpay webhook ignored:', eventId);
+      return res.status(200).json({ success: true, duplicate: true });
+    }
+
+    const payment = payload?.payment?.entity;
+    let result;
 
     // Handle different webhook events
-    switch (event) {
-      case 'payment.captured':
-        // Handle successful payment
-        break;
-      case 'payment.failed':
-        // Handle failed payment
-        break;
-      default:
-        console.log('Unhandled webhook event:', event);
+    if (RAZORPAY_SUCCESS_EVENTS.includes(event) && payment) {
+      result = await reconcileProviderPayment({
+        provider: PaymentProvider.RAZORPAY,
+        providerOrderId: payment.order_id,
+        providerTransactionId: payment.id,
+        isSuccess: true,
+        amount: payment.amount,
+        details: {
+          razorpay: {
+            orderId: payment.order_id,
+            paymentId: payment.id,
+            notes: payment.notes
+          }
+        }
+      });
+    } else if (RAZORPAY_REFUND_EVENTS.includes(event) && payload?.refund?.entity) {
+      const refund = payload.refund.entity;
+      const refundResult = await settleRefund({
+        refundId: refund.notes?.refundId,
+        providerRefundId: refund.id,
+        isSuccess: event === 'refund.processed',
+        failureReason: event === 'refund.failed' ? 'Refund failed at Razorpay' : undefined
+      });
+      result = refundResult.found
+        ? { status: WebhookEventStatus.PROCESSED, message: `Refund ${refundResult.refundId} updated` }
+        : { status: WebhookEventStatus.IGNORED, message: `No refund for ${refund.id}` };
+    } else if (event === 'payment.failed' && payment) {
+      result = await reconcileProviderPayment({
+        provider: PaymentProvider.RAZORPAY,
+        providerOrderId: payment.order_id,
+        providerTransactionId: payment.id,
+        isSuccess: false,
+        reason: payment.error_description
+      });
+    } else {
+      console.log('Unhandled webhook event:', event);
+      result = { status: WebhookEventStatus.IGNORED, message: `Unhandled event ${event}` };
     }
 
+    await completeWebhookEvent(webhookEvent, result);
+    console.log('Razorpay webhook processed:', event, result.message);
+
     return res.status(200).json({ success: true });
-    } catch (error) {
+  } catch (error) {
     console.error('Error processing Razorpay webhook:', error);
+    if (webhookEvent) {
+      await completeWebhookEvent(webhookEvent, { status: WebhookEventStatus.FAILED, message: error.message });
+    }
     return res.status(500).json({ success: false, message: 'Webhook processing failed' });
   }
 };
 
 export const cashfreeWebhook = async (req, res) => {
+  let webhookEvent;
   try {
     const signature = req.headers['x-webhook-signature'];
-    const body = JSON.stringify(req.body);
-
-    // Verify webhook signature only if webhook secret is available
-    if (_config.CASHFREE_WEBHOOK_SECRET) {
-      const expectedSignature = crypto
-        .createHmac('sha256', _config.CASHFREE_WEBHOOK_SECRET)
-        .update(body)
-        .digest('hex');
-
-      if (signature !== expectedSignature) {
-        console.log('Cashfree webhook signature verification failed, but continuing...');
-        // Don't return error, just log it since webhook secret might not be configured
-      }
-    } else {
-      console.log('Cashfree webhook secret not configured, skipping signature verification');
+    const timestamp = req.headers['x-webhook-timestamp'];
+    // Cashfree signs webhooks with the client secret unless a separate secret is configured
+    const secret = await getWebhookSecret(PaymentProvider.CASHFREE, _config.CASHFREE_WEBHOOK_SECRET) ||
+      paymentService.cashfree?.secretKey;
+
+    if (!secret) {
+      console.error('Cashfree webhook secret not configured, rejecting webhook');
+      return res.status(500).json({ success: false, message: 'Webhook secret not configured' });
+    }
+
+    // Signature is base64(HMAC-SHA256(timestamp + raw body))
+    const expectedSignature = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp || ''}${req.rawBody || ''}`)
+      .digest('base64');
+
+    if (!timestamp || !isSignatureValid(expectedSignature, signature)) {
+      console.log('Cashfree webhook signature verification failed');
+      return res.status(400).json({ success: false, message: 'Invalid webhook signature' });
     }
 
     const { type, data } = req.body;
+    const cfPaymentId = data?.payment?.cf_payment_id;
+    const cfRefund = data?.refund;
+    let fallbackEventId = crypto.createHash('sha256').update(req.rawBody).digest('hex');
+    if (cfPaymentId) fallbackEventId = `${type}:${cfPaymentId}`;
+    if (cfRefund?.refund_id) fallbackEventId = `${type}:${cfRefund.refund_id}:${cfRefund.refund_status}`;
+    const eventId = req.headers['x-idempotency-key'] || fallbackEventId;
+
+    const recorded = await recordWebhookEvent({
+      provider: PaymentProvider.CASHFREE,
+      eventId,
+      eventType: type,
+      payload: req.body
+    });
+    webhookEvent = recorded.event;
+
+    if (recorded.isDuplicate) {
+      console.log('Duplicate Cashfree webhook ignored:', eventId);
+      return res.status(200).json({ success: true, duplicate: true });
+    }
+
+    const providerOrderId = data?.order?.order_id;
+    let result;
 
     // Handle different webhook events
-    switch (type) {
-      case 'PAYMENT_SUCCESS_WEBHOOK':
-        // Handle successful payment
-        break;
-      case 'PAYMENT_FAILED_WEBHOOK':
-        // Handle failed payment
-        break;
-      default:
-        console.log('Unhandled webhook event:', type);
+    if (type === 'PAYMENT_SUCCESS_WEBHOOK' && providerOrderId) {
+      result = await reconcileProviderPayment({
+        provider: PaymentProvider.CASHFREE,
+        providerOrderId,
+        providerTransactionId: String(cfPaymentId),
+        isSuccess: true,
+        amount: data.payment.payment_amount != null ? Math.round(data.payment.payment_amount * 100) : null, // rupees to paise
+        details: {
+          cashfree: {
+            orderId: providerOrderId,
+            paymentId: String(cfPaymentId)
+          }
+        }
+      });
+    } else if (type === 'REFUND_STATUS_WEBHOOK' && cfRefund) {
+      if (CASHFREE_REFUND_FINAL_STATUSES.includes(cfRefund.refund_status)) {
+        const refundResult = await settleRefund({
+          refundId: cfRefund.refund_id,
+          providerRefundId: cfRefund.cf_refund_id ? String(cfRefund.cf_refund_id) : undefined,
+          isSuccess: cfRefund.refund_status === 'SUCCESS',
+          failureReason: cfRefund.status_description
+        });
+        result = refundResult.found
+          ? { status: WebhookEventStatus.PROCESSED, message: `Refund ${refundResult.refundId} updated` }
+          : { status: WebhookEventStatus.IGNORED, message: `No refund for ${cfRefund.refund_id}` };
+      } else {
+        result = { status: WebhookEventStatus.IGNORED, message: `Refund still ${cfRefund.refund_status}` };
+      }
+    } else if (CASHFREE_FAILURE_EVENTS.includes(type) && providerOrderId) {
+      result = await reconcileProviderPayment({
+        provider: PaymentProvider.CASHFREE,
+        providerOrderId,
+        providerTransactionId: cfPaymentId ? String(cfPaymentId) : undefined,
+        isSuccess: false,
+        reason: data.payment?.payment_message
+      });
+    } else {
+      console.log('Unhandled webhook event:', type);
+      result = { status: WebhookEventStatus.IGNORED, message: `Unhandled event ${type}` };
     }
 
+    await completeWebhookEvent(webhookEvent, result);
+    console.log('Cashfree webhook processed:', type, result.message);
+
     return res.status(200).json({ success: true });
   } catch (error) {
     console.error('Error processing Cashfree webhook:', error);
+    if (webhookEvent) {
+      await completeWebhookEvent(webhookEvent, { status: WebhookEventStatus.FAILED, message: error.message });
+    }
     return res.status(500).json({ success: false, message: 'Webhook processing failed' });
   }
 };
@@ -5,8 +5,26 @@ import Category from "../models/category.model.js";
 import Review from "../models/review.model.js";
 import Color from "../models/color.model.js";
 import { deleteFromCloudinary, uploadToCloudinary } from "../utils/cloudinary.js";
-import User from "../models/user.model.js";
+import { withTransaction } from "../utils/withTransaction.js";
 import Sale from "../models/sale.model.js";
+import { dispatchProductAlerts } from "../services/productAlertService.js";
+import { repriceProducts, keepOwnSalePrice } from "../services/salePricingService.js";
+import { searchCatalog } from "../services/productSearchService.js";
+import {
+    setStock,
+    recordInitialStock,
+    recordRemovedStock,
+} from "../services/inventoryService.js";
+import { MovementReason } from "../models/stockMovement.model.js";
+import { ProductEventType } from "../models/productAnalytics.model.js";
+import { recordProductEvent } from "../services/productAnalyticsService.js";
+import {
+    RECENTLY_VIEWED_LIMIT,
+    RELATED_LIMIT,
+    recordRecentlyViewed,
+    getRecentlyViewed,
+    getRelatedProducts,
+} from "../services/recommendationService.js";
 
 
 /* User Routes */
@@ -315,25 +333,21 @@ export const getProductById = async (req, res) => {
             })()
         };
 
-        // Increment view counts
-
+        // Count the view, the product counters follow from the daily stats
         const userId = req.user;
-        if (userId) {
-            const user = await User.findById(userId);
-            if (!user) {
-                return res.status(404).json({ message: "Invalid user." });
-            }
-            const productViewed = user.productsViewed.find((productId) => productId.toString() === req.params.id);
-            if (!productViewed) {
-                product.loggedInViews++;
-                user.productsViewed.push(req.params.id);
-            }
+        try {
+            const isFirstView = userId ? await recordRecentlyViewed(userId, product._id) : false;
 
-            await user.save();
+            await recordProductEvent({
+                productId: product._id,
+                type: ProductEventType.VIEW,
+                userId: userId || null,
+                isFirstView,
+            });
+        } catch (eventError) {
+            // A lost view is not worth failing the page
+            console.error("Failed to record product view:", eventError);
         }
-        else product.notLoggedInViews++;
-
-        await product.save();
         
         // Get rating distribution
         const reviews = await Review.find({ product: req.params.id });
@@ -361,12 +375,23 @@ export const getProductById = async (req, res) => {
 
 /**
  * @route   GET /products/search
- * @desc    Search products with query parameter
+ * @desc    Search products by relevance, with typo tolerance, highlighting and facets
+ *          (filters: category, color, size, price, isOnSale, sort, pagination)
  * @access  Public
  */
 export const searchProducts = async (req, res) => {
     try {
-        const { q: query, limit = "5" } = req.query;
+        const {
+            q: query,
+            category,
+            color,
+            size,
+            price: { lte: priceLte, gte: priceGte } = {},
+            isOnSale,
+            sort = "relevance",
+            page = "1",
+            limit = "10",
+        } = req.query;
 
         if (!query || !query.trim()) {
             return res.status(400).json({
@@ -376,91 +401,25 @@ export const searchProducts = async (req, res) => {
             });
         }
 
-        const searchLimit = Math.min(parseInt(limit, 10), 10); // Max 10 results
-        const searchRegex = new RegExp(query.trim(), 'i');
+        const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+        const perPage = Math.min(Math.max(parseInt(limit, 10) || 10, 1), 50); // Max 50 results per page
 
-        const products = await Product.aggregate([
-            {
-                $match: {
-                    isActive: true,
-                    $or: [
-                        { name: searchRegex },
-                        { description: searchRegex }
-                    ]
-                }
-            },
-            {
-                $lookup: {
-                    from: "categories",
-                    localField: "category",
-                    foreignField: "_id",
-                    as: "category"
-                }
-            },
-            { $unwind: "$category" },
-            {
-                $addFields: {
-                    unifiedPrice: {
-                        $cond: [
-                            { $eq: ["$isOnSale", true] },
-                            {
-                                $ifNull: [
-                                    "$salePrice.discountedPrice",
-                                    { $ifNull: ["$salePrice.price", "$nonSalePrice.discountedPrice"] }
-                                ]
-                            },
-                            {
-                                $ifNull: [
-                                    "$nonSalePrice.discountedPrice",
-                                    "$nonSalePrice.price"
-                                ]
-                            }
-                        ]
-                    },
-                    // Get the first image from variants for search results
-                    firstImage: {
-                        $cond: {
-                            if: { $gt: [{ $size: "$variants" }, 0] },
-                            then: { $arrayElemAt: ["$variants.orderImage", 0] },
-                            else: null
-                        }
-                    }
-                }
-            },
-            {
-                $project: {
-                    _id: 1,
-                    name: 1,
-                    description: 1,
-                    unifiedPrice: 1,
-                    isOnSale: 1,
-                    salePrice: 1,
-                    nonSalePrice: 1,
-                    category: { name: 1 },
-                    images: ["$firstImage"],
-                    variants: {
-                        $slice: [
-                            {
-                                $map: {
-                                    input: "$variants",
-                                    as: "variant",
-                                    in: {
-                                        orderImage: "$$variant.orderImage"
-                                    }
-                                }
-                            },
-                            1
-                        ]
-                    }
-                }
-            },
-            { $limit: searchLimit }
-        ]);
+        const result = await searchCatalog({
+            query: query.trim().slice(0, 100),
+            category,
+            color,
+            size,
+            priceGte: priceGte ? parseFloat(priceGte) : null,
+            priceLte: priceLte ? parseFloat(priceLte) : null,
+            isOnSale,
+            sort,
+            page: pageNum,
+            limit: perPage,
+        });
 
-        console.log("products search :", products)
         return res.status(200).json({
             success: true,
-            data: { products },
+            data: result,
             message: "Search completed successfully"
         });
 
@@ -475,6 +434,55 @@ export const searchProducts = async (req, res) => {
     }
 };
 
+/**
+ * @route   GET /products/recently-viewed
+ * @desc    Get the products the user viewed recently, newest first
+ * @access  Private
+ */
+export const getRecentlyViewedProducts = async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || RECENTLY_VIEWED_LIMIT, 1), RECENTLY_VIEWED_LIMIT);
+        const products = await getRecentlyViewed(req.user, limit);
+
+        return res.status(200).json({
+            success: true,
+            data: products,
+            message: "Recently viewed products retrieved successfully"
+        });
+    } catch (err) {
+        console.error("Error in getRecentlyViewedProducts:", err);
+        return res.status(500).json({ message: "Fetch failed", error: err.message });
+    }
+};
+
+/**
+ * @route   GET /products/:id/related
+ * @desc    Get products bought together with a product, topped up with the same category and color
+ * @access  Public
+ */
+export const getRelatedProductsById = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: "Invalid product ID" });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 8, 1), RELATED_LIMIT);
+        const products = await getRelatedProducts(req.params.id, limit);
+        if (!products) {
+            return res.status(404).json({ message: "Product not found" });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: products,
+            message: "Related products retrieved successfully"
+        });
+    } catch (err) {
+        console.error("Error in getRelatedProductsById:", err);
+        return res.status(500).json({ message: "Fetch failed", error: err.message });
+    }
+};
+
 /* Admin Routes */
 
 /**
@@ -495,7 +503,11 @@ export const createProduct = async (req, res) => {
             specifications,
             variants,
             paymentOptions,
-            isActive
+            isActive,
+            weight,
+            hsnCode,
+            lowStockThreshold,
+            isReturnable
         } = req.body;
 
         if (!name || !description || !category || !nonSalePrice || !variants || !specifications) {
@@ -660,6 +672,8 @@ export const createProduct = async (req, res) => {
                     sizes: variant.sizes.map((s) => ({
                         size: s.size,
                         stock: s.stock,
+                        barcode: s.barcode || undefined,
+                        lowStockThreshold: s.lowStockThreshold ?? null,
                     })),
                     orderImage: {
                         id: uploadedOrderImage.public_id,
@@ -686,6 +700,11 @@ export const createProduct = async (req, res) => {
             variants: processedVariants,
             paymentOptions: paymentOptions || { cod: true, online: true },
             isActive,
+            weight: weight ? Number(weight) : null,
+            hsnCode: hsnCode || null,
+            lowStockThreshold: lowStockThreshold === undefined || lowStockThreshold === '' ? null : Number(lowStockThreshold),
+            // Sent as multipart form data, so booleans arrive as strings
+            isReturnable: isReturnable === undefined ? true : isReturnable !== 'false' && isReturnable !== false,
             isOnSale: saleEnabled,
             salePrice: {
                 price: parsedSalePrice.price,
@@ -694,9 +713,17 @@ export const createProduct = async (req, res) => {
             }
         });
 
+        await recordInitialStock(product, {
+            reason: MovementReason.ADMIN_ADJUSTMENT,
+            actor: req.user,
+        });
+
+        // Rules of a running sale may cover its category or colors
+        await repriceProducts([product._id]);
+
         return res.status(201).json({
             message: "Product added successfully",
-            data: product,
+            data: await Product.findById(product._id),
         });
     } catch (err) {
         console.error("Error in addProduct:", err);
@@ -727,7 +754,11 @@ export const updateProduct = async (req, res) => {
             nonSalePrice,
             salePrice,
             isOnSale,
-            isActive
+            isActive,
+            weight,
+            hsnCode,
+            lowStockThreshold,
+            isReturnable
         } = req.body;
 
         console.log('Update product request:', { id, body: req.body, files: req.files });
@@ -853,6 +884,36 @@ export const updateProduct = async (req, res) => {
             product.paymentOptions = parsedPaymentOptions;
         }
 
+        // Shipping weight update
+        if (weight !== undefined) {
+            const parsedWeight = weight === '' || weight === null ? null : Number(weight);
+            if (parsedWeight !== null && (isNaN(parsedWeight) || parsedWeight < 0)) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Invalid weight",
+                    data: null,
+                    error: "Weight must be a positive number of grams",
+                });
+            }
+            product.weight = parsedWeight;
+        }
+
+        // HSN code update, validated by the schema
+        if (hsnCode !== undefined) {
+            product.hsnCode = hsnCode || null;
+        }
+
+        // Reorder threshold update, empty falls back to the store default
+        if (lowStockThreshold !== undefined) {
+            product.lowStockThreshold =
+                lowStockThreshold === '' || lowStockThreshold === null ? null : Number(lowStockThreshold);
+        }
+
+        // Return policy flag, e.g. off for innerwear
+        if (isReturnable !== undefined) {
+            product.isReturnable = isReturnable !== 'false' && isReturnable !== false;
+        }
+
         // Update isOnSale status
         if (isOnSale !== undefined) {
             // Handle string boolean values
@@ -873,12 +934,20 @@ export const updateProduct = async (req, res) => {
             }
         }
 
+        // Sale price edits of a product a sale prices are kept for when the sale ends
+        keepOwnSalePrice(product);
         await product.save();
 
+        // Rule prices follow the regular price, category and colors
+        await repriceProducts([product._id]);
+
+        // Price changes can make price drop alerts due
+        await dispatchProductAlerts([product._id]);
+
         return res.status(200).json({
             success: true,
             message: "Product updated successfully",
-            data: product,
+            data: await Product.findById(product._id),
             error: null,
         });
     } catch (err) {
@@ -918,14 +987,21 @@ export const deleteProduct = async (req, res) => {
         // Delete associated reviews using direct product reference
         await Review.deleteMany({ product: product._id });
 
-        // If product is on sale, remove the sale entry
-        if (product.isOnSale) {
-            await Sale.findOneAndDelete({ product: product._id });
-        }
+        // Take it off the sales that list it
+        await Sale.updateMany(
+            { products: product._id },
+            { $pull: { products: product._id } }
+        );
 
         // Delete product
         await product.deleteOne();
 
+        await recordRemovedStock(product._id, product.variants, {
+            reason: MovementReason.ADMIN_ADJUSTMENT,
+            actor: req.user,
+            note: "Product deleted",
+        });
+
         res.status(200).json({
             message: "Product deleted successfully",
         });
@@ -1338,6 +1414,8 @@ export const addVariant = async (req, res) => {
             sizes: sizeData.map((size) => ({
                 size: size.size,
                 stock: size.stock,
+                barcode: size.barcode || undefined,
+                lowStockThreshold: size.lowStockThreshold ?? null,
             })),
             orderImage: {
                 id: uploadedImages[0].public_id,
@@ -1352,6 +1430,15 @@ export const addVariant = async (req, res) => {
         product.variants.push(newVariant);
         await product.save();
 
+        await recordInitialStock(product, {
+            lines: newVariant.sizes.map((s) => ({ colorId: colorDoc._id, size: s.size })),
+            reason: MovementReason.ADMIN_ADJUSTMENT,
+            actor: req.user,
+        });
+
+        // A color rule no longer covers it if the new color is not in the rule
+        await repriceProducts([product._id]);
+
         return res.status(201).json({
             success: true,
             message: "Variant added successfully",
@@ -1457,6 +1544,7 @@ export const updateVariant = async (req, res) => {
         }
 
         // ✅ Handle color change
+        let newColorId = null;
         if (color && color !== currentColorDoc.name) {
             const newColorDoc = await Color.findOne({ name: color });
             if (!newColorDoc) {
@@ -1480,36 +1568,13 @@ export const updateVariant = async (req, res) => {
                 });
             }
 
-            product.variants[variantIndex].color = newColorDoc._id;
-        }
-
-        // ✅ Update sizes
-        if (Array.isArray(sizes)) {
-            product.variants[variantIndex].sizes = sizes.map((s) => ({
-                size: s.size,
-                stock: parseInt(s.stock, 10) || 0,
-            }));
+            newColorId = newColorDoc._id;
         }
 
-        // ✅ Image Management
-        let updatedImages = [...product.variants[variantIndex].images];
-
-        // Delete images if needed
-        if (Array.isArray(imageIdsToDelete) && imageIdsToDelete.length > 0) {
-            await Promise.all(
-                imageIdsToDelete.map(async (imageId) => {
-                    await deleteFromCloudinary(imageId);
-                })
-            );
-            updatedImages = updatedImages.filter(
-                (img) => !imageIdsToDelete.includes(img.id)
-            );
-        }
-
-        // Handle new images if provided via FormData
+        // ✅ Upload new images, added to the existing ones
+        let uploadedImageData = [];
         if (imageFiles && imageFiles.length > 0) {
-            // Upload new images
-            const uploadedImageData = await Promise.all(
+            uploadedImageData = await Promise.all(
                 imageFiles.map(async (file) => {
                     const uploaded = await uploadToCloudinary(file.path, "products");
                     return {
@@ -1518,21 +1583,90 @@ export const updateVariant = async (req, res) => {
                     };
                 })
             );
-
-            // Add new images to existing images (don't replace)
-            updatedImages = [...updatedImages, ...uploadedImageData];
         }
+        const deletedImageIds = Array.isArray(imageIdsToDelete) ? imageIdsToDelete : [];
 
-        // Update the variant images
-        product.variants[variantIndex].images = updatedImages;
+        // The variant is saved from a fresh read in one transaction with its stock
+        // movements, so stock sold since the product was loaded is never written over
+        const variant = await withTransaction(async (session) => {
+            const fresh = await Product.findById(id).session(session);
+            const freshVariant = fresh?.variants.find(
+                (v) => v.color.toString() === currentColorDoc._id.toString()
+            );
+            if (!freshVariant) throw new Error("Variant not found for provided color");
+
+            if (newColorId) freshVariant.color = newColorId;
+
+            // ✅ Update sizes
+            // Stock is not written here, it is set through the inventory service after the save
+            const stockUpdates = [];
+            let removedSizes = [];
+            if (Array.isArray(sizes)) {
+                // Sizes that stay keep their SKU, new sizes get one on save
+                const currentSizes = freshVariant.sizes;
+                removedSizes = currentSizes
+                    .filter((c) => !sizes.some((s) => s.size === c.size))
+                    .map((c) => c.toObject());
+
+                freshVariant.sizes = sizes.map((s) => {
+                    const current = currentSizes.find((c) => c.size === s.size);
+                    stockUpdates.push({ size: s.size, stock: parseInt(s.stock, 10) || 0 });
+                    return {
+                        size: s.size,
+                        stock: current?.stock || 0,
+                        sku: current?.sku,
+                        barcode: s.barcode !== undefined ? s.barcode || undefined : current?.barcode,
+                        lowStockThreshold:
+                            s.lowStockThreshold !== undefined ? s.lowStockThreshold : current?.lowStockThreshold ?? null,
+                        lowStockAlertedAt: current?.lowStockAlertedAt,
+                    };
+                });
+            }
 
-        // ✅ Save the final product
-        await product.save();
+            // ✅ Image Management
+            freshVariant.images = [
+                ...freshVariant.images.filter((img) => !deletedImageIds.includes(img.id)),
+                ...uploadedImageData,
+            ];
+
+            // ✅ Save the final product
+            await fresh.save({ session });
+
+            for (const { size, stock } of stockUpdates) {
+                await setStock({
+                    productId: fresh._id,
+                    colorId: freshVariant.color,
+                    size,
+                    stock,
+                    reason: MovementReason.ADMIN_ADJUSTMENT,
+                    actor: req.user,
+                }, session);
+                freshVariant.sizes.find((s) => s.size === size).stock = stock;
+            }
+            await recordRemovedStock(fresh._id, [{ color: freshVariant.color, sizes: removedSizes }], {
+                reason: MovementReason.ADMIN_ADJUSTMENT,
+                actor: req.user,
+                note: "Size removed",
+            }, session);
+
+            return freshVariant;
+        });
+
+        // Images are only deleted once the variant no longer points to them
+        await Promise.all(deletedImageIds.map((imageId) => deleteFromCloudinary(imageId)));
+
+        // Color rules of a running sale depend on the colors it comes in
+        if (newColorId) {
+            await repriceProducts([product._id]);
+        }
+
+        // Sizes back in stock trigger restock alerts
+        await dispatchProductAlerts([product._id]);
 
         return res.status(200).json({
             success: true,
             message: "Variant updated successfully",
-            data: product.variants[variantIndex],
+            data: variant,
             error: null,
         });
     } catch (err) {
@@ -1609,10 +1743,19 @@ export const deleteVariant = async (req, res) => {
         );
 
         // Remove variant
-        product.variants.splice(variantIndex, 1);
+        const [removedVariant] = product.variants.splice(variantIndex, 1);
 
         await product.save();
 
+        await recordRemovedStock(product._id, [removedVariant], {
+            reason: MovementReason.ADMIN_ADJUSTMENT,
+            actor: req.user,
+            note: "Variant deleted",
+        });
+
+        // Without this color it may now fall under a color rule
+        await repriceProducts([product._id]);
+
         return res.status(200).json({
             success: true,
             message: `Variant with color '${colorName}' deleted successfully`,
@@ -1690,6 +1833,63 @@ export const getVariantById = async (req, res) => {
     }
 };
 
+/**
+ * @route   GET /sku/:code
+ * @desc    Look up a product size and its stock by SKU or barcode
+ * @access  Private (Admin)
+ */
+export const getStockBySku = async (req, res) => {
+    try {
+        const code = req.params.code.trim();
+        const sku = code.toUpperCase();
+
+        const product = await Product.findOne({
+            $or: [{ "variants.sizes.sku": sku }, { "variants.sizes.barcode": code }],
+        })
+            .select("name isActive hsnCode variants.color variants.sizes")
+            .populate("variants.color", "name hexCode");
+
+        const variant = product?.variants.find((v) =>
+            v.sizes.some((s) => s.sku === sku || s.barcode === code)
+        );
+        if (!variant) {
+            return res.status(404).json({
+                success: false,
+                message: "SKU not found",
+                data: null,
+                error: `No product size with SKU or barcode '${code}'`,
+            });
+        }
+
+        const sizeOption = variant.sizes.find((s) => s.sku === sku || s.barcode === code);
+
+        return res.status(200).json({
+            success: true,
+            message: "Stock retrieved successfully",
+            data: {
+                sku: sizeOption.sku,
+                barcode: sizeOption.barcode || null,
+                productId: product._id,
+                name: product.name,
+                isActive: product.isActive,
+                hsnCode: product.hsnCode,
+                color: variant.color,
+                size: sizeOption.size,
+                stock: sizeOption.stock,
+            },
+            error: null,
+        });
+    } catch (err) {
+        console.error("Error in getStockBySku:", err);
+        return res.status(500).json({
+            success: false,
+            message: "An error occurred while looking up the SKU",
+            data: null,
+            error: err.message,
+        });
+    }
+};
+
 /**
  * @route   PUT /products/:id/variants/:color/image
  * @desc    Change variant orderImage for a product
@@ -0,0 +1,130 @@
+import Joi from "joi";
+import { ProductAlert, AlertType, AlertStatus } from "../models/productAlert.model.js";
+import { subscribeToAlert } from "../services/productAlertService.js";
+
+const alertSchema = Joi.object({
+    productId: Joi.string().hex().length(24).required(),
+    type: Joi.string().valid(...Object.values(AlertType)).required(),
+    colorId: Joi.string().hex().length(24).when("type", {
+        is: AlertType.RESTOCK,
+        then: Joi.required(),
+        otherwise: Joi.forbidden(),
+    }),
+    size: Joi.string().when("type", {
+        is: AlertType.RESTOCK,
+        then: Joi.required(),
+        otherwise: Joi.forbidden(),
+    }),
+});
+
+/**
+ * @route   POST /
+ * @desc    Subscribe to a restock or price drop alert
+ * @access  Private (User)
+ */
+export const createAlert = async (req, res) => {
+    try {
+        const { error, value } = alertSchema.validate(req.body, { abortEarly: false });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid alert details",
+                data: null,
+                error: error.details.map((d) => d.message),
+            });
+        }
+
+        const result = await subscribeToAlert({ userId: req.user, ...value });
+        if (!result.isValid) {
+            return res.status(400).json({
+                success: false,
+                message: result.message,
+                data: null,
+                error: result.message,
+            });
+        }
+
+        return res.status(201).json({
+            success: true,
+            message: result.message,
+            data: result.alert,
+            error: null,
+        });
+    } catch (err) {
+        console.error("Error in createAlert:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Failed to create alert",
+            error: err.message,
+        });
+    }
+};
+
+/**
+ * @route   GET /
+ * @desc    Get the user's open alerts
+ * @access  Private (User)
+ */
+export const getMyAlerts = async (req, res) => {
+    try {
+        const alerts = await ProductAlert.find({
+            user: req.user,
+            status: { $in: [AlertStatus.ACTIVE, AlertStatus.QUEUED] },
+        })
+            .populate("product", "name")
+            .populate("color", "name hexCode")
+            .sort({ createdAt: -1 });
+
+        return res.status(200).json({
+            success: true,
+            message: "Alerts fetched successfully",
+            data: alerts,
+            error: null,
+        });
+    } catch (err) {
+        console.error("Error in getMyAlerts:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Failed to fetch alerts",
+            error: err.message,
+        });
+    }
+};
+
+/**
+ * @route   DELETE /:id
+ * @desc    Unsubscribe from an alert
+ * @access  Private (User)
+ */
+export const deleteAlert = async (req, res) => {
+    try {
+        const alert = await ProductAlert.findOneAndUpdate(
+            { _id: req.params.id, user: req.user, status: AlertStatus.ACTIVE },
+            { status: AlertStatus.CANCELLED },
+            { new: true }
+        );
+
+        if (!alert) {
+            return res.status(404).json({
+                success: false,
+                message: "Alert not found",
+                data: null,
+                error: "No open alert found with the provided ID",
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Unsubscribed successfully",
+            data: null,
+            error: null,
+        });
+    } catch (err) {
+        console.error("Error in deleteAlert:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Failed to unsubscribe",
+            error: err.message,
+        });
+    }
+};
@@ -0,0 +1,170 @@
+import {
+    exportCatalogRows,
+    catalogRowsToCsv,
+    parseImportFile,
+    previewImport,
+} from "../services/productImportService.js";
+import { ProductImportQueue } from "../queue/producer.js";
+
+const MAX_IMPORT_ROWS = 5000;
+
+/**
+ * @route   GET /export?format=csv|json
+ * @desc    Export the catalog, one row per variant and size
+ * @access  Private (Admin)
+ */
+export const exportProducts = async (req, res) => {
+    try {
+        const format = req.query.format === "json" ? "json" : "csv";
+        const rows = await exportCatalogRows();
+        const fileName = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+        res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+
+        if (format === "json") {
+            return res.status(200).json({
+                success: true,
+                message: "Products exported successfully",
+                data: rows,
+                error: null,
+            });
+        }
+
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        return res.status(200).send(catalogRowsToCsv(rows));
+    } catch (error) {
+        console.error("Error in exportProducts:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Failed to export products",
+            data: null,
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @route   POST /import?dryRun=true
+ * @desc    Validate a CSV/JSON catalog file and queue the import, or only show the diff on a dry run
+ * @access  Private (Admin)
+ */
+export const importProducts = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: "No import file was uploaded",
+                data: null,
+                error: "Expected a .csv or .json file in the 'file' field",
+            });
+        }
+
+        const parsed = parseImportFile(req.file);
+        if (!parsed.isValid) {
+            return res.status(400).json({
+                success: false,
+                message: parsed.message,
+                data: null,
+                error: parsed.message,
+            });
+        }
+
+        if (!parsed.rows.length || parsed.rows.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid number of rows",
+                data: null,
+                error: `The file must hold between 1 and ${MAX_IMPORT_ROWS} rows`,
+            });
+        }
+
+        const preview = await previewImport(parsed.rows);
+        const dryRun = req.query.dryRun === "true" || req.body?.dryRun === "true";
+
+        if (dryRun) {
+            return res.status(200).json({
+                success: true,
+                message: preview.errors.length
+                    ? "Dry run finished with validation errors"
+                    : "Dry run finished, nothing was saved",
+                data: preview,
+                error: null,
+            });
+        }
+
+        if (preview.errors.length) {
+            return res.status(400).json({
+                success: false,
+                message: "Import rejected, fix the listed rows and upload again",
+                data: preview,
+                error: "Validation failed",
+            });
+        }
+
+        const job = await ProductImportQueue.add("import-products", {
+            rows: parsed.rows,
+            fileName: req.file.originalname,
+            requestedBy: req.user,
+        });
+
+        return res.status(202).json({
+            success: true,
+            message: "Import queued",
+            data: { jobId: job.id, summary: preview.summary },
+            error: null,
+        });
+    } catch (error) {
+        console.error("Error in importProducts:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Failed to import products",
+            data: null,
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * @route   GET /import/:jobId
+ * @desc    Get the progress and result of a queued import
+ * @access  Private (Admin)
+ */
+export const getImportStatus = async (req, res) => {
+    try {
+        const job = await ProductImportQueue.getJob(req.params.jobId);
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: "Import job not found",
+                data: null,
+                error: "No import job found with the provided ID, finished jobs are kept for 24 hours",
+            });
+        }
+
+        const state = await job.getState();
+
+        return res.status(200).json({
+            success: true,
+            message: "Import status fetched successfully",
+            data: {
+                jobId: job.id,
+                fileName: job.data.fileName,
+                state,
+                progress: job.progress || { processed: 0, total: null },
+                result: job.returnvalue || null,
+                failedReason: job.failedReason || null,
+                createdAt: new Date(job.timestamp),
+                finishedAt: job.finishedOn ? new Date(job.finishedOn) : null,
+            },
+            error: null,
+        });
+    } catch (error) {
+        console.error("Error in getImportStatus:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Failed to fetch import status",
+            data: null,
+            error: error.message,
+        });
+    }
+};
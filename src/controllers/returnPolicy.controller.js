@@ -0,0 +1,68 @@
+import Joi from 'joi';
+import { getReturnPolicy, updateReturnPolicy } from '../services/returnPolicyService.js';
+
+const returnPolicySchema = Joi.object({
+  defaultWindowDays: Joi.number().integer().min(0),
+  categoryWindows: Joi.array().items(Joi.object({
+    category: Joi.string().hex().length(24).required(),
+    windowDays: Joi.number().integer().min(0).required()
+  })).unique('category'),
+  saleItemsReturnable: Joi.boolean(),
+  reasons: Joi.array().items(Joi.object({
+    code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_]+$/).required(),
+    label: Joi.string().trim().required(),
+    requiresEvidence: Joi.boolean(),
+    isActive: Joi.boolean()
+  })).unique('code'),
+  maxEvidencePhotos: Joi.number().integer().min(0).max(10)
+}).min(1);
+
+// Get the active return reasons and evidence limit (customer)
+export const getReturnReasons = async (req, res) => {
+  try {
+    const policy = await getReturnPolicy();
+    const reasons = policy.reasons
+      .filter((reason) => reason.isActive)
+      .map(({ code, label, requiresEvidence }) => ({ code, label, requiresEvidence }));
+
+    return res.status(200).json({
+      success: true,
+      data: { reasons, maxEvidencePhotos: policy.maxEvidencePhotos }
+    });
+  } catch (error) {
+    console.error('Error getting return reasons:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// ─── ADMIN CONTROLLERS ───────────────────────────────────────
+
+// Get return policy
+export const getAdminReturnPolicy = async (req, res) => {
+  try {
+    const policy = await getReturnPolicy();
+    return res.status(200).json({ success: true, data: policy });
+  } catch (error) {
+    console.error('Error getting return policy:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Update return policy
+export const updateAdminReturnPolicy = async (req, res) => {
+  try {
+    const { error, value } = returnPolicySchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({ success: false, message: 'Invalid return policy', details: error.details });
+    }
+
+    const policy = await updateReturnPolicy(value);
+    return res.status(200).json({ success: true, data: policy });
+  } catch (error) {
+    console.error('Error updating return policy:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
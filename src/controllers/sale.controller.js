@@ -1,5 +1,65 @@
-import Sale from "../models/sale.model.js";
+import Joi from "joi";
+import Sale, { SaleRuleTarget } from "../models/sale.model.js";
 import Product from "../models/product.model.js";
+import Category from "../models/category.model.js";
+import Color from "../models/color.model.js";
+import { DiscountType } from "../models/coupon.model.js";
+import { getSaleProductIds } from "../services/salePricingService.js";
+import {
+    parseSaleDate,
+    scheduleSale,
+    cancelSaleSchedule,
+    activateSale,
+    deactivateSale,
+    repriceSale,
+    getUpcomingSaleTransitions,
+} from "../services/saleScheduleService.js";
+
+const hasValidDates = (sale) =>
+    !isNaN(sale.startDate.getTime()) &&
+    !isNaN(sale.endDate.getTime()) &&
+    sale.startDate < sale.endDate;
+
+// A COLOR rule covers a product only when all of its variants are in the rule's colors
+const saleRuleSchema = Joi.object({
+    target: Joi.string().valid(...Object.values(SaleRuleTarget)).required(),
+    targetIds: Joi.array().items(Joi.string().hex().length(24)).min(1).unique().required(),
+    discountType: Joi.string().valid(...Object.values(DiscountType)).required(),
+    value: Joi.number()
+        .positive()
+        .when("discountType", { is: DiscountType.PERCENTAGE, then: Joi.number().max(100) })
+        .required(),
+});
+
+const salePricingSchema = Joi.object({
+    rules: Joi.array().items(saleRuleSchema),
+    priority: Joi.number().integer(),
+});
+
+const validateSalePricing = (body) =>
+    salePricingSchema.validate({ rules: body.rules, priority: body.priority });
+
+const RULE_TARGET_MODELS = {
+    [SaleRuleTarget.PRODUCT]: Product,
+    [SaleRuleTarget.CATEGORY]: Category,
+    [SaleRuleTarget.COLOR]: Color,
+};
+
+/**
+ * Rule targets that do not exist
+ * @param {Array<Object>} rules
+ * @returns {Promise<Array<string>>} - Descriptions of the missing targets
+ */
+const findMissingRuleTargets = async (rules = []) => {
+    const missing = [];
+    for (const rule of rules) {
+        const found = await RULE_TARGET_MODELS[rule.target].countDocuments({ _id: { $in: rule.targetIds } });
+        if (found !== rule.targetIds.length) {
+            missing.push(`${rule.targetIds.length - found} ${rule.target.toLowerCase()} target(s)`);
+        }
+    }
+    return missing;
+};
 
 /**
  * @route   POST /
@@ -16,12 +76,32 @@ export const createSale = async (req, res) => {
             endDate
         } = req.body;
 
-        if (!name || !products || !startDate || !endDate) {
+        if (!name || (!products && !req.body.rules) || !startDate || !endDate) {
             return res.status(400).json({
                 success: false,
                 message: "Required fields are missing",
                 data: null,
-                error: "Missing name, products, startDate, or endDate",
+                error: "Missing name, products or rules, startDate, or endDate",
+            });
+        }
+
+        // Pricing rules, e.g. 20% off a category, and the priority over overlapping sales
+        const { error: pricingError, value: pricing } = validateSalePricing(req.body);
+        if (pricingError) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid sale pricing",
+                data: null,
+                error: pricingError.details[0].message,
+            });
+        }
+        const missingTargets = await findMissingRuleTargets(pricing.rules);
+        if (missingTargets.length) {
+            return res.status(400).json({
+                success: false,
+                message: "Some rule targets not found",
+                data: null,
+                error: `Invalid IDs in rules: ${missingTargets.join(", ")}`,
             });
         }
 
@@ -38,26 +118,36 @@ export const createSale = async (req, res) => {
             });
         }
 
-        // Create sale
+        // Dates without an offset are India time
+        const dates = {
+            startDate: parseSaleDate(startDate),
+            endDate: parseSaleDate(endDate)
+        };
+        if (!hasValidDates(dates)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid sale dates",
+                data: null,
+                error: "startDate and endDate must be valid dates with startDate before endDate",
+            });
+        }
+
+        // Starts now or at its start date, and ends on its own
         const sale = await Sale.create({
             name,
             description: description || '',
             products: productIds,
-            startDate: new Date(startDate),
-            endDate: new Date(endDate),
-            isActive: true
+            rules: pricing.rules || [],
+            priority: pricing.priority ?? 0,
+            ...dates,
+            isActive: false
         });
-
-        // Update products to be on sale
-        await Product.updateMany(
-            { _id: { $in: productIds } },
-            { isOnSale: true }
-        );
+        await scheduleSale(sale);
 
         return res.status(201).json({
             success: true,
             message: "Sale created successfully",
-            data: sale,
+            data: await Sale.findById(sale._id),
             error: null,
         });
     } catch (err) {
@@ -165,11 +255,45 @@ export const updateSale = async (req, res) => {
             });
         }
 
+        const { error: pricingError, value: pricing } = validateSalePricing(req.body);
+        if (pricingError) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid sale pricing",
+                data: null,
+                error: pricingError.details[0].message,
+            });
+        }
+        const missingTargets = await findMissingRuleTargets(pricing.rules);
+        if (missingTargets.length) {
+            return res.status(400).json({
+                success: false,
+                message: "Some rule targets not found",
+                data: null,
+                error: `Invalid IDs in rules: ${missingTargets.join(", ")}`,
+            });
+        }
+
+        // What a running sale priced before the change, to release what it no longer covers
+        const previousProductIds = sale.isActive ? await getSaleProductIds(sale) : [];
+
         // Update basic info
         if (name) sale.name = name;
         if (description !== undefined) sale.description = description;
-        if (startDate) sale.startDate = new Date(startDate);
-        if (endDate) sale.endDate = new Date(endDate);
+        if (startDate) sale.startDate = parseSaleDate(startDate);
+        if (endDate) sale.endDate = parseSaleDate(endDate);
+
+        if (!hasValidDates(sale)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid sale dates",
+                data: null,
+                error: "startDate and endDate must be valid dates with startDate before endDate",
+            });
+        }
+        const datesChanged = sale.isModified("startDate") || sale.isModified("endDate");
+        // New dates replace a manual switch
+        if (datesChanged) sale.manualOverrideUntil = null;
 
         // Handle products update
         if (products) {
@@ -185,27 +309,29 @@ export const updateSale = async (req, res) => {
                 });
             }
 
-            // Remove old products from sale status
-            await Product.updateMany(
-                { _id: { $in: sale.products } },
-                { isOnSale: false }
-            );
-
-            // Add new products to sale status
-            await Product.updateMany(
-                { _id: { $in: productIds } },
-                { isOnSale: true }
-            );
-
             sale.products = productIds;
         }
 
+        if (pricing.rules) sale.rules = pricing.rules;
+        if (pricing.priority !== undefined) sale.priority = pricing.priority;
+        const pricingChanged = ["products", "rules", "priority"].some((path) => sale.isModified(path));
+
         await sale.save();
 
+        if (datesChanged) {
+            await scheduleSale(sale);
+        }
+
+        // A running sale prices its products again right away
+        const updated = await Sale.findById(sale._id);
+        if (pricingChanged && updated.isActive) {
+            await repriceSale(updated, previousProductIds);
+        }
+
         return res.status(200).json({
             success: true,
             message: "Sale updated successfully",
-            data: sale,
+            data: updated,
             error: null,
         });
     } catch (err) {
@@ -236,11 +362,9 @@ export const deleteSale = async (req, res) => {
             });
         }
 
-        // Remove products from sale status
-        await Product.updateMany(
-            { _id: { $in: sale.products } },
-            { isOnSale: false }
-        );
+        // Remove products from sale status and drop the pending start and end
+        await deactivateSale(sale._id);
+        await cancelSaleSchedule(sale._id);
 
         // Delete sale
         await sale.deleteOne();
@@ -278,27 +402,33 @@ export const toggleSaleStatus = async (req, res) => {
             });
         }
 
-        sale.isActive = !sale.isActive;
+        const now = new Date();
+        if (!sale.isActive && sale.endDate <= now) {
+            return res.status(400).json({
+                success: false,
+                message: "Sale has ended",
+                data: null,
+                error: "Change the sale dates to run it again",
+            });
+        }
+
+        // Manual override until the next scheduled start or end, kept on the
+        // sale so restarts and the start and end jobs leave it alone
+        sale.manualOverrideUntil = now < sale.startDate ? sale.startDate : sale.endDate;
+        await sale.save();
 
-        // Update products sale status based on sale status
         if (sale.isActive) {
-            await Product.updateMany(
-                { _id: { $in: sale.products } },
-                { isOnSale: true }
-            );
+            await deactivateSale(sale._id);
         } else {
-            await Product.updateMany(
-                { _id: { $in: sale.products } },
-                { isOnSale: false }
-            );
+            await activateSale(sale._id);
         }
 
-        await sale.save();
+        const updated = await Sale.findById(sale._id);
 
         return res.status(200).json({
             success: true,
-            message: `Sale ${sale.isActive ? 'activated' : 'deactivated'} successfully`,
-            data: sale,
+            message: `Sale ${updated.isActive ? 'activated' : 'deactivated'} successfully`,
+            data: updated,
             error: null,
         });
     } catch (err) {
@@ -311,22 +441,72 @@ export const toggleSaleStatus = async (req, res) => {
     }
 };
 
+/**
+ * @route   GET /schedule
+ * @desc    Get the queued sale starts and ends, soonest first, with times in India time
+ * @access  Private (Admin)
+ */
+export const getSaleSchedule = async (req, res) => {
+    try {
+        const transitions = await getUpcomingSaleTransitions();
+
+        return res.status(200).json({
+            success: true,
+            message: "Sale schedule fetched successfully",
+            data: transitions,
+            error: null,
+        });
+    } catch (err) {
+        console.error("Error in getSaleSchedule:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Failed to fetch sale schedule",
+            error: err.message,
+        });
+    }
+};
+
+/**
+ * Running sales, highest priority first, each with the products it prices.
+ * A product in overlapping sales is listed under the sale that prices it.
+ * @returns {Promise<Array<Object>>}
+ */
+const findRunningSales = async () => {
+    const now = new Date();
+
+    const activeSales = await Sale.find({
+        isActive: true,
+        startDate: { $lte: now },
+        endDate: { $gte: now }
+    })
+    .select("-rules")
+    .sort({ priority: -1, startDate: -1 })
+    .lean();
+    if (!activeSales.length) return [];
+
+    const products = await Product.find({
+        "saleSnapshot.sale": { $in: activeSales.map((sale) => sale._id) },
+        isActive: true
+    })
+    .select("name nonSalePrice salePrice saleSnapshot.sale variants orderImage")
+    .lean();
+
+    return activeSales.map((sale) => ({
+        ...sale,
+        products: products
+            .filter((product) => product.saleSnapshot.sale.equals(sale._id))
+            .map(({ saleSnapshot, ...product }) => product),
+    }));
+};
+
 /**
  * @route   GET /
- * @desc    Get active sale for users
+ * @desc    Get the active sale for users, the highest priority one when sales overlap
  * @access  Public
  */
 export const getActiveSale = async (req, res) => {
     try {
-        const now = new Date();
-        
-        const activeSale = await Sale.findOne({
-            isActive: true,
-            startDate: { $lte: now },
-            endDate: { $gte: now }
-        })
-        .populate('products', 'name nonSalePrice salePrice variants orderImage')
-        .sort({ createdAt: -1 });
+        const [activeSale] = await findRunningSales();
 
         if (!activeSale) {
             return res.status(404).json({
@@ -351,4 +531,29 @@ export const getActiveSale = async (req, res) => {
             error: err.message,
         });
     }
-};
\ No newline at end of file
+};
+
+/**
+ * @route   GET /running
+ * @desc    Get every running sale for users, highest priority first
+ * @access  Public
+ */
+export const getRunningSales = async (req, res) => {
+    try {
+        const sales = await findRunningSales();
+
+        return res.status(200).json({
+            success: true,
+            message: "Running sales retrieved successfully",
+            data: sales,
+            error: null,
+        });
+    } catch (err) {
+        console.error("Error in getRunningSales:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Failed to fetch running sales",
+            error: err.message,
+        });
+    }
+};
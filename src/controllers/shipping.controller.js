@@ -0,0 +1,100 @@
+import Joi from 'joi';
+import { PaymentMethod } from '../models/newOrder.model.js';
+import { getShippingRules, updateShippingRules, quoteShipping } from '../services/shippingService.js';
+
+const quoteSchema = Joi.object({
+  paymentMethod: Joi.string().valid(...Object.values(PaymentMethod)).required(),
+  items: Joi.array().items(Joi.object({
+    productId: Joi.string().hex().length(24).required(),
+    quantity: Joi.number().integer().min(1).required()
+  }).unknown(true)).min(1).required(),
+  postalCode: Joi.string().allow('', null).optional(),
+  state: Joi.string().allow('', null).optional()
+});
+
+const amountSchema = Joi.number().min(0);
+
+const shippingConfigSchema = Joi.object({
+  paymentMethodRules: Joi.array().items(Joi.object({
+    paymentMethod: Joi.string().valid(...Object.values(PaymentMethod)).required(),
+    baseCharge: amountSchema,
+    freeShippingThreshold: amountSchema.allow(null)
+  })).unique('paymentMethod'),
+  zones: Joi.array().items(Joi.object({
+    _id: Joi.string().hex().length(24),
+    name: Joi.string().trim().required(),
+    pincodes: Joi.array().items(Joi.string().trim()),
+    pincodePrefixes: Joi.array().items(Joi.string().trim()),
+    states: Joi.array().items(Joi.string().trim()),
+    extraCharge: amountSchema,
+    isServiceable: Joi.boolean(),
+    isActive: Joi.boolean()
+  })),
+  weightSlabs: Joi.array().items(Joi.object({
+    _id: Joi.string().hex().length(24),
+    upToGrams: amountSchema.allow(null),
+    extraCharge: amountSchema
+  })),
+  promotions: Joi.array().items(Joi.object({
+    _id: Joi.string().hex().length(24),
+    name: Joi.string().trim().required(),
+    startDate: Joi.date().required(),
+    endDate: Joi.date().greater(Joi.ref('startDate')).required(),
+    minOrderValue: amountSchema,
+    paymentMethods: Joi.array().items(Joi.string().valid(...Object.values(PaymentMethod))),
+    isActive: Joi.boolean()
+  })),
+  defaultItemWeight: amountSchema
+}).min(1);
+
+// Get shipping quote (public)
+export const getShippingQuote = async (req, res) => {
+  try {
+    const { error, value } = quoteSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({ success: false, message: 'Invalid quote request', details: error.details });
+    }
+
+    const quote = await quoteShipping(value);
+    if (!quote.isServiceable) {
+      return res.status(400).json({ success: false, message: 'Delivery is not available for this location', data: quote });
+    }
+
+    return res.status(200).json({ success: true, data: quote });
+  } catch (error) {
+    console.error('Error getting shipping quote:', error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// ─── ADMIN CONTROLLERS ───────────────────────────────────────
+
+// Get shipping rules
+export const getAdminShippingConfig = async (req, res) => {
+  try {
+    const rules = await getShippingRules();
+    return res.status(200).json({ success: true, data: rules });
+  } catch (error) {
+    console.error('Error getting shipping config:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Update shipping rules
+export const updateAdminShippingConfig = async (req, res) => {
+  try {
+    const { error, value } = shippingConfigSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({ success: false, message: 'Invalid shipping config', details: error.details });
+    }
+
+    const rules = await updateShippingRules(value);
+    return res.status(200).json({ success: true, data: rules });
+  } catch (error) {
+    console.error('Error updating shipping config:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
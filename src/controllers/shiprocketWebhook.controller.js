@@ -2,6 +2,7 @@ import crypto from 'crypto';
 import { NewOrder as Order, OrderStatus } from '../models/newOrder.model.js';
 import { withTransaction } from '../utils/withTransaction.js';
 import { createStatusHistoryEntry } from '../services/orderUtils.js';
+import { queueDeliveryEmail } from '../services/invoiceService.js';
 
 
 const normalizeShiprocketPayload = (raw) => {
@@ -163,6 +164,8 @@ export const handleShiprocketWebhook = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Order not found' });
     }
     
+    const deliveredItems = [];
+
     // Update order items with new status
     await withTransaction(async (session) => {
       const newStatus = mapShiprocketStatus(status);
@@ -202,6 +205,7 @@ export const handleShiprocketWebhook = async (req, res) => {
               orderItem.shippedAt = new Date();
             } else if (newStatus === OrderStatus.DELIVERED.value) {
               orderItem.deliveredAt = new Date();
+              deliveredItems.push(orderItem);
             } else if (newStatus === OrderStatus.RETURNED.value) {
               orderItem.returnedAt = new Date();
             }
@@ -233,6 +237,10 @@ export const handleShiprocketWebhook = async (req, res) => {
       await order.save({ session });
       console.log(`Updated order ${order.orderId} with status ${newStatus} for Shiprocket order ${order_id}`);
     });
+
+    if (deliveredItems.length) {
+      await queueDeliveryEmail(order, deliveredItems);
+    }
     
     return res.status(200).json({ success: true, message: 'Webhook processed successfully' });
     
@@ -318,17 +326,25 @@ export const handleShiprocketReturnWebhook = async (req, res) => {
         
         if (itemIndex !== -1) {
           const orderItem = order.items[itemIndex];
+          // Exchanges are received by an admin, who also creates the replacement.
+          // Their status and history stay as they are, the courier status is
+          // only kept with the Shiprocket return data below.
+          const isExchange = Boolean(orderItem.exchange);
           
-          // Update order status
-          orderItem.orderStatus = newStatus;
-          
-          // Add status history entry
-          orderItem.statusHistory.push(
-            createStatusHistoryEntry(newStatus, statusNote)
-          );
+          if (!isExchange) {
+            // Update order status
+            orderItem.orderStatus = newStatus;
+
+            // Add status history entry
+            orderItem.statusHistory.push(
+              createStatusHistoryEntry(orderItem.orderStatus, statusNote)
+            );
+          }
           
           // Update specific timestamps
-          if (newStatus === OrderStatus.RETURNED.value) {
+          if (isExchange) {
+            // Stamped by the admin receiving the exchange
+          } else if (newStatus === OrderStatus.RETURNED.value) {
             orderItem.returnedAt = new Date();
           } else if (newStatus === OrderStatus.REFUNDED.value) {
             orderItem.refundProcessedAt = new Date();
@@ -4,6 +4,8 @@ import Product from "../models/product.model.js";
 import Sale from "../models/sale.model.js";
 import { NewOrder } from "../models/newOrder.model.js";
 import { PaymentTransaction } from "../models/paymentTransaction.model.js";
+import { Wishlist } from "../models/wishlist.model.js";
+import { getConversionFunnel } from "../services/productAnalyticsService.js";
 
 /**
  * @route   GET /admin/stats/overview
@@ -405,3 +407,124 @@ export const getPaymentStats = async (req, res) => {
         });
     }
 };
+
+/**
+ * @route   GET /admin/stats/wishlist
+ * @desc    Get the most wishlisted products
+ * @access  Private (Admin)
+ */
+export const getWishlistStats = async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+        const [totalWishlists, mostWishlisted] = await Promise.all([
+            Wishlist.countDocuments({ "items.0": { $exists: true } }),
+            Wishlist.aggregate([
+                { $unwind: "$items" },
+                {
+                    $group: {
+                        _id: "$items.product",
+                        wishlistCount: { $sum: 1 },
+                        users: { $addToSet: "$user" }
+                    }
+                },
+                {
+                    $project: {
+                        wishlistCount: 1,
+                        userCount: { $size: "$users" }
+                    }
+                },
+                { $sort: { userCount: -1, wishlistCount: -1 } },
+                { $limit: limit },
+                {
+                    $lookup: {
+                        from: "products",
+                        localField: "_id",
+                        foreignField: "_id",
+                        as: "product"
+                    }
+                },
+                {
+                    $unwind: {
+                        path: "$product",
+                        preserveNullAndEmptyArrays: true
+                    }
+                },
+                {
+                    $project: {
+                        _id: 0,
+                        productId: "$_id",
+                        name: { $ifNull: ["$product.name", "Deleted product"] },
+                        isActive: { $ifNull: ["$product.isActive", false] },
+                        userCount: 1,
+                        wishlistCount: 1
+                    }
+                }
+            ])
+        ]);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                totalWishlists,
+                mostWishlisted
+            }
+        });
+
+    } catch (error) {
+        console.error("Error in getWishlistStats:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Failed to fetch wishlist statistics",
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   GET /admin/stats/funnel?from=&to=&productId=&limit=
+ * @desc    Get the view → cart → order → return funnel from the daily product stats
+ * @access  Private (Admin)
+ */
+export const getFunnelStats = async (req, res) => {
+    try {
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from
+            ? new Date(req.query.from)
+            : new Date(to.getTime() - 29 * 24 * 60 * 60 * 1000);
+        if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid date range"
+            });
+        }
+
+        const { productId } = req.query;
+        if (productId && !mongoose.Types.ObjectId.isValid(productId)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid product ID"
+            });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+        const funnel = await getConversionFunnel({ from, to, productId, limit });
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                from,
+                to,
+                ...funnel
+            }
+        });
+
+    } catch (error) {
+        console.error("Error in getFunnelStats:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Failed to fetch funnel statistics",
+            error: error.message
+        });
+    }
+};
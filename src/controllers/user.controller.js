@@ -35,7 +35,7 @@ export const getAllUsersForAdmin = async (req, res) => {
 
         // Get users with pagination
         const users = await User.find(filter)
-            .select('-googleId -cartList -orderList -productsViewed')
+            .select('-googleId -cartList -orderList -productsViewed -recentlyViewed')
             .sort({ createdAt: -1 })
             .skip(skip)
             .limit(limitNum);
@@ -79,7 +79,7 @@ export const getUserByIdForAdmin = async (req, res) => {
         }
 
         const user = await User.findById(id)
-            .select('-googleId -cartList -orderList -productsViewed');
+            .select('-googleId -cartList -orderList -productsViewed -recentlyViewed');
 
         if (!user) {
             return res.status(404).json({ message: "User not found" });
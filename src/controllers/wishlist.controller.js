@@ -0,0 +1,231 @@
+import Product from "../models/product.model.js";
+import { Wishlist } from "../models/wishlist.model.js";
+import { withTransaction } from "../utils/withTransaction.js";
+import { validateCartItem, addItemToCart } from "../services/cartService.js";
+
+const isSameItem = (item, { productId, colorId, size }) =>
+  item.product.toString() === productId &&
+  item.color.toString() === colorId &&
+  item.size === size;
+
+/**
+ * @route   GET /wishlist
+ * @desc    Get all products in the user's wishlist
+ * @access  Private (User)
+ */
+export const getWishlist = async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ user: req.user })
+      .populate({
+        path: "items.product",
+        match: { isActive: true },
+        populate: { path: "variants.color", model: "Color" },
+      });
+
+    // Products that were deactivated since they were saved are left out
+    const items = (wishlist?.items || [])
+      .filter((item) => item.product)
+      .map((item) => {
+        const product = item.product;
+        const variant = product.variants.find(
+          (v) => v.color && v.color._id.equals(item.color)
+        );
+        if (!variant) return null;
+
+        const sizeOption = variant.sizes.find((s) => s.size === item.size);
+
+        return {
+          itemId: item._id,
+          productId: product._id,
+          name: product.name,
+          price: product.isOnSale
+            ? product.salePrice?.price
+            : product.nonSalePrice?.price || null,
+          discountedPrice: product.isOnSale
+            ? product.salePrice?.discountedPrice
+            : product.nonSalePrice?.discountedPrice || null,
+          discount: product.isOnSale
+            ? product.salePrice?.discount
+            : product.nonSalePrice?.discount || 0,
+          selectedVariant: {
+            colorId: variant.color._id,
+            colorName: variant.color.name,
+            hexCode: variant.color.hexCode,
+            size: item.size,
+          },
+          inStock: (sizeOption?.stock || 0) > 0,
+          image: {
+            id: variant.images?.[0]?.id || "",
+            secure_url: variant.images?.[0]?.secure_url || "",
+          },
+          addedAt: item.addedAt,
+        };
+      })
+      .filter((item) => item !== null);
+
+    return res.status(200).json({
+      success: true,
+      message: items.length
+        ? "Wishlist fetched successfully"
+        : "No products in wishlist",
+      data: items,
+    });
+  } catch (err) {
+    console.error("Error fetching wishlist:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch wishlist",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * @route   POST /wishlist
+ * @desc    Save a product variant to the user's wishlist
+ * @access  Private (User)
+ */
+export const addToWishlist = async (req, res) => {
+  try {
+    const { productId, colorId, size } = req.body;
+
+    if (!productId || !colorId || !size) {
+      return res
+        .status(400)
+        .json({ message: "Product ID, color ID, and size are required." });
+    }
+
+    // Out of stock variants can still be saved, they just have to exist
+    const product = await Product.findOne({
+      _id: productId,
+      isActive: true,
+      variants: { $elemMatch: { color: colorId, "sizes.size": size } },
+    }).select("_id");
+    if (!product) {
+      return res.status(404).json({ message: "Selected variant not found." });
+    }
+
+    const wishlist = await Wishlist.findOneAndUpdate(
+      { user: req.user },
+      { $setOnInsert: { user: req.user } },
+      { upsert: true, new: true }
+    );
+
+    if (wishlist.items.some((item) => isSameItem(item, { productId, colorId, size }))) {
+      return res.status(200).json({
+        success: true,
+        message: "Product is already in your wishlist.",
+        wishlist: wishlist.items,
+      });
+    }
+
+    wishlist.items.push({ product: productId, color: colorId, size });
+    await wishlist.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Product added to wishlist.",
+      wishlist: wishlist.items,
+    });
+  } catch (err) {
+    console.error("Error adding product to wishlist:", err);
+    return res.status(500).json({
+      message: "Failed to add product to wishlist.",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * @route   DELETE /wishlist/remove-item
+ * @desc    Remove a product variant from the wishlist
+ * @access  Private (User)
+ */
+export const removeFromWishlist = async (req, res) => {
+  try {
+    const { productId, colorId, size } = req.body;
+
+    if (!productId || !colorId || !size) {
+      return res
+        .status(400)
+        .json({ message: "Product ID, color ID, and size are required." });
+    }
+
+    const wishlist = await Wishlist.findOne({ user: req.user });
+    const itemIndex = wishlist
+      ? wishlist.items.findIndex((item) => isSameItem(item, { productId, colorId, size }))
+      : -1;
+
+    if (itemIndex === -1) {
+      return res.status(404).json({ message: "Item not found in wishlist." });
+    }
+
+    wishlist.items.splice(itemIndex, 1);
+    await wishlist.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Item removed from wishlist successfully.",
+      wishlist: wishlist.items,
+    });
+  } catch (err) {
+    console.error("Error removing item from wishlist:", err);
+    return res.status(500).json({
+      message: "Failed to remove item from wishlist.",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * @route   POST /wishlist/move-to-cart
+ * @desc    Move a wishlist item to the cart, with the same stock checks as adding to cart
+ * @access  Private (User)
+ */
+export const moveWishlistItemToCart = async (req, res) => {
+  try {
+    await withTransaction(async (session) => {
+      const userId = req.user;
+      const { productId, colorId, size } = req.body;
+      const quantity = req.body.quantity ?? 1;
+
+      const wishlist = await Wishlist.findOne({ user: userId }).session(session);
+      const itemIndex = wishlist
+        ? wishlist.items.findIndex((item) => isSameItem(item, { productId, colorId, size }))
+        : -1;
+
+      if (itemIndex === -1) {
+        return res.status(404).json({ message: "Item not found in wishlist." });
+      }
+
+      const check = await validateCartItem(
+        { productId, colorId, size, quantity },
+        session
+      );
+      if (!check.isValid) {
+        return res.status(check.status).json({ message: check.message });
+      }
+
+      const { cart } = await addItemToCart(
+        { owner: { userId }, productId, color: check.color, size, quantity },
+        session
+      );
+
+      wishlist.items.splice(itemIndex, 1);
+      await wishlist.save({ session });
+
+      return res.status(200).json({
+        success: true,
+        message: "Product moved to cart.",
+        cart: cart.items,
+        wishlist: wishlist.items,
+      });
+    });
+  } catch (err) {
+    console.error("Error moving wishlist item to cart:", err);
+    return res.status(500).json({
+      message: "Failed to move product to cart.",
+      error: err.message,
+    });
+  }
+};
@@ -0,0 +1,62 @@
+import {
+    getResponseCacheKey,
+    readCachedResponse,
+    storeCachedResponse,
+    createEtag,
+    invalidateCache
+} from '../utils/responseCache.js';
+
+const sendJson = (res, { etag, body }, status) => {
+    // Clients revalidate with If-None-Match and get a 304 while the ETag matches
+    res.set({ ETag: etag, 'Cache-Control': 'no-cache', 'X-Cache': status });
+    return res.type('json').send(body);
+};
+
+/**
+ * Cache successful JSON responses of a public route in Valkey.
+ * Responses must not depend on the user, only on the path and query.
+ * @param {...string} tags - CacheTag values the response is built from
+ */
+export const cacheResponse = (...tags) => async (req, res, next) => {
+    let key = null;
+    try {
+        key = await getResponseCacheKey(req, tags);
+        const cached = key && await readCachedResponse(key);
+        if (cached) {
+            return sendJson(res, cached, 'HIT');
+        }
+    } catch (error) {
+        console.error('Response cache read failed:', error.message);
+        key = null;
+    }
+
+    if (!key) return next();
+
+    const json = res.json.bind(res);
+    res.json = (data) => {
+        if (res.statusCode !== 200) return json(data);
+
+        const body = JSON.stringify(data);
+        const response = { etag: createEtag(body), body };
+        storeCachedResponse(key, response).catch((error) => {
+            console.error('Response cache write failed:', error.message);
+        });
+        return sendJson(res, response, 'MISS');
+    };
+
+    next();
+};
+
+/**
+ * Invalidate cache tags after every successful change made through a router.
+ * Reads are let through untouched.
+ * @param {...string} tags - CacheTag values
+ */
+export const invalidateCacheOnChange = (...tags) => (req, res, next) => {
+    if (req.method !== 'GET') {
+        res.on('finish', () => {
+            if (res.statusCode < 400) invalidateCache(...tags);
+        });
+    }
+    next();
+};
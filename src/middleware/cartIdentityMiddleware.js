@@ -0,0 +1,21 @@
+import { authMiddleware } from './authMiddleware.js';
+import {
+    verifyGuestCartToken,
+    GUEST_CART_COOKIE,
+    GUEST_CART_HEADER
+} from '../services/cartService.js';
+
+/**
+ * Cart routes work for logged-in users and guests.
+ * A request with an access token is authenticated as usual, anything else
+ * is treated as a guest and identified by its guest cart cookie or header.
+ */
+export const cartIdentityMiddleware = (req, res, next) => {
+    if (req.headers.authorization) {
+        return authMiddleware(req, res, next);
+    }
+
+    const token = req.cookies?.[GUEST_CART_COOKIE] || req.headers[GUEST_CART_HEADER];
+    req.guestCartId = verifyGuestCartToken(token);
+    next();
+};
@@ -5,7 +5,8 @@ const checkActiveSale =
     (throwErrorOnActive = true) =>
         async (req, res, next) => {
             try {
-                const activeSale = await Sale.findOne({ isActive: true });
+                // Sales can overlap, any running one counts
+                const activeSale = await Sale.exists({ isActive: true });
 
                 if (throwErrorOnActive && !activeSale) {
                     return res.status(404).json({ success: false, message: "No sale is going on." });
@@ -35,3 +35,35 @@ export const upload = multer({
         }
     }
 }).any();
+
+// Catalog import files are parsed straight from memory, see productImport.controller.js
+export const uploadImportFile = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 5 * 1024 * 1024, // 5MB limit
+    },
+    fileFilter: (req, file, cb) => {
+        if (/\.(csv|json)$/i.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only .csv or .json files are allowed'), false);
+        }
+    }
+}).single("file");
+
+
+// Photos attached to a return request, uploaded to Cloudinary in returnOrderItem
+export const uploadReturnEvidence = multer({
+    storage,
+    limits: {
+        fileSize: 5 * 1024 * 1024, // 5MB limit
+        files: 10, // Hard cap, the return policy sets the real limit
+    },
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype.startsWith('image/')) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only image files are allowed'), false);
+        }
+    }
+}).array("evidence", 10);
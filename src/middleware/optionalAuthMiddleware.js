@@ -0,0 +1,13 @@
+import { authMiddleware } from './authMiddleware.js';
+
+/**
+ * For public routes that do more for logged-in users.
+ * A request with an access token is authenticated as usual,
+ * anything else goes through without a user.
+ */
+export const optionalAuthMiddleware = (req, res, next) => {
+    if (req.headers.authorization) {
+        return authMiddleware(req, res, next);
+    }
+    next();
+};
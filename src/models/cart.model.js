@@ -41,10 +41,33 @@ const cartSchema = new mongoose.Schema(
             type: Number,
             default: 0,
         },
+        // Guest carts are not linked to a user and are removed after expiresAt
+        isGuest: {
+            type: Boolean,
+            default: false,
+        },
+        expiresAt: Date,
+        // Lines that could not be fully merged from a guest cart at login
+        mergeReport: {
+            mergedAt: Date,
+            items: [{
+                _id: false,
+                productId: { type: Schema.Types.ObjectId, ref: "Product" },
+                name: String,
+                colorId: { type: Schema.Types.ObjectId, ref: "Color" },
+                size: String,
+                requestedQuantity: Number,
+                addedQuantity: Number,
+                reason: String,
+            }],
+        },
     },
     { timestamps: true }
 );
 
+// Only guest carts have expiresAt set
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
 // Pre-save middleware to calculate total price and total items
 cartSchema.pre("save", async function (next) {
     // Ensure items is always an array
@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+export const DiscountType = {
+  FLAT: 'FLAT',
+  PERCENTAGE: 'PERCENTAGE'
+};
+
+const couponSchema = new Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Discount details
+  discountType: {
+    type: String,
+    enum: Object.values(DiscountType),
+    required: true
+  },
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  maxDiscount: {
+    type: Number,
+    min: 0,
+    default: null // Cap for percentage coupons, null = no cap
+  },
+  minCartValue: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // Usage limits (null = unlimited)
+  usageLimit: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  perUserLimit: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  usedCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // Validity window
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Scope, empty = applies to everything
+  applicableCategories: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  applicableProducts: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  applicableColors: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Color'
+  }]
+}, {
+  timestamps: true
+});
+
+couponSchema.pre('validate', function (next) {
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    return next(new Error('Coupon end date must be after start date'));
+  }
+  if (this.discountType === DiscountType.PERCENTAGE && this.discountValue > 100) {
+    return next(new Error('Percentage discount cannot exceed 100'));
+  }
+  next();
+});
+
+// Indexes
+couponSchema.index({ isActive: 1, startDate: 1, endDate: 1 });
+
+export const Coupon = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// One document per coupon and user, so per-user limits can be enforced with a single atomic $inc
+const couponRedemptionSchema = new Schema({
+  coupon: {
+    type: Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  orders: [{
+    orderId: String,
+    discount: Number,
+    redeemedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index({ coupon: 1, user: 1 }, { unique: true });
+
+export const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+import { SupplyType, invoiceLineSchema, partySchema } from './invoice.model.js';
+const { Schema } = mongoose;
+
+// Issued for every completed refund of an invoiced item, reverses its share of the invoice
+const creditNoteSchema = new Schema({
+  // e.g. CN/26-27/000007
+  creditNoteNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  invoice: {
+    type: Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true
+  },
+  invoiceNumber: {
+    type: String,
+    required: true,
+    index: true
+  },
+  invoiceDate: Date,
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: 'NewOrder',
+    required: true
+  },
+  orderId: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Order item refunded
+  item: {
+    type: Schema.Types.ObjectId,
+    required: true
+  },
+  // REFUND entry of the order ledger, one credit note per refund
+  ledgerEntry: {
+    type: Schema.Types.ObjectId,
+    ref: 'OrderLedgerEntry',
+    required: true,
+    unique: true
+  },
+  refundId: String,
+  refundMethod: String,
+  reason: String,
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  seller: partySchema,
+  buyer: partySchema,
+  supplyType: {
+    type: String,
+    enum: Object.values(SupplyType),
+    required: true
+  },
+  placeOfSupply: String,
+  lines: [invoiceLineSchema],
+  totals: {
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    total: Number
+  }
+}, {
+  timestamps: true
+});
+
+creditNoteSchema.index({ issuedAt: 1 });
+
+export const CreditNote = mongoose.model('CreditNote', creditNoteSchema);
@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+export const SupplyType = {
+  INTRA_STATE: 'INTRA_STATE', // CGST + SGST
+  INTER_STATE: 'INTER_STATE'  // IGST
+};
+
+// Amounts in rupees, a line's taxable value and taxes add up to its total
+export const invoiceLineSchema = new Schema({
+  // Order items billed on this line, units of one product at one price
+  items: [{ type: Schema.Types.ObjectId }],
+  description: { type: String, required: true },
+  // HSN of goods, SAC of services such as shipping
+  hsnCode: String,
+  sku: String,
+  quantity: { type: Number, required: true },
+  unitPrice: { type: Number, required: true },
+  discount: { type: Number, default: 0 },
+  taxableValue: { type: Number, required: true },
+  gstRate: { type: Number, required: true },
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 },
+  total: { type: Number, required: true }
+}, { _id: false });
+
+export const partySchema = new Schema({
+  name: String,
+  gstin: String,
+  email: String,
+  phone: String,
+  address: String,
+  city: String,
+  state: String,
+  stateCode: String,
+  postalCode: String,
+  country: String
+}, { _id: false });
+
+// Issued once per order and never changed, refunds are issued as credit notes
+const invoiceSchema = new Schema({
+  // e.g. INV/26-27/000042, at most 16 characters as GST rules require
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // e.g. 2026-27, numbering restarts every April
+  financialYear: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: 'NewOrder',
+    required: true,
+    unique: true
+  },
+  orderId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  seller: partySchema,
+  buyer: partySchema,
+  supplyType: {
+    type: String,
+    enum: Object.values(SupplyType),
+    required: true
+  },
+  placeOfSupply: String,
+  paymentMethod: String,
+  lines: [invoiceLineSchema],
+  totals: {
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    total: Number
+  }
+}, {
+  timestamps: true
+});
+
+// Last number used in a financial year, one series per document type
+const invoiceSequenceSchema = new Schema({
+  // INV for invoices, CN for credit notes
+  series: {
+    type: String,
+    required: true
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+invoiceSequenceSchema.index({ series: 1, financialYear: 1 }, { unique: true });
+
+export const Invoice = mongoose.model('Invoice', invoiceSchema);
+export const InvoiceSequence = mongoose.model('InvoiceSequence', invoiceSequenceSchema);
@@ -13,6 +13,19 @@ export const PaymentStatus = {
   REFUNDED: 'REFUNDED',
 };
 
+export const RefundStatus = {
+  PENDING: 'PENDING',
+  REFUNDED: 'REFUNDED',
+  FAILED: 'FAILED',
+  REJECTED: 'REJECTED',
+};
+
+// QC decision on a returned item
+export const ReturnCondition = {
+  RESTOCKABLE: 'RESTOCKABLE', // Back on the shelf
+  DAMAGED: 'DAMAGED',         // Written off
+};
+
 /**
  * Order Status Configuration
  * 
@@ -23,13 +36,17 @@ export const PaymentStatus = {
  * 
  * 1. Ordered → Cancelled | Shipped
  * 2. Shipped → Delivered
- * 3. Delivered → Return Requested
+ * 3. Delivered → Return Requested | Exchange Requested
  * 4. Cancelled → Refunded
  * 5. Return Requested → Departed For Returning | Return Cancelled
  * 6. Departed For Returning → Returned | Return Cancelled
  * 7. Returned → Refunded
  * 8. Return Cancelled → [] (Final Status)
  * 9. Refunded → [] (Final Status)
+ * 10. Exchange Requested → Departed For Exchange | Exchange Cancelled
+ * 11. Departed For Exchange → Exchanged | Exchange Cancelled
+ * 12. Exchanged → [] (Final Status, the replacement ships as its own zero-value order)
+ * 13. Exchange Cancelled → [] (Final Status)
  * 
  * IMPORTANT: Only forward transitions are allowed. Once an order moves to a status,
  * it cannot go back to a previous status (e.g., Shipped cannot go back to Ordered).
@@ -37,13 +54,17 @@ export const PaymentStatus = {
 export const OrderStatus = {
   ORDERED: { value: 'Ordered', next: ['Cancelled', 'Shipped'] },
   SHIPPED: { value: 'Shipped', next: ['Delivered'] },
-  DELIVERED: { value: 'Delivered', next: ['Return Requested'] },
+  DELIVERED: { value: 'Delivered', next: ['Return Requested', 'Exchange Requested'] },
   CANCELLED: { value: 'Cancelled', next: ['Refunded'] },
   RETURN_REQUESTED: { value: 'Return Requested', next: ['Departed For Returning', 'Return Cancelled'] },
   DEPARTED_FOR_RETURNING: { value: 'Departed For Returning', next: ['Returned', 'Return Cancelled'] },
   RETURNED: { value: 'Returned', next: ['Refunded'] },
   RETURN_CANCELLED: { value: 'Return Cancelled', next: [] },
   REFUNDED: { value: 'Refunded', next: [] },
+  EXCHANGE_REQUESTED: { value: 'Exchange Requested', next: ['Departed For Exchange', 'Exchange Cancelled'] },
+  DEPARTED_FOR_EXCHANGE: { value: 'Departed For Exchange', next: ['Exchanged', 'Exchange Cancelled'] },
+  EXCHANGED: { value: 'Exchanged', next: [] },
+  EXCHANGE_CANCELLED: { value: 'Exchange Cancelled', next: [] },
 };
 
 const ORDER_STATUS_VALUES = Object.values(OrderStatus).map(s => s.value);
@@ -73,6 +94,28 @@ const shiprocketSchema = new Schema({
 }, { _id: false });
 
 
+// Size/color swap of a delivered item. The unit comes back on a reverse pickup,
+// the replacement goes out as a zero-value order linked through `replacementOrderId`.
+const exchangeSchema = new Schema({
+  exchangeId: { type: String, required: true },
+  requestedAt: Date,
+  note: String,
+  replacement: {
+    productId: { type: Schema.Types.ObjectId, ref: 'Product' },
+    colorId: { type: Schema.Types.ObjectId, ref: 'Color' },
+    colorName: String,
+    size: String,
+    sku: String,
+  },
+  // Stock held for the replacement until the returned unit arrives
+  reservation: { type: Schema.Types.ObjectId, ref: 'StockReservation' },
+  departedAt: Date,
+  receivedAt: Date,
+  cancelledAt: Date,
+  cancelReason: String,
+  replacementOrderId: String,
+}, { _id: false });
+
 const orderItemSchema = new Schema(
   {
     product: {
@@ -84,10 +127,19 @@ const orderItemSchema = new Schema(
       },
     },
     color: {
+      colorId: { type: Schema.Types.ObjectId, ref: 'Color' },
       name: String,
       hexCode: String,
     },
     size: { type: String, required: true },
+    // Line this one was split off, null for lines placed with the order
+    parentItem: { type: Schema.Types.ObjectId, default: null },
+    // Snapshots taken when the order is placed
+    sku: String,
+    hsnCode: String,
+    isOnSale: Boolean,
+    // False for products marked non-returnable when ordered, empty on older orders
+    isReturnable: Boolean,
     quantity: { type: Number, required: true, min: 1 },
 
     amount: {
@@ -109,10 +161,24 @@ const orderItemSchema = new Schema(
     returnRequestedAt: Date,
     returnedAt: Date,
     returnRequestNote: String,
+    // Code of a reason in the return policy
+    returnReasonCode: String,
+    returnEvidence: [{ _id: false, id: String, secure_url: String }],
+    // Set once the returned units are inspected, empty while waiting for QC
+    returnCondition: { type: String, enum: Object.values(ReturnCondition) },
+    returnInspectedAt: Date,
+    returnInspectedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+
+    exchange: { type: exchangeSchema, default: undefined },
 
     refundAmount: Number,
-    refundStatus: { type: String, enum: Object.values(PaymentStatus) },
+    refundStatus: { type: String, enum: Object.values(RefundStatus) },
     refundProcessedAt: Date,
+    // PROVIDER = refunded through Razorpay/Cashfree, MANUAL = paid out to bank/UPI by admin
+    refundMethod: { type: String, enum: ['PROVIDER', 'MANUAL'] },
+    refundId: String,
+    providerRefundId: String,
+    refundFailureReason: String,
     
     // Refund Request Details
     refundRequestedAt: Date,
@@ -171,6 +237,13 @@ const newOrderSchema = new Schema(
       type: String,
       default: null,
     },
+
+    // orderId sent to createPaymentOrder, links webhooks back to this order
+    paymentOrderId: {
+      type: String,
+      default: null,
+      index: true,
+    },
     
     paymentStatus: {
       type: String,
@@ -183,9 +256,21 @@ const newOrderSchema = new Schema(
         type: Number,
         required: true,
       },
+      discount: { type: Number, default: 0 },
+      couponCode: { type: String, default: null },
       totalAmount: { type: Number, required: true }
     },
 
+    // Set on replacement orders created by an exchange
+    exchangeFor: {
+      type: new Schema({
+        orderId: String,
+        itemId: Schema.Types.ObjectId,
+        exchangeId: String,
+      }, { _id: false }),
+      default: null,
+    },
+
     orderedAt: { type: Date, default: Date.now },
   },
   { timestamps: true }
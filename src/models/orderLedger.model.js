@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// Amounts are signed rupees: money owed by the customer is positive, money given back is negative
+export const LedgerEntryType = {
+  CHARGE: 'CHARGE',         // Price of the units on a line
+  DISCOUNT: 'DISCOUNT',     // Coupon share of a line
+  SHIPPING: 'SHIPPING',     // Shipping share of a line
+  REFUND: 'REFUND',         // Money sent back, a failed refund is reversed by a positive entry
+  ADJUSTMENT: 'ADJUSTMENT'  // Correction, e.g. rounding left over on orders placed before the ledger
+};
+
+// Append-only: entries are never changed, corrections are new entries
+const orderLedgerEntrySchema = new Schema({
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: 'NewOrder',
+    required: true
+  },
+  orderId: {
+    type: String,
+    required: true
+  },
+  // Order item the entry belongs to
+  item: {
+    type: Schema.Types.ObjectId,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.values(LedgerEntryType),
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Set on entries that move an amount between a line and a line split off it
+  splitFrom: {
+    type: Schema.Types.ObjectId,
+    default: null
+  },
+  refundId: String,
+  // User who caused the entry, null for system jobs
+  actor: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  note: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+orderLedgerEntrySchema.index({ order: 1, createdAt: 1 });
+orderLedgerEntrySchema.index({ refundId: 1 }, { sparse: true });
+
+const rejectChange = function (next) {
+  next(new Error('Order ledger entries are append-only'));
+};
+
+orderLedgerEntrySchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+orderLedgerEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+
+export const OrderLedgerEntry = mongoose.model('OrderLedgerEntry', orderLedgerEntrySchema);
@@ -16,6 +16,45 @@ export const PaymentProvider = {
   COD: 'cod'
 };
 
+export const RefundStatus = {
+  PENDING: 'PENDING',
+  REFUNDED: 'REFUNDED',
+  FAILED: 'FAILED'
+};
+
+const refundSchema = new Schema({
+  refundId: {
+    type: String,
+    required: true
+  },
+  providerRefundId: String,
+  // Amount in paise, same unit as the transaction amount
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: Object.values(RefundStatus),
+    default: RefundStatus.PENDING
+  },
+  // Order item the refund was made for
+  orderId: String,
+  itemId: String,
+  reason: String,
+  failureReason: String,
+  initiatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  initiatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  processedAt: Date
+}, { _id: false });
+
 const paymentTransactionSchema = new Schema({
   // Transaction details
   transactionId: {
@@ -106,6 +145,19 @@ const paymentTransactionSchema = new Schema({
   completedAt: Date,
   failedAt: Date,
   refundedAt: Date,
+
+  // Refunds (amounts in paise)
+  refunds: [refundSchema],
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Paid, but no order was created from it in time and its held stock was given back
+  needsRefund: {
+    type: Boolean,
+    default: false
+  },
   
   // Error details
   error: {
@@ -122,5 +174,7 @@ paymentTransactionSchema.index({ orderId: 1, user: 1 });
 paymentTransactionSchema.index({ providerTransactionId: 1 });
 paymentTransactionSchema.index({ status: 1 });
 paymentTransactionSchema.index({ createdAt: -1 });
+paymentTransactionSchema.index({ 'refunds.refundId': 1 });
+paymentTransactionSchema.index({ 'refunds.providerRefundId': 1 });
 
 export const PaymentTransaction = mongoose.model('PaymentTransaction', paymentTransactionSchema);
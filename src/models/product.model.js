@@ -1,7 +1,19 @@
 import mongoose from "mongoose";
+import { generateSku } from "../utils/helper.js";
 
 // Constants
-const ALLOWED_SIZES = ["S", "M", "L", "XL", "XXL", "XXXL"];
+export const ALLOWED_SIZES = ["S", "M", "L", "XL", "XXL", "XXXL"];
+
+// EAN-8, UPC-A or EAN-13 with a valid GS1 check digit
+export const isValidBarcode = (value) => {
+    if (!/^(\d{8}|\d{12}|\d{13})$/.test(value)) return false;
+    const digits = value.split("").map(Number);
+    const checkDigit = digits.pop();
+    const sum = digits
+        .reverse()
+        .reduce((acc, digit, index) => acc + digit * (index % 2 === 0 ? 3 : 1), 0);
+    return (10 - (sum % 10)) % 10 === checkDigit;
+};
 
 // Size Schema
 const sizeSchema = new mongoose.Schema(
@@ -16,6 +28,31 @@ const sizeSchema = new mongoose.Schema(
             min: 0,
             default: 0,
         },
+        // Generated on first save (see the pre-validate hook below) and never changed after
+        sku: {
+            type: String,
+            trim: true,
+            uppercase: true,
+            immutable: function () {
+                return Boolean(this.sku);
+            },
+        },
+        barcode: {
+            type: String,
+            trim: true,
+            validate: {
+                validator: (v) => !v || isValidBarcode(v),
+                message: (props) => `${props.value} is not a valid EAN/UPC barcode`,
+            },
+        },
+        // Overrides the product threshold, see services/lowStockService.js
+        lowStockThreshold: {
+            type: Number,
+            min: 0,
+            default: null,
+        },
+        // Last low stock email for this size, limits repeat alerts
+        lowStockAlertedAt: Date,
     },
     { _id: false }
 );
@@ -127,6 +164,25 @@ const productSchema = new mongoose.Schema(
             required: [true, "Category is required"],
         },
         variants: [variantSchema],
+        // Harmonized System of Nomenclature code for GST invoices and shipping
+        hsnCode: {
+            type: String,
+            trim: true,
+            match: [/^\d{4}(\d{2}){0,2}$/, "HSN code must have 4, 6 or 8 digits"],
+            default: null,
+        },
+        // Stock at or below this count is reported as low, null uses the store default
+        lowStockThreshold: {
+            type: Number,
+            min: 0,
+            default: null,
+        },
+        // Shipping weight in grams, falls back to the shipping rules default
+        weight: {
+            type: Number,
+            min: 0,
+            default: null,
+        },
         paymentOptions: {
             cod: { type: Boolean, default: true },
             online: { type: Boolean, default: true },
@@ -139,6 +195,29 @@ const productSchema = new mongoose.Schema(
             type: Boolean,
             default: false,
         },
+        // Set while a sale prices the product: the sale, and the product's own
+        // sale price and flag to put back when no sale covers it anymore
+        saleSnapshot: {
+            type: new mongoose.Schema(
+                {
+                    sale: { type: mongoose.Schema.Types.ObjectId, ref: "Sale", required: true },
+                    salePrice: {
+                        price: { type: Number, min: 0 },
+                        discountedPrice: { type: Number, min: 0 },
+                        discount: { type: Number, min: 0, default: 0 },
+                    },
+                    isOnSale: { type: Boolean, default: false },
+                    appliedAt: { type: Date, default: Date.now },
+                },
+                { _id: false }
+            ),
+            default: null,
+        },
+        // Off for items that cannot be sent back, e.g. innerwear
+        isReturnable: {
+            type: Boolean,
+            default: true,
+        },
         salesCount: {
             type: Number,
             default: 0,
@@ -167,6 +246,47 @@ productSchema.virtual("totalViews").get(function () {
     return this.loggedInViews + this.notLoggedInViews;
 });
 
+// Full-text search, see services/productSearchService.js
+productSchema.index(
+    { name: "text", description: "text", "specifications.description": "text" },
+    {
+        name: "product_text_search",
+        weights: { name: 10, "specifications.description": 3, description: 2 },
+    }
+);
+
+productSchema.index({ "variants.sizes.sku": 1 }, { unique: true, sparse: true });
+productSchema.index({ "variants.sizes.barcode": 1 }, { sparse: true });
+productSchema.index({ "saleSnapshot.sale": 1 });
+
+// Give every size a SKU, unique across the catalog
+productSchema.pre("validate", async function () {
+    const taken = new Set();
+    const missing = [];
+
+    for (const variant of this.variants) {
+        for (const sizeOption of variant.sizes) {
+            if (!sizeOption.sku) {
+                missing.push(sizeOption);
+            } else if (taken.has(sizeOption.sku)) {
+                throw new Error(`Duplicate SKU ${sizeOption.sku} in product`);
+            } else {
+                taken.add(sizeOption.sku);
+            }
+        }
+    }
+
+    for (const sizeOption of missing) {
+        let sku;
+        do {
+            sku = generateSku(sizeOption.size);
+        } while (taken.has(sku) || (await this.constructor.exists({ "variants.sizes.sku": sku })));
+
+        sizeOption.sku = sku;
+        taken.add(sku);
+    }
+});
+
 // Pre-save hook
 productSchema.pre("save", function (next) {
     // Non-sale discount calculation
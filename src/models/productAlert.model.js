@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+export const AlertType = {
+  RESTOCK: 'RESTOCK',       // A color/size that is out of stock comes back
+  PRICE_DROP: 'PRICE_DROP'  // The price goes below the price at subscription
+};
+
+export const AlertStatus = {
+  ACTIVE: 'ACTIVE',       // Waiting for the product to change
+  QUEUED: 'QUEUED',       // Notification email is on the queue
+  SENT: 'SENT',           // Email sent, the user is unsubscribed
+  CANCELLED: 'CANCELLED'  // Unsubscribed by the user
+};
+
+const productAlertSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.values(AlertType),
+    required: true
+  },
+
+  // Restock alerts only
+  color: {
+    type: Schema.Types.ObjectId,
+    ref: 'Color'
+  },
+  size: String,
+
+  // Price drop alerts only, effective price when the user subscribed
+  priceAtSubscription: Number,
+
+  status: {
+    type: String,
+    enum: Object.values(AlertStatus),
+    default: AlertStatus.ACTIVE
+  },
+  notifiedAt: Date
+}, {
+  timestamps: true
+});
+
+productAlertSchema.index({ product: 1, type: 1, status: 1 });
+productAlertSchema.index({ user: 1, status: 1 });
+
+// A user has at most one open alert per product/type/variant
+productAlertSchema.index(
+  { user: 1, product: 1, type: 1, color: 1, size: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: [AlertStatus.ACTIVE, AlertStatus.QUEUED] } } }
+);
+
+export const ProductAlert = mongoose.model('ProductAlert', productAlertSchema);
@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+export const ProductEventType = {
+  VIEW: 'VIEW',                 // Product page opened
+  ADD_TO_CART: 'ADD_TO_CART',   // Units added to a cart
+  ORDER: 'ORDER',               // Units sold, including exchange replacements
+  CANCEL: 'CANCEL',             // Sold units cancelled before shipping
+  RETURN: 'RETURN'              // Sold units received back
+};
+
+// Events wait here until the rollup job adds them to the daily stats.
+// Written in the transaction that changes the order or cart, so an aborted
+// change never counts.
+const productEventSchema = new Schema({
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.values(ProductEventType),
+    required: true
+  },
+  quantity: {
+    type: Number,
+    default: 1
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // First view of the product by a logged-in user
+  isFirstView: {
+    type: Boolean,
+    default: false
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set once the event is in the daily stats
+  processedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+productEventSchema.index({ processedAt: 1, _id: 1 });
+// Processed events are kept a month for debugging, pending ones never expire
+productEventSchema.index({ processedAt: 1 }, { expireAfterSeconds: 30 * 24 * 3600 });
+
+// Counters of one product on one day (India time); units for orders, cancels and returns
+const productDailyStatSchema = new Schema({
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Start of the day, or the epoch for counters that existed before the stats
+  date: {
+    type: Date,
+    required: true
+  },
+  views: { type: Number, default: 0 },
+  // First views of logged-in users, like Product.loggedInViews
+  loggedInViews: { type: Number, default: 0 },
+  guestViews: { type: Number, default: 0 },
+  addToCarts: { type: Number, default: 0 },
+  orderedUnits: { type: Number, default: 0 },
+  cancelledUnits: { type: Number, default: 0 },
+  returnedUnits: { type: Number, default: 0 }
+});
+
+productDailyStatSchema.index({ product: 1, date: 1 }, { unique: true });
+productDailyStatSchema.index({ date: 1 });
+
+export const ProductEvent = mongoose.model('ProductEvent', productEventSchema);
+export const ProductDailyStat = mongoose.model('ProductDailyStat', productDailyStatSchema);
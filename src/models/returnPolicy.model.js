@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+const categoryWindowSchema = new Schema({
+  category: {
+    type: Schema.Types.ObjectId,
+    ref: 'Category',
+    required: true
+  },
+  // Days after delivery, 0 = the category cannot be returned
+  windowDays: {
+    type: Number,
+    min: 0,
+    required: true
+  }
+}, { _id: false });
+
+const returnReasonSchema = new Schema({
+  // Stored on the return, e.g. SIZE_TOO_SMALL
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_]+$/, 'Reason codes may only hold letters, digits and underscores']
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Photos must be attached when this reason is picked
+  requiresEvidence: {
+    type: Boolean,
+    default: false
+  },
+  // Retired reasons stay so old returns keep their label
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+// Single document, read and created through returnPolicyService.getReturnPolicy
+const returnPolicySchema = new Schema({
+  defaultWindowDays: {
+    type: Number,
+    min: 0,
+    default: 7
+  },
+  categoryWindows: [categoryWindowSchema],
+  // Whether items bought on sale can be returned
+  saleItemsReturnable: {
+    type: Boolean,
+    default: true
+  },
+  reasons: {
+    type: [returnReasonSchema],
+    validate: {
+      validator: (reasons) => new Set(reasons.map((r) => r.code)).size === reasons.length,
+      message: 'Reason codes must be unique'
+    }
+  },
+  maxEvidencePhotos: {
+    type: Number,
+    min: 0,
+    max: 10,
+    default: 5
+  }
+}, {
+  timestamps: true
+});
+
+export const ReturnPolicy = mongoose.model('ReturnPolicy', returnPolicySchema);
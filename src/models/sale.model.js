@@ -1,4 +1,46 @@
 import { model, Schema } from "mongoose";
+import { DiscountType } from "./coupon.model.js";
+
+// What a pricing rule of a sale applies to. Prices are per product, so a
+// COLOR rule only covers products that come in nothing but its colors.
+export const SaleRuleTarget = {
+    PRODUCT: "PRODUCT",
+    CATEGORY: "CATEGORY",
+    COLOR: "COLOR",
+};
+
+// A percentage or flat amount off the regular selling price of matching products
+const saleRuleSchema = new Schema(
+    {
+        target: {
+            type: String,
+            enum: Object.values(SaleRuleTarget),
+            required: true,
+        },
+        // Products, categories or colors, by target
+        targetIds: {
+            type: [Schema.Types.ObjectId],
+            validate: [(ids) => ids.length > 0, "A sale rule needs at least one target"],
+        },
+        discountType: {
+            type: String,
+            enum: Object.values(DiscountType),
+            required: true,
+        },
+        value: {
+            type: Number,
+            required: true,
+            min: [0, "Discount cannot be negative"],
+            validate: {
+                validator: function (value) {
+                    return this.discountType !== DiscountType.PERCENTAGE || value <= 100;
+                },
+                message: "Percentage discount cannot exceed 100",
+            },
+        },
+    },
+    { _id: false }
+);
 
 const saleSchema = new Schema(
     {
@@ -11,12 +53,20 @@ const saleSchema = new Schema(
             type: String,
             trim: true,
         },
+        // Products sold at their own sale price, see services/salePricingService.js
         products: [
             {
                 type: Schema.Types.ObjectId,
                 ref: "Product",
             },
         ],
+        // Prices of matching products come from these, the largest discount wins
+        rules: [saleRuleSchema],
+        // When running sales overlap on a product, the highest priority prices it
+        priority: {
+            type: Number,
+            default: 0,
+        },
         isActive: {
             type: Boolean,
             default: false,
@@ -29,9 +79,17 @@ const saleSchema = new Schema(
             type: Date,
             required: true,
         },
+        // Set when an admin switches the sale on or off by hand; the dates do
+        // not move it until then
+        manualOverrideUntil: {
+            type: Date,
+            default: null,
+        },
     },
     { timestamps: true }
 );
 
+saleSchema.index({ isActive: 1, priority: -1 });
+
 const Sale = model("Sale", saleSchema);
 export default Sale;
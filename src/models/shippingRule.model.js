@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+import { PaymentMethod } from './newOrder.model.js';
+const { Schema } = mongoose;
+
+const paymentMethodRuleSchema = new Schema({
+  paymentMethod: {
+    type: String,
+    enum: Object.values(PaymentMethod),
+    required: true
+  },
+  baseCharge: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Orders at or above this subtotal ship free, null = never free
+  freeShippingThreshold: {
+    type: Number,
+    min: 0,
+    default: null
+  }
+}, { _id: false });
+
+const zoneSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  pincodes: [String],
+  pincodePrefixes: [String],
+  states: [String],
+  extraCharge: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  isServiceable: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const weightSlabSchema = new Schema({
+  // Upper bound of the slab in grams, null = everything heavier than the other slabs
+  upToGrams: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  extraCharge: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+});
+
+const promotionSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  minOrderValue: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Empty = all payment methods
+  paymentMethods: [{
+    type: String,
+    enum: Object.values(PaymentMethod)
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// Single document, read and created through shippingService.getShippingRules
+const shippingRuleSchema = new Schema({
+  paymentMethodRules: [paymentMethodRuleSchema],
+  zones: [zoneSchema],
+  weightSlabs: [weightSlabSchema],
+  promotions: [promotionSchema],
+
+  // Used for products without a weight
+  defaultItemWeight: {
+    type: Number,
+    min: 0,
+    default: 500
+  }
+}, {
+  timestamps: true
+});
+
+export const ShippingRule = mongoose.model('ShippingRule', shippingRuleSchema);
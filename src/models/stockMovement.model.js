@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+export const MovementReason = {
+  ORDER: 'ORDER',                             // Sold on an order placed without a stock hold
+  CANCEL: 'CANCEL',                           // Cancelled order item put back
+  RETURN_RESTOCK: 'RETURN_RESTOCK',           // Returned item put back
+  ADMIN_ADJUSTMENT: 'ADMIN_ADJUSTMENT',       // Changed by an admin, including initial stock
+  IMPORT: 'IMPORT',                           // Catalog import
+  RESERVATION: 'RESERVATION',                 // Held for an online checkout
+  RESERVATION_RELEASE: 'RESERVATION_RELEASE', // Unused hold given back
+  OPENING_BALANCE: 'OPENING_BALANCE',         // Stock that existed before the ledger
+  RECONCILIATION: 'RECONCILIATION'            // Correction appended by a ledger reconcile
+};
+
+// Append-only: entries are never changed, corrections are new entries
+const stockMovementSchema = new Schema({
+  sku: {
+    type: String,
+    index: true
+  },
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  color: {
+    type: Schema.Types.ObjectId,
+    ref: 'Color',
+    required: true
+  },
+  size: {
+    type: String,
+    required: true
+  },
+  delta: {
+    type: Number,
+    required: true
+  },
+  // Stock of the size right after this movement
+  balanceAfter: Number,
+  reason: {
+    type: String,
+    enum: Object.values(MovementReason),
+    required: true
+  },
+  // User who caused the movement, null for system jobs
+  actor: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  orderId: String,
+  // Payment reference, import job ID, etc.
+  reference: String,
+  note: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockMovementSchema.index({ sku: 1, createdAt: -1 });
+stockMovementSchema.index({ orderId: 1 }, { sparse: true });
+
+const rejectChange = function (next) {
+  next(new Error('Stock movements are append-only'));
+};
+
+stockMovementSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+stockMovementSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+
+export const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
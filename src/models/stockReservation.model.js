@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+export const ReservationStatus = {
+  ACTIVE: 'ACTIVE',       // Stock held while the shopper is paying
+  CONFIRMED: 'CONFIRMED', // Payment verified, waiting for the order to be created
+  CONSUMED: 'CONSUMED',   // Converted into an order item
+  RELEASED: 'RELEASED',   // Given back before expiry (new checkout, failed provider call)
+  EXPIRED: 'EXPIRED'      // Given back by the expiry job
+};
+
+export const ReservationPurpose = {
+  CHECKOUT: 'CHECKOUT', // Held while paying online
+  EXCHANGE: 'EXCHANGE'  // Replacement held until the exchanged unit comes back
+};
+
+const stockReservationSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Checkout reference sent to the payment provider (payment orderId)
+  reference: {
+    type: String,
+    required: true,
+    index: true
+  },
+  transactionId: {
+    type: String,
+    index: true
+  },
+  providerTransactionId: String,
+
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  color: {
+    type: Schema.Types.ObjectId,
+    ref: 'Color',
+    required: true
+  },
+  size: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  purpose: {
+    type: String,
+    enum: Object.values(ReservationPurpose),
+    default: ReservationPurpose.CHECKOUT
+  },
+
+  status: {
+    type: String,
+    enum: Object.values(ReservationStatus),
+    default: ReservationStatus.ACTIVE
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  confirmedAt: Date,
+  releasedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+stockReservationSchema.index({ user: 1, status: 1 });
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+stockReservationSchema.index({ product: 1, color: 1, size: 1, status: 1 });
+
+export const StockReservation = mongoose.model('StockReservation', stockReservationSchema);
@@ -39,10 +39,16 @@ const userSchema = new mongoose.Schema(
             type: mongoose.Schema.Types.ObjectId,
             ref: "Order",
         },
+        // Every product the user has opened, decides first views
         productsViewed: [{
             type: mongoose.Schema.Types.ObjectId,
             ref: "Product",
         }],
+        // Latest products opened, newest first, see services/recommendationService.js
+        recentlyViewed: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Product",
+        }],
        
     },
     {
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+export const WebhookEventStatus = {
+  RECEIVED: 'received',
+  PROCESSED: 'processed',
+  IGNORED: 'ignored',
+  FAILED: 'failed'
+};
+
+// Every payment webhook delivery, keyed by the provider event id so redeliveries are applied once
+const webhookEventSchema = new Schema({
+  provider: {
+    type: String,
+    enum: ['razorpay', 'cashfree'],
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  eventType: String,
+
+  status: {
+    type: String,
+    enum: Object.values(WebhookEventStatus),
+    default: WebhookEventStatus.RECEIVED
+  },
+  // Internal transaction the event was applied to
+  transactionId: String,
+  message: String,
+  attempts: {
+    type: Number,
+    default: 1
+  },
+
+  payload: Schema.Types.Mixed,
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+
+export const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
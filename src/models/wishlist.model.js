@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+const wishlistItemSchema = new Schema({
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  color: {
+    type: Schema.Types.ObjectId,
+    ref: 'Color',
+    required: true
+  },
+  size: {
+    type: String,
+    enum: ['S', 'M', 'L', 'XL', 'XXL', 'XXXL'],
+    required: true
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One wishlist per user
+const wishlistSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  items: {
+    type: [wishlistItemSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+wishlistSchema.index({ 'items.product': 1 });
+
+export const Wishlist = mongoose.model('Wishlist', wishlistSchema);
@@ -18,4 +18,77 @@ const jobOptions={
 export const EmailQueue = new Queue("email-queue", {
   connection: ValkeyConnection,
   defaultJobOptions: jobOptions
-});
\ No newline at end of file
+});
+
+export const ReservationQueue = new Queue("reservation-queue", {
+  connection: ValkeyConnection,
+  defaultJobOptions: {
+    removeOnComplete: 10,
+    removeOnFail: 5,
+    attempts: 3,
+    backoff: {
+      type: 'exponential',
+      delay: 2000,
+    },
+  }
+});
+
+export const OrderQueue = new Queue("order-queue", {
+  connection: ValkeyConnection,
+  defaultJobOptions: {
+    removeOnComplete: 10,
+    removeOnFail: 5,
+    attempts: 3,
+    backoff: {
+      type: 'exponential',
+      delay: 2000,
+    },
+  }
+});
+
+// Imports are not retried, a failed run is fixed and uploaded again
+export const ProductImportQueue = new Queue("product-import-queue", {
+  connection: ValkeyConnection,
+  defaultJobOptions: {
+    removeOnComplete: { age: 24 * 3600 },
+    removeOnFail: { age: 24 * 3600 },
+    attempts: 1,
+  }
+});
+
+export const InventoryQueue = new Queue("inventory-queue", {
+  connection: ValkeyConnection,
+  defaultJobOptions: {
+    removeOnComplete: true,
+    removeOnFail: 5,
+    attempts: 3,
+    backoff: {
+      type: 'exponential',
+      delay: 2000,
+    },
+  }
+});
+
+// Rolls product events into daily stats, a missed run is caught up by the next
+export const AnalyticsQueue = new Queue("analytics-queue", {
+  connection: ValkeyConnection,
+  defaultJobOptions: {
+    removeOnComplete: true,
+    removeOnFail: 5,
+    attempts: 1,
+  }
+});
+
+// Sale starts and ends, delayed until their time; one job per sale and transition
+export const SaleQueue = new Queue("sale-queue", {
+  connection: ValkeyConnection,
+  defaultJobOptions: {
+    removeOnComplete: true,
+    removeOnFail: 20,
+    attempts: 3,
+    backoff: {
+      type: 'exponential',
+      delay: 5000,
+    },
+  }
+});
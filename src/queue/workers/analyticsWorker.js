@@ -0,0 +1,40 @@
+import { rollupProductEvents } from "../../services/productAnalyticsService.js";
+import { refreshRelatedProducts } from "../../services/recommendationService.js";
+
+
+export const AnalyticsWorker = async (job) => {
+  switch (job.name) {
+    case "rollup-product-events": {
+      try {
+        const result = await rollupProductEvents();
+
+        if (result.events) {
+          console.log(` Rolled up ${result.events} product event(s) for ${result.products} product(s)`);
+        }
+
+        return { success: true, ...result };
+
+      } catch (error) {
+        console.error(" Failed to roll up product events:", error.message);
+        throw error;
+      }
+    }
+
+    case "refresh-related-products": {
+      try {
+        const count = await refreshRelatedProducts();
+
+        console.log(` Related products refreshed for ${count} product(s)`);
+
+        return { success: true, count };
+
+      } catch (error) {
+        console.error(" Failed to refresh related products:", error.message);
+        throw error;
+      }
+    }
+
+    default:
+      throw new Error(`Unknown analytics job: ${job.name}`);
+  }
+};
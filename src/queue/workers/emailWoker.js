@@ -1,4 +1,6 @@
 import { emailHelper } from "../../utils/nodemailer.js";
+import { markAlertSent } from "../../services/productAlertService.js";
+import { getInvoiceAttachment } from "../../services/invoiceService.js";
 
 
 export const EmailWorker = async (job) => {
@@ -14,12 +16,23 @@ export const EmailWorker = async (job) => {
       template,
       data: data || {}
     };
+
+    // Invoices are rendered here, PDFs are too big to travel in the job
+    if (job.data.invoiceNumber) {
+      const invoice = await getInvoiceAttachment(job.data.invoiceNumber);
+      if (invoice) emailData.attachments = [invoice];
+    }
     
 
     // Send the email
     await emailHelper(emailData);
     
     console.log(` Email sent to: ${email}`);
+
+    // Product alerts are one-shot, unsubscribe once delivered
+    if (job.data.alertId) {
+      await markAlertSent(job.data.alertId);
+    }
     
     return { success: true, email };
     
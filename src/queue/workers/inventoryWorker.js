@@ -0,0 +1,41 @@
+import { sendLowStockAlert, sendLowStockDigest } from "../../services/lowStockService.js";
+
+
+export const InventoryWorker = async (job) => {
+  switch (job.name) {
+    case "low-stock-alert": {
+      try {
+        const sent = await sendLowStockAlert(job.data.sku);
+
+        if (sent) {
+          console.log(` Low stock alert queued for: ${job.data.sku}`);
+        }
+
+        return { success: true, sku: job.data.sku, sent };
+
+      } catch (error) {
+        console.error(` Failed to check low stock for ${job.data.sku}:`, error.message);
+        throw error;
+      }
+    }
+
+    case "low-stock-digest": {
+      try {
+        const count = await sendLowStockDigest();
+
+        if (count) {
+          console.log(` Low stock digest queued with ${count} size(s)`);
+        }
+
+        return { success: true, count };
+
+      } catch (error) {
+        console.error(" Failed to send low stock digest:", error.message);
+        throw error;
+      }
+    }
+
+    default:
+      throw new Error(`Unknown inventory job: ${job.name}`);
+  }
+};
@@ -0,0 +1,27 @@
+import { expirePendingPayments } from "../../services/pendingPaymentService.js";
+
+
+export const OrderWorker = async (job) => {
+  switch (job.name) {
+    case "expire-pending-payments": {
+      try {
+        const summary = await expirePendingPayments();
+
+        if (summary.checked || summary.refundsFlagged) {
+          console.log(
+            ` Pending payments checked: ${summary.checked}, paid: ${summary.paid}, cancelled: ${summary.cancelled}, skipped: ${summary.skipped}, flagged for refund: ${summary.refundsFlagged}`
+          );
+        }
+
+        return { success: true, ...summary };
+
+      } catch (error) {
+        console.error(" Failed to expire pending payments:", error.message);
+        throw error;
+      }
+    }
+
+    default:
+      throw new Error(`Unknown order job: ${job.name}`);
+  }
+};
@@ -0,0 +1,27 @@
+import { runImport } from "../../services/productImportService.js";
+import { invalidateCache, CacheTag } from "../../utils/responseCache.js";
+
+
+export const ProductImportWorker = async (job) => {
+  const { rows, fileName, requestedBy } = job.data;
+
+  try {
+    const result = await runImport(rows, (progress) => job.updateProgress(progress), {
+      actor: requestedBy,
+      reference: `import:${job.id}`,
+    });
+
+    console.log(
+      ` Imported ${fileName}: created ${result.created}, updated ${result.updated}, unchanged ${result.unchanged}, failed ${result.failed.length}`
+    );
+
+    return { success: true, ...result };
+
+  } catch (error) {
+    console.error(` Product import ${fileName} failed:`, error.message);
+    throw error;
+  } finally {
+    // Rows are saved one by one, a failed run may have changed some products
+    await invalidateCache(CacheTag.PRODUCTS);
+  }
+};
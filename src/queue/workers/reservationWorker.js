@@ -0,0 +1,25 @@
+import { releaseReservations } from "../../services/stockReservationService.js";
+import { ReservationStatus } from "../../models/stockReservation.model.js";
+
+
+export const ReservationWorker = async (job) => {
+  const { reference } = job.data;
+
+  try {
+    // Holds confirmed by a payment are no longer ACTIVE and are skipped
+    const released = await releaseReservations(reference, {
+      status: ReservationStatus.EXPIRED,
+      expiredOnly: true,
+    });
+
+    if (released) {
+      console.log(` Released ${released} expired stock hold(s) for: ${reference}`);
+    }
+
+    return { success: true, reference, released };
+
+  } catch (error) {
+    console.error(` Failed to release stock holds for ${reference}:`, error.message);
+    throw error;
+  }
+};
@@ -0,0 +1,20 @@
+import { runSaleTransition } from "../../services/saleScheduleService.js";
+
+
+export const SaleWorker = async (job) => {
+  const { saleId } = job.data;
+
+  try {
+    const changed = await runSaleTransition(job.name, saleId);
+
+    if (!changed) {
+      console.log(` Sale ${saleId} already matched its dates on ${job.name}`);
+    }
+
+    return { success: true, saleId, changed };
+
+  } catch (error) {
+    console.error(` Failed to ${job.name.replace("-sale", "")} sale ${saleId}:`, error.message);
+    throw error;
+  }
+};
@@ -2,6 +2,25 @@
 import { Worker } from "bullmq";
 import { ValkeyConnection } from "../../config/valkey.js";
 import { EmailWorker } from "./emailWoker.js";
+import { ReservationWorker } from "./reservationWorker.js";
+import { OrderWorker } from "./orderWorker.js";
+import { ProductImportWorker } from "./productImportWorker.js";
+import { InventoryWorker } from "./inventoryWorker.js";
+import { AnalyticsWorker } from "./analyticsWorker.js";
+import { SaleWorker } from "./saleWorker.js";
+import { OrderQueue, InventoryQueue, AnalyticsQueue } from "../producer.js";
+import { releaseAlert } from "../../services/productAlertService.js";
+import { RELATED_REFRESH_INTERVAL } from "../../services/recommendationService.js";
+
+// How often unpaid online orders are checked
+const PENDING_PAYMENT_CHECK_INTERVAL = 5 * 60 * 1000;
+
+// Low stock digest every morning at 8, India time
+const LOW_STOCK_DIGEST_PATTERN = "0 8 * * *";
+const LOW_STOCK_DIGEST_TIMEZONE = "Asia/Kolkata";
+
+// How often product events are added to the daily stats
+const PRODUCT_EVENT_ROLLUP_INTERVAL = 60 * 1000;
 
 export const startAllWorkers = () => {
   // Email worker with rate limiting
@@ -25,9 +44,120 @@ export const startAllWorkers = () => {
 
   emailWorker.on("failed", (job, err) => {
     console.error(`❌ Email failed to ${job.data.email}:`, err.message);
+
+    // Out of retries, let the next product change try the alert again
+    if (job.data.alertId && job.attemptsMade >= (job.opts.attempts || 1)) {
+      releaseAlert(job.data.alertId).catch((releaseErr) => {
+        console.error(`❌ Failed to reopen product alert ${job.data.alertId}:`, releaseErr.message);
+      });
+    }
   });
 
   console.log("📧 Email worker started");
-  
-  return [emailWorker];
+
+  // Stock reservation expiry worker
+  const reservationWorker = new Worker("reservation-queue", ReservationWorker, {
+    connection: ValkeyConnection,
+    concurrency: 1,
+  });
+
+  reservationWorker.on("failed", (job, err) => {
+    console.error(`❌ Reservation release failed for ${job.data.reference}:`, err.message);
+  });
+
+  console.log("📦 Reservation worker started");
+
+  // Unpaid online order expiry worker
+  const orderWorker = new Worker("order-queue", OrderWorker, {
+    connection: ValkeyConnection,
+    concurrency: 1,
+  });
+
+  orderWorker.on("failed", (job, err) => {
+    console.error(`❌ Order job ${job.name} failed:`, err.message);
+  });
+
+  OrderQueue.upsertJobScheduler(
+    "expire-pending-payments",
+    { every: PENDING_PAYMENT_CHECK_INTERVAL },
+    { name: "expire-pending-payments" }
+  ).catch((err) => {
+    console.error("❌ Failed to schedule pending payment expiry:", err.message);
+  });
+
+  console.log("🧾 Order worker started");
+
+  // Catalog import worker, one file at a time
+  const productImportWorker = new Worker("product-import-queue", ProductImportWorker, {
+    connection: ValkeyConnection,
+    concurrency: 1,
+  });
+
+  productImportWorker.on("failed", (job, err) => {
+    console.error(`❌ Product import ${job.data.fileName} failed:`, err.message);
+  });
+
+  console.log("📥 Product import worker started");
+
+  // Low stock alerts and digest worker
+  const inventoryWorker = new Worker("inventory-queue", InventoryWorker, {
+    connection: ValkeyConnection,
+    concurrency: 1,
+  });
+
+  inventoryWorker.on("failed", (job, err) => {
+    console.error(`❌ Inventory job ${job.name} failed:`, err.message);
+  });
+
+  InventoryQueue.upsertJobScheduler(
+    "low-stock-digest",
+    { pattern: LOW_STOCK_DIGEST_PATTERN, tz: LOW_STOCK_DIGEST_TIMEZONE },
+    { name: "low-stock-digest" }
+  ).catch((err) => {
+    console.error("❌ Failed to schedule low stock digest:", err.message);
+  });
+
+  console.log("📉 Inventory worker started");
+
+  // Product analytics rollup and recommendations worker, one run at a time so events are not counted twice
+  const analyticsWorker = new Worker("analytics-queue", AnalyticsWorker, {
+    connection: ValkeyConnection,
+    concurrency: 1,
+  });
+
+  analyticsWorker.on("failed", (job, err) => {
+    console.error(`❌ Analytics job ${job.name} failed:`, err.message);
+  });
+
+  AnalyticsQueue.upsertJobScheduler(
+    "rollup-product-events",
+    { every: PRODUCT_EVENT_ROLLUP_INTERVAL },
+    { name: "rollup-product-events" }
+  ).catch((err) => {
+    console.error("❌ Failed to schedule product event rollup:", err.message);
+  });
+
+  AnalyticsQueue.upsertJobScheduler(
+    "refresh-related-products",
+    { every: RELATED_REFRESH_INTERVAL },
+    { name: "refresh-related-products" }
+  ).catch((err) => {
+    console.error("❌ Failed to schedule related products refresh:", err.message);
+  });
+
+  console.log("📈 Analytics worker started");
+
+  // Sale start and end worker
+  const saleWorker = new Worker("sale-queue", SaleWorker, {
+    connection: ValkeyConnection,
+    concurrency: 1,
+  });
+
+  saleWorker.on("failed", (job, err) => {
+    console.error(`❌ Sale job ${job.name} for ${job.data.saleId} failed:`, err.message);
+  });
+
+  console.log("🏷️ Sale worker started");
+
+  return [emailWorker, reservationWorker, orderWorker, productImportWorker, inventoryWorker, analyticsWorker, saleWorker];
 };
\ No newline at end of file
@@ -1,9 +1,14 @@
 import express from "express";
 import { deleteBanner, getBannersForAdmin, reorderBanners, toggleBannerStatus, toggleBannerSaleStatus, uploadBanner, updateBannerLink } from "../../controllers/banners.controller.js";
 import { upload } from "../../middleware/multer.js";
+import { invalidateCacheOnChange } from "../../middleware/cacheMiddleware.js";
+import { CacheTag } from "../../utils/responseCache.js";
 
 const router = express.Router();
 
+// Banner changes show on the storefront
+router.use(invalidateCacheOnChange(CacheTag.BANNERS));
+
 /**
  * @route   GET /admin/banners?isActive=true|false|all
  * @desc    Get all banners, or filtered by active status
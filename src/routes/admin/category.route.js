@@ -6,9 +6,14 @@ import {
     toggleCategoryStatus,
     updateCategory,
 } from "../../controllers/category.controller.js";
+import { invalidateCacheOnChange } from "../../middleware/cacheMiddleware.js";
+import { CacheTag } from "../../utils/responseCache.js";
 
 const router = express.Router();
 
+// Category changes show in the public catalog and product lists
+router.use(invalidateCacheOnChange(CacheTag.CATEGORIES, CacheTag.PRODUCTS));
+
 /**
  * @route   GET /
  * @desc    Get all categories
@@ -7,10 +7,15 @@ import {
     toggleColorStatus,
     getProductsOfColorForAdmin,
 } from "../../controllers/color.controller.js";
+import { invalidateCacheOnChange } from "../../middleware/cacheMiddleware.js";
+import { CacheTag } from "../../utils/responseCache.js";
 
 
 const router = express.Router();
 
+// Color changes show in the public colors and product lists
+router.use(invalidateCacheOnChange(CacheTag.COLORS, CacheTag.PRODUCTS));
+
 /**
  * @route   GET /
  * @desc    Get all colors (with isActive filter)
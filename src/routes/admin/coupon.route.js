@@ -0,0 +1,49 @@
+import express from "express";
+import {
+    createCoupon,
+    getCouponsForAdmin,
+    getCouponByIdForAdmin,
+    updateCoupon,
+    deleteCoupon,
+    toggleCouponStatus
+} from "../../controllers/coupon.controller.js";
+
+const router = express.Router();
+
+/**
+ * @route   POST /
+ * @desc    Create new coupon
+ */
+router.post("/", createCoupon);
+
+/**
+ * @route   GET /
+ * @desc    Get all coupons for admin
+ */
+router.get("/", getCouponsForAdmin);
+
+/**
+ * @route   GET /:id
+ * @desc    Get coupon by ID with redemptions
+ */
+router.get("/:id", getCouponByIdForAdmin);
+
+/**
+ * @route   PUT /:id
+ * @desc    Update coupon details
+ */
+router.put("/:id", updateCoupon);
+
+/**
+ * @route   DELETE /:id
+ * @desc    Delete a coupon
+ */
+router.delete("/:id", deleteCoupon);
+
+/**
+ * @route   PATCH /:id/toggle
+ * @desc    Toggle coupon status (active/inactive)
+ */
+router.patch("/:id/toggle", toggleCouponStatus);
+
+export default router;
@@ -0,0 +1,31 @@
+import { Router } from 'express';
+import {
+    listCreditNotes,
+    exportCreditNotes,
+    downloadCreditNote
+} from '../../controllers/creditNote.controller.js';
+
+const router = Router();
+
+/**
+ * @route   GET /
+ * @desc    List credit notes issued in a date range
+ * @access  Private (Admin)
+ */
+router.get('/', listCreditNotes);
+
+/**
+ * @route   GET /export
+ * @desc    Export the credit notes of a date range as CSV or JSON
+ * @access  Private (Admin)
+ */
+router.get('/export', exportCreditNotes);
+
+/**
+ * @route   GET /:id/pdf
+ * @desc    Download a credit note
+ * @access  Private (Admin)
+ */
+router.get('/:id/pdf', downloadCreditNote);
+
+export default router;
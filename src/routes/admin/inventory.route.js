@@ -0,0 +1,60 @@
+import { Router } from 'express';
+import {
+    getMovementsBySku,
+    setSkuStock,
+    getReconciliation,
+    fixReconciliation,
+    setSkuThreshold,
+    getLowStock
+} from '../../controllers/inventory.controller.js';
+import { invalidateCacheOnChange } from '../../middleware/cacheMiddleware.js';
+import { CacheTag } from '../../utils/responseCache.js';
+
+const router = Router();
+
+// Stock set by hand shows in the public catalog
+router.use(invalidateCacheOnChange(CacheTag.PRODUCTS));
+
+/**
+ * @route   GET /low-stock
+ * @desc    List low and out of stock SKUs with sales velocity
+ * @access  Private (Admin)
+ */
+router.get('/low-stock', getLowStock);
+
+/**
+ * @route   GET /reconcile
+ * @desc    Compare the stock ledger with the current product stock
+ * @access  Private (Admin)
+ */
+router.get('/reconcile', getReconciliation);
+
+/**
+ * @route   POST /reconcile
+ * @desc    Record corrections for SKUs that do not match the ledger
+ * @access  Private (Admin)
+ */
+router.post('/reconcile', fixReconciliation);
+
+/**
+ * @route   GET /:sku/movements
+ * @desc    Get the stock history of a SKU
+ * @access  Private (Admin)
+ */
+router.get('/:sku/movements', getMovementsBySku);
+
+/**
+ * @route   PUT /:sku/stock
+ * @desc    Set the stock of a SKU
+ * @access  Private (Admin)
+ */
+router.put('/:sku/stock', setSkuStock);
+
+/**
+ * @route   PUT /:sku/threshold
+ * @desc    Set the reorder threshold of a SKU
+ * @access  Private (Admin)
+ */
+router.put('/:sku/threshold', setSkuThreshold);
+
+export default router;
@@ -14,8 +14,17 @@ import {
     assignAWBStep,
     generatePickupStep,
     updateOrderItemStatus,
-    getAvailableStatusTransitions
+    getAvailableStatusTransitions,
+    inspectReturn,
+    cancelOrderItemByAdmin,
+    getOrderLedgerByOrderId
 } from '../../controllers/newOrder.controller.js';
+import {
+    bookItemExchangePickup,
+    receiveItemExchange,
+    cancelItemExchangeByAdmin
+} from '../../controllers/exchange.controller.js';
+import { downloadInvoiceByAdmin } from '../../controllers/invoice.controller.js';
 import { shiprocketMiddleware } from '../../middleware/shiprocketMiddleware.js';
 
 const router = express.Router();
@@ -26,6 +35,12 @@ router.get('/', getAllOrders);
 // Fetch items of a specific order
 router.get('/:orderId/items', getOrderItemsByOrderId);
 
+// Money per line: charges, discounts, shipping, refunds and what is left to refund
+router.get('/:orderId/ledger', getOrderLedgerByOrderId);
+
+// GST invoice PDF, issued on first download
+router.get('/:orderId/invoice', downloadInvoiceByAdmin);
+
 // Cancel a return request for an item
 router.put('/items/return-cancel', processReturnCancel);
 
@@ -41,6 +56,17 @@ router.get('/returns/:returnId', getReturnRequestDetails);
 // Update return request status
 router.put('/returns/:returnId/status', updateReturnRequestStatus);
 
+// Record the QC decision on a returned item (restockable or damaged)
+router.put('/items/:itemId/return-inspection', inspectReturn);
+
+// Cancel an item on behalf of the customer
+router.post('/items/cancel', cancelOrderItemByAdmin);
+
+// Exchange routes - reverse pickup, receipt with replacement order, cancellation
+router.post('/items/:itemId/exchange/pickup', shiprocketMiddleware, bookItemExchangePickup);
+router.post('/items/:itemId/exchange/receive', receiveItemExchange);
+router.post('/items/:itemId/exchange/cancel', cancelItemExchangeByAdmin);
+
 // Refund management routes
 router.get('/refunds', getAllRefundRequests);
 router.put('/refunds/:refundRequestId/approve', approveRefundRequest);
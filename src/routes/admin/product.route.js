@@ -10,13 +10,24 @@ import {
     deleteVariant,
     getVariantById,
     getProductByIdForAdmin,
-    getProductStats
+    getProductStats,
+    getStockBySku
 } from "../../controllers/product.controller.js";
-import { upload } from "../../middleware/multer.js";
+import {
+    exportProducts,
+    importProducts,
+    getImportStatus
+} from "../../controllers/productImport.controller.js";
+import { upload, uploadImportFile } from "../../middleware/multer.js";
+import { invalidateCacheOnChange } from "../../middleware/cacheMiddleware.js";
+import { CacheTag } from "../../utils/responseCache.js";
 
 
 const router = express.Router();
 
+// Product and variant changes show in the public catalog
+router.use(invalidateCacheOnChange(CacheTag.PRODUCTS));
+
 /**
  * @route   POST /
  * @desc    Create new product
@@ -27,6 +38,30 @@ router.post(
     createProduct
 );
 
+/**
+ * @route   GET /export
+ * @desc    Export the catalog as CSV or JSON (?format=json)
+ */
+router.get("/export", exportProducts);
+
+/**
+ * @route   POST /import
+ * @desc    Import a CSV/JSON catalog file, ?dryRun=true only returns the diff
+ */
+router.post("/import", uploadImportFile, importProducts);
+
+/**
+ * @route   GET /import/:jobId
+ * @desc    Get the progress of a queued import
+ */
+router.get("/import/:jobId", getImportStatus);
+
+/**
+ * @route   GET /sku/:code
+ * @desc    Look up stock by SKU or barcode
+ */
+router.get("/sku/:code", getStockBySku);
+
 /**
  * @route   PATCH /:id
  * @desc    Update product details
@@ -0,0 +1,13 @@
+import express from 'express';
+import {
+  getAdminReturnPolicy,
+  updateAdminReturnPolicy
+} from '../../controllers/returnPolicy.controller.js';
+
+const router = express.Router();
+
+// Admin return policy routes
+router.get('/config', getAdminReturnPolicy);
+router.put('/config', updateAdminReturnPolicy);
+
+export default router;
@@ -5,11 +5,17 @@ import {
     deleteSale,
     getSalesForAdmin,
     getSaleByIdForAdmin,
-    toggleSaleStatus
+    toggleSaleStatus,
+    getSaleSchedule
 } from "../../controllers/sale.controller.js";
+import { invalidateCacheOnChange } from "../../middleware/cacheMiddleware.js";
+import { CacheTag } from "../../utils/responseCache.js";
 
 const router = express.Router();
 
+// Sales change product prices in the public catalog
+router.use(invalidateCacheOnChange(CacheTag.PRODUCTS));
+
 /**
  * @route   POST /
  * @desc    Create new sale
@@ -22,6 +28,12 @@ router.post("/", createSale);
  */
 router.get("/", getSalesForAdmin);
 
+/**
+ * @route   GET /schedule
+ * @desc    Get upcoming sale starts and ends
+ */
+router.get("/schedule", getSaleSchedule);
+
 /**
  * @route   GET /:id
  * @desc    Get sale by ID
@@ -0,0 +1,13 @@
+import express from 'express';
+import {
+  getAdminShippingConfig,
+  updateAdminShippingConfig
+} from '../../controllers/shipping.controller.js';
+
+const router = express.Router();
+
+// Admin shipping routes
+router.get('/config', getAdminShippingConfig);
+router.put('/config', updateAdminShippingConfig);
+
+export default router;
@@ -5,7 +5,9 @@ import {
     getProductStats,
     getSalesStats,
     getOrderStats,
-    getPaymentStats
+    getPaymentStats,
+    getWishlistStats,
+    getFunnelStats
 } from '../../controllers/stats.controller.js';
 
 const router = Router();
@@ -52,4 +54,18 @@ router.get('/orders', getOrderStats);
  */
 router.get('/payments', getPaymentStats);
 
+/**
+ * @route   GET /wishlist
+ * @desc    Get the most wishlisted products
+ * @access  Private (Admin)
+ */
+router.get('/wishlist', getWishlistStats);
+
+/**
+ * @route   GET /funnel
+ * @desc    Get the conversion funnel of products over a date range
+ * @access  Private (Admin)
+ */
+router.get('/funnel', getFunnelStats);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,13 @@
+import express from 'express';
+import {
+  razorpayWebhook,
+  cashfreeWebhook
+} from '../controllers/payment.controller.js';
+
+const router = express.Router();
+
+// Webhook endpoints (no authentication required, verified by signature)
+router.post('/razorpay/webhook', razorpayWebhook);
+router.post('/cashfree/webhook', cashfreeWebhook);
+
+export default router;
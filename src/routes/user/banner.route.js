@@ -1,5 +1,7 @@
 import express from "express";
 import { getActiveBanners } from "../../controllers/banners.controller.js";
+import { cacheResponse } from "../../middleware/cacheMiddleware.js";
+import { CacheTag } from "../../utils/responseCache.js";
 
 const router = express.Router();
 
@@ -8,7 +10,7 @@ const router = express.Router();
  * @desc    Get all banners, or filtered by active status
  * @access  Private (Admin)
  */
-router.get("/", getActiveBanners);
+router.get("/", cacheResponse(CacheTag.BANNERS), getActiveBanners);
 
 
 export default router;
\ No newline at end of file
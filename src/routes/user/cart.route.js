@@ -3,7 +3,8 @@ import {
     addProductinCart,
     GetCartProducts,
     RemoveFromCart,
-    UpdateQuantity
+    UpdateQuantity,
+    GetCartMergeReport
 } from "../../controllers/cart.controller.js";
 
 const router = express.Router();
@@ -36,4 +37,11 @@ router.delete("/remove-item", RemoveFromCart);
  */
 router.patch("/update-quantity", UpdateQuantity);
 
+/**
+ * @route   GET /cart/merge-report
+ * @desc    Get guest cart lines that could not be merged at login
+ * @access  Private (User)
+ */
+router.get("/merge-report", GetCartMergeReport);
+
 export default router;
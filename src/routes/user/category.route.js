@@ -4,6 +4,8 @@ import {
     getCategoryById,
     getProductsOfCategory,
 } from "../../controllers/category.controller.js";
+import { cacheResponse } from "../../middleware/cacheMiddleware.js";
+import { CacheTag } from "../../utils/responseCache.js";
 
 const router = express.Router();
 
@@ -19,7 +21,7 @@ router.get("/:id", getCategoryById);
  * @desc    Create a new category
  * @access  Public
  */
-router.get("/", getActiveCategories);
+router.get("/", cacheResponse(CacheTag.CATEGORIES), getActiveCategories);
 
 /**
  * @route   GET /:id/products
@@ -27,7 +29,11 @@ router.get("/", getActiveCategories);
  * @access  Public
  */
 
-router.get("/:id/products", getProductsOfCategory);
+router.get(
+    "/:id/products",
+    cacheResponse(CacheTag.PRODUCTS, CacheTag.CATEGORIES, CacheTag.COLORS),
+    getProductsOfCategory
+);
 
 export default router;
 
@@ -1,5 +1,7 @@
 import express from "express";
 import { getActiveColors, getProductsOfColor } from "../../controllers/color.controller.js";
+import { cacheResponse } from "../../middleware/cacheMiddleware.js";
+import { CacheTag } from "../../utils/responseCache.js";
 
 
 const router = express.Router();
@@ -9,7 +11,7 @@ const router = express.Router();
  * @desc    Get all active colors
  * @access  Private (Admin)
  */
-router.get("/", getActiveColors);
+router.get("/", cacheResponse(CacheTag.COLORS), getActiveColors);
 
 /**
  * @route   GET /:id
@@ -0,0 +1,12 @@
+import express from "express";
+import { validateCoupon } from "../../controllers/coupon.controller.js";
+
+const router = express.Router();
+
+/**
+ * @route   POST /validate
+ * @desc    Validate a coupon code against the user's cart
+ */
+router.post("/validate", validateCoupon);
+
+export default router;
@@ -13,6 +13,13 @@ import {
     requestRefund,
     getUserRefundRequests,
 } from '../../controllers/newOrder.controller.js';
+import {
+    requestItemExchange,
+    cancelItemExchange,
+} from '../../controllers/exchange.controller.js';
+import { getReturnReasons } from '../../controllers/returnPolicy.controller.js';
+import { downloadInvoice } from '../../controllers/invoice.controller.js';
+import { uploadReturnEvidence } from '../../middleware/multer.js';
 
 const router = express.Router();
 
@@ -30,10 +37,16 @@ router.put('/addresses/:addressId/default', setDefaultAddress);
 router.post('/refund/request', requestRefund);
 router.get('/refund/requests', getUserRefundRequests);
 
+// Return reasons to pick from (must come before dynamic routes)
+router.get('/return-reasons', getReturnReasons);
+
 // Order routes (distribution routes come last)
 router.get('/:orderId', getOrderByOrderId);
+router.get('/:orderId/invoice', downloadInvoice);
 router.put('/cancel', cancelOrderItem);
-router.put('/return', returnOrderItem);
+router.put('/return', uploadReturnEvidence, returnOrderItem);
 router.put('/return-cancel', returnOrderItem);
+router.put('/exchange', requestItemExchange);
+router.put('/exchange-cancel', cancelItemExchange);
 
 export default router;
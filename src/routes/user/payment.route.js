@@ -5,9 +5,7 @@ import {
   createSimplePayment,
   verifyRazorpayPayment,
   verifyCashfreePayment,
-  getPaymentTransactions,
-  razorpayWebhook,
-  cashfreeWebhook
+  getPaymentTransactions
 } from '../../controllers/payment.controller.js';
 
 const router = express.Router();
@@ -28,8 +26,4 @@ router.post('/verify/cashfree', verifyCashfreePayment);
 // Get payment transactions
 router.get('/transactions/:orderId', getPaymentTransactions);
 
-// Webhook endpoints (no authentication required)
-router.post('/razorpay/webhook', razorpayWebhook);
-router.post('/cashfree/webhook', cashfreeWebhook);
-
 export default router;
@@ -2,8 +2,14 @@ import express from "express";
 import {
     getAllProducts,
     getProductById,
-    searchProducts
+    searchProducts,
+    getRecentlyViewedProducts,
+    getRelatedProductsById
 } from "../../controllers/product.controller.js";
+import { authMiddleware } from "../../middleware/authMiddleware.js";
+import { optionalAuthMiddleware } from "../../middleware/optionalAuthMiddleware.js";
+import { cacheResponse } from "../../middleware/cacheMiddleware.js";
+import { CacheTag } from "../../utils/responseCache.js";
 
 const router = express.Router();
 
@@ -12,20 +18,34 @@ const router = express.Router();
  * @desc    Get all active products (optionally filter by category, gender, isOnSale)
  * @access  Public
  */
-router.get("/", getAllProducts);
+router.get("/", cacheResponse(CacheTag.PRODUCTS, CacheTag.CATEGORIES, CacheTag.COLORS), getAllProducts);
 
 /**
  * @route   GET /products/search
- * @desc    Search products with query parameter
+ * @desc    Search products by relevance, with facets and pagination
  * @access  Public
  */
 router.get("/search", searchProducts);
 
+/**
+ * @route   GET /products/recently-viewed
+ * @desc    Get the products the user viewed recently
+ * @access  Private
+ */
+router.get("/recently-viewed", authMiddleware, getRecentlyViewedProducts);
+
+/**
+ * @route   GET /products/:id/related
+ * @desc    Get products customers also bought
+ * @access  Public
+ */
+router.get("/:id/related", getRelatedProductsById);
+
 /**
  * @route   GET /products/:id
- * @desc    Get a single product by ID
+ * @desc    Get a single product by ID, views of logged-in users go to their recently viewed list
  * @access  Public
  */
-router.get("/:id", getProductById);
+router.get("/:id", optionalAuthMiddleware, getProductById);
 
 export default router;
@@ -0,0 +1,28 @@
+import express from "express";
+import {
+    createAlert,
+    getMyAlerts,
+    deleteAlert
+} from "../../controllers/productAlert.controller.js";
+
+const router = express.Router();
+
+/**
+ * @route   POST /
+ * @desc    Subscribe to a restock or price drop alert
+ */
+router.post("/", createAlert);
+
+/**
+ * @route   GET /
+ * @desc    Get the user's open alerts
+ */
+router.get("/", getMyAlerts);
+
+/**
+ * @route   DELETE /:id
+ * @desc    Unsubscribe from an alert
+ */
+router.delete("/:id", deleteAlert);
+
+export default router;
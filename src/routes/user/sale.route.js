@@ -1,5 +1,5 @@
 import express from "express";
-import { getActiveSale } from "../../controllers/sale.controller.js";
+import { getActiveSale, getRunningSales } from "../../controllers/sale.controller.js";
 import checkActiveSale from "../../middleware/checkActiveSale.js";
 
 const saleRoute = express.Router();
@@ -13,4 +13,11 @@ saleRoute.get(
     getActiveSale
 );
 
+// Every running sale when several overlap
+saleRoute.get(
+    "/running",
+    checkActiveSale(true),
+    getRunningSales
+);
+
 export default saleRoute;
@@ -0,0 +1,9 @@
+import express from 'express';
+import { getShippingQuote } from '../../controllers/shipping.controller.js';
+
+const router = express.Router();
+
+// Get shipping charges for a set of items (same rules as order creation)
+router.post('/quote', getShippingQuote);
+
+export default router;
@@ -0,0 +1,39 @@
+import express from "express";
+import {
+    getWishlist,
+    addToWishlist,
+    removeFromWishlist,
+    moveWishlistItemToCart
+} from "../../controllers/wishlist.controller.js";
+
+const router = express.Router();
+
+/**
+ * @route   GET /wishlist
+ * @desc    Get all products in the wishlist
+ * @access  Private (User)
+ */
+router.get("/", getWishlist);
+
+/**
+ * @route   POST /wishlist
+ * @desc    Add a product to the wishlist
+ * @access  Private (User)
+ */
+router.post("/", addToWishlist);
+
+/**
+ * @route   DELETE /wishlist/remove-item
+ * @desc    Remove a product from the wishlist by productId, colorId, and size
+ * @access  Private (User)
+ */
+router.delete("/remove-item", removeFromWishlist);
+
+/**
+ * @route   POST /wishlist/move-to-cart
+ * @desc    Move a product from the wishlist to the cart
+ * @access  Private (User)
+ */
+router.post("/move-to-cart", moveWishlistItemToCart);
+
+export default router;
@@ -13,6 +13,7 @@ import passport from 'passport';
 import configurePassport from "./config/passport.js";
 import { adminMiddleware } from "./middleware/adminMiddleware.js";
 import { authMiddleware } from "./middleware/authMiddleware.js";
+import { cartIdentityMiddleware } from "./middleware/cartIdentityMiddleware.js";
 import bannerRoutes from "./routes/user/banner.route.js";
 import adminBannerRoutes from "./routes/admin/banner.route.js";
 import categoryRoutes from "./routes/user/category.route.js";
@@ -34,12 +35,25 @@ import adminPaymentRoutes from "./routes/admin/payment.route.js";
 import reviewRoutes from "./routes/review.route.js";
 import adminStatsRoutes from "./routes/admin/stats.route.js";
 import addressRoutes from "./routes/user/address.route.js";
+import couponRoutes from "./routes/user/coupon.route.js";
+import adminCouponRoutes from "./routes/admin/coupon.route.js";
+import shippingRoutes from "./routes/user/shipping.route.js";
+import adminShippingRoutes from "./routes/admin/shipping.route.js";
+import adminInventoryRoutes from "./routes/admin/inventory.route.js";
+import adminReturnPolicyRoutes from "./routes/admin/returnPolicy.route.js";
+import adminCreditNoteRoutes from "./routes/admin/creditNote.route.js";
+import wishlistRoutes from "./routes/user/wishlist.route.js";
+import productAlertRoutes from "./routes/user/productAlert.route.js";
 import initSentry from "./utils/sentry.js";
 import * as Sentry from "@sentry/node"
 import { startAllWorkers } from "./queue/workers/workerFactory.js";
 import shiprocketRoutes from "./routes/admin/shiprocket.route.js";
 import webhookRoutes from "./routes/webhook.route.js";
+import paymentWebhookRoutes from "./routes/paymentWebhook.route.js";
 import { createAdminUser } from "./utils/rolechange.js";
+import { backfillSkus } from "./services/skuService.js";
+import { backfillOpeningBalances } from "./services/inventoryService.js";
+import { reconcileSales } from "./services/saleScheduleService.js";
 
 
 // Initialize Sentry...,,,....
@@ -64,6 +78,29 @@ connectDB().then(async () => {
   } catch (error) {
     logger.error("Failed to create admin user:", error);
   }
+
+  try {
+    const updated = await backfillSkus();
+    if (updated) logger.info(`Backfilled SKUs for ${updated} product(s)`);
+  } catch (error) {
+    logger.error("Failed to backfill SKUs:", error);
+  }
+
+  // Needs the SKUs from the step above
+  try {
+    const opened = await backfillOpeningBalances();
+    if (opened) logger.info(`Opened the stock ledger for ${opened} SKU(s)`);
+  } catch (error) {
+    logger.error("Failed to open the stock ledger:", error);
+  }
+
+  // Sales that should have started or ended while the server was down
+  try {
+    const changed = await reconcileSales();
+    if (changed) logger.info(`Switched ${changed} sale(s) to match their dates`);
+  } catch (error) {
+    logger.error("Failed to reconcile sales:", error);
+  }
 });
 
 // Middlewares
@@ -82,12 +119,18 @@ const allowedOrigins = [
 app.use(cors({
   origin: allowedOrigins,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With", "x-api-key" , "x-shiprocket-token"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With", "x-api-key" , "x-shiprocket-token", "x-guest-cart-token"],
   exposedHeaders: ["Content-Range", "X-Content-Range"],
   credentials: true,
 }));
 
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body, payment webhook signatures are computed over the exact bytes
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(cookieParser());
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(helmet());
@@ -133,12 +176,17 @@ app.use("/api/categories", categoryRoutes);
 app.use("/api/colors", colorRoutes);
 app.use("/api/products", productRoutes);
 app.use("/api/orders", authMiddleware, orderRoutes);
-app.use("/api/cart", authMiddleware, cartRoutes);
+app.use("/api/cart", cartIdentityMiddleware, cartRoutes); // guests allowed
 app.use("/api/newOrders", authMiddleware, newOrderRoutes);
 app.use("/api/sale", authMiddleware, saleRoutes);
+app.use("/api/payments", paymentWebhookRoutes); // must stay before the authenticated payment routes
 app.use("/api/payments", authMiddleware, paymentRoutes);
 app.use("/api/reviews", reviewRoutes);
 app.use("/api/address", addressRoutes);
+app.use("/api/coupons", authMiddleware, couponRoutes);
+app.use("/api/shipping", shippingRoutes);
+app.use("/api/wishlist", authMiddleware, wishlistRoutes);
+app.use("/api/alerts", authMiddleware, productAlertRoutes);
 
 //Admin Routes
 app.use("/api/admin/banners", adminMiddleware, adminBannerRoutes);
@@ -152,6 +200,11 @@ app.use("/api/admin/users", adminMiddleware, adminUserRoutes);
 app.use("/api/admin/payments", adminMiddleware, adminPaymentRoutes);
 app.use("/api/admin/stats", adminMiddleware, adminStatsRoutes);
 app.use("/api/admin/shiprocket", adminMiddleware, shiprocketRoutes);
+app.use("/api/admin/coupons", adminMiddleware, adminCouponRoutes);
+app.use("/api/admin/shipping", adminMiddleware, adminShippingRoutes);
+app.use("/api/admin/inventory", adminMiddleware, adminInventoryRoutes);
+app.use("/api/admin/return-policy", adminMiddleware, adminReturnPolicyRoutes);
+app.use("/api/admin/credit-notes", adminMiddleware, adminCreditNoteRoutes);
 
 // Webhook routes (no authentication required for external webhooks)
 app.use("/api/webhooks", webhookRoutes);
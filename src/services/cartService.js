@@ -0,0 +1,288 @@
+import jwt from 'jsonwebtoken';
+import Color from '../models/color.model.js';
+import Product from '../models/product.model.js';
+import User from '../models/user.model.js';
+import Cart from '../models/cart.model.js';
+import { withTransaction } from '../utils/withTransaction.js';
+import { _config } from '../config/config.js';
+
+const GUEST_CART_TTL_DAYS = 30;
+const GUEST_CART_TTL = GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+export const GUEST_CART_COOKIE = 'guestCartToken';
+export const GUEST_CART_HEADER = 'x-guest-cart-token';
+
+/**
+ * Sign a token that identifies a guest cart
+ * @param {string} cartId - Cart ID
+ * @returns {string}
+ */
+export const signGuestCartToken = (cartId) =>
+  jwt.sign({ cartId: cartId.toString(), type: 'guest-cart' }, _config.GUEST_CART_SECRET, {
+    expiresIn: `${GUEST_CART_TTL_DAYS}d`
+  });
+
+/**
+ * Read the cart ID from a guest cart token
+ * @param {string} token - Guest cart token
+ * @returns {string|null} - Cart ID, or null if the token is missing, expired or forged
+ */
+export const verifyGuestCartToken = (token) => {
+  if (!token) return null;
+  try {
+    const payload = jwt.verify(token, _config.GUEST_CART_SECRET);
+    return payload.type === 'guest-cart' ? payload.cartId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Set the guest cart cookie, same options as the refresh token cookie
+ */
+export const setGuestCartCookie = (res, token) => {
+  res.cookie(GUEST_CART_COOKIE, token, {
+    httpOnly: true,
+    secure: _config.NODE_ENV === 'production',
+    sameSite: _config.NODE_ENV === 'production' ? 'None' : 'Lax',
+    maxAge: GUEST_CART_TTL
+  });
+};
+
+export const clearGuestCartCookie = (res) => {
+  res.clearCookie(GUEST_CART_COOKIE, {
+    httpOnly: true,
+    secure: _config.NODE_ENV === 'production',
+    sameSite: _config.NODE_ENV === 'production' ? 'None' : 'Lax'
+  });
+};
+
+/**
+ * Find the cart of a user or a guest
+ * @param {Object} owner - { userId } or { guestCartId }
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<Object|null>} - Cart document
+ */
+export const findCart = async ({ userId, guestCartId }, session = null) => {
+  if (userId) {
+    const user = await User.findById(userId).session(session);
+    return user?.cartList ? Cart.findById(user.cartList).session(session) : null;
+  }
+  if (guestCartId) {
+    return Cart.findOne({ _id: guestCartId, isGuest: true }).session(session);
+  }
+  return null;
+};
+
+/**
+ * Find the cart of a user or a guest, creating it if needed.
+ * A new guest cart is returned with isNew so the caller can hand out its token.
+ * @param {Object} owner - { userId } or { guestCartId }
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<Object>} - { cart, isNew }
+ */
+export const getOrCreateCart = async ({ userId, guestCartId }, session = null) => {
+  const existing = await findCart({ userId, guestCartId }, session);
+  if (existing) return { cart: existing, isNew: false };
+
+  if (userId) {
+    const user = await User.findById(userId).session(session);
+    const [cart] = await Cart.create([{ items: [] }], { session });
+    user.cartList = cart._id;
+    await user.save({ session });
+    return { cart, isNew: true };
+  }
+
+  const [cart] = await Cart.create(
+    [{ items: [], isGuest: true, expiresAt: new Date(Date.now() + GUEST_CART_TTL) }],
+    { session }
+  );
+  return { cart, isNew: true };
+};
+
+/**
+ * Check that a product variant can be added to a cart in the requested quantity
+ * @param {Object} params
+ * @param {string} params.productId - Product ID
+ * @param {string} params.colorId - Color ID
+ * @param {string} params.size - Size label
+ * @param {number} params.quantity - Requested quantity
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<Object>} - { isValid, status, message, product, color, variant, sizeOption }
+ */
+export const validateCartItem = async ({ productId, colorId, size, quantity }, session = null) => {
+  if (!productId) {
+    return { isValid: false, status: 400, message: 'Please select product.' };
+  }
+  if (!colorId) {
+    return { isValid: false, status: 400, message: 'Please select color.' };
+  }
+  if (!quantity || quantity <= 0) {
+    return { isValid: false, status: 400, message: 'Please select a valid quantity.' };
+  }
+  if (!size) {
+    return { isValid: false, status: 400, message: 'Please select size.' };
+  }
+
+  const product = await Product.findOne({ _id: productId, isActive: true }).session(session);
+  if (!product) {
+    return { isValid: false, status: 404, message: 'Product not found.' };
+  }
+
+  // Check if product has variants
+  if (!Array.isArray(product.variants) || product.variants.length === 0) {
+    return { isValid: false, status: 400, message: 'Product has no variants available.' };
+  }
+
+  const color = await Color.findOne({ _id: colorId, isActive: true }).session(session);
+  if (!color) {
+    return { isValid: false, status: 404, message: 'Color not found.' };
+  }
+
+  const variant = product.variants.find((v) => v.color && v.color.equals(color._id));
+  if (!variant) {
+    return { isValid: false, status: 404, message: 'Selected variant not found.' };
+  }
+
+  // Check if variant has sizes
+  if (!Array.isArray(variant.sizes) || variant.sizes.length === 0) {
+    return { isValid: false, status: 400, message: 'Selected variant has no sizes available.' };
+  }
+
+  const sizeOption = variant.sizes.find((s) => s.size === size);
+  if (!sizeOption) {
+    return { isValid: false, status: 404, message: `${size} size is not available.` };
+  }
+
+  if (sizeOption.stock < quantity) {
+    return {
+      isValid: false,
+      status: 400,
+      message: `Only ${sizeOption.stock} units available in stock for size ${size}.`
+    };
+  }
+
+  return { isValid: true, product, color, variant, sizeOption };
+};
+
+/**
+ * Add a validated item to a user or guest cart, creating the cart if needed.
+ * Quantities of an item already in the cart are added together.
+ * @param {Object} params
+ * @param {Object} params.owner - { userId } or { guestCartId }
+ * @param {string} params.productId - Product ID
+ * @param {Object} params.color - Color document
+ * @param {string} params.size - Size label
+ * @param {number} params.quantity - Quantity to add
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<Object>} - { cart, isNew }
+ */
+export const addItemToCart = async ({ owner, productId, color, size, quantity }, session = null) => {
+  const { cart, isNew } = await getOrCreateCart(owner, session);
+
+  // Ensure cart.items is initialized
+  if (!cart.items) {
+    cart.items = [];
+  }
+
+  const existingItem = cart.items.find(
+    (item) =>
+      item.productId.equals(productId) &&
+      item.size === size &&
+      item.color.equals(color._id)
+  );
+
+  if (existingItem) {
+    existingItem.quantity += quantity;
+  } else {
+    cart.items.push({ productId, quantity, size, color: color._id });
+  }
+
+  // Active guest carts live on
+  if (cart.isGuest) {
+    cart.expiresAt = new Date(Date.now() + GUEST_CART_TTL);
+  }
+
+  await cart.save({ session });
+  return { cart, isNew };
+};
+
+/**
+ * Move a guest cart into a user's cart at login.
+ * Quantities of the same line are summed and capped at the current stock;
+ * lines that are gone or capped are saved as the cart's mergeReport.
+ * The guest cart is deleted afterwards.
+ * @param {Object} params
+ * @param {string} params.guestCartId - Guest cart ID
+ * @param {string} params.userId - User ID
+ * @returns {Promise<Object|null>} - { merged, items } report, or null if there was nothing to merge
+ */
+export const mergeGuestCart = async ({ guestCartId, userId }) => {
+  if (!guestCartId) return null;
+
+  return withTransaction(async (session) => {
+    const guestCart = await Cart.findOne({ _id: guestCartId, isGuest: true }).session(session);
+    if (!guestCart) return null;
+
+    if (!guestCart.items.length) {
+      await guestCart.deleteOne({ session });
+      return null;
+    }
+
+    const { cart } = await getOrCreateCart({ userId }, session);
+    const report = [];
+    let merged = 0;
+
+    for (const guestItem of guestCart.items) {
+      const product = await Product.findOne({ _id: guestItem.productId, isActive: true }).session(session);
+      const color = await Color.findOne({ _id: guestItem.color, isActive: true }).session(session);
+      const variant = color && product?.variants.find((v) => v.color && v.color.equals(color._id));
+      const stock = variant?.sizes.find((s) => s.size === guestItem.size)?.stock || 0;
+
+      const existingItem = cart.items.find(
+        (item) =>
+          item.productId.equals(guestItem.productId) &&
+          item.size === guestItem.size &&
+          item.color.equals(guestItem.color)
+      );
+      const requestedQuantity = (existingItem?.quantity || 0) + guestItem.quantity;
+      const addedQuantity = Math.min(requestedQuantity, stock);
+
+      if (addedQuantity < requestedQuantity) {
+        report.push({
+          productId: guestItem.productId,
+          name: product?.name,
+          colorId: guestItem.color,
+          size: guestItem.size,
+          requestedQuantity,
+          addedQuantity,
+          reason: !product || !variant
+            ? 'Product is no longer available'
+            : stock === 0
+              ? 'Out of stock'
+              : `Only ${stock} units available in stock`
+        });
+      }
+
+      if (addedQuantity === 0) continue;
+
+      if (existingItem) {
+        existingItem.quantity = addedQuantity;
+      } else {
+        cart.items.push({
+          productId: guestItem.productId,
+          quantity: addedQuantity,
+          size: guestItem.size,
+          color: guestItem.color
+        });
+      }
+      merged += 1;
+    }
+
+    cart.mergeReport = { mergedAt: new Date(), items: report };
+    await cart.save({ session });
+    await guestCart.deleteOne({ session });
+
+    return { merged, items: report };
+  });
+};
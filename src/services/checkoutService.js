@@ -0,0 +1,65 @@
+import Product from '../models/product.model.js';
+import { evaluateCoupon } from './couponService.js';
+import { getShippingRules, calculateShipping } from './shippingService.js';
+
+/**
+ * Rupees to paise, the unit payment transactions are kept in
+ * @param {number} amount
+ * @returns {number}
+ */
+export const toPaise = (amount) => Math.round(amount * 100);
+
+/**
+ * Total of a checkout, priced the same way createOrder prices the order:
+ * current product prices, shipping from the rules, then the coupon
+ * @param {Object} params
+ * @param {string} params.userId - Shopper
+ * @param {Array} params.items - [{ productId, colorId, quantity }]
+ * @param {string} params.paymentMethod - COD or ONLINE
+ * @param {string} [params.couponCode]
+ * @param {string} [params.postalCode] - Delivery pincode
+ * @param {string} [params.state] - Delivery state
+ * @returns {Promise<Object>} - { subtotal, shippingCharges, discount, totalAmount }
+ */
+export const quoteCheckout = async ({ userId, items, paymentMethod, couponCode, postalCode, state }) => {
+  const products = await Product.find({ _id: { $in: items.map((item) => item.productId) }, isActive: true })
+    .select('category isOnSale salePrice nonSalePrice weight');
+  const productMap = new Map(products.map((product) => [product._id.toString(), product]));
+
+  const lines = items.map((item) => {
+    const product = productMap.get(item.productId.toString());
+    if (!product) throw new Error('Product not found');
+
+    return {
+      productId: product._id,
+      categoryId: product.category,
+      colorId: item.colorId,
+      price: product.isOnSale
+        ? product.salePrice.discountedPrice
+        : product.nonSalePrice.discountedPrice,
+      quantity: item.quantity,
+      weight: product.weight
+    };
+  });
+
+  const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  const rules = await getShippingRules();
+  const shipping = calculateShipping(rules, { paymentMethod, subtotal, items: lines, postalCode, state });
+  if (!shipping.isServiceable) {
+    throw new Error('Delivery is not available for this location');
+  }
+
+  let discount = 0;
+  if (couponCode) {
+    const couponResult = await evaluateCoupon({ code: couponCode, userId, lines });
+    if (!couponResult.isValid) throw new Error(couponResult.message);
+    discount = couponResult.discount;
+  }
+
+  return {
+    subtotal,
+    shippingCharges: shipping.shippingCharges,
+    discount,
+    totalAmount: shipping.shippingCharges + subtotal - discount
+  };
+};
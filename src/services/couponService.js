@@ -0,0 +1,158 @@
+import { Coupon, DiscountType } from '../models/coupon.model.js';
+import { CouponRedemption } from '../models/couponRedemption.model.js';
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const includesId = (ids, id) => ids.some((entry) => entry.toString() === id?.toString());
+
+/**
+ * Check whether a cart line falls inside the coupon scope.
+ * Every scope that is set must match; empty scopes match everything.
+ */
+const isLineInScope = (coupon, line) => {
+  if (coupon.applicableProducts.length && !includesId(coupon.applicableProducts, line.productId)) return false;
+  if (coupon.applicableCategories.length && !includesId(coupon.applicableCategories, line.categoryId)) return false;
+  if (coupon.applicableColors.length && !includesId(coupon.applicableColors, line.colorId)) return false;
+  return true;
+};
+
+/**
+ * Calculate the discount a coupon gives on an eligible amount
+ * @param {Object} coupon - Coupon document
+ * @param {number} eligibleSubtotal - Total of the lines in scope
+ * @returns {number} - Discount in rupees
+ */
+export const calculateDiscount = (coupon, eligibleSubtotal) => {
+  let discount = coupon.discountType === DiscountType.PERCENTAGE
+    ? (eligibleSubtotal * coupon.discountValue) / 100
+    : coupon.discountValue;
+
+  if (coupon.discountType === DiscountType.PERCENTAGE && coupon.maxDiscount != null) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+
+  return roundAmount(Math.min(discount, eligibleSubtotal));
+};
+
+/**
+ * Build coupon lines from a cart populated with items.productId
+ * @param {Object} cart - Cart document
+ * @returns {Array} - [{ productId, categoryId, colorId, price, quantity }]
+ */
+export const buildCartLines = (cart) => {
+  return (cart?.items || [])
+    .filter((item) => item.productId)
+    .map((item) => ({
+      productId: item.productId._id,
+      categoryId: item.productId.category,
+      colorId: item.color?._id || item.color,
+      price: item.productId.isOnSale
+        ? item.productId.salePrice.discountedPrice
+        : item.productId.nonSalePrice.discountedPrice,
+      quantity: item.quantity
+    }));
+};
+
+/**
+ * Validate a coupon code against a set of lines for a user
+ * @param {Object} params
+ * @param {string} params.code - Coupon code as typed by the user
+ * @param {string} params.userId - User applying the coupon
+ * @param {Array} params.lines - [{ productId, categoryId, colorId, price, quantity }]
+ * @param {Object} [session] - Mongoose session
+ * @returns {Object} - { isValid, message, coupon, subtotal, eligibleSubtotal, discount }
+ */
+export const evaluateCoupon = async ({ code, userId, lines }, session = null) => {
+  const normalizedCode = code?.trim().toUpperCase();
+  if (!normalizedCode) {
+    return { isValid: false, message: 'Coupon code is required' };
+  }
+
+  const coupon = await Coupon.findOne({ code: normalizedCode }).session(session);
+  if (!coupon || !coupon.isActive) {
+    return { isValid: false, message: 'Invalid coupon code' };
+  }
+
+  const now = new Date();
+  if (now < coupon.startDate || now > coupon.endDate) {
+    return { isValid: false, message: 'This coupon is not valid right now' };
+  }
+
+  if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+    return { isValid: false, message: 'This coupon has reached its usage limit' };
+  }
+
+  const redemption = await CouponRedemption.findOne({ coupon: coupon._id, user: userId }).session(session);
+  if (redemption && redemption.count >= coupon.perUserLimit) {
+    return { isValid: false, message: 'You have already used this coupon' };
+  }
+
+  const subtotal = roundAmount(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+  if (subtotal < coupon.minCartValue) {
+    return {
+      isValid: false,
+      message: `Add items worth ₹${roundAmount(coupon.minCartValue - subtotal)} more to use this coupon`
+    };
+  }
+
+  const eligibleSubtotal = roundAmount(
+    lines
+      .filter((line) => isLineInScope(coupon, line))
+      .reduce((sum, line) => sum + line.price * line.quantity, 0)
+  );
+  if (eligibleSubtotal <= 0) {
+    return { isValid: false, message: 'This coupon is not applicable to the items in your cart' };
+  }
+
+  return {
+    isValid: true,
+    message: 'Coupon applied',
+    coupon,
+    subtotal,
+    eligibleSubtotal,
+    discount: calculateDiscount(coupon, eligibleSubtotal)
+  };
+};
+
+/**
+ * Count a coupon use against the global and per-user limits.
+ * Both counters are bumped atomically inside the order transaction; if either
+ * limit is exceeded an error is thrown so the whole order rolls back.
+ * @param {Object} params
+ * @param {Object} params.coupon - Coupon document
+ * @param {string} params.userId - User redeeming the coupon
+ * @param {string} params.orderId - Order the coupon was used on
+ * @param {number} params.discount - Discount given
+ * @param {Object} session - Mongoose session
+ */
+export const redeemCoupon = async ({ coupon, userId, orderId, discount }, session) => {
+  const updatedCoupon = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true, session }
+  );
+  if (!updatedCoupon) {
+    throw new Error('Coupon usage limit reached');
+  }
+
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { coupon: coupon._id, user: userId },
+    {
+      $inc: { count: 1 },
+      $push: { orders: { orderId, discount, redeemedAt: new Date() } }
+    },
+    { new: true, upsert: true, session }
+  );
+  if (redemption.count > coupon.perUserLimit) {
+    throw new Error('You have already used this coupon');
+  }
+
+  return updatedCoupon;
+};
@@ -0,0 +1,289 @@
+import { CreditNote } from '../models/creditNote.model.js';
+import { Invoice, SupplyType } from '../models/invoice.model.js';
+import { OrderLedgerEntry, LedgerEntryType } from '../models/orderLedger.model.js';
+import { withTransaction } from '../utils/withTransaction.js';
+import { renderPdf } from '../utils/pdf.js';
+import { toCsv } from '../utils/csv.js';
+import {
+  canIssueInvoice,
+  issueInvoice,
+  getFinancialYear,
+  nextDocumentNumber
+} from './invoiceService.js';
+
+const toPaise = (rupees) => Math.round((rupees || 0) * 100);
+const toRupees = (paise) => paise / 100;
+
+// Days of the list and export are India days, like the financial year
+const IST_OFFSET = 330 * 60 * 1000;
+const DAY = 24 * 3600 * 1000;
+
+const startOfIstDay = (date) =>
+  Math.floor((new Date(date).getTime() + IST_OFFSET) / DAY) * DAY - IST_OFFSET;
+
+/**
+ * Invoice line that billed an item, following the line it was split off
+ * when the split happened after the invoice was issued
+ */
+const findInvoiceLine = (invoice, order, item) => {
+  let current = item;
+  while (current) {
+    const currentId = current._id;
+    const line = invoice.lines.find((l) => l.items.some((id) => id.equals(currentId)));
+    if (line) return line;
+    current = current.parentItem ? order.items.id(current.parentItem) : null;
+  }
+  return null;
+};
+
+/**
+ * Reverse the refunded share of an invoice line. Taxable value and taxes
+ * shrink in the same proportion as the amount, so the credit note uses the
+ * rate and the supply type of the invoice.
+ */
+const buildCreditLine = (invoiceLine, item, amountPaise, supplyType) => {
+  const ratio = amountPaise / toPaise(invoiceLine.total);
+  const taxable = Math.round(toPaise(invoiceLine.taxableValue) * ratio);
+  const tax = amountPaise - taxable;
+  const cgst = supplyType === SupplyType.INTRA_STATE ? Math.round(toPaise(invoiceLine.cgst) * ratio) : 0;
+
+  return {
+    items: [item._id],
+    description: invoiceLine.description,
+    hsnCode: invoiceLine.hsnCode,
+    sku: invoiceLine.sku,
+    quantity: item.quantity,
+    unitPrice: invoiceLine.unitPrice,
+    discount: toRupees(Math.max(toPaise(invoiceLine.unitPrice) * item.quantity - amountPaise, 0)),
+    taxableValue: toRupees(taxable),
+    gstRate: invoiceLine.gstRate,
+    cgst: toRupees(cgst),
+    sgst: supplyType === SupplyType.INTRA_STATE ? toRupees(tax - cgst) : 0,
+    igst: supplyType === SupplyType.INTER_STATE ? toRupees(tax) : 0,
+    total: toRupees(amountPaise)
+  };
+};
+
+/**
+ * Issue the credit note of a completed refund. Call after the refund is saved.
+ * Items that were never invoiced, e.g. cancelled before shipping, need none.
+ * Errors are logged, never thrown, so a refund is not reported as failed
+ * because of its paperwork.
+ * @param {Object} order - NewOrder document
+ * @param {Object} item - Refunded order item
+ * @param {Object} [entry] - REFUND ledger entry, looked up by item.refundId when omitted
+ * @returns {Promise<Object|null>} - CreditNote document, null if none was needed or it failed
+ */
+export const issueCreditNote = async (order, item, entry = null) => {
+  let refundEntry = entry;
+  try {
+    refundEntry = refundEntry || await OrderLedgerEntry.findOne({
+      order: order._id,
+      item: item._id,
+      type: LedgerEntryType.REFUND,
+      refundId: item.refundId,
+      amount: { $lt: 0 }
+    });
+    if (!refundEntry) return null;
+
+    const existing = await CreditNote.findOne({ ledgerEntry: refundEntry._id });
+    if (existing) return existing;
+
+    let invoice = await Invoice.findOne({ order: order._id });
+    if (!invoice && canIssueInvoice(order).isValid) {
+      invoice = await issueInvoice(order);
+    }
+    if (!invoice) return null;
+
+    const invoiceLine = findInvoiceLine(invoice, order, item);
+    if (!invoiceLine || !toPaise(invoiceLine.total)) return null;
+
+    const line = buildCreditLine(invoiceLine, item, -toPaise(refundEntry.amount), invoice.supplyType);
+    const issuedAt = new Date();
+
+    return await withTransaction(async (session) => {
+      const { sequence, number } = await nextDocumentNumber('CN', getFinancialYear(issuedAt), session);
+
+      const [creditNote] = await CreditNote.create([{
+        creditNoteNumber: number,
+        financialYear: getFinancialYear(issuedAt),
+        sequence,
+        invoice: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        invoiceDate: invoice.issuedAt,
+        order: order._id,
+        orderId: order.orderId,
+        user: invoice.user,
+        item: item._id,
+        ledgerEntry: refundEntry._id,
+        refundId: refundEntry.refundId,
+        refundMethod: item.refundMethod,
+        reason: refundEntry.note || 'Refund',
+        issuedAt,
+        seller: invoice.seller,
+        buyer: invoice.buyer,
+        supplyType: invoice.supplyType,
+        placeOfSupply: invoice.placeOfSupply,
+        lines: [line],
+        totals: {
+          taxableValue: line.taxableValue,
+          cgst: line.cgst,
+          sgst: line.sgst,
+          igst: line.igst,
+          total: line.total
+        }
+      }], { session });
+
+      return creditNote;
+    });
+  } catch (error) {
+    // A parallel call issued it first
+    if (error.code === 11000) {
+      return CreditNote.findOne({ ledgerEntry: refundEntry._id });
+    }
+    console.error(`Failed to issue credit note for item ${item._id} of ${order.orderId}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Filter of credit notes issued between two India days, both included
+ */
+const issuedBetween = (from, to) => ({
+  issuedAt: {
+    $gte: new Date(startOfIstDay(from)),
+    $lt: new Date(startOfIstDay(to) + DAY)
+  }
+});
+
+/**
+ * Credit notes issued in a date range, newest first
+ * @param {Object} params - { from, to, page, limit }
+ * @returns {Promise<Object>} - { creditNotes, totals, pagination }
+ */
+export const getCreditNotes = async ({ from, to, page = 1, limit = 20 }) => {
+  const filter = issuedBetween(from, to);
+
+  const [creditNotes, total, [totals]] = await Promise.all([
+    CreditNote.find(filter)
+      .sort({ issuedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    CreditNote.countDocuments(filter),
+    CreditNote.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: null,
+          taxableValue: { $sum: '$totals.taxableValue' },
+          cgst: { $sum: '$totals.cgst' },
+          sgst: { $sum: '$totals.sgst' },
+          igst: { $sum: '$totals.igst' },
+          total: { $sum: '$totals.total' }
+        }
+      }
+    ])
+  ]);
+
+  const round = (value) => Math.round((value || 0) * 100) / 100;
+
+  return {
+    creditNotes,
+    totals: {
+      count: total,
+      taxableValue: round(totals?.taxableValue),
+      cgst: round(totals?.cgst),
+      sgst: round(totals?.sgst),
+      igst: round(totals?.igst),
+      total: round(totals?.total)
+    },
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+const EXPORT_COLUMNS = [
+  'creditNoteNumber',
+  'creditNoteDate',
+  'invoiceNumber',
+  'invoiceDate',
+  'orderId',
+  'buyerName',
+  'buyerGstin',
+  'placeOfSupply',
+  'stateCode',
+  'supplyType',
+  'hsnCode',
+  'description',
+  'quantity',
+  'gstRate',
+  'taxableValue',
+  'cgst',
+  'sgst',
+  'igst',
+  'total',
+  'refundId',
+  'reason'
+];
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+/**
+ * One row per credit note line in a date range, oldest first, for GST returns
+ * @param {Object} params - { from, to }
+ * @returns {Promise<Array<Object>>}
+ */
+export const getCreditNoteRows = async ({ from, to }) => {
+  const creditNotes = await CreditNote.find(issuedBetween(from, to)).sort({ issuedAt: 1 }).lean();
+
+  return creditNotes.flatMap((note) =>
+    note.lines.map((line) => ({
+      creditNoteNumber: note.creditNoteNumber,
+      creditNoteDate: formatDate(note.issuedAt),
+      invoiceNumber: note.invoiceNumber,
+      invoiceDate: formatDate(note.invoiceDate),
+      orderId: note.orderId,
+      buyerName: note.buyer?.name,
+      buyerGstin: note.buyer?.gstin || '',
+      placeOfSupply: note.placeOfSupply,
+      stateCode: note.buyer?.stateCode || '',
+      supplyType: note.supplyType,
+      hsnCode: line.hsnCode || '',
+      description: line.description,
+      quantity: line.quantity,
+      gstRate: line.gstRate,
+      taxableValue: line.taxableValue,
+      cgst: line.cgst,
+      sgst: line.sgst,
+      igst: line.igst,
+      total: line.total,
+      refundId: note.refundId || '',
+      reason: note.reason || ''
+    }))
+  );
+};
+
+/**
+ * Serialize credit note rows into CSV
+ * @param {Array<Object>} rows - From getCreditNoteRows
+ * @returns {string}
+ */
+export const creditNoteRowsToCsv = (rows) => toCsv(EXPORT_COLUMNS, rows);
+
+/**
+ * Render a credit note to PDF
+ * @param {Object} creditNote - CreditNote document
+ * @returns {Promise<Buffer>}
+ */
+export const renderCreditNotePdf = (creditNote) =>
+  renderPdf('CreditNote.ejs', { creditNote: creditNote.toObject ? creditNote.toObject() : creditNote });
+
+/**
+ * File name of a credit note PDF, slashes are not allowed in file names
+ */
+export const getCreditNoteFileName = (creditNote) => `${creditNote.creditNoteNumber.replace(/\//g, '-')}.pdf`;
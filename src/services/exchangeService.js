@@ -0,0 +1,296 @@
+import Product from '../models/product.model.js';
+import Color from '../models/color.model.js';
+import { NewOrder, OrderStatus, PaymentStatus } from '../models/newOrder.model.js';
+import { MovementReason } from '../models/stockMovement.model.js';
+import { ProductEventType } from '../models/productAnalytics.model.js';
+import { holdExchangeStock, releaseExchangeHold, consumeExchangeHold } from './stockReservationService.js';
+import { adjustStock } from './inventoryService.js';
+import { inspectReturnedItem } from './orderStockService.js';
+import { recordItemEvent } from './productAnalyticsService.js';
+import { recordOrderCharges, recordLineSplit } from './orderLedgerService.js';
+import { createShiprocketReturnOrder } from './shiprocketUtils.js';
+import { getOrderReturnEligibility } from './returnPolicyService.js';
+import {
+  canTransition,
+  createStatusHistoryEntry,
+  generateExchangeId,
+  generateOrderId
+} from './orderUtils.js';
+
+/**
+ * An exchange step the item or request does not allow, with the HTTP status to answer
+ */
+export class ExchangeError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ExchangeError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Check the size/color a customer wants instead of the delivered one
+ * @param {Object} item - Delivered order item
+ * @param {Object} choice - { colorId, size }, colorId defaults to the item's color
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<Object>} - { isValid, message, replacement }
+ */
+export const resolveReplacement = async (item, { colorId, size }, session) => {
+  const product = await Product.findOne({ _id: item.product.productId, isActive: true }).session(session);
+  if (!product) {
+    return { isValid: false, message: 'This product is no longer available for exchange' };
+  }
+
+  let color;
+  if (colorId) {
+    color = await Color.findOne({ _id: colorId, isActive: true }).session(session);
+  } else {
+    // Orders placed before the color id was stored on the item
+    color = item.color?.colorId
+      ? await Color.findById(item.color.colorId).session(session)
+      : await Color.findOne({ name: item.color?.name }).session(session);
+  }
+  if (!color) {
+    return { isValid: false, message: 'Color not found' };
+  }
+
+  const variant = product.variants.find((v) => v.color.equals(color._id));
+  const sizeOption = variant?.sizes.find((s) => s.size === size);
+  if (!sizeOption) {
+    return { isValid: false, message: `${product.name} is not sold in ${color.name} - size ${size}` };
+  }
+
+  if (item.size === size && item.color?.name === color.name) {
+    return { isValid: false, message: 'Pick a different size or color to exchange for' };
+  }
+
+  return {
+    isValid: true,
+    message: 'Replacement is available',
+    replacement: {
+      productId: product._id,
+      colorId: color._id,
+      colorName: color.name,
+      size,
+      sku: sizeOption.sku
+    }
+  };
+};
+
+/**
+ * Open an exchange for some or all units of a delivered item and hold the replacement
+ * @param {Object} order - NewOrder document
+ * @param {Object} item - Delivered order item
+ * @param {Object} params - { quantity, colorId, size, note, userId }
+ * @param {Object} session - Mongoose session
+ * @returns {Promise<Object>} - The order line now in exchange
+ */
+export const requestExchange = async (order, item, { quantity, colorId, size, note, userId }, session) => {
+  if (!canTransition(item.orderStatus, OrderStatus.EXCHANGE_REQUESTED.value)) {
+    throw new ExchangeError(`Cannot exchange item with status: ${item.orderStatus}`);
+  }
+  if (quantity > item.quantity) {
+    throw new ExchangeError('Exchange quantity exceeds ordered quantity');
+  }
+
+  // Exchanges follow the return policy window
+  const eligibility = (await getOrderReturnEligibility(order, session)).get(item._id.toString());
+  if (!eligibility.isEligible) {
+    throw new ExchangeError(eligibility.message);
+  }
+
+  const choice = await resolveReplacement(item, { colorId, size }, session);
+  if (!choice.isValid) throw new ExchangeError(choice.message);
+
+  let exchangeId;
+  do {
+    exchangeId = generateExchangeId();
+  } while (await NewOrder.exists({ 'items.exchange.exchangeId': exchangeId }).session(session));
+
+  const hold = await holdExchangeStock({
+    userId,
+    reference: exchangeId,
+    item: { ...choice.replacement, quantity }
+  }, session);
+  if (!hold) {
+    throw new ExchangeError(`${choice.replacement.colorName} - size ${size} is out of stock`);
+  }
+
+  let line = item;
+  if (quantity < item.quantity) {
+    const exchangedBatch = item.toObject({ depopulate: true });
+    delete exchangedBatch._id;
+    exchangedBatch.quantity = quantity;
+
+    item.quantity -= quantity;
+    order.items.push(exchangedBatch);
+    line = order.items[order.items.length - 1];
+    await recordLineSplit(order, item, line, session);
+  }
+
+  line.orderStatus = OrderStatus.EXCHANGE_REQUESTED.value;
+  line.statusHistory.push(
+    createStatusHistoryEntry(
+      OrderStatus.EXCHANGE_REQUESTED.value,
+      note || `Exchange for ${choice.replacement.colorName} - size ${size} requested`
+    )
+  );
+  line.exchange = {
+    exchangeId,
+    requestedAt: new Date(),
+    note,
+    replacement: choice.replacement,
+    reservation: hold._id
+  };
+
+  return line;
+};
+
+/**
+ * Book the reverse pickup of an exchange with Shiprocket
+ * @param {Object} order - NewOrder document
+ * @param {Object} item - Line in exchange
+ * @param {Object} params - { dimensions: { length, breadth, height, weight }, token, note }
+ */
+export const bookExchangePickup = async (order, item, { dimensions, token, note }) => {
+  if (!canTransition(item.orderStatus, OrderStatus.DEPARTED_FOR_EXCHANGE.value)) {
+    throw new ExchangeError(`Cannot book a pickup for item with status: ${item.orderStatus}`);
+  }
+
+  const response = await createShiprocketReturnOrder(order, [item], dimensions, token);
+  if (!response?.success || !response.data) {
+    throw new Error(`Reverse pickup could not be booked: ${response?.error || 'Unknown error'}`);
+  }
+
+  if (!item.shiprocket) item.shiprocket = {};
+  Object.assign(item.shiprocket, {
+    returnOrderId: response.data.order_id || response.data.return_order_id,
+    returnShipmentId: response.data.shipment_id || response.data.return_shipment_id,
+    returnTrackingNumber: response.data.tracking_number || response.data.return_tracking_number
+  });
+
+  item.orderStatus = OrderStatus.DEPARTED_FOR_EXCHANGE.value;
+  item.exchange.departedAt = new Date();
+  item.statusHistory.push(
+    createStatusHistoryEntry(OrderStatus.DEPARTED_FOR_EXCHANGE.value, note || 'Reverse pickup booked for exchange')
+  );
+};
+
+/**
+ * Take in the exchanged unit and create the replacement as a zero-value order
+ * that ships through the usual Shiprocket steps
+ * @param {Object} order - NewOrder document
+ * @param {Object} item - Line in exchange
+ * @param {Object} params - { condition, note, actor }
+ * @param {Object} session - Mongoose session
+ * @returns {Promise<Object>} - Replacement NewOrder
+ */
+export const receiveExchange = async (order, item, { condition, note, actor }, session) => {
+  if (!canTransition(item.orderStatus, OrderStatus.EXCHANGED.value) || !item.exchange) {
+    throw new ExchangeError(`Cannot receive an exchange for item with status: ${item.orderStatus}`);
+  }
+
+  const { exchangeId, replacement } = item.exchange;
+
+  await inspectReturnedItem(
+    item,
+    { condition, orderId: order.orderId, actor, note: note || `Unit returned for exchange ${exchangeId}` },
+    session
+  );
+
+  // A hold that expired while the unit was on its way gave its stock back
+  if (!(await consumeExchangeHold(exchangeId, session))) {
+    const taken = await adjustStock({
+      productId: replacement.productId,
+      colorId: replacement.colorId,
+      size: replacement.size,
+      delta: -item.quantity,
+      reason: MovementReason.ORDER,
+      actor,
+      reference: exchangeId,
+      note: 'Exchange replacement, hold had expired'
+    }, session);
+    if (!taken) {
+      throw new ExchangeError(`The replacement (${replacement.colorName} - size ${replacement.size}) is out of stock`);
+    }
+  }
+
+  const [product, color] = await Promise.all([
+    Product.findById(replacement.productId).session(session),
+    Color.findById(replacement.colorId).session(session)
+  ]);
+  const variant = product.variants.find((v) => v.color.equals(replacement.colorId));
+  const productImage = variant?.images?.[0] || product.images?.[0] || { secure_url: variant?.orderImage };
+
+  let orderId;
+  do {
+    orderId = generateOrderId();
+  } while (await NewOrder.exists({ orderId }).session(session));
+
+  const entry = createStatusHistoryEntry(OrderStatus.ORDERED.value, `Replacement for exchange ${exchangeId} of order ${order.orderId}`);
+  const [replacementOrder] = await NewOrder.create([{
+    orderId,
+    user: order.user,
+    items: [{
+      product: {
+        productId: product._id,
+        name: product.name,
+        image: {
+          id: productImage.id || null,
+          secure_url: productImage.secure_url || '/placeholder-product.jpg'
+        }
+      },
+      color: {
+        colorId: color._id,
+        name: color.name,
+        hexCode: color.hexCode
+      },
+      size: replacement.size,
+      sku: replacement.sku,
+      hsnCode: product.hsnCode || undefined,
+      quantity: item.quantity,
+      amount: 0,
+      orderStatus: OrderStatus.ORDERED.value,
+      statusHistory: [entry]
+    }],
+    shippingInfo: order.shippingInfo,
+    paymentMethod: order.paymentMethod,
+    paymentProvider: null,
+    // Nothing to collect, the customer paid on the original order
+    paymentStatus: PaymentStatus.PAID,
+    amount: { shippingCharges: 0, discount: 0, couponCode: null, totalAmount: 0 },
+    exchangeFor: { orderId: order.orderId, itemId: item._id, exchangeId }
+  }], { session });
+
+  await recordOrderCharges(replacementOrder, session);
+  await recordItemEvent(replacementOrder.items[0], ProductEventType.ORDER, session);
+
+  item.orderStatus = OrderStatus.EXCHANGED.value;
+  item.returnedAt = new Date();
+  item.exchange.receivedAt = new Date();
+  item.exchange.replacementOrderId = orderId;
+  item.statusHistory.push(
+    createStatusHistoryEntry(OrderStatus.EXCHANGED.value, `Unit received, replacement order ${orderId} created`)
+  );
+
+  return replacementOrder;
+};
+
+/**
+ * Cancel an exchange and give its held replacement back to stock
+ * @param {Object} item - Line in exchange
+ * @param {Object} params - { reason }
+ * @param {Object} session - Mongoose session
+ */
+export const cancelExchange = async (item, { reason }, session) => {
+  if (!canTransition(item.orderStatus, OrderStatus.EXCHANGE_CANCELLED.value) || !item.exchange) {
+    throw new ExchangeError(`Cannot cancel the exchange of item with status: ${item.orderStatus}`);
+  }
+
+  await releaseExchangeHold(item.exchange.exchangeId, session);
+
+  item.orderStatus = OrderStatus.EXCHANGE_CANCELLED.value;
+  item.exchange.cancelledAt = new Date();
+  item.exchange.cancelReason = reason;
+  item.statusHistory.push(createStatusHistoryEntry(OrderStatus.EXCHANGE_CANCELLED.value, reason));
+};
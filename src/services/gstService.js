@@ -0,0 +1,128 @@
+import { _config } from '../config/config.js';
+
+/**
+ * GST on apparel (HSN chapters 61/62) depends on the value of a piece:
+ * 5% up to ₹2,500, 18% above. Prices in the store include GST, so tax is
+ * always taken out of an amount, never added on top.
+ */
+const APPAREL_RATE_SLABS = [
+  { upToUnitValue: 2500, rate: 5 },
+  { upToUnitValue: null, rate: 18 }
+];
+
+// GST state codes, the first two digits of a GSTIN
+export const GST_STATE_CODES = {
+  'jammu and kashmir': '01',
+  'himachal pradesh': '02',
+  'punjab': '03',
+  'chandigarh': '04',
+  'uttarakhand': '05',
+  'haryana': '06',
+  'delhi': '07',
+  'rajasthan': '08',
+  'uttar pradesh': '09',
+  'bihar': '10',
+  'sikkim': '11',
+  'arunachal pradesh': '12',
+  'nagaland': '13',
+  'manipur': '14',
+  'mizoram': '15',
+  'tripura': '16',
+  'meghalaya': '17',
+  'assam': '18',
+  'west bengal': '19',
+  'jharkhand': '20',
+  'odisha': '21',
+  'chhattisgarh': '22',
+  'madhya pradesh': '23',
+  'gujarat': '24',
+  'dadra and nagar haveli and daman and diu': '26',
+  'maharashtra': '27',
+  'karnataka': '29',
+  'goa': '30',
+  'lakshadweep': '31',
+  'kerala': '32',
+  'tamil nadu': '33',
+  'puducherry': '34',
+  'andaman and nicobar islands': '35',
+  'telangana': '36',
+  'andhra pradesh': '37',
+  'ladakh': '38'
+};
+
+// Spellings customers and couriers use for the same state
+const STATE_ALIASES = {
+  'new delhi': 'delhi',
+  'nct of delhi': 'delhi',
+  'orissa': 'odisha',
+  'pondicherry': 'puducherry',
+  'uttaranchal': 'uttarakhand',
+  'j&k': 'jammu and kashmir',
+  'jammu & kashmir': 'jammu and kashmir',
+  'andaman & nicobar islands': 'andaman and nicobar islands',
+  'daman and diu': 'dadra and nagar haveli and daman and diu',
+  'dadra and nagar haveli': 'dadra and nagar haveli and daman and diu'
+};
+
+const normalizeState = (state) => {
+  const name = (state || '').toString().trim().toLowerCase().replace(/\s+/g, ' ');
+  return STATE_ALIASES[name] || name;
+};
+
+/**
+ * GST state code of a state name
+ * @param {string} state
+ * @returns {string|null}
+ */
+export const getStateCode = (state) => GST_STATE_CODES[normalizeState(state)] || null;
+
+/**
+ * Seller details printed on invoices, the state code comes from the GSTIN when set
+ * @returns {Object} - { name, gstin, address, state, stateCode }
+ */
+export const getSellerDetails = () => ({
+  name: _config.SELLER_NAME,
+  gstin: _config.SELLER_GSTIN || null,
+  address: _config.SELLER_ADDRESS || '',
+  state: _config.SELLER_STATE || '',
+  stateCode: _config.SELLER_GSTIN?.slice(0, 2) || getStateCode(_config.SELLER_STATE)
+});
+
+/**
+ * Whether a delivery to this state is an inter-state supply (IGST)
+ * rather than an intra-state one (CGST + SGST)
+ * @param {string} sellerStateCode
+ * @param {string} deliveryState
+ * @returns {boolean}
+ */
+export const isInterStateSupply = (sellerStateCode, deliveryState) => {
+  const deliveryStateCode = getStateCode(deliveryState);
+  // Unknown states are charged IGST, the safe side for a registered seller
+  return !sellerStateCode || !deliveryStateCode || sellerStateCode !== deliveryStateCode;
+};
+
+/**
+ * GST rate of a piece of clothing
+ * @param {number} unitValue - Price of one piece after discount, GST included
+ * @returns {number} - Rate in percent
+ */
+export const getGstRate = (unitValue) =>
+  APPAREL_RATE_SLABS.find((slab) => slab.upToUnitValue == null || unitValue <= slab.upToUnitValue).rate;
+
+/**
+ * Take GST out of an amount that includes it
+ * @param {number} amountPaise - Amount including GST, in paise
+ * @param {number} rate - Rate in percent
+ * @param {boolean} isInterState
+ * @returns {Object} - { taxable, cgst, sgst, igst } in paise, adding up to amountPaise
+ */
+export const splitInclusiveAmount = (amountPaise, rate, isInterState) => {
+  const taxable = Math.round((amountPaise * 100) / (100 + rate));
+  const tax = amountPaise - taxable;
+
+  if (isInterState) {
+    return { taxable, cgst: 0, sgst: 0, igst: tax };
+  }
+  const cgst = Math.round(tax / 2);
+  return { taxable, cgst, sgst: tax - cgst, igst: 0 };
+};
@@ -0,0 +1,360 @@
+import mongoose from 'mongoose';
+import Product from '../models/product.model.js';
+import Color from '../models/color.model.js';
+import { StockMovement, MovementReason } from '../models/stockMovement.model.js';
+import { watchLowStock } from './lowStockService.js';
+
+/**
+ * Every change to `variants.sizes.stock` goes through this service so it is
+ * written to the StockMovement ledger together with the change.
+ */
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+const sizeArrayFilters = (colorId, size) => [{ 'v.color': toObjectId(colorId) }, { 's.size': size }];
+
+const findSize = (product, colorId, size) => {
+  const variant = product?.variants.find((v) => v.color && v.color.equals(colorId));
+  return variant?.sizes.find((s) => s.size === size) || null;
+};
+
+const insertMovements = (entries, session) =>
+  StockMovement.insertMany(
+    entries.map(({ productId, colorId, actor, ...entry }) => ({
+      ...entry,
+      product: productId,
+      color: colorId,
+      actor: actor || null
+    })),
+    { session }
+  );
+
+/**
+ * Atomically move stock of one variant size and record the movement.
+ * A negative delta only succeeds when enough stock is left (and the product
+ * is active), so two checkouts can never both take the last unit.
+ * @param {Object} params
+ * @param {string} params.productId - Product ID
+ * @param {string} params.colorId - Variant color ID
+ * @param {string} params.size - Size label
+ * @param {number} params.delta - Units added (positive) or taken (negative)
+ * @param {string} params.reason - MovementReason
+ * @param {string} [params.actor] - User ID, omitted for system jobs
+ * @param {string} [params.orderId] - Order the movement belongs to
+ * @param {string} [params.reference] - Payment reference, job ID, etc.
+ * @param {string} [params.note]
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<Object|null>} - The movement, or null if the size was not found or is short of stock
+ */
+export const adjustStock = async ({ productId, colorId, size, delta, reason, actor, orderId, reference, note }, session) => {
+  const filter = { _id: productId };
+
+  if (delta < 0) {
+    filter.isActive = true;
+    filter.variants = {
+      $elemMatch: {
+        color: colorId,
+        sizes: { $elemMatch: { size, stock: { $gte: -delta } } }
+      }
+    };
+  }
+
+  const product = await Product.findOneAndUpdate(
+    filter,
+    { $inc: { 'variants.$[v].sizes.$[s].stock': delta } },
+    { session, arrayFilters: sizeArrayFilters(colorId, size), new: true, projection: { variants: 1, lowStockThreshold: 1 } }
+  );
+
+  const sizeOption = findSize(product, colorId, size);
+  if (!sizeOption) return null;
+
+  await watchLowStock(product, sizeOption, sizeOption.stock - delta);
+
+  const [movement] = await insertMovements([{
+    sku: sizeOption.sku,
+    productId,
+    colorId,
+    size,
+    delta,
+    balanceAfter: sizeOption.stock,
+    reason,
+    actor,
+    orderId,
+    reference,
+    note
+  }], session);
+
+  return movement;
+};
+
+/**
+ * Put the units of a cancelled or returned order item back on its size
+ * @param {Object} item - Order item (or the split-off part of one)
+ * @param {Object} params - { reason, actor, orderId, note }
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<Object|null>} - The movement, or null if the size no longer exists
+ */
+export const restockOrderItem = async (item, { reason, actor, orderId, note }, session) => {
+  let colorId = item.color?.colorId;
+  if (!colorId) {
+    // Orders placed before the color id was stored on the item
+    const color = await Color.findOne({ name: item.color?.name }).session(session);
+    colorId = color?._id;
+  }
+  if (!colorId) return null;
+
+  return adjustStock({
+    productId: item.product.productId,
+    colorId,
+    size: item.size,
+    delta: item.quantity,
+    reason,
+    actor,
+    orderId,
+    note
+  }, session);
+};
+
+/**
+ * Set the stock of one variant size to an absolute count and record the difference
+ * @param {Object} params - Same as adjustStock, with `stock` instead of `delta`
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<Object|null>} - The movement, or null if the size was not found or already had that stock
+ */
+export const setStock = async ({ productId, colorId, size, stock, reason, actor, orderId, reference, note }, session) => {
+  const before = await Product.findOneAndUpdate(
+    { _id: productId },
+    { $set: { 'variants.$[v].sizes.$[s].stock': stock } },
+    { session, arrayFilters: sizeArrayFilters(colorId, size), new: false, projection: { variants: 1, lowStockThreshold: 1 } }
+  );
+
+  const sizeOption = findSize(before, colorId, size);
+  if (!sizeOption || sizeOption.stock === stock) return null;
+
+  await watchLowStock(before, { ...sizeOption.toObject(), stock }, sizeOption.stock);
+
+  const [movement] = await insertMovements([{
+    sku: sizeOption.sku,
+    productId,
+    colorId,
+    size,
+    delta: stock - sizeOption.stock,
+    balanceAfter: stock,
+    reason,
+    actor,
+    orderId,
+    reference,
+    note
+  }], session);
+
+  return movement;
+};
+
+/**
+ * Record the stock sizes were created with. Called right after the product is saved.
+ * @param {Object} product - Saved product document
+ * @param {Object} params
+ * @param {Array} [params.lines] - [{ colorId, size }] to record, all sizes when omitted
+ * @param {string} params.reason - MovementReason
+ * @param {string} [params.actor] - User ID
+ * @param {string} [params.reference]
+ * @param {string} [params.note]
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<Array>} - Recorded movements
+ */
+export const recordInitialStock = async (product, { lines, reason, actor, reference, note }, session) => {
+  const entries = [];
+
+  for (const variant of product.variants) {
+    for (const sizeOption of variant.sizes) {
+      const listed = !lines || lines.some((l) => variant.color.equals(l.colorId) && l.size === sizeOption.size);
+      if (!listed || !sizeOption.stock) continue;
+
+      entries.push({
+        sku: sizeOption.sku,
+        productId: product._id,
+        colorId: variant.color,
+        size: sizeOption.size,
+        delta: sizeOption.stock,
+        balanceAfter: sizeOption.stock,
+        reason,
+        actor,
+        reference,
+        note: note || 'Initial stock'
+      });
+    }
+  }
+
+  return entries.length ? insertMovements(entries, session) : [];
+};
+
+/**
+ * Record the stock that disappears when sizes, variants or products are
+ * removed, so the ledger of those SKUs ends at zero
+ * @param {string} productId - Product the sizes belonged to
+ * @param {Array} variants - [{ color, sizes }] as they were before removal
+ * @param {Object} params - { reason, actor, note }
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<Array>} - Recorded movements
+ */
+export const recordRemovedStock = async (productId, variants, { reason, actor, note }, session) => {
+  const entries = variants.flatMap((variant) =>
+    variant.sizes
+      .filter((sizeOption) => sizeOption.stock)
+      .map((sizeOption) => ({
+        sku: sizeOption.sku,
+        productId,
+        colorId: variant.color,
+        size: sizeOption.size,
+        delta: -sizeOption.stock,
+        balanceAfter: 0,
+        reason,
+        actor,
+        note
+      }))
+  );
+
+  return entries.length ? insertMovements(entries, session) : [];
+};
+
+/**
+ * Find the product size a SKU belongs to
+ * @param {string} sku
+ * @returns {Promise<Object|null>} - { productId, name, colorId, size, stock }
+ */
+export const findSku = async (sku) => {
+  const product = await Product.findOne({ 'variants.sizes.sku': sku }).select('name variants.color variants.sizes').lean();
+  if (!product) return null;
+
+  for (const variant of product.variants) {
+    const sizeOption = variant.sizes.find((s) => s.sku === sku);
+    if (sizeOption) {
+      return {
+        productId: product._id,
+        name: product.name,
+        colorId: variant.color,
+        size: sizeOption.size,
+        stock: sizeOption.stock
+      };
+    }
+  }
+  return null;
+};
+
+/**
+ * Movements of one SKU, newest first
+ * @param {string} sku
+ * @param {Object} [options] - { page, limit }
+ * @returns {Promise<Object>} - { movements, pagination }
+ */
+export const getSkuMovements = async (sku, { page = 1, limit = 50 } = {}) => {
+  const filter = { sku };
+  const [movements, total] = await Promise.all([
+    StockMovement.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('actor', 'firstname lastname email')
+      .lean(),
+    StockMovement.countDocuments(filter)
+  ]);
+
+  return {
+    movements,
+    pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+  };
+};
+
+/**
+ * Compare the sum of each SKU's movements with its current product stock.
+ * With `fix`, a RECONCILIATION movement is appended for every mismatch.
+ * @param {Object} [options]
+ * @param {boolean} [options.fix] - Append corrections
+ * @param {string} [options.actor] - Admin running the reconcile
+ * @returns {Promise<Object>} - { checked, mismatches, fixed }
+ */
+export const reconcileStock = async ({ fix = false, actor } = {}) => {
+  const [products, ledger] = await Promise.all([
+    Product.find().select('name variants.color variants.sizes').lean(),
+    StockMovement.aggregate([{ $group: { _id: '$sku', balance: { $sum: '$delta' } } }])
+  ]);
+
+  const ledgerBySku = new Map(ledger.map((entry) => [entry._id, entry.balance]));
+  const mismatches = [];
+  let checked = 0;
+
+  for (const product of products) {
+    for (const variant of product.variants) {
+      for (const sizeOption of variant.sizes) {
+        checked += 1;
+        const ledgerStock = ledgerBySku.get(sizeOption.sku) || 0;
+        if (ledgerStock === sizeOption.stock) continue;
+
+        mismatches.push({
+          sku: sizeOption.sku,
+          productId: product._id,
+          name: product.name,
+          colorId: variant.color,
+          size: sizeOption.size,
+          productStock: sizeOption.stock,
+          ledgerStock,
+          difference: sizeOption.stock - ledgerStock
+        });
+      }
+    }
+  }
+
+  if (fix && mismatches.length) {
+    await insertMovements(
+      mismatches.map((m) => ({
+        sku: m.sku,
+        productId: m.productId,
+        colorId: m.colorId,
+        size: m.size,
+        delta: m.difference,
+        balanceAfter: m.productStock,
+        reason: MovementReason.RECONCILIATION,
+        actor,
+        note: `Ledger had ${m.ledgerStock}, product had ${m.productStock}`
+      }))
+    );
+  }
+
+  return { checked, mismatches, fixed: fix ? mismatches.length : 0 };
+};
+
+/**
+ * Open the ledger of SKUs that have stock but no movements yet, i.e. stock
+ * from before the ledger existed. Safe to run on every start.
+ * @returns {Promise<number>} - Number of opening entries written
+ */
+export const backfillOpeningBalances = async () => {
+  const [products, trackedSkus] = await Promise.all([
+    Product.find({ 'variants.sizes.stock': { $gt: 0 } }).select('variants.color variants.sizes').lean(),
+    StockMovement.distinct('sku')
+  ]);
+
+  const tracked = new Set(trackedSkus);
+  const entries = [];
+
+  for (const product of products) {
+    for (const variant of product.variants) {
+      for (const sizeOption of variant.sizes) {
+        if (!sizeOption.stock || !sizeOption.sku || tracked.has(sizeOption.sku)) continue;
+
+        entries.push({
+          sku: sizeOption.sku,
+          productId: product._id,
+          colorId: variant.color,
+          size: sizeOption.size,
+          delta: sizeOption.stock,
+          balanceAfter: sizeOption.stock,
+          reason: MovementReason.OPENING_BALANCE
+        });
+      }
+    }
+  }
+
+  if (entries.length) await insertMovements(entries);
+  return entries.length;
+};
@@ -0,0 +1,291 @@
+import { Invoice, InvoiceSequence, SupplyType } from '../models/invoice.model.js';
+import { OrderStatus } from '../models/newOrder.model.js';
+import { EmailQueue } from '../queue/producer.js';
+import { withTransaction } from '../utils/withTransaction.js';
+import { renderPdf } from '../utils/pdf.js';
+import { getOrderLedger } from './orderLedgerService.js';
+import {
+  getSellerDetails,
+  getStateCode,
+  getGstRate,
+  isInterStateSupply,
+  splitInclusiveAmount
+} from './gstService.js';
+
+// SAC of courier services, billed with the goods at their highest rate
+const SHIPPING_SAC = '996812';
+
+const toPaise = (rupees) => Math.round((rupees || 0) * 100);
+const toRupees = (paise) => paise / 100;
+
+// The financial year turns at midnight India time, whatever the server timezone
+const IST_OFFSET = 330 * 60 * 1000;
+
+/**
+ * Indian financial year of a date, April to March, e.g. 2026-27
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export const getFinancialYear = (date = new Date()) => {
+  const istDate = new Date(new Date(date).getTime() + IST_OFFSET);
+  const year = istDate.getUTCFullYear();
+  const startYear = istDate.getUTCMonth() >= 3 ? year : year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Take the next number of a document series in a financial year, e.g. INV/26-27/000042.
+ * Run it in the transaction that creates the document, so an aborted document
+ * gives its number back and the series has no gaps.
+ * @param {string} series - INV or CN
+ * @param {string} financialYear - e.g. 2026-27
+ * @param {Object} session - Mongoose session
+ * @returns {Promise<Object>} - { sequence, number }
+ */
+export const nextDocumentNumber = async (series, financialYear, session) => {
+  const { seq } = await InvoiceSequence.findOneAndUpdate(
+    { series, financialYear },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, session }
+  );
+  return { sequence: seq, number: `${series}/${financialYear.slice(2)}/${String(seq).padStart(6, '0')}` };
+};
+
+// Goods left the warehouse, so they are billed
+const wasShipped = (item) =>
+  Boolean(item.shippedAt || item.deliveredAt) ||
+  item.statusHistory.some((entry) => entry.status === OrderStatus.SHIPPED.value);
+
+/**
+ * Check whether an order can be invoiced: every item has shipped or was
+ * cancelled before shipping, and at least one has shipped
+ * @param {Object} order - NewOrder document
+ * @returns {Object} - { isValid, message }
+ */
+export const canIssueInvoice = (order) => {
+  if (order.exchangeFor) {
+    return { isValid: false, message: 'Replacement orders are covered by the invoice of the original order' };
+  }
+  if (order.items.some((item) => item.orderStatus === OrderStatus.ORDERED.value)) {
+    return { isValid: false, message: 'The invoice is available once all items have shipped' };
+  }
+  if (!order.items.some(wasShipped)) {
+    return { isValid: false, message: 'Nothing was shipped on this order' };
+  }
+  return { isValid: true, message: 'Order can be invoiced' };
+};
+
+/**
+ * Bill the shipped lines of an order. Lines of one product at one price are
+ * merged; amounts come from the order ledger so discounts and shipping match
+ * what was charged.
+ */
+const buildInvoiceLines = async (order, isInterState) => {
+  const ledger = await getOrderLedger(order);
+  const ledgerLines = new Map(ledger.lines.map((line) => [line.itemId.toString(), line]));
+
+  const groups = new Map();
+  let shippingPaise = 0;
+
+  for (const item of order.items.filter(wasShipped)) {
+    const line = ledgerLines.get(item._id.toString());
+    const key = `${item.product.productId}|${item.sku || `${item.color?.name}-${item.size}`}|${item.amount}`;
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        items: [],
+        description: `${item.product.name} (${[item.color?.name, item.size].filter(Boolean).join(', ')})`,
+        hsnCode: item.hsnCode || null,
+        sku: item.sku || null,
+        unitPrice: item.amount,
+        quantity: 0,
+        valuePaise: 0
+      });
+    }
+    const group = groups.get(key);
+    group.items.push(item._id);
+    group.quantity += item.quantity;
+    group.valuePaise += toPaise(line.charge) + toPaise(line.discount) + toPaise(line.adjustment);
+    shippingPaise += toPaise(line.shipping);
+  }
+
+  const lines = [...groups.values()].map(({ valuePaise, ...group }) => {
+    const gstRate = getGstRate(toRupees(valuePaise) / group.quantity);
+    const tax = splitInclusiveAmount(valuePaise, gstRate, isInterState);
+
+    return {
+      ...group,
+      discount: toRupees(toPaise(group.unitPrice) * group.quantity - valuePaise),
+      taxableValue: toRupees(tax.taxable),
+      gstRate,
+      cgst: toRupees(tax.cgst),
+      sgst: toRupees(tax.sgst),
+      igst: toRupees(tax.igst),
+      total: toRupees(valuePaise)
+    };
+  });
+
+  if (shippingPaise > 0) {
+    const gstRate = Math.max(...lines.map((line) => line.gstRate));
+    const tax = splitInclusiveAmount(shippingPaise, gstRate, isInterState);
+
+    lines.push({
+      items: [],
+      description: 'Shipping charges',
+      hsnCode: SHIPPING_SAC,
+      quantity: 1,
+      unitPrice: toRupees(shippingPaise),
+      discount: 0,
+      taxableValue: toRupees(tax.taxable),
+      gstRate,
+      cgst: toRupees(tax.cgst),
+      sgst: toRupees(tax.sgst),
+      igst: toRupees(tax.igst),
+      total: toRupees(shippingPaise)
+    });
+  }
+
+  return lines;
+};
+
+const sumLines = (lines, field) => toRupees(lines.reduce((total, line) => total + toPaise(line[field]), 0));
+
+/**
+ * Issue the GST invoice of an order, or return the one already issued
+ * @param {Object} order - NewOrder document
+ * @returns {Promise<Object>} - Invoice document
+ * @throws {Error} - If the order cannot be invoiced yet
+ */
+export const issueInvoice = async (order) => {
+  const existing = await Invoice.findOne({ order: order._id });
+  if (existing) return existing;
+
+  const check = canIssueInvoice(order);
+  if (!check.isValid) throw new Error(check.message);
+
+  await order.populate('user', 'firstname lastname email');
+
+  const seller = getSellerDetails();
+  const isInterState = isInterStateSupply(seller.stateCode, order.shippingInfo.state);
+  const lines = await buildInvoiceLines(order, isInterState);
+  const issuedAt = new Date();
+
+  try {
+    return await withTransaction(async (session) => {
+      const { sequence, number: invoiceNumber } = await nextDocumentNumber('INV', getFinancialYear(issuedAt), session);
+
+      const [invoice] = await Invoice.create([{
+        invoiceNumber,
+        financialYear: getFinancialYear(issuedAt),
+        sequence,
+        order: order._id,
+        orderId: order.orderId,
+        user: order.user._id,
+        issuedAt,
+        seller,
+        buyer: {
+          name: `${order.user.firstname || ''} ${order.user.lastname || ''}`.trim() || 'Customer',
+          email: order.user.email,
+          phone: order.shippingInfo.phone,
+          address: order.shippingInfo.address,
+          city: order.shippingInfo.city,
+          state: order.shippingInfo.state,
+          stateCode: getStateCode(order.shippingInfo.state),
+          postalCode: order.shippingInfo.postalCode,
+          country: order.shippingInfo.country
+        },
+        supplyType: isInterState ? SupplyType.INTER_STATE : SupplyType.INTRA_STATE,
+        placeOfSupply: order.shippingInfo.state,
+        paymentMethod: order.paymentMethod,
+        lines,
+        totals: {
+          taxableValue: sumLines(lines, 'taxableValue'),
+          cgst: sumLines(lines, 'cgst'),
+          sgst: sumLines(lines, 'sgst'),
+          igst: sumLines(lines, 'igst'),
+          total: sumLines(lines, 'total')
+        }
+      }], { session });
+
+      return invoice;
+    });
+  } catch (error) {
+    // Issued by a parallel request in the meantime
+    if (error.code === 11000) {
+      const issued = await Invoice.findOne({ order: order._id });
+      if (issued) return issued;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Render an invoice to PDF
+ * @param {Object} invoice - Invoice document
+ * @returns {Promise<Buffer>}
+ */
+export const renderInvoicePdf = (invoice) =>
+  renderPdf('Invoice.ejs', { invoice: invoice.toObject ? invoice.toObject() : invoice });
+
+/**
+ * File name of an invoice PDF, slashes are not allowed in file names
+ */
+export const getInvoiceFileName = (invoice) => `${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`;
+
+/**
+ * Nodemailer attachment of an invoice, rendered when the email is sent
+ * @param {string} invoiceNumber
+ * @returns {Promise<Object|null>} - { filename, content, contentType }
+ */
+export const getInvoiceAttachment = async (invoiceNumber) => {
+  const invoice = await Invoice.findOne({ invoiceNumber });
+  if (!invoice) return null;
+
+  return {
+    filename: getInvoiceFileName(invoice),
+    content: await renderInvoicePdf(invoice),
+    contentType: 'application/pdf'
+  };
+};
+
+/**
+ * Tell the customer items were delivered, with the invoice attached once the
+ * whole order has shipped. Call after the delivered status is saved.
+ * @param {Object} order - NewOrder document
+ * @param {Array} deliveredItems - Items delivered just now
+ */
+export const queueDeliveryEmail = async (order, deliveredItems) => {
+  try {
+    await order.populate('user', 'firstname lastname email');
+    if (!order.user?.email || !deliveredItems.length) return;
+
+    let invoiceNumber = null;
+    if (canIssueInvoice(order).isValid) {
+      try {
+        invoiceNumber = (await issueInvoice(order)).invoiceNumber;
+      } catch (invoiceError) {
+        // Still tell the customer, the invoice can be downloaded later
+        console.error(`Failed to issue invoice for ${order.orderId}:`, invoiceError);
+      }
+    }
+
+    await EmailQueue.add('send-order-delivered', {
+      type: 'order_delivered',
+      email: order.user.email,
+      subject: `Order Delivered - ${order.orderId}`,
+      template: 'OrderDelivered.ejs',
+      invoiceNumber,
+      data: {
+        order,
+        items: deliveredItems,
+        invoiceNumber,
+        user: {
+          name: `${order.user.firstname || ''} ${order.user.lastname || ''}`.trim() || 'Customer',
+          email: order.user.email
+        }
+      }
+    });
+  } catch (emailError) {
+    console.error(`Failed to queue delivery email for ${order.orderId}:`, emailError);
+  }
+};
@@ -0,0 +1,214 @@
+import mongoose from 'mongoose';
+import Product from '../models/product.model.js';
+import Color from '../models/color.model.js';
+import { NewOrder, OrderStatus } from '../models/newOrder.model.js';
+import { EmailQueue, InventoryQueue } from '../queue/producer.js';
+import { _config } from '../config/config.js';
+
+// A size is alerted at most once a day, stock moving around the threshold would spam otherwise
+const ALERT_COOLDOWN = 24 * 60 * 60 * 1000;
+
+// Wait a moment before checking, so holds and orders of a rolled back transaction are not reported
+const ALERT_CHECK_DELAY = 10 * 1000;
+
+/**
+ * Reorder threshold of a size: its own, else the product's, else the store default
+ * @param {Object} product - Product with lowStockThreshold
+ * @param {Object} sizeOption - Size with lowStockThreshold
+ * @returns {number}
+ */
+export const getLowStockThreshold = (product, sizeOption) =>
+  sizeOption?.lowStockThreshold ?? product?.lowStockThreshold ?? _config.LOW_STOCK_THRESHOLD;
+
+/**
+ * Queue an alert check when a movement took a size to its threshold.
+ * Never throws, stock changes must not fail because of an alert.
+ * @param {Object} product - Product with lowStockThreshold
+ * @param {Object} sizeOption - Size as it is after the movement
+ * @param {number} before - Stock before the movement
+ */
+export const watchLowStock = async (product, sizeOption, before) => {
+  const threshold = getLowStockThreshold(product, sizeOption);
+  if (!sizeOption.sku || sizeOption.stock >= before || sizeOption.stock > threshold || before <= threshold) {
+    return;
+  }
+
+  try {
+    // One pending check per SKU, the job ID collapses bursts of orders
+    await InventoryQueue.add(
+      'low-stock-alert',
+      { sku: sizeOption.sku },
+      { jobId: `low-stock-${sizeOption.sku}`, delay: ALERT_CHECK_DELAY }
+    );
+  } catch (error) {
+    console.error(`Failed to queue low stock alert for ${sizeOption.sku}:`, error.message);
+  }
+};
+
+/**
+ * Units sold per product/color/size over the last days, cancelled items left out
+ * @returns {Promise<Map>} - `${productId}:${colorName}:${size}` -> units
+ */
+const getRecentSales = async (since, productIds) => {
+  const match = { createdAt: { $gte: since } };
+  if (productIds) match['items.product.productId'] = { $in: productIds };
+
+  const sales = await NewOrder.aggregate([
+    { $match: match },
+    { $unwind: '$items' },
+    { $match: { 'items.orderStatus': { $ne: OrderStatus.CANCELLED.value } } },
+    {
+      $group: {
+        _id: {
+          product: '$items.product.productId',
+          color: '$items.color.name',
+          size: '$items.size'
+        },
+        units: { $sum: '$items.quantity' }
+      }
+    }
+  ]);
+
+  return new Map(
+    sales.map((s) => [`${s._id.product}:${s._id.color}:${s._id.size}`, s.units])
+  );
+};
+
+/**
+ * Sizes at or below their reorder threshold, with sales velocity
+ * @param {Object} [options]
+ * @param {number} [options.days] - Window for the recent sales velocity
+ * @param {Array} [options.skus] - Only these SKUs
+ * @returns {Promise<Object>} - { days, items, outOfStockCount }
+ */
+export const getLowStockReport = async ({ days = 30, skus } = {}) => {
+  const filter = skus ? { 'variants.sizes.sku': { $in: skus } } : {};
+  const [products, colors] = await Promise.all([
+    Product.find(filter)
+      .select('name isActive salesCount lowStockThreshold variants.color variants.sizes')
+      .lean(),
+    Color.find().select('name').lean()
+  ]);
+
+  const colorNames = new Map(colors.map((c) => [c._id.toString(), c.name]));
+  const low = [];
+
+  for (const product of products) {
+    for (const variant of product.variants) {
+      for (const sizeOption of variant.sizes) {
+        if (skus && !skus.includes(sizeOption.sku)) continue;
+
+        const threshold = getLowStockThreshold(product, sizeOption);
+        if (sizeOption.stock > threshold) continue;
+
+        low.push({ product, variant, sizeOption, threshold });
+      }
+    }
+  }
+
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const recentSales = low.length
+    ? await getRecentSales(since, [...new Set(low.map((l) => l.product._id))])
+    : new Map();
+
+  const items = low.map(({ product, variant, sizeOption, threshold }) => {
+    const color = colorNames.get(variant.color.toString()) || '';
+    const unitsSold = recentSales.get(`${product._id}:${color}:${sizeOption.size}`) || 0;
+    const dailyVelocity = Math.round((unitsSold / days) * 100) / 100;
+
+    return {
+      sku: sizeOption.sku,
+      productId: product._id,
+      name: product.name,
+      isActive: product.isActive,
+      colorId: variant.color,
+      color,
+      size: sizeOption.size,
+      stock: sizeOption.stock,
+      threshold,
+      salesCount: product.salesCount,
+      unitsSold,
+      dailyVelocity,
+      // Days until the size runs out at the current pace, null when it does not sell
+      daysOfCover: dailyVelocity > 0 ? Math.floor(sizeOption.stock / dailyVelocity) : null
+    };
+  });
+
+  // Out of stock first, then whatever runs out soonest, then the best sellers
+  items.sort((a, b) =>
+    (a.stock === 0) !== (b.stock === 0)
+      ? (a.stock === 0 ? -1 : 1)
+      : (a.daysOfCover ?? Infinity) - (b.daysOfCover ?? Infinity) || b.unitsSold - a.unitsSold
+  );
+
+  return {
+    days,
+    items,
+    outOfStockCount: items.filter((item) => item.stock === 0).length
+  };
+};
+
+const queueLowStockEmail = (subject, data) =>
+  EmailQueue.add('send-low-stock', {
+    type: 'low_stock',
+    email: _config.ADMIN_EMAIL,
+    subject,
+    template: 'LowStock.ejs',
+    data
+  });
+
+/**
+ * Send the immediate alert for one SKU if it is still low and was not alerted recently
+ * @param {string} sku
+ * @returns {Promise<boolean>} - True if an email was queued
+ */
+export const sendLowStockAlert = async (sku) => {
+  if (!_config.ADMIN_EMAIL) return false;
+
+  const { items } = await getLowStockReport({ skus: [sku] });
+  const item = items[0];
+  if (!item || !item.isActive) return false;
+
+  // Claim the alert first so two checks never both send it
+  const cooldownStart = new Date(Date.now() - ALERT_COOLDOWN);
+  const claimed = await Product.updateOne(
+    { _id: item.productId },
+    { $set: { 'variants.$[v].sizes.$[s].lowStockAlertedAt': new Date() } },
+    {
+      arrayFilters: [
+        { 'v.color': new mongoose.Types.ObjectId(String(item.colorId)) },
+        {
+          's.sku': sku,
+          $or: [{ 's.lowStockAlertedAt': null }, { 's.lowStockAlertedAt': { $lte: cooldownStart } }]
+        }
+      ]
+    }
+  );
+  if (!claimed.modifiedCount) return false;
+
+  await queueLowStockEmail(
+    item.stock === 0 ? `Out of stock - ${item.name} (${item.size})` : `Low stock - ${item.name} (${item.size})`,
+    { isDigest: false, items: [item], days: 30, outOfStockCount: item.stock === 0 ? 1 : 0 }
+  );
+  return true;
+};
+
+/**
+ * Email the daily digest of every active size at or below its threshold
+ * @returns {Promise<number>} - Number of sizes in the digest
+ */
+export const sendLowStockDigest = async () => {
+  if (!_config.ADMIN_EMAIL) return 0;
+
+  const report = await getLowStockReport();
+  const items = report.items.filter((item) => item.isActive);
+  if (!items.length) return 0;
+
+  await queueLowStockEmail(`Low stock digest - ${items.length} size(s) to restock`, {
+    isDigest: true,
+    items,
+    days: report.days,
+    outOfStockCount: items.filter((item) => item.stock === 0).length
+  });
+  return items.length;
+};
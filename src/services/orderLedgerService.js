@@ -0,0 +1,305 @@
+import { OrderLedgerEntry, LedgerEntryType } from '../models/orderLedger.model.js';
+import { RefundStatus } from '../models/newOrder.model.js';
+
+/**
+ * Money of an order is tracked per line in the OrderLedgerEntry collection.
+ *
+ * Proration rules:
+ * - Coupon discount and shipping are split over the lines by line value
+ *   (unit price x quantity) when the order is placed.
+ * - A line split off another takes its share of every amount by quantity.
+ * - Splits use the largest remainder method on paise; ties go to the first
+ *   line, so the same order always splits the same way and nothing is lost
+ *   to rounding.
+ * - Shipping is only refunded for units that never left the warehouse.
+ *
+ * So the refundable amount of a line is what was charged for it, less its
+ * discount, less its shipping once shipped, less what was refunded already.
+ * The lines add up to the order total, so refunds can never exceed it.
+ */
+
+const toPaise = (rupees) => Math.round((rupees || 0) * 100);
+const toRupees = (paise) => paise / 100;
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+/**
+ * Split paise over weights, largest remainder first, earlier weights win ties
+ * @param {number} totalPaise - Signed amount
+ * @param {Array<number>} weights
+ * @returns {Array<number>} - Signed shares adding up to totalPaise
+ */
+const allocate = (totalPaise, weights) => {
+  const sign = totalPaise < 0 ? -1 : 1;
+  const total = Math.abs(totalPaise);
+  // Spread evenly when every weight is zero, e.g. free items
+  const usedWeights = sum(weights) > 0 ? weights : weights.map(() => 1);
+  const weightSum = sum(usedWeights);
+
+  const exact = usedWeights.map((weight) => (total * weight) / weightSum);
+  const shares = exact.map(Math.floor);
+  const byRemainder = exact
+    .map((value, index) => ({ index, remainder: value - shares[index] }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+
+  for (let i = 0; i < total - sum(shares); i++) {
+    shares[byRemainder[i].index] += 1;
+  }
+  return shares.map((share) => share * sign);
+};
+
+const insertEntries = (order, entries, session) =>
+  OrderLedgerEntry.insertMany(
+    entries.map(({ actor, ...entry }) => ({
+      ...entry,
+      order: order._id,
+      orderId: order.orderId,
+      actor: actor || null
+    })),
+    { session }
+  );
+
+/**
+ * Charge, discount and shipping entries for the current lines of an order
+ */
+const chargeEntries = (order) => {
+  const charges = order.items.map((item) => toPaise(item.amount * item.quantity));
+  const discounts = allocate(-toPaise(order.amount?.discount), charges);
+  const shipping = allocate(toPaise(order.amount?.shippingCharges), charges);
+
+  return order.items.flatMap((item, index) => [
+    { item: item._id, type: LedgerEntryType.CHARGE, amount: toRupees(charges[index]) },
+    { item: item._id, type: LedgerEntryType.DISCOUNT, amount: toRupees(discounts[index]) },
+    { item: item._id, type: LedgerEntryType.SHIPPING, amount: toRupees(shipping[index]) }
+  ].filter((entry) => entry.type === LedgerEntryType.CHARGE || entry.amount !== 0));
+};
+
+/**
+ * Record what each line of a new order costs. Call right after the order is saved.
+ * @param {Object} order - Saved NewOrder document
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<Array>} - Ledger entries
+ */
+export const recordOrderCharges = (order, session) =>
+  insertEntries(order, chargeEntries(order), session);
+
+/**
+ * Open the ledger of an order placed before the ledger existed. Every current
+ * line counts as an original line, refunds already made are carried over.
+ * @returns {Promise<boolean>} - True if the ledger was opened now
+ */
+const ensureLedger = async (order, session) => {
+  if (await OrderLedgerEntry.exists({ order: order._id }).session(session)) {
+    return false;
+  }
+
+  const note = 'Opening entry, order placed before the ledger';
+  const entries = chargeEntries(order).map((entry) => ({ ...entry, note }));
+
+  // Line totals can be off from the stored total on old orders
+  const difference = toPaise(order.amount?.totalAmount) - sum(entries.map((entry) => toPaise(entry.amount)));
+  if (difference && order.items.length) {
+    entries.push({
+      item: order.items[0]._id,
+      type: LedgerEntryType.ADJUSTMENT,
+      amount: toRupees(difference),
+      note: `${note}, difference to the order total`
+    });
+  }
+
+  for (const item of order.items) {
+    const isRefunded = item.refundStatus === RefundStatus.REFUNDED || (item.refundStatus === RefundStatus.PENDING && item.refundId);
+    if (isRefunded && item.refundAmount) {
+      entries.push({
+        item: item._id,
+        type: LedgerEntryType.REFUND,
+        amount: -item.refundAmount,
+        refundId: item.refundId,
+        note
+      });
+    }
+  }
+
+  if (entries.length) await insertEntries(order, entries, session);
+  return true;
+};
+
+/**
+ * Sum the ledger of an order per line and entry type, in paise
+ * @returns {Promise<Map>} - itemId -> { CHARGE, DISCOUNT, SHIPPING, REFUND, ADJUSTMENT }
+ */
+const getLineBalances = async (order, session) => {
+  const entries = await OrderLedgerEntry.find({ order: order._id }).session(session).lean();
+  const balances = new Map();
+
+  for (const entry of entries) {
+    const key = entry.item.toString();
+    if (!balances.has(key)) {
+      balances.set(key, Object.fromEntries(Object.values(LedgerEntryType).map((type) => [type, 0])));
+    }
+    balances.get(key)[entry.type] += toPaise(entry.amount);
+  }
+  return balances;
+};
+
+// Shipping was used once the units went out, whatever happened to them after
+const wasShipped = (item) => Boolean(item.shippedAt || item.deliveredAt || item.returnId);
+
+/**
+ * Paid and refundable amounts of one line, in paise
+ */
+const describeLine = (item, balance = {}) => {
+  const paid = (balance.CHARGE || 0) + (balance.DISCOUNT || 0) + (balance.SHIPPING || 0) + (balance.ADJUSTMENT || 0);
+  const refunded = -(balance.REFUND || 0);
+  const shippingKept = wasShipped(item) ? balance.SHIPPING || 0 : 0;
+
+  return { paid, refunded, shippingKept, refundable: Math.max(paid - shippingKept - refunded, 0) };
+};
+
+/**
+ * Record a line split off another, moving its share of every amount to it.
+ * Call after the new line is pushed onto order.items and the parent quantity is reduced.
+ * @param {Object} order - NewOrder document
+ * @param {Object} parent - Line the units came from
+ * @param {Object} child - New line, as pushed onto order.items
+ * @param {Object} [session] - Mongoose session
+ */
+export const recordLineSplit = async (order, parent, child, session) => {
+  child.parentItem = parent._id;
+
+  // A just opened ledger already treats the new line as its own
+  if (await ensureLedger(order, session)) return;
+
+  const balance = (await getLineBalances(order, session)).get(parent._id.toString());
+  if (!balance) return;
+
+  const note = `${child.quantity} of ${parent.quantity + child.quantity} unit(s) split to a new line`;
+  const entries = [];
+
+  for (const type of [LedgerEntryType.CHARGE, LedgerEntryType.DISCOUNT, LedgerEntryType.SHIPPING, LedgerEntryType.ADJUSTMENT]) {
+    if (!balance[type]) continue;
+
+    const [, moved] = allocate(balance[type], [parent.quantity, child.quantity]);
+    if (!moved) continue;
+
+    entries.push(
+      { item: parent._id, type, amount: toRupees(-moved), splitFrom: parent._id, note },
+      { item: child._id, type, amount: toRupees(moved), splitFrom: parent._id, note }
+    );
+  }
+
+  if (entries.length) await insertEntries(order, entries, session);
+};
+
+/**
+ * Amount that can still be refunded on a line
+ * @param {Object} order - NewOrder document
+ * @param {Object} item - Order line
+ * @param {Object} [options]
+ * @param {number} [options.quantity] - Only this many of the line's units
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<number>} - Rupees
+ */
+export const getRefundableAmount = async (order, item, { quantity } = {}, session) => {
+  await ensureLedger(order, session);
+  const balances = await getLineBalances(order, session);
+  const { refundable } = describeLine(item, balances.get(item._id.toString()));
+
+  if (quantity && quantity < item.quantity) {
+    return toRupees(allocate(refundable, [quantity, item.quantity - quantity])[0]);
+  }
+  return toRupees(refundable);
+};
+
+/**
+ * Record money sent back for a line. Throws if it is more than the line has left.
+ * @param {Object} order - NewOrder document
+ * @param {Object} item - Order line
+ * @param {Object} params - { amount (rupees), refundId, actor, note }
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<Object>} - Ledger entry
+ */
+export const recordRefund = async (order, item, { amount, refundId, actor, note }, session) => {
+  const refundable = await getRefundableAmount(order, item, {}, session);
+  if (toPaise(amount) > toPaise(refundable)) {
+    throw new Error(`Refund amount exceeds the refundable amount of the item (₹${refundable})`);
+  }
+
+  const [entry] = await insertEntries(order, [{
+    item: item._id,
+    type: LedgerEntryType.REFUND,
+    amount: -amount,
+    refundId,
+    actor,
+    note
+  }], session);
+  return entry;
+};
+
+/**
+ * Give a failed refund back to its line so it can be refunded again
+ * @param {Object} order - NewOrder document
+ * @param {Object} item - Order line
+ * @param {Object} params - { amount (rupees), refundId, note }
+ * @param {Object} [session] - Mongoose session
+ */
+export const reverseRefund = (order, item, { amount, refundId, note }, session) =>
+  insertEntries(order, [{
+    item: item._id,
+    type: LedgerEntryType.REFUND,
+    amount,
+    refundId,
+    note
+  }], session);
+
+/**
+ * Ledger of an order with the paid and refundable amount of every line
+ * @param {Object} order - NewOrder document
+ * @returns {Promise<Object>} - { orderId, totals, lines, entries }
+ */
+export const getOrderLedger = async (order) => {
+  await ensureLedger(order);
+
+  const [balances, entries] = await Promise.all([
+    getLineBalances(order),
+    OrderLedgerEntry.find({ order: order._id })
+      .sort({ createdAt: 1, _id: 1 })
+      .populate('actor', 'firstname lastname email')
+      .lean()
+  ]);
+
+  const lines = order.items.map((item) => {
+    const balance = balances.get(item._id.toString()) || {};
+    const line = describeLine(item, balance);
+
+    return {
+      itemId: item._id,
+      parentItem: item.parentItem || null,
+      product: item.product.name,
+      size: item.size,
+      color: item.color?.name,
+      quantity: item.quantity,
+      orderStatus: item.orderStatus,
+      charge: toRupees(balance.CHARGE || 0),
+      discount: toRupees(balance.DISCOUNT || 0),
+      shipping: toRupees(balance.SHIPPING || 0),
+      adjustment: toRupees(balance.ADJUSTMENT || 0),
+      paid: toRupees(line.paid),
+      shippingKept: toRupees(line.shippingKept),
+      refunded: toRupees(line.refunded),
+      refundable: toRupees(line.refundable)
+    };
+  });
+
+  return {
+    orderId: order.orderId,
+    totals: {
+      orderTotal: order.amount?.totalAmount,
+      paid: toRupees(sum(lines.map((line) => toPaise(line.paid)))),
+      refunded: toRupees(sum(lines.map((line) => toPaise(line.refunded)))),
+      refundable: toRupees(sum(lines.map((line) => toPaise(line.refundable))))
+    },
+    lines,
+    entries
+  };
+};
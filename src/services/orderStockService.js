@@ -0,0 +1,67 @@
+import { ReturnCondition } from '../models/newOrder.model.js';
+import { MovementReason } from '../models/stockMovement.model.js';
+import { ProductEventType } from '../models/productAnalytics.model.js';
+import { restockOrderItem } from './inventoryService.js';
+import { recordItemEvent } from './productAnalyticsService.js';
+
+/**
+ * Give back the stock and sale of a cancelled order item
+ * @param {Object} item - Cancelled order item, or the cancelled part of a split item
+ * @param {Object} params - { orderId, actor, note }
+ * @param {Object} session - Mongoose session
+ * @returns {Promise<Object|null>} - Stock movement, or null if the size no longer exists
+ */
+export const releaseCancelledItem = async (item, { orderId, actor, note }, session) => {
+  const movement = await restockOrderItem(item, {
+    reason: MovementReason.CANCEL,
+    actor,
+    orderId,
+    note
+  }, session);
+
+  if (!movement) {
+    console.warn(`Could not restock ${item.product.name} (${item.size}) for order ${orderId}`);
+  }
+
+  await recordItemEvent(item, ProductEventType.CANCEL, session);
+  return movement;
+};
+
+/**
+ * Record the QC decision on a returned order item. Restockable units go back
+ * on the shelf, damaged ones are written off; either way the sale is undone.
+ * @param {Object} item - Returned order item, or the returned part of a split item
+ * @param {Object} params
+ * @param {string} params.condition - ReturnCondition
+ * @param {string} params.orderId - Order ID
+ * @param {string} [params.actor] - Admin who inspected the return
+ * @param {string} [params.note]
+ * @param {Object} session - Mongoose session
+ * @returns {Promise<Object|null>} - Stock movement for restocked units, else null
+ */
+export const inspectReturnedItem = async (item, { condition, orderId, actor, note }, session) => {
+  if (item.returnCondition) {
+    throw new Error('Return has already been inspected');
+  }
+
+  item.returnCondition = condition;
+  item.returnInspectedAt = new Date();
+  item.returnInspectedBy = actor;
+
+  let movement = null;
+  if (condition === ReturnCondition.RESTOCKABLE) {
+    movement = await restockOrderItem(item, {
+      reason: MovementReason.RETURN_RESTOCK,
+      actor,
+      orderId,
+      note: note || 'Return passed QC'
+    }, session);
+
+    if (!movement) {
+      console.warn(`Could not restock return of ${item.product.name} (${item.size}) for order ${orderId}`);
+    }
+  }
+
+  await recordItemEvent(item, ProductEventType.RETURN, session);
+  return movement;
+};
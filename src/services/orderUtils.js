@@ -112,6 +112,14 @@ export const generateReturnId = () => {
     return `RTN-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
 };
 
+export const generateExchangeId = () => {
+    return `EXC-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+};
+
+export const generateRefundId = () => {
+    return `RFD-${Date.now()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+};
+
 // ----- VALIDATION HELPERS -----
 export const validateItemOwnership = (orderItems, userId) => {
     return orderItems.every(item => item.user.toString() === userId.toString());
@@ -0,0 +1,206 @@
+import crypto from 'crypto';
+import { PaymentTransaction, PaymentStatus } from '../models/paymentTransaction.model.js';
+import { NewOrder, PaymentStatus as OrderPaymentStatus } from '../models/newOrder.model.js';
+import { WebhookEvent, WebhookEventStatus } from '../models/webhookEvent.model.js';
+import { confirmReservations } from './stockReservationService.js';
+
+/**
+ * Constant-time comparison of two signatures
+ * @returns {boolean} - True if both are present and equal
+ */
+export const isSignatureValid = (expected, received) => {
+  if (!expected || !received) return false;
+
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(received);
+  if (expectedBuffer.length !== receivedBuffer.length) return false;
+
+  return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+/**
+ * Orders paid by a transaction: created with its payment orderId or transaction ID,
+ * or the older flow where the order was created first and paid with its own orderId
+ */
+export const orderFilterForTransaction = (transaction, providerTransactionId) => ({
+  user: transaction.user,
+  $or: [
+    { paymentOrderId: transaction.orderId },
+    { orderId: transaction.orderId },
+    { transactionId: { $in: [transaction.transactionId, providerTransactionId].filter(Boolean) } }
+  ]
+});
+
+/**
+ * Mark a transaction and its orders as paid.
+ * Safe to call any number of times, from browser verification or webhooks.
+ * A transaction previously marked failed (e.g. the browser-side check broke) is corrected.
+ * @param {Object} params
+ * @param {Object} params.transaction - PaymentTransaction document
+ * @param {string} params.providerTransactionId - Provider payment ID
+ * @param {Object} [params.details] - Provider specific fields, e.g. { razorpay: {...} }
+ * @returns {Promise<Object>} - { alreadySettled, ordersUpdated }
+ */
+export const settleSuccessfulPayment = async ({ transaction, providerTransactionId, details = {} }) => {
+  const alreadySettled = [PaymentStatus.SUCCESS, PaymentStatus.REFUNDED].includes(transaction.status);
+
+  if (!alreadySettled) {
+    await PaymentTransaction.updateOne(
+      { _id: transaction._id, status: { $nin: [PaymentStatus.SUCCESS, PaymentStatus.REFUNDED] } },
+      {
+        $set: {
+          ...details,
+          status: PaymentStatus.SUCCESS,
+          providerTransactionId,
+          completedAt: new Date()
+        },
+        $unset: { failedAt: 1, error: 1 }
+      }
+    );
+  }
+
+  // Payment is in, keep the held stock for the order
+  await confirmReservations({
+    reference: transaction.orderId,
+    transactionId: transaction.transactionId,
+    providerTransactionId
+  });
+
+  const { modifiedCount } = await NewOrder.updateMany(
+    {
+      ...orderFilterForTransaction(transaction, providerTransactionId),
+      paymentStatus: { $in: [OrderPaymentStatus.PENDING, OrderPaymentStatus.FAILED] }
+    },
+    {
+      paymentStatus: OrderPaymentStatus.PAID,
+      transactionId: transaction.transactionId
+    }
+  );
+
+  return { alreadySettled, ordersUpdated: modifiedCount };
+};
+
+/**
+ * Mark a transaction and its unpaid orders as failed.
+ * Never downgrades a payment that already succeeded.
+ * @param {Object} params
+ * @param {Object} params.transaction - PaymentTransaction document
+ * @param {string} [params.providerTransactionId] - Provider payment ID
+ * @param {string} [params.reason] - Failure reason from the provider
+ * @returns {Promise<Object>} - { alreadySettled, ordersUpdated }
+ */
+export const settleFailedPayment = async ({ transaction, providerTransactionId, reason }) => {
+  const alreadySettled = [PaymentStatus.SUCCESS, PaymentStatus.REFUNDED].includes(transaction.status);
+  if (alreadySettled) {
+    return { alreadySettled, ordersUpdated: 0 };
+  }
+
+  await PaymentTransaction.updateOne(
+    { _id: transaction._id, status: { $nin: [PaymentStatus.SUCCESS, PaymentStatus.REFUNDED] } },
+    {
+      status: PaymentStatus.FAILED,
+      providerTransactionId,
+      failedAt: new Date(),
+      error: {
+        code: 'PAYMENT_FAILED',
+        message: reason || 'Payment failed at provider'
+      }
+    }
+  );
+
+  const { modifiedCount } = await NewOrder.updateMany(
+    {
+      ...orderFilterForTransaction(transaction, providerTransactionId),
+      paymentStatus: OrderPaymentStatus.PENDING
+    },
+    { paymentStatus: OrderPaymentStatus.FAILED }
+  );
+
+  return { alreadySettled, ordersUpdated: modifiedCount };
+};
+
+/**
+ * Apply a provider payment outcome to the matching transaction
+ * @param {Object} params
+ * @param {string} params.provider - razorpay or cashfree
+ * @param {string} params.providerOrderId - Provider order ID the transaction was created with
+ * @param {string} params.providerTransactionId - Provider payment ID
+ * @param {boolean} params.isSuccess - Payment captured or failed
+ * @param {number} [params.amount] - Paid amount in paise, checked against the transaction
+ * @param {Object} [params.details] - Provider specific fields to store on success
+ * @param {string} [params.reason] - Failure reason
+ * @returns {Promise<Object>} - { status, message, transactionId }
+ */
+export const reconcileProviderPayment = async ({
+  provider,
+  providerOrderId,
+  providerTransactionId,
+  isSuccess,
+  amount,
+  details,
+  reason
+}) => {
+  const transaction = await PaymentTransaction.findOne({ provider, providerOrderId }).sort({ createdAt: -1 });
+  if (!transaction) {
+    return { status: WebhookEventStatus.IGNORED, message: `No transaction for provider order ${providerOrderId}` };
+  }
+
+  if (!isSuccess) {
+    const result = await settleFailedPayment({ transaction, providerTransactionId, reason });
+    return {
+      status: WebhookEventStatus.PROCESSED,
+      message: result.alreadySettled ? 'Payment already settled, failure ignored' : 'Payment marked as failed',
+      transactionId: transaction.transactionId
+    };
+  }
+
+  if (amount != null && Math.round(amount) !== Math.round(transaction.amount)) {
+    return {
+      status: WebhookEventStatus.FAILED,
+      message: `Amount mismatch: expected ${transaction.amount}, received ${amount}`,
+      transactionId: transaction.transactionId
+    };
+  }
+
+  const result = await settleSuccessfulPayment({ transaction, providerTransactionId, details });
+  return {
+    status: WebhookEventStatus.PROCESSED,
+    message: result.alreadySettled
+      ? `Payment already settled, ${result.ordersUpdated} order(s) updated`
+      : `Payment settled, ${result.ordersUpdated} order(s) updated`,
+    transactionId: transaction.transactionId
+  };
+};
+
+/**
+ * Store a webhook delivery in the deduplication log
+ * @returns {Promise<Object>} - { isDuplicate, event }
+ */
+export const recordWebhookEvent = async ({ provider, eventId, eventType, payload }) => {
+  try {
+    const event = await WebhookEvent.create({ provider, eventId, eventType, payload });
+    return { isDuplicate: false, event };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // Redelivery: only retry events that did not finish last time
+    const event = await WebhookEvent.findOneAndUpdate(
+      { provider, eventId },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    const isDone = [WebhookEventStatus.PROCESSED, WebhookEventStatus.IGNORED].includes(event.status);
+    return { isDuplicate: isDone, event };
+  }
+};
+
+/**
+ * Save the outcome of a webhook delivery
+ */
+export const completeWebhookEvent = async (event, { status, message, transactionId }) => {
+  event.status = status;
+  event.message = message;
+  event.transactionId = transactionId;
+  event.processedAt = new Date();
+  await event.save();
+};
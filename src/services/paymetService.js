@@ -157,6 +157,15 @@ class PaymentService {
     };
   }
 
+  async getRazorpayOrderPayments(providerOrderId) {
+    if (!this.razorpay) {
+      throw new Error('Razorpay is not enabled');
+    }
+
+    const result = await this.razorpay.orders.fetchPayments(providerOrderId);
+    return result.items || [];
+  }
+
   async createCashfreeOrder(orderData) {
     if (!this.cashfree) {
       throw new Error('Cashfree is not enabled');
@@ -249,6 +258,53 @@ class PaymentService {
     };
   }
 
+  async createRazorpayRefund(refundData) {
+    if (!this.razorpay) {
+      throw new Error('Razorpay is not enabled');
+    }
+
+    const refund = await this.razorpay.payments.refund(refundData.paymentId, {
+      amount: refundData.amount, // Amount in paise
+      speed: 'normal',
+      receipt: refundData.refundId,
+      notes: {
+        refundId: refundData.refundId,
+        orderId: refundData.orderId
+      }
+    });
+    return refund;
+  }
+
+  async createCashfreeRefund(refundData) {
+    if (!this.cashfree) {
+      throw new Error('Cashfree is not enabled');
+    }
+
+    const response = await fetch(`https://sandbox.cashfree.com/pg/orders/${refundData.providerOrderId}/refunds`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-version': '2023-08-01',
+        'x-client-id': this.cashfree.appId,
+        'x-client-secret': this.cashfree.secretKey
+      },
+      body: JSON.stringify({
+        refund_amount: refundData.amount, // Amount in rupees
+        refund_id: refundData.refundId,
+        refund_note: refundData.note || `Refund for order ${refundData.orderId}`
+      })
+    });
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.message || 'Failed to create Cashfree refund');
+    }
+
+    console.log('Cashfree refund created:', result);
+    return result;
+  }
+
   async createPaymentTransaction(transactionData) {
     const transaction = new PaymentTransaction(transactionData);
     await transaction.save();
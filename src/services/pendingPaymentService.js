@@ -0,0 +1,275 @@
+import {
+  PaymentTransaction,
+  PaymentStatus as TransactionStatus,
+  PaymentProvider
+} from '../models/paymentTransaction.model.js';
+import { NewOrder, OrderStatus, PaymentMethod, PaymentStatus } from '../models/newOrder.model.js';
+import { WebhookEventStatus } from '../models/webhookEvent.model.js';
+import { paymentService } from './paymetService.js';
+import {
+  reconcileProviderPayment,
+  settleSuccessfulPayment,
+  orderFilterForTransaction
+} from './paymentReconciliationService.js';
+import { releaseCancelledItem } from './orderStockService.js';
+import { releaseUnclaimedReservations } from './stockReservationService.js';
+import { canTransition, createStatusHistoryEntry, generateCancelId } from './orderUtils.js';
+import { EmailQueue } from '../queue/producer.js';
+import { withTransaction } from '../utils/withTransaction.js';
+import { _config } from '../config/config.js';
+
+// Orders handled per run, the rest are picked up by the next run
+const BATCH_SIZE = 50;
+
+const UNPAID_STATUSES = [PaymentStatus.PENDING, PaymentStatus.FAILED];
+
+/**
+ * ONLINE orders that were never linked to a successful payment
+ */
+const unpaidOrderFilter = () => ({
+  paymentMethod: PaymentMethod.ONLINE,
+  paymentStatus: { $in: UNPAID_STATUSES },
+  transactionId: { $in: [null, ''] }
+});
+
+/**
+ * Latest payment attempt made for an order
+ */
+const findOrderPayment = (order) => {
+  const references = [{ orderId: order.orderId }];
+  if (order.paymentOrderId) references.push({ orderId: order.paymentOrderId });
+
+  return PaymentTransaction.findOne({ user: order.user, $or: references }).sort({ createdAt: -1 });
+};
+
+/**
+ * Ask the provider whether a payment attempt was captured
+ * @param {Object} transaction - PaymentTransaction document
+ * @returns {Promise<Object>} - { isPaid, providerTransactionId, amount, details }
+ */
+const fetchProviderPaymentStatus = async (transaction) => {
+  if (transaction.provider === PaymentProvider.RAZORPAY) {
+    const payments = await paymentService.getRazorpayOrderPayments(transaction.providerOrderId);
+    const captured = payments.find((payment) => payment.status === 'captured');
+    if (!captured) return { isPaid: false };
+
+    return {
+      isPaid: true,
+      providerTransactionId: captured.id,
+      amount: captured.amount,
+      details: {
+        razorpay: { orderId: captured.order_id, paymentId: captured.id, notes: captured.notes }
+      }
+    };
+  }
+
+  if (transaction.provider === PaymentProvider.CASHFREE) {
+    const result = await paymentService.verifyCashfreePayment({ orderId: transaction.providerOrderId });
+    if (result.payment_status !== 'SUCCESS') return { isPaid: false };
+
+    const providerTransactionId = String(result.transactionId);
+    return {
+      isPaid: true,
+      providerTransactionId,
+      details: {
+        cashfree: { orderId: transaction.providerOrderId, paymentId: providerTransactionId }
+      }
+    };
+  }
+
+  return { isPaid: false };
+};
+
+/**
+ * Cancel the unshipped items of an unpaid order and give their stock back
+ * @returns {Promise<Object|null>} - Cancelled order, or null if it got paid meanwhile
+ */
+const cancelUnpaidOrder = async (orderId, transaction) => {
+  return withTransaction(async (session) => {
+    const order = await NewOrder.findOne({ _id: orderId, ...unpaidOrderFilter() }).session(session);
+    if (!order) return null;
+
+    const note = `Cancelled automatically: payment not received within ${_config.PENDING_PAYMENT_EXPIRY_MINUTES} minutes`;
+    const cancelledItems = [];
+
+    for (const item of order.items) {
+      if (!canTransition(item.orderStatus, OrderStatus.CANCELLED.value)) continue;
+
+      item.orderStatus = OrderStatus.CANCELLED.value;
+      item.cancelId = generateCancelId();
+      item.cancelledAt = new Date();
+      item.statusHistory.push(createStatusHistoryEntry(OrderStatus.CANCELLED.value, note));
+
+      await releaseCancelledItem(item, { orderId: order.orderId, note: 'Unpaid online order expired' }, session);
+      cancelledItems.push(item);
+    }
+
+    order.paymentStatus = PaymentStatus.FAILED;
+    await order.save({ session });
+
+    if (transaction) {
+      await PaymentTransaction.updateOne(
+        { _id: transaction._id, status: { $in: [TransactionStatus.PENDING, TransactionStatus.PROCESSING] } },
+        {
+          status: TransactionStatus.CANCELLED,
+          failedAt: new Date(),
+          error: { code: 'PAYMENT_EXPIRED', message: note }
+        },
+        { session }
+      );
+    }
+
+    return cancelledItems.length ? { order, cancelledItems } : null;
+  });
+};
+
+/**
+ * Tell the customer their order was cancelled because the payment never came through
+ */
+const queuePaymentFailedEmail = async (order, cancelledItems) => {
+  try {
+    await order.populate('user', 'firstname lastname email');
+    if (!order.user?.email) return;
+
+    await EmailQueue.add('send-payment-failed', {
+      type: 'payment_failed',
+      email: order.user.email,
+      subject: `Payment Not Received - ${order.orderId}`,
+      template: 'PaymentFailed.ejs',
+      data: {
+        order,
+        items: cancelledItems,
+        expiryMinutes: _config.PENDING_PAYMENT_EXPIRY_MINUTES,
+        user: {
+          name: `${order.user.firstname || ''} ${order.user.lastname || ''}`.trim() || 'Customer',
+          email: order.user.email
+        }
+      }
+    });
+  } catch (emailError) {
+    console.error(`Failed to queue payment failed email for ${order.orderId}:`, emailError);
+  }
+};
+
+/**
+ * Settle or cancel one unpaid order.
+ * Payments the provider captured are settled; when the provider cannot be reached
+ * the order is left alone so a late payment is never cancelled by mistake.
+ * @param {Object} order - NewOrder document
+ * @returns {Promise<string>} - paid, cancelled or skipped
+ */
+const expirePendingOrder = async (order) => {
+  const transaction = await findOrderPayment(order);
+
+  if (transaction) {
+    if (transaction.status === TransactionStatus.SUCCESS) {
+      await settleSuccessfulPayment({ transaction, providerTransactionId: transaction.providerTransactionId });
+      return 'paid';
+    }
+
+    if (transaction.providerOrderId) {
+      let status;
+      try {
+        status = await fetchProviderPaymentStatus(transaction);
+      } catch (error) {
+        console.error(`Could not fetch payment status for order ${order.orderId}:`, error.message);
+        return 'skipped';
+      }
+
+      if (status.isPaid) {
+        const result = await reconcileProviderPayment({
+          provider: transaction.provider,
+          providerOrderId: transaction.providerOrderId,
+          providerTransactionId: status.providerTransactionId,
+          isSuccess: true,
+          amount: status.amount,
+          details: status.details
+        });
+        if (result.status !== WebhookEventStatus.PROCESSED) {
+          console.error(`Payment for order ${order.orderId} needs review: ${result.message}`);
+          return 'skipped';
+        }
+        return 'paid';
+      }
+    }
+  }
+
+  const cancelled = await cancelUnpaidOrder(order._id, transaction);
+  if (!cancelled) return 'skipped';
+
+  await queuePaymentFailedEmail(cancelled.order, cancelled.cancelledItems);
+  return 'cancelled';
+};
+
+/**
+ * Give back the stock held for payments no order was created from, and flag
+ * those payments for a refund. A payment whose order took its own stock (e.g.
+ * the order was placed before paying) only has its holds given back.
+ * @param {Date} cutoff - Payments confirmed before this are given up on
+ * @returns {Promise<number>} - Payments flagged for a refund
+ */
+const releaseUnclaimedPayments = async (cutoff) => {
+  const transactionIds = await releaseUnclaimedReservations(cutoff);
+
+  let flagged = 0;
+  for (const transactionId of transactionIds) {
+    const transaction = await PaymentTransaction.findOne({ transactionId });
+    if (!transaction) continue;
+
+    const hasOrder = await NewOrder.exists(orderFilterForTransaction(transaction, transaction.providerTransactionId));
+    if (hasOrder) continue;
+
+    await PaymentTransaction.updateOne(
+      { _id: transaction._id },
+      {
+        needsRefund: true,
+        error: {
+          code: 'ORDER_NOT_CREATED',
+          message: `No order was created within ${_config.PENDING_PAYMENT_EXPIRY_MINUTES} minutes of the payment, its stock was released`
+        }
+      }
+    );
+    console.error(`Payment ${transactionId} has no order, flagged for a refund`);
+    flagged += 1;
+  }
+
+  return flagged;
+};
+
+/**
+ * Find ONLINE orders still unpaid after PENDING_PAYMENT_EXPIRY_MINUTES and
+ * either mark them paid or cancel them and restock their items. Stock held for
+ * payments that never became an order in that time is given back too.
+ * @returns {Promise<Object>} - { checked, paid, cancelled, skipped, refundsFlagged }
+ */
+export const expirePendingPayments = async () => {
+  const cutoff = new Date(Date.now() - _config.PENDING_PAYMENT_EXPIRY_MINUTES * 60 * 1000);
+
+  const orders = await NewOrder.find({
+    ...unpaidOrderFilter(),
+    orderedAt: { $lte: cutoff },
+    'items.orderStatus': OrderStatus.ORDERED.value
+  })
+    .sort({ orderedAt: 1 })
+    .limit(BATCH_SIZE);
+
+  const summary = { checked: orders.length, paid: 0, cancelled: 0, skipped: 0, refundsFlagged: 0 };
+
+  for (const order of orders) {
+    try {
+      const outcome = await expirePendingOrder(order);
+      summary[outcome] += 1;
+    } catch (error) {
+      console.error(`Failed to expire pending order ${order.orderId}:`, error.message);
+      summary.skipped += 1;
+    }
+  }
+
+  try {
+    summary.refundsFlagged = await releaseUnclaimedPayments(cutoff);
+  } catch (error) {
+    console.error('Failed to release stock held for unclaimed payments:', error.message);
+  }
+
+  return summary;
+};
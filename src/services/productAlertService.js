@@ -0,0 +1,175 @@
+import Product from '../models/product.model.js';
+import Color from '../models/color.model.js';
+import { ProductAlert, AlertType, AlertStatus } from '../models/productAlert.model.js';
+import { EmailQueue } from '../queue/producer.js';
+
+/**
+ * Price a shopper pays for a product right now, priced the same way createOrder prices it
+ * @param {Object} product - Product document
+ * @returns {number}
+ */
+export const getEffectivePrice = (product) =>
+  product.isOnSale ? product.salePrice.discountedPrice : product.nonSalePrice.discountedPrice;
+
+const getSizeStock = (product, colorId, size) => {
+  const variant = product.variants.find((v) => v.color && v.color.equals(colorId));
+  return variant?.sizes.find((s) => s.size === size)?.stock ?? null;
+};
+
+/**
+ * Subscribe a user to a restock or price drop alert
+ * @param {Object} params
+ * @param {string} params.userId - User ID
+ * @param {string} params.productId - Product ID
+ * @param {string} params.type - AlertType
+ * @param {string} [params.colorId] - Color ID, restock alerts only
+ * @param {string} [params.size] - Size label, restock alerts only
+ * @returns {Promise<Object>} - { isValid, message, alert }
+ */
+export const subscribeToAlert = async ({ userId, productId, type, colorId, size }) => {
+  const product = await Product.findOne({ _id: productId, isActive: true });
+  if (!product) {
+    return { isValid: false, message: 'Product not found' };
+  }
+
+  const filter = { user: userId, product: product._id, type };
+  let priceAtSubscription;
+
+  if (type === AlertType.RESTOCK) {
+    const stock = getSizeStock(product, colorId, size);
+    if (stock === null) {
+      return { isValid: false, message: 'Selected variant not found' };
+    }
+    if (stock > 0) {
+      return { isValid: false, message: `Size ${size} is already in stock` };
+    }
+    filter.color = colorId;
+    filter.size = size;
+  } else {
+    priceAtSubscription = getEffectivePrice(product);
+  }
+
+  const existing = await ProductAlert.findOne({
+    ...filter,
+    status: { $in: [AlertStatus.ACTIVE, AlertStatus.QUEUED] }
+  });
+  if (existing) {
+    return { isValid: true, message: 'You are already subscribed to this alert', alert: existing };
+  }
+
+  const created = await ProductAlert.create({ ...filter, priceAtSubscription });
+  return { isValid: true, message: 'You will be notified by email', alert: created };
+};
+
+/**
+ * Open alerts of a product that are due: restock alerts whose size has stock again,
+ * price drop alerts whose price went below the subscribed price
+ */
+const findDueAlerts = async (product) => {
+  const alerts = await ProductAlert.find({ product: product._id, status: AlertStatus.ACTIVE });
+  const price = getEffectivePrice(product);
+
+  return alerts
+    .filter((alert) => {
+      if (alert.type === AlertType.RESTOCK) {
+        return getSizeStock(product, alert.color, alert.size) > 0;
+      }
+      return price < alert.priceAtSubscription;
+    })
+    .map((alert) => ({ alert, price }));
+};
+
+/**
+ * Put one alert email on the queue. The alert is claimed first so two
+ * product updates running side by side can never send it twice.
+ */
+const queueAlertEmail = async ({ alert, price }, product) => {
+  const claimed = await ProductAlert.findOneAndUpdate(
+    { _id: alert._id, status: AlertStatus.ACTIVE },
+    { status: AlertStatus.QUEUED },
+    { new: true }
+  ).populate('user', 'firstname lastname email');
+  if (!claimed?.user?.email) return false;
+
+  const color = claimed.color ? await Color.findById(claimed.color).select('name') : null;
+  const variant = claimed.color
+    ? product.variants.find((v) => v.color && v.color.equals(claimed.color))
+    : product.variants[0];
+  const isRestock = claimed.type === AlertType.RESTOCK;
+
+  await EmailQueue.add('send-product-alert', {
+    type: 'product_alert',
+    alertId: claimed._id.toString(),
+    email: claimed.user.email,
+    subject: isRestock ? `Back in stock - ${product.name}` : `Price drop - ${product.name}`,
+    template: 'ProductAlert.ejs',
+    data: {
+      isRestock,
+      user: {
+        name: `${claimed.user.firstname || ''} ${claimed.user.lastname || ''}`.trim() || 'Customer'
+      },
+      product: {
+        id: product._id.toString(),
+        name: product.name,
+        image: variant?.images?.[0]?.secure_url || variant?.orderImage || '',
+        colorName: color?.name,
+        size: claimed.size,
+        price,
+        previousPrice: claimed.priceAtSubscription
+      }
+    }
+  });
+
+  return true;
+};
+
+/**
+ * Queue the alert emails that became due after products changed stock or price.
+ * Never throws, a failed notification must not fail the product update.
+ * @param {Array} productIds - Products that changed
+ * @returns {Promise<number>} - Number of emails queued
+ */
+export const dispatchProductAlerts = async (productIds) => {
+  let queued = 0;
+
+  try {
+    const products = await Product.find({ _id: { $in: productIds }, isActive: true });
+
+    for (const product of products) {
+      const due = await findDueAlerts(product);
+      for (const entry of due) {
+        if (await queueAlertEmail(entry, product)) queued += 1;
+      }
+    }
+
+    if (queued) {
+      console.log(`Queued ${queued} product alert email(s)`);
+    }
+  } catch (error) {
+    console.error('Failed to dispatch product alerts:', error);
+  }
+
+  return queued;
+};
+
+/**
+ * Unsubscribe an alert once its email went out
+ * @param {string} alertId - ProductAlert ID
+ */
+export const markAlertSent = async (alertId) => {
+  await ProductAlert.updateOne(
+    { _id: alertId, status: AlertStatus.QUEUED },
+    { status: AlertStatus.SENT, notifiedAt: new Date() }
+  );
+};
+
+/**
+ * Reopen an alert whose email could not be sent, so the next change retries it
+ * @param {string} alertId - ProductAlert ID
+ */
+export const releaseAlert = async (alertId) => {
+  await ProductAlert.updateOne(
+    { _id: alertId, status: AlertStatus.QUEUED },
+    { status: AlertStatus.ACTIVE }
+  );
+};
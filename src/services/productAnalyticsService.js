@@ -0,0 +1,294 @@
+import mongoose from 'mongoose';
+import Product from '../models/product.model.js';
+import { ProductEvent, ProductEventType, ProductDailyStat } from '../models/productAnalytics.model.js';
+import { withTransaction } from '../utils/withTransaction.js';
+
+// Days are counted in India time
+const IST_OFFSET = 330 * 60 * 1000;
+const DAY = 24 * 3600 * 1000;
+
+// Stats row holding the product counters from before the stats were kept
+const BASELINE_DATE = new Date(0);
+
+// Events handled per transaction, and per run so one run cannot hold the worker for long
+const BATCH_SIZE = 1000;
+const MAX_BATCHES = 20;
+
+// Daily stats counter moved by each event type
+const EVENT_COUNTERS = {
+  [ProductEventType.ADD_TO_CART]: 'addToCarts',
+  [ProductEventType.ORDER]: 'orderedUnits',
+  [ProductEventType.CANCEL]: 'cancelledUnits',
+  [ProductEventType.RETURN]: 'returnedUnits'
+};
+
+/**
+ * Start of the India day of a date, stored as its UTC instant
+ * @param {Date} date
+ * @returns {Date}
+ */
+export const getStatDay = (date) =>
+  new Date(Math.floor((new Date(date).getTime() + IST_OFFSET) / DAY) * DAY - IST_OFFSET);
+
+/**
+ * Record a product event for the daily stats. Pass the session of the order
+ * or cart change so the event only counts if that change commits.
+ * @param {Object} params
+ * @param {string} params.productId
+ * @param {string} params.type - ProductEventType
+ * @param {number} [params.quantity] - Units, 1 for views
+ * @param {string} [params.userId] - Null for guests and system jobs
+ * @param {boolean} [params.isFirstView] - First view of a logged-in user
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<Object>} - ProductEvent document
+ */
+export const recordProductEvent = async ({ productId, type, quantity = 1, userId = null, isFirstView = false }, session) => {
+  const [event] = await ProductEvent.create([{
+    product: productId,
+    type,
+    quantity,
+    user: userId,
+    isFirstView
+  }], { session });
+  return event;
+};
+
+/**
+ * Record the order, cancel or return of an order item
+ * @param {Object} item - Order item
+ * @param {string} type - ProductEventType
+ * @param {Object} [session] - Mongoose session
+ */
+export const recordItemEvent = (item, type, session) =>
+  recordProductEvent({
+    productId: item.product.productId,
+    type,
+    quantity: item.quantity
+  }, session);
+
+/**
+ * Daily stats increments of a batch of events
+ */
+const buildStatUpdates = (events) => {
+  const updates = new Map();
+
+  for (const event of events) {
+    const date = getStatDay(event.occurredAt);
+    const key = `${event.product}|${date.getTime()}`;
+    if (!updates.has(key)) updates.set(key, { product: event.product, date, inc: {} });
+    const { inc } = updates.get(key);
+
+    const add = (field, value) => {
+      inc[field] = (inc[field] || 0) + value;
+    };
+
+    if (event.type === ProductEventType.VIEW) {
+      add('views', 1);
+      if (!event.user) add('guestViews', 1);
+      else if (event.isFirstView) add('loggedInViews', 1);
+    } else {
+      add(EVENT_COUNTERS[event.type], event.quantity);
+    }
+  }
+
+  return [...updates.values()].map(({ product, date, inc }) => ({
+    updateOne: {
+      filter: { product, date },
+      update: { $inc: inc },
+      upsert: true
+    }
+  }));
+};
+
+/**
+ * Keep the counters a product had before its first stats as a baseline row,
+ * so refreshing the product from its stats does not lose them
+ */
+const seedBaselines = async (productIds, session) => {
+  const tracked = await ProductDailyStat.distinct('product', { product: { $in: productIds } }).session(session);
+  const trackedIds = new Set(tracked.map(String));
+  const untracked = productIds.filter((id) => !trackedIds.has(String(id)));
+  if (!untracked.length) return;
+
+  const products = await Product.find({ _id: { $in: untracked } })
+    .select('salesCount loggedInViews notLoggedInViews')
+    .session(session)
+    .lean();
+
+  await ProductDailyStat.insertMany(products.map((product) => ({
+    product: product._id,
+    date: BASELINE_DATE,
+    views: (product.loggedInViews || 0) + (product.notLoggedInViews || 0),
+    loggedInViews: product.loggedInViews || 0,
+    guestViews: product.notLoggedInViews || 0,
+    orderedUnits: product.salesCount || 0
+  })), { session });
+};
+
+/**
+ * Set the sales and view counters of products to the totals of their daily stats
+ * @param {Array} productIds
+ */
+export const refreshProductCounters = async (productIds) => {
+  if (!productIds.length) return;
+
+  const totals = await ProductDailyStat.aggregate([
+    { $match: { product: { $in: productIds.map((id) => new mongoose.Types.ObjectId(String(id))) } } },
+    {
+      $group: {
+        _id: '$product',
+        loggedInViews: { $sum: '$loggedInViews' },
+        guestViews: { $sum: '$guestViews' },
+        orderedUnits: { $sum: '$orderedUnits' },
+        cancelledUnits: { $sum: '$cancelledUnits' },
+        returnedUnits: { $sum: '$returnedUnits' }
+      }
+    }
+  ]);
+
+  await Product.bulkWrite(totals.map((total) => ({
+    updateOne: {
+      filter: { _id: total._id },
+      update: {
+        $set: {
+          salesCount: Math.max(0, total.orderedUnits - total.cancelledUnits - total.returnedUnits),
+          loggedInViews: total.loggedInViews,
+          notLoggedInViews: total.guestViews
+        }
+      },
+      timestamps: false
+    }
+  })));
+};
+
+/**
+ * Add pending product events to the daily stats and refresh the counters of
+ * the products they touched. Each batch is marked processed in the same
+ * transaction that counts it, so an event is never counted twice.
+ * @returns {Promise<Object>} - { events, products }
+ */
+export const rollupProductEvents = async () => {
+  const touched = new Set();
+  let processed = 0;
+
+  for (let batch = 0; batch < MAX_BATCHES; batch++) {
+    const count = await withTransaction(async (session) => {
+      const events = await ProductEvent.find({ processedAt: null })
+        .sort({ _id: 1 })
+        .limit(BATCH_SIZE)
+        .session(session)
+        .lean();
+      if (!events.length) return 0;
+
+      const productIds = [...new Set(events.map((event) => String(event.product)))];
+      await seedBaselines(productIds, session);
+      await ProductDailyStat.bulkWrite(buildStatUpdates(events), { session });
+
+      const { modifiedCount } = await ProductEvent.updateMany(
+        { _id: { $in: events.map((event) => event._id) }, processedAt: null },
+        { $set: { processedAt: new Date() } },
+        { session }
+      );
+      // Another run took some of them, count the batch again next time
+      if (modifiedCount !== events.length) {
+        throw new Error('Product events were processed by another run');
+      }
+
+      productIds.forEach((id) => touched.add(id));
+      return events.length;
+    });
+
+    processed += count;
+    if (count < BATCH_SIZE) break;
+  }
+
+  await refreshProductCounters([...touched]);
+  return { events: processed, products: touched.size };
+};
+
+const rate = (part, whole) => (whole ? Math.round((part / whole) * 10000) / 100 : 0);
+
+const withRates = (counters) => ({
+  views: counters.views,
+  addToCarts: counters.addToCarts,
+  orderedUnits: counters.orderedUnits,
+  cancelledUnits: counters.cancelledUnits,
+  returnedUnits: counters.returnedUnits,
+  // Percentages of the previous step
+  cartRate: rate(counters.addToCarts, counters.views),
+  orderRate: rate(counters.orderedUnits, counters.addToCarts),
+  conversionRate: rate(counters.orderedUnits, counters.views),
+  cancelRate: rate(counters.cancelledUnits, counters.orderedUnits),
+  returnRate: rate(counters.returnedUnits, counters.orderedUnits)
+});
+
+const FUNNEL_SUMS = {
+  views: { $sum: '$views' },
+  addToCarts: { $sum: '$addToCarts' },
+  orderedUnits: { $sum: '$orderedUnits' },
+  cancelledUnits: { $sum: '$cancelledUnits' },
+  returnedUnits: { $sum: '$returnedUnits' }
+};
+
+/**
+ * Conversion funnel from views to cart, order and return over a date range,
+ * as totals, per day and per product. Events still waiting for the rollup
+ * job are not included.
+ * @param {Object} params
+ * @param {Date} params.from
+ * @param {Date} params.to - Day included
+ * @param {string} [params.productId] - Only this product
+ * @param {number} [params.limit] - Products listed, by views
+ * @returns {Promise<Object>} - { totals, daily, products }
+ */
+export const getConversionFunnel = async ({ from, to, productId, limit = 10 }) => {
+  const match = {
+    date: {
+      $gt: BASELINE_DATE,
+      $gte: getStatDay(from),
+      $lte: getStatDay(to)
+    }
+  };
+  if (productId) match.product = new mongoose.Types.ObjectId(productId);
+
+  const [result] = await ProductDailyStat.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [
+          { $group: { _id: null, ...FUNNEL_SUMS } }
+        ],
+        daily: [
+          { $group: { _id: '$date', ...FUNNEL_SUMS } },
+          { $sort: { _id: 1 } }
+        ],
+        products: [
+          { $group: { _id: '$product', ...FUNNEL_SUMS } },
+          { $sort: { views: -1, orderedUnits: -1 } },
+          { $limit: limit },
+          {
+            $lookup: {
+              from: 'products',
+              localField: '_id',
+              foreignField: '_id',
+              as: 'product'
+            }
+          },
+          { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } }
+        ]
+      }
+    }
+  ]);
+
+  const empty = { views: 0, addToCarts: 0, orderedUnits: 0, cancelledUnits: 0, returnedUnits: 0 };
+
+  return {
+    totals: withRates(result.totals[0] || empty),
+    daily: result.daily.map((day) => ({ date: day._id, ...withRates(day) })),
+    products: result.products.map((product) => ({
+      productId: product._id,
+      name: product.product?.name || 'Deleted product',
+      ...withRates(product)
+    }))
+  };
+};
@@ -0,0 +1,591 @@
+import Joi from 'joi';
+import Product, { ALLOWED_SIZES, isValidBarcode } from '../models/product.model.js';
+import Category from '../models/category.model.js';
+import Color from '../models/color.model.js';
+import { parseCsv, toCsv } from '../utils/csv.js';
+import { MovementReason } from '../models/stockMovement.model.js';
+import { dispatchProductAlerts } from './productAlertService.js';
+import { setStock, recordInitialStock } from './inventoryService.js';
+import { repriceProducts } from './salePricingService.js';
+
+// One row per product variant and size. Product level columns repeat on every row of a product.
+export const CATALOG_COLUMNS = [
+  'sku', 'productId', 'name', 'description', 'category', 'specifications',
+  'price', 'discountedPrice', 'salePrice', 'saleDiscountedPrice', 'isOnSale',
+  'weight', 'hsnCode', 'cod', 'online', 'isActive',
+  'color', 'size', 'stock', 'barcode', 'orderImageId', 'orderImageUrl', 'images'
+];
+
+// While a sale prices a product, its own sale price is in the snapshot
+const ownPricePath = (product, path) =>
+  product.saleSnapshot && path.startsWith('salePrice.') ? `saleSnapshot.${path}` : path;
+
+// Structured cells, JSON encoded in CSV files
+const JSON_COLUMNS = ['specifications', 'images'];
+
+// Import column -> product path. isOnSale is export only, sales own that flag.
+const PRODUCT_FIELDS = [
+  ['name', 'name'],
+  ['description', 'description'],
+  ['specifications', 'specifications'],
+  ['price', 'nonSalePrice.price'],
+  ['discountedPrice', 'nonSalePrice.discountedPrice'],
+  ['salePrice', 'salePrice.price'],
+  ['saleDiscountedPrice', 'salePrice.discountedPrice'],
+  ['weight', 'weight'],
+  ['hsnCode', 'hsnCode'],
+  ['cod', 'paymentOptions.cod'],
+  ['online', 'paymentOptions.online'],
+  ['isActive', 'isActive']
+];
+
+const imageSchema = Joi.object({
+  id: Joi.string().trim().required(),
+  secure_url: Joi.string().trim().uri().required()
+});
+
+const rowSchema = Joi.object({
+  sku: Joi.string().trim().uppercase().max(64).pattern(/^[A-Z0-9_-]+$/),
+  productId: Joi.string().hex().length(24),
+  name: Joi.string().trim().max(100),
+  description: Joi.string().trim().max(2000),
+  category: Joi.string().trim(),
+  specifications: Joi.array().items(Joi.object({
+    title: Joi.string().trim().required(),
+    description: Joi.string().trim().required()
+  })),
+  price: Joi.number().positive(),
+  discountedPrice: Joi.number().min(0),
+  salePrice: Joi.number().min(0),
+  saleDiscountedPrice: Joi.number().min(0),
+  weight: Joi.number().min(0),
+  hsnCode: Joi.string().trim().pattern(/^\d{4}(\d{2}){0,2}$/),
+  cod: Joi.boolean(),
+  online: Joi.boolean(),
+  isActive: Joi.boolean(),
+  color: Joi.string().trim().required(),
+  size: Joi.string().trim().uppercase().valid(...ALLOWED_SIZES).required(),
+  stock: Joi.number().integer().min(0),
+  barcode: Joi.string().trim().custom((value, helpers) =>
+    isValidBarcode(value) ? value : helpers.message('"barcode" is not a valid EAN/UPC barcode')
+  ),
+  orderImageId: Joi.string().trim(),
+  orderImageUrl: Joi.string().trim().uri(),
+  images: Joi.array().items(imageSchema)
+}).and('orderImageId', 'orderImageUrl');
+
+const toComparable = (value) => JSON.stringify(value?.toObject ? value.toObject() : value);
+
+const plainSpecifications = (specifications = []) =>
+  specifications.map(({ title, description }) => ({ title, description }));
+
+const plainImages = (images = []) => images.map(({ id, secure_url }) => ({ id, secure_url }));
+
+/**
+ * Flatten the whole catalog into import-ready rows
+ * @returns {Promise<Array<Object>>}
+ */
+export const exportCatalogRows = async () => {
+  const products = await Product.find()
+    .populate('category', 'name')
+    .populate('variants.color', 'name')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const rows = [];
+  for (const product of products) {
+    for (const variant of product.variants) {
+      for (const sizeOption of variant.sizes) {
+        rows.push({
+          sku: sizeOption.sku || '',
+          productId: product._id.toString(),
+          name: product.name,
+          description: product.description,
+          category: product.category?.name || '',
+          specifications: plainSpecifications(product.specifications),
+          price: product.nonSalePrice?.price,
+          discountedPrice: product.nonSalePrice?.discountedPrice,
+          salePrice: (product.saleSnapshot || product).salePrice?.price,
+          saleDiscountedPrice: (product.saleSnapshot || product).salePrice?.discountedPrice,
+          isOnSale: product.isOnSale,
+          weight: product.weight,
+          hsnCode: product.hsnCode,
+          cod: product.paymentOptions?.cod,
+          online: product.paymentOptions?.online,
+          isActive: product.isActive,
+          color: variant.color?.name || '',
+          size: sizeOption.size,
+          stock: sizeOption.stock,
+          barcode: sizeOption.barcode,
+          orderImageId: variant.orderImage?.id,
+          orderImageUrl: variant.orderImage?.secure_url,
+          images: plainImages(variant.images)
+        });
+      }
+    }
+  }
+
+  return rows;
+};
+
+/**
+ * Serialize exported rows as CSV, structured cells become JSON strings
+ * @param {Array<Object>} rows - Rows from exportCatalogRows
+ * @returns {string}
+ */
+export const catalogRowsToCsv = (rows) =>
+  toCsv(
+    CATALOG_COLUMNS,
+    rows.map((row) => ({
+      ...row,
+      specifications: JSON.stringify(row.specifications),
+      images: JSON.stringify(row.images)
+    }))
+  );
+
+/**
+ * Read an uploaded CSV or JSON catalog file into raw rows
+ * @param {Object} file - Multer file held in memory
+ * @returns {Object} - { isValid, message, rows }
+ */
+export const parseImportFile = (file) => {
+  const text = file.buffer.toString('utf8');
+
+  try {
+    if (/\.json$/i.test(file.originalname)) {
+      const parsed = JSON.parse(text);
+      // Accept a bare array or the JSON export response as is
+      const rows = Array.isArray(parsed) ? parsed : parsed?.data;
+      if (!Array.isArray(rows)) {
+        return { isValid: false, message: 'JSON file must hold an array of rows' };
+      }
+      return { isValid: true, rows };
+    }
+
+    return { isValid: true, rows: parseCsv(text) };
+  } catch (error) {
+    return { isValid: false, message: `Could not read file: ${error.message}` };
+  }
+};
+
+/**
+ * Drop empty cells and decode the JSON cells of a CSV row
+ */
+const cleanRow = (raw) => {
+  const row = {};
+
+  for (const [column, value] of Object.entries(raw || {})) {
+    if (value === null || value === undefined) continue;
+    if (typeof value !== 'string') {
+      row[column] = value;
+      continue;
+    }
+
+    const trimmed = value.trim();
+    if (trimmed === '') continue;
+
+    if (JSON_COLUMNS.includes(column)) {
+      try {
+        row[column] = JSON.parse(trimmed);
+      } catch {
+        throw new Error(`"${column}" is not valid JSON`);
+      }
+    } else {
+      row[column] = trimmed;
+    }
+  }
+
+  return row;
+};
+
+const validateRows = (rawRows) => {
+  const rows = [];
+  const errors = [];
+
+  rawRows.forEach((raw, index) => {
+    const rowNumber = index + 1;
+
+    let cleaned;
+    try {
+      cleaned = cleanRow(raw);
+    } catch (error) {
+      errors.push({ row: rowNumber, sku: raw?.sku || null, message: error.message });
+      return;
+    }
+
+    const { error, value } = rowSchema.validate(cleaned, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      errors.push(...error.details.map((d) => ({
+        row: rowNumber,
+        sku: cleaned.sku || null,
+        message: d.message
+      })));
+      return;
+    }
+
+    rows.push({ ...value, rowNumber });
+  });
+
+  return { rows, errors };
+};
+
+const findSkuLine = (product, sku) => {
+  for (const variant of product.variants) {
+    const sizeOption = variant.sizes.find((s) => s.sku === sku);
+    if (sizeOption) return { variant, sizeOption };
+  }
+  return null;
+};
+
+/**
+ * Apply the rows of one product to its document, without saving.
+ * Product fields take the first value given on any of the rows. Stock of
+ * existing sizes is left on the group, it goes through the inventory service.
+ * @returns {Array<Object>} - Changes made to the document
+ */
+const applyGroup = (group, lookups, addError) => {
+  const { product, isNew, rows } = group;
+  const changes = [];
+  group.stockUpdates = [];
+  group.newLines = [];
+  // A new product is listed as a whole, not field by field
+  const record = (change) => {
+    if (!isNew) changes.push(change);
+  };
+  const lead = {};
+
+  for (const row of rows) {
+    for (const [column] of PRODUCT_FIELDS.concat([['category']])) {
+      if (row[column] === undefined) continue;
+      if (lead[column] === undefined) {
+        lead[column] = row[column];
+      } else if (toComparable(lead[column]) !== toComparable(row[column])) {
+        addError(row, `"${column}" differs from an earlier row of the same product`);
+      }
+    }
+  }
+
+  for (const [column, path] of PRODUCT_FIELDS) {
+    if (lead[column] === undefined) continue;
+    const current = product.get(ownPricePath(product, path));
+    const currentValue = column === 'specifications' ? plainSpecifications(current) : current;
+    if (!isNew && toComparable(currentValue) === toComparable(lead[column])) continue;
+
+    record({ field: column, from: currentValue ?? null, to: lead[column] });
+    product.set(ownPricePath(product, path), lead[column]);
+  }
+
+  if (lead.category !== undefined) {
+    const category = lookups.categoriesByName.get(lead.category);
+    if (!category) {
+      addError(rows[0], `Category '${lead.category}' not found`);
+    } else if (!product.category?.equals(category._id)) {
+      record({
+        field: 'category',
+        from: lookups.categoriesById.get(product.category?.toString())?.name ?? null,
+        to: category.name
+      });
+      product.category = category._id;
+    }
+  }
+
+  const seenLines = new Set();
+  for (const row of rows) {
+    const lineKey = `${row.colorDoc._id}:${row.size}`;
+    if (seenLines.has(lineKey)) {
+      addError(row, `${row.color} / ${row.size} appears more than once for this product`);
+      continue;
+    }
+    seenLines.add(lineKey);
+
+    const line = { sku: row.sku || null, color: row.color, size: row.size };
+    let variant = product.variants.find((v) => v.color.equals(row.colorDoc._id));
+
+    if (!variant) {
+      if (!row.orderImageId) {
+        addError(row, `New color ${row.color} needs orderImageId and orderImageUrl`);
+        continue;
+      }
+      product.variants.push({
+        color: row.colorDoc._id,
+        orderImage: { id: row.orderImageId, secure_url: row.orderImageUrl },
+        images: row.images || [],
+        sizes: []
+      });
+      variant = product.variants[product.variants.length - 1];
+      record({ ...line, field: 'variant', from: null, to: 'added' });
+    } else {
+      const orderImage = { id: row.orderImageId, secure_url: row.orderImageUrl };
+      if (row.orderImageId && toComparable(plainImages([variant.orderImage])[0]) !== toComparable(orderImage)) {
+        record({ ...line, field: 'orderImage', from: variant.orderImage?.secure_url, to: orderImage.secure_url });
+        variant.orderImage = orderImage;
+      }
+      if (row.images && toComparable(plainImages(variant.images)) !== toComparable(row.images)) {
+        record({ ...line, field: 'images', from: variant.images.length, to: row.images.length });
+        variant.images = row.images;
+      }
+    }
+
+    const sizeOption = variant.sizes.find((s) => s.size === row.size);
+    if (!sizeOption) {
+      variant.sizes.push({ size: row.size, stock: row.stock ?? 0, sku: row.sku, barcode: row.barcode });
+      group.newLines.push({ colorId: row.colorDoc._id, size: row.size });
+      record({ ...line, field: 'size', from: null, to: 'added', stock: row.stock ?? 0 });
+      continue;
+    }
+
+    if (row.sku && sizeOption.sku && sizeOption.sku !== row.sku) {
+      addError(row, `${row.color} / ${row.size} already has SKU ${sizeOption.sku}`);
+      continue;
+    }
+    if (row.sku && !sizeOption.sku) {
+      record({ ...line, field: 'sku', from: null, to: row.sku });
+      sizeOption.sku = row.sku;
+    }
+    if (row.barcode && row.barcode !== sizeOption.barcode) {
+      record({ ...line, field: 'barcode', from: sizeOption.barcode || null, to: row.barcode });
+      sizeOption.barcode = row.barcode;
+    }
+    if (row.stock !== undefined && row.stock !== sizeOption.stock) {
+      record({ ...line, field: 'stock', from: sizeOption.stock, to: row.stock });
+      group.stockUpdates.push({ colorId: row.colorDoc._id, size: row.size, stock: row.stock });
+    }
+  }
+
+  return changes;
+};
+
+const describeLines = (product, lookups) =>
+  product.variants.flatMap((variant) =>
+    variant.sizes.map((sizeOption) => ({
+      sku: sizeOption.sku || null,
+      color: lookups.colorsById.get(variant.color.toString())?.name,
+      size: sizeOption.size,
+      field: 'size',
+      from: null,
+      to: 'added',
+      stock: sizeOption.stock
+    }))
+  );
+
+/**
+ * Checks a product must pass before it is saved, mirroring createProduct
+ */
+const checkGroup = (group, addError) => {
+  const { product, isNew, rows } = group;
+
+  if (isNew) {
+    const missing = ['name', 'description', 'category', 'price', 'discountedPrice']
+      .filter((column) => !rows.some((row) => row[column] !== undefined));
+    if (missing.length) {
+      addError(rows[0], `New products need ${missing.join(', ')}`);
+      return;
+    }
+  }
+
+  const { price, discountedPrice } = product.nonSalePrice || {};
+  if (discountedPrice > price) {
+    addError(rows[0], 'discountedPrice cannot be greater than price');
+  }
+  if (product.salePrice?.price && product.salePrice.discountedPrice > product.salePrice.price) {
+    addError(rows[0], 'saleDiscountedPrice cannot be greater than salePrice');
+  }
+
+  const validationError = product.validateSync();
+  if (validationError) {
+    Object.values(validationError.errors).forEach((err) => addError(rows[0], err.message));
+  }
+};
+
+/**
+ * Validate rows against the catalog and work out what an import would change.
+ * Rows are matched by SKU first, then by productId + color + size; rows
+ * matching neither create a product, grouped by name.
+ * @param {Array<Object>} rawRows - Rows from parseImportFile
+ * @returns {Promise<Object>} - { summary, errors, groups }, groups hold unsaved product documents
+ */
+export const prepareImport = async (rawRows) => {
+  const { rows, errors } = validateRows(rawRows);
+  const addError = (row, message) => errors.push({ row: row.rowNumber, sku: row.sku || null, message });
+
+  const skus = [...new Set(rows.map((row) => row.sku).filter(Boolean))];
+  const productIds = [...new Set(rows.map((row) => row.productId).filter(Boolean))];
+
+  const [categories, colors, products] = await Promise.all([
+    Category.find().select('name'),
+    Color.find().select('name'),
+    Product.find({
+      $or: [{ _id: { $in: productIds } }, { 'variants.sizes.sku': { $in: skus } }]
+    })
+  ]);
+
+  const lookups = {
+    categoriesByName: new Map(categories.map((c) => [c.name, c])),
+    categoriesById: new Map(categories.map((c) => [c._id.toString(), c])),
+    colorsByName: new Map(colors.map((c) => [c.name, c])),
+    colorsById: new Map(colors.map((c) => [c._id.toString(), c]))
+  };
+  const productsById = new Map(products.map((p) => [p._id.toString(), p]));
+  const skuOwners = new Map();
+  for (const product of products) {
+    for (const variant of product.variants) {
+      for (const sizeOption of variant.sizes) {
+        if (sizeOption.sku) skuOwners.set(sizeOption.sku, product);
+      }
+    }
+  }
+
+  const groups = new Map();
+  const seenSkus = new Map();
+
+  for (const row of rows) {
+    if (row.sku) {
+      if (seenSkus.has(row.sku)) {
+        addError(row, `SKU ${row.sku} is already used on row ${seenSkus.get(row.sku)}`);
+        continue;
+      }
+      seenSkus.set(row.sku, row.rowNumber);
+    }
+
+    const colorDoc = lookups.colorsByName.get(row.color);
+    if (!colorDoc) {
+      addError(row, `Color '${row.color}' not found`);
+      continue;
+    }
+
+    let product = row.productId ? productsById.get(row.productId) : null;
+    if (row.productId && !product) {
+      addError(row, `Product ${row.productId} not found`);
+      continue;
+    }
+
+    const owner = row.sku ? skuOwners.get(row.sku) : null;
+    if (owner) {
+      if (product && !product._id.equals(owner._id)) {
+        addError(row, `SKU ${row.sku} belongs to another product`);
+        continue;
+      }
+      const { variant, sizeOption } = findSkuLine(owner, row.sku);
+      if (!variant.color.equals(colorDoc._id) || sizeOption.size !== row.size) {
+        addError(row, `SKU ${row.sku} is assigned to another color or size`);
+        continue;
+      }
+      product = owner;
+    }
+
+    if (!product && !row.name) {
+      addError(row, 'Rows of a new product need a name');
+      continue;
+    }
+
+    const key = product ? product._id.toString() : `new:${row.name.toLowerCase()}`;
+    if (!groups.has(key)) {
+      groups.set(key, { product, isNew: !product, rows: [] });
+    }
+    groups.get(key).rows.push({ ...row, colorDoc });
+  }
+
+  const planned = [];
+  for (const group of groups.values()) {
+    if (group.isNew) group.product = new Product({ variants: [] });
+
+    const errorCount = errors.length;
+    const changes = applyGroup(group, lookups, addError);
+    checkGroup(group, addError);
+
+    planned.push({
+      product: group.product,
+      stockUpdates: group.stockUpdates,
+      newLines: group.newLines,
+      row: group.rows[0].rowNumber,
+      productId: group.isNew ? null : group.product._id.toString(),
+      name: group.product.name,
+      action: group.isNew ? 'create' : changes.length ? 'update' : 'unchanged',
+      hasErrors: errors.length > errorCount,
+      changes: group.isNew ? describeLines(group.product, lookups) : changes
+    });
+  }
+
+  errors.sort((a, b) => a.row - b.row);
+
+  return {
+    summary: {
+      totalRows: rawRows.length,
+      invalidRows: new Set(errors.map((e) => e.row)).size,
+      create: planned.filter((g) => g.action === 'create').length,
+      update: planned.filter((g) => g.action === 'update').length,
+      unchanged: planned.filter((g) => g.action === 'unchanged').length
+    },
+    errors,
+    groups: planned
+  };
+};
+
+/**
+ * Dry run of an import, nothing is written
+ * @param {Array<Object>} rawRows - Rows from parseImportFile
+ * @returns {Promise<Object>} - { summary, errors, changes }
+ */
+export const previewImport = async (rawRows) => {
+  const { summary, errors, groups } = await prepareImport(rawRows);
+  return {
+    summary,
+    errors,
+    changes: groups
+      .filter((group) => group.action !== 'unchanged')
+      .map(({ product, stockUpdates, newLines, ...group }) => group)
+  };
+};
+
+/**
+ * Import rows into the catalog. The rows are validated again against the
+ * current catalog, and nothing is written if any row fails.
+ * @param {Array<Object>} rawRows - Rows from parseImportFile
+ * @param {Function} [onProgress] - Called with { processed, total } after each product
+ * @param {Object} [options]
+ * @param {string} [options.actor] - Admin who started the import
+ * @param {string} [options.reference] - Import job ID, kept on the stock movements
+ * @returns {Promise<Object>} - { created, updated, unchanged, failed }
+ */
+export const runImport = async (rawRows, onProgress = async () => {}, { actor, reference } = {}) => {
+  const { errors, groups } = await prepareImport(rawRows);
+  if (errors.length) {
+    throw new Error(`${errors.length} validation error(s), run a dry run for details`);
+  }
+
+  const result = { created: 0, updated: 0, unchanged: 0, failed: [] };
+  const changedIds = [];
+
+  for (const [index, group] of groups.entries()) {
+    if (group.action === 'unchanged') {
+      result.unchanged += 1;
+    } else {
+      try {
+        const { product } = group;
+        await product.save();
+
+        const movement = { reason: MovementReason.IMPORT, actor, reference };
+        await recordInitialStock(product, { ...movement, lines: group.newLines });
+        for (const update of group.stockUpdates) {
+          await setStock({ productId: product._id, ...update, ...movement });
+        }
+
+        result[group.action === 'create' ? 'created' : 'updated'] += 1;
+        changedIds.push(group.product._id);
+      } catch (error) {
+        result.failed.push({ row: group.row, name: group.name, message: error.message });
+      }
+    }
+
+    await onProgress({ processed: index + 1, total: groups.length });
+  }
+
+  // Restocks and price changes from the file notify subscribers like manual edits do
+  if (changedIds.length) {
+    // Rule prices follow the regular price and category
+    await repriceProducts(changedIds);
+    await dispatchProductAlerts(changedIds);
+  }
+
+  return result;
+};
@@ -0,0 +1,399 @@
+import Product from '../models/product.model.js';
+import Category from '../models/category.model.js';
+import Color from '../models/color.model.js';
+
+// Words of the catalog used for prefix and typo matching, rebuilt every few minutes
+const VOCABULARY_TTL = 10 * 60 * 1000;
+const MAX_PREFIX_EXPANSIONS = 10;
+// Every unknown word is compared with the whole vocabulary, so queries are bounded
+const MAX_QUERY_LENGTH = 100;
+const MAX_QUERY_TOKENS = 8;
+const PRICE_BAND_BOUNDARIES = [0, 500, 1000, 1500, 2000, 3000, 5000];
+const SNIPPET_LENGTH = 160;
+
+let vocabularyCache = { words: [], known: new Set(), loadedAt: 0 };
+// Concurrent searches on a stale vocabulary share one reload
+let vocabularyLoad = null;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) =>
+  value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const tokenize = (text) =>
+  (text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter((word) => word.length > 1);
+
+/**
+ * Edit distance between two words, gives up once maxDistance is exceeded
+ */
+const editDistance = (a, b, maxDistance) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const loadVocabulary = async () => {
+  const [categories, colors] = await Promise.all([
+    Category.find({ isActive: true }).select('name').lean(),
+    Color.find({ isActive: true }).select('name').lean()
+  ]);
+
+  // Products are streamed, only their words are kept
+  const words = new Set();
+  const products = Product.find({ isActive: true })
+    .select('name description specifications.description')
+    .lean()
+    .cursor();
+  for await (const product of products) {
+    tokenize(product.name).forEach((w) => words.add(w));
+    tokenize(product.description).forEach((w) => words.add(w));
+    (product.specifications || []).forEach((spec) => tokenize(spec.description).forEach((w) => words.add(w)));
+  }
+  categories.forEach((c) => tokenize(c.name).forEach((w) => words.add(w)));
+  colors.forEach((c) => tokenize(c.name).forEach((w) => words.add(w)));
+
+  return { words: [...words], known: words, loadedAt: Date.now() };
+};
+
+/**
+ * Catalog words as a list and a set, reloaded once they are older than the TTL
+ * @returns {Promise<Object>} - { words, known }
+ */
+const getVocabulary = async () => {
+  if (Date.now() - vocabularyCache.loadedAt < VOCABULARY_TTL) {
+    return vocabularyCache;
+  }
+
+  if (!vocabularyLoad) {
+    vocabularyLoad = loadVocabulary()
+      .then((loaded) => {
+        vocabularyCache = loaded;
+        return loaded;
+      })
+      .finally(() => {
+        vocabularyLoad = null;
+      });
+  }
+  return vocabularyLoad;
+};
+
+/**
+ * Turn the shopper's query into text search terms.
+ * Partial words are expanded to catalog words that start with them,
+ * unknown words are corrected to the closest catalog word.
+ * Only the first MAX_QUERY_TOKENS distinct words are used.
+ * @param {string} query - Raw search query
+ * @returns {Promise<Object>} - { terms, corrections, correctedQuery }
+ */
+export const resolveSearchTerms = async (query) => {
+  const tokens = [...new Set(tokenize(String(query || '').slice(0, MAX_QUERY_LENGTH)))].slice(0, MAX_QUERY_TOKENS);
+  const { words: vocabulary, known } = await getVocabulary();
+
+  const terms = new Set();
+  const corrections = [];
+  const correctedTokens = [];
+
+  for (const token of tokens) {
+    const prefixMatches = vocabulary
+      .filter((word) => word !== token && word.startsWith(token))
+      .slice(0, MAX_PREFIX_EXPANSIONS);
+
+    if (known.has(token) || prefixMatches.length) {
+      terms.add(token);
+      prefixMatches.forEach((word) => terms.add(word));
+      correctedTokens.push(token);
+      continue;
+    }
+
+    // Short words allow one typo, longer words two
+    const maxDistance = token.length <= 4 ? 1 : 2;
+    let best = null;
+    let bestDistance = maxDistance + 1;
+    for (const word of vocabulary) {
+      const distance = editDistance(token, word, maxDistance);
+      if (distance < bestDistance) {
+        best = word;
+        bestDistance = distance;
+      }
+    }
+
+    if (best) {
+      terms.add(best);
+      corrections.push({ from: token, to: best });
+      correctedTokens.push(best);
+    } else {
+      terms.add(token);
+      correctedTokens.push(token);
+    }
+  }
+
+  return {
+    terms: [...terms],
+    corrections,
+    correctedQuery: corrections.length ? correctedTokens.join(' ') : null
+  };
+};
+
+/**
+ * Wrap the matched words of a text in <mark>, HTML-escaped
+ * @param {string} text - Field value
+ * @param {Array} terms - Search terms
+ * @param {boolean} [asSnippet] - Cut the text around the first match
+ * @returns {string}
+ */
+export const highlightText = (text, terms, asSnippet = false) => {
+  if (!text) return '';
+
+  const pattern = new RegExp(`(${terms.map(escapeRegex).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+  let source = text;
+
+  if (asSnippet && text.length > SNIPPET_LENGTH) {
+    const firstMatch = text.search(pattern);
+    const start = Math.max(0, (firstMatch === -1 ? 0 : firstMatch) - SNIPPET_LENGTH / 4);
+    source = `${start > 0 ? '…' : ''}${text.slice(start, start + SNIPPET_LENGTH)}${start + SNIPPET_LENGTH < text.length ? '…' : ''}`;
+  }
+
+  let result = '';
+  let lastIndex = 0;
+  for (const match of source.matchAll(pattern)) {
+    result += escapeHtml(source.slice(lastIndex, match.index));
+    result += `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+  return result + escapeHtml(source.slice(lastIndex));
+};
+
+/**
+ * Products shoppers can see: active and in a category of the storefront gender,
+ * the same rules getAllProducts applies
+ */
+const buildVisibilityFilter = async ({ categoryName }) => {
+  const genderCategories = await Category.find({ gender: 'men' }).select('_id').lean();
+  const filter = { isActive: true, category: { $in: genderCategories.map((c) => c._id) } };
+
+  if (categoryName) {
+    const category = await Category.findOne({ name: categoryName, isActive: true }).select('_id').lean();
+    filter.category = category ? category._id : null;
+  }
+
+  return filter;
+};
+
+const unifiedPriceExpression = {
+  $cond: [
+    '$isOnSale',
+    { $ifNull: ['$salePrice.discountedPrice', '$salePrice.price'] },
+    { $ifNull: ['$nonSalePrice.discountedPrice', '$nonSalePrice.price'] }
+  ]
+};
+
+const SORT_STAGES = {
+  relevance: { score: -1, salesCount: -1 },
+  lowToHigh: { unifiedPrice: 1 },
+  highToLow: { unifiedPrice: -1 },
+  topRated: { averageRating: -1 },
+  bestSelling: { salesCount: -1 },
+  newest: { createdAt: -1 }
+};
+
+/**
+ * Search the catalog
+ * @param {Object} params
+ * @param {string} params.query - Search query
+ * @param {string} [params.category] - Category name
+ * @param {string} [params.color] - Color name
+ * @param {string} [params.size] - Size with stock
+ * @param {number} [params.priceGte] - Minimum price
+ * @param {number} [params.priceLte] - Maximum price
+ * @param {string} [params.isOnSale] - "true" or "false"
+ * @param {string} [params.sort] - relevance, lowToHigh, highToLow, topRated, bestSelling, newest
+ * @param {number} params.page - Page number, from 1
+ * @param {number} params.limit - Results per page
+ * @returns {Promise<Object>} - { products, pagination, facets, corrections, correctedQuery }
+ */
+export const searchCatalog = async ({ query, category, color, size, priceGte, priceLte, isOnSale, sort, page, limit }) => {
+  const { terms, corrections, correctedQuery } = await resolveSearchTerms(query);
+  const empty = {
+    products: [],
+    pagination: { totalProducts: 0, page, limit, totalPages: 0 },
+    facets: { categories: [], colors: [], sizes: [], priceBands: [], sale: [] },
+    corrections,
+    correctedQuery
+  };
+  if (!terms.length) return empty;
+
+  const visibilityFilter = await buildVisibilityFilter({ categoryName: category });
+  if (visibilityFilter.category === null) return empty;
+
+  // $text has to be in the first stage
+  const pipeline = [
+    { $match: { ...visibilityFilter, $text: { $search: terms.join(' ') } } },
+    { $addFields: { score: { $meta: 'textScore' }, unifiedPrice: unifiedPriceExpression } }
+  ];
+
+  const filters = {};
+  if (isOnSale === 'true') filters.isOnSale = true;
+  else if (isOnSale === 'false') filters.isOnSale = false;
+
+  if (priceGte != null || priceLte != null) {
+    filters.unifiedPrice = {
+      ...(priceGte != null ? { $gte: priceGte } : {}),
+      ...(priceLte != null ? { $lte: priceLte } : {})
+    };
+  }
+
+  if (color) {
+    const colorDoc = await Color.findOne({ name: color, isActive: true }).select('_id').lean();
+    if (!colorDoc) return empty;
+    filters.variants = size
+      ? { $elemMatch: { color: colorDoc._id, sizes: { $elemMatch: { size, stock: { $gt: 0 } } } } }
+      : { $elemMatch: { color: colorDoc._id } };
+  } else if (size) {
+    filters.variants = { $elemMatch: { sizes: { $elemMatch: { size, stock: { $gt: 0 } } } } };
+  }
+
+  if (Object.keys(filters).length) {
+    pipeline.push({ $match: filters });
+  }
+
+  pipeline.push({
+    $facet: {
+      products: [
+        { $sort: SORT_STAGES[sort] || SORT_STAGES.relevance },
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+        {
+          $lookup: {
+            from: 'categories',
+            localField: 'category',
+            foreignField: '_id',
+            as: 'category'
+          }
+        },
+        { $unwind: '$category' },
+        {
+          $project: {
+            _id: 1,
+            name: 1,
+            description: 1,
+            score: 1,
+            unifiedPrice: 1,
+            isOnSale: 1,
+            salePrice: 1,
+            nonSalePrice: 1,
+            averageRating: 1,
+            category: { name: 1 },
+            images: [{ $arrayElemAt: ['$variants.orderImage', 0] }],
+            variants: {
+              $map: {
+                input: '$variants',
+                as: 'variant',
+                in: {
+                  color: '$$variant.color',
+                  orderImage: '$$variant.orderImage',
+                  sizes: '$$variant.sizes'
+                }
+              }
+            }
+          }
+        }
+      ],
+      totalCount: [{ $count: 'count' }],
+      categories: [
+        { $group: { _id: '$category', count: { $sum: 1 } } },
+        { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+        { $unwind: '$category' },
+        { $project: { _id: 0, categoryId: '$_id', name: '$category.name', count: 1 } },
+        { $sort: { count: -1 } }
+      ],
+      colors: [
+        { $unwind: '$variants' },
+        { $group: { _id: { product: '$_id', color: '$variants.color' } } },
+        { $group: { _id: '$_id.color', count: { $sum: 1 } } },
+        { $lookup: { from: 'colors', localField: '_id', foreignField: '_id', as: 'color' } },
+        { $unwind: '$color' },
+        { $match: { 'color.isActive': true } },
+        { $project: { _id: 0, colorId: '$_id', name: '$color.name', hexCode: '$color.hexCode', count: 1 } },
+        { $sort: { count: -1 } }
+      ],
+      sizes: [
+        { $unwind: '$variants' },
+        { $unwind: '$variants.sizes' },
+        { $match: { 'variants.sizes.stock': { $gt: 0 } } },
+        { $group: { _id: { product: '$_id', size: '$variants.sizes.size' } } },
+        { $group: { _id: '$_id.size', count: { $sum: 1 } } },
+        { $project: { _id: 0, size: '$_id', count: 1 } }
+      ],
+      priceBands: [
+        {
+          $bucket: {
+            groupBy: '$unifiedPrice',
+            boundaries: PRICE_BAND_BOUNDARIES,
+            default: 'above',
+            output: { count: { $sum: 1 } }
+          }
+        }
+      ],
+      sale: [
+        { $group: { _id: '$isOnSale', count: { $sum: 1 } } },
+        { $project: { _id: 0, isOnSale: '$_id', count: 1 } }
+      ]
+    }
+  });
+
+  const [result] = await Product.aggregate(pipeline);
+  const totalProducts = result?.totalCount[0]?.count || 0;
+  const lastBoundary = PRICE_BAND_BOUNDARIES[PRICE_BAND_BOUNDARIES.length - 1];
+
+  const products = (result?.products || []).map((product) => ({
+    ...product,
+    highlights: {
+      name: highlightText(product.name, terms),
+      description: highlightText(product.description, terms, true)
+    }
+  }));
+
+  return {
+    products,
+    pagination: {
+      totalProducts,
+      page,
+      limit,
+      totalPages: Math.ceil(totalProducts / limit)
+    },
+    facets: {
+      categories: result?.categories || [],
+      colors: result?.colors || [],
+      sizes: result?.sizes || [],
+      priceBands: (result?.priceBands || []).map((band) => {
+        if (band._id === 'above') return { min: lastBoundary, max: null, count: band.count };
+        const index = PRICE_BAND_BOUNDARIES.indexOf(band._id);
+        return { min: band._id, max: PRICE_BAND_BOUNDARIES[index + 1], count: band.count };
+      }),
+      sale: result?.sale || []
+    },
+    corrections,
+    correctedQuery
+  };
+};
@@ -0,0 +1,287 @@
+import mongoose from 'mongoose';
+import Product from '../models/product.model.js';
+import User from '../models/user.model.js';
+import { NewOrder, OrderStatus } from '../models/newOrder.model.js';
+import { ValkeyConnection } from '../config/valkey.js';
+
+// Recently viewed products kept per user, newest first
+export const RECENTLY_VIEWED_LIMIT = 20;
+
+// Related products kept per product
+export const RELATED_LIMIT = 20;
+
+// Orders older than this no longer say what sells together
+const CO_PURCHASE_WINDOW_DAYS = 180;
+
+// The refresh job runs every 6 hours, a cached list outlives one missed run
+export const RELATED_REFRESH_INTERVAL = 6 * 3600 * 1000;
+const RELATED_CACHE_TTL = 2 * RELATED_REFRESH_INTERVAL / 1000;
+
+// Fallback candidates looked at when a product is ranked on demand
+const FALLBACK_CANDIDATES = 100;
+
+const relatedKey = (productId) => `recommendations:related:${productId}`;
+
+// Fields of a product card
+const CARD_FIELDS = 'name unifiedPrice isOnSale salePrice nonSalePrice variants category averageRating totalReviews salesCount';
+
+/**
+ * Move a product to the front of a user's recently viewed list, dropping the
+ * oldest past the limit, and add it to the products the user has ever viewed
+ * @param {string} userId
+ * @param {string} productId
+ * @returns {Promise<boolean>} - True if the user never viewed the product before
+ */
+export const recordRecentlyViewed = async (userId, productId) => {
+  const id = new mongoose.Types.ObjectId(String(productId));
+  const viewed = { $ifNull: ['$productsViewed', []] };
+
+  const before = await User.findOneAndUpdate(
+    { _id: userId },
+    [{
+      $set: {
+        recentlyViewed: {
+          $slice: [
+            {
+              $concatArrays: [
+                [id],
+                { $filter: { input: { $ifNull: ['$recentlyViewed', []] }, cond: { $ne: ['$$this', id] } } }
+              ]
+            },
+            RECENTLY_VIEWED_LIMIT
+          ]
+        },
+        productsViewed: { $cond: [{ $in: [id, viewed] }, viewed, { $concatArrays: [viewed, [id]] }] }
+      }
+    }],
+    // Only whether the product was in the history, not the whole history
+    { projection: { productsViewed: { $elemMatch: { $eq: id } } } }
+  ).lean();
+
+  return Boolean(before) && !before.productsViewed?.length;
+};
+
+/**
+ * Load product cards in the given order, skipping inactive and deleted products
+ * @param {Array} productIds
+ * @returns {Promise<Array<Object>>}
+ */
+const findProductCards = async (productIds) => {
+  const products = await Product.find({ _id: { $in: productIds }, isActive: true })
+    .select(CARD_FIELDS)
+    .populate('category', 'name')
+    .populate('variants.color', 'name hexCode')
+    .lean();
+
+  const byId = new Map(products.map((product) => [product._id.toString(), product]));
+  return productIds.map((id) => byId.get(id.toString())).filter(Boolean);
+};
+
+/**
+ * Products a user viewed recently, newest first
+ * @param {string} userId
+ * @param {number} [limit]
+ * @returns {Promise<Array<Object>>}
+ */
+export const getRecentlyViewed = async (userId, limit = RECENTLY_VIEWED_LIMIT) => {
+  const user = await User.findById(userId).select('recentlyViewed').lean();
+  if (!user) return [];
+
+  const products = await findProductCards(user.recentlyViewed || []);
+  return products.slice(0, limit);
+};
+
+/**
+ * Pipeline counting, for every pair of products, the orders that had both.
+ * Cancelled items and exchange replacements are not purchases.
+ */
+const coPurchasePipeline = (productId) => {
+  const since = new Date(Date.now() - CO_PURCHASE_WINDOW_DAYS * 24 * 3600 * 1000);
+  const match = { orderedAt: { $gte: since }, exchangeFor: null };
+  if (productId) match['items.product.productId'] = productId;
+
+  return [
+    { $match: match },
+    { $unwind: '$items' },
+    { $match: { 'items.orderStatus': { $ne: OrderStatus.CANCELLED.value } } },
+    { $group: { _id: '$_id', products: { $addToSet: '$items.product.productId' } } },
+    { $match: { 'products.1': { $exists: true } } },
+    { $project: { product: '$products', other: '$products' } },
+    { $unwind: '$product' },
+    ...(productId ? [{ $match: { product: productId } }] : []),
+    { $unwind: '$other' },
+    { $match: { $expr: { $ne: ['$product', '$other'] } } },
+    { $group: { _id: { product: '$product', other: '$other' }, orders: { $sum: 1 } } },
+    { $sort: { orders: -1 } },
+    { $group: { _id: '$_id.product', others: { $push: '$_id.other' } } },
+    { $project: { others: { $slice: ['$others', RELATED_LIMIT] } } }
+  ];
+};
+
+const colorsOf = (product) => new Set((product.variants || []).map((variant) => variant.color?.toString()));
+
+/**
+ * Rank the related products of a product: bought together first, then the
+ * same category and color, the same category, and the same color, each by sales
+ * @param {Object} product - With category and variants.color
+ * @param {Array} coPurchased - Product IDs, most orders together first
+ * @param {Array<Object>} candidates - Active products of the same category or a shared color, by sales
+ * @param {Set<string>} activeIds - IDs of active products
+ * @returns {Array<string>} - Product IDs
+ */
+const rankRelated = (product, coPurchased, candidates, activeIds) => {
+  const productId = product._id.toString();
+  const ranked = new Set(
+    coPurchased.map(String).filter((id) => id !== productId && activeIds.has(id))
+  );
+
+  const colors = colorsOf(product);
+  const category = product.category?.toString();
+  const sharesColor = (candidate) => [...colorsOf(candidate)].some((color) => colors.has(color));
+  const sameCategory = (candidate) => candidate.category?.toString() === category;
+
+  const tiers = [
+    (candidate) => sameCategory(candidate) && sharesColor(candidate),
+    sameCategory,
+    sharesColor
+  ];
+
+  for (const tier of tiers) {
+    for (const candidate of candidates) {
+      if (ranked.size >= RELATED_LIMIT) break;
+      const id = candidate._id.toString();
+      if (id !== productId && tier(candidate)) ranked.add(id);
+    }
+  }
+
+  return [...ranked].slice(0, RELATED_LIMIT);
+};
+
+const readCachedRelated = async (productId) => {
+  try {
+    const cached = await ValkeyConnection.get(relatedKey(productId));
+    return cached ? JSON.parse(cached) : null;
+  } catch (error) {
+    console.error(`Failed to read related products of ${productId} from cache:`, error.message);
+    return null;
+  }
+};
+
+const cacheRelated = async (productId, relatedIds) => {
+  try {
+    await ValkeyConnection.set(relatedKey(productId), JSON.stringify(relatedIds), 'EX', RELATED_CACHE_TTL);
+  } catch (error) {
+    console.error(`Failed to cache related products of ${productId}:`, error.message);
+  }
+};
+
+/**
+ * Rank the related products of one product from the database
+ */
+const computeRelated = async (product) => {
+  const [[coPurchase], candidates] = await Promise.all([
+    NewOrder.aggregate(coPurchasePipeline(product._id)),
+    Product.find({
+      _id: { $ne: product._id },
+      isActive: true,
+      $or: [
+        { category: product.category },
+        { 'variants.color': { $in: [...colorsOf(product)] } }
+      ]
+    })
+      .select('category variants.color')
+      .sort({ salesCount: -1 })
+      .limit(FALLBACK_CANDIDATES)
+      .lean()
+  ]);
+
+  // Bought-together products outside the fallback candidates still count if active
+  const others = coPurchase?.others || [];
+  const activeIds = new Set(candidates.map((candidate) => candidate._id.toString()));
+  const unknown = others.filter((id) => !activeIds.has(id.toString()));
+  if (unknown.length) {
+    const active = await Product.find({ _id: { $in: unknown }, isActive: true }).select('_id').lean();
+    active.forEach((extra) => activeIds.add(extra._id.toString()));
+  }
+
+  return rankRelated(product, others, candidates, activeIds);
+};
+
+/**
+ * Products shown with a product, from the cache or ranked on a miss
+ * @param {string} productId
+ * @param {number} [limit]
+ * @returns {Promise<Array<Object>|null>} - Product cards, null if the product does not exist
+ */
+export const getRelatedProducts = async (productId, limit = 8) => {
+  const product = await Product.findOne({ _id: productId, isActive: true })
+    .select('category variants.color')
+    .lean();
+  if (!product) return null;
+
+  let relatedIds = await readCachedRelated(productId);
+  if (!relatedIds) {
+    relatedIds = await computeRelated(product);
+    await cacheRelated(productId, relatedIds);
+  }
+
+  const products = await findProductCards(relatedIds);
+  return products.slice(0, limit);
+};
+
+/**
+ * Rank the related products of the whole active catalog and replace the cache.
+ * Co-purchases come from one pass over recent orders.
+ * @returns {Promise<number>} - Products cached
+ */
+export const refreshRelatedProducts = async () => {
+  const [coPurchases, products] = await Promise.all([
+    NewOrder.aggregate(coPurchasePipeline()).allowDiskUse(true),
+    Product.find({ isActive: true })
+      .select('category variants.color')
+      .sort({ salesCount: -1 })
+      .lean()
+  ]);
+
+  const coPurchased = new Map(coPurchases.map((entry) => [entry._id.toString(), entry.others]));
+  const activeIds = new Set(products.map((product) => product._id.toString()));
+
+  // Products by category, by color, and by both, kept in sales order
+  const salesRank = new Map(products.map((product, index) => [product._id.toString(), index]));
+  const byCategory = new Map();
+  const byColor = new Map();
+  const byCategoryColor = new Map();
+  const addTo = (groups, key, product) => {
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(product);
+  };
+  for (const product of products) {
+    const category = product.category?.toString();
+    addTo(byCategory, category, product);
+    colorsOf(product).forEach((color) => {
+      addTo(byColor, color, product);
+      addTo(byCategoryColor, `${category}:${color}`, product);
+    });
+  }
+
+  // A tier takes at most RELATED_LIMIT products, skipping the product itself
+  // and up to RELATED_LIMIT already ranked, so the head of each group is enough
+  const groupHead = (groups, key) => (groups.get(key) || []).slice(0, 2 * RELATED_LIMIT + 1);
+
+  const pipeline = ValkeyConnection.pipeline();
+  for (const product of products) {
+    const category = product.category?.toString();
+    const colors = [...colorsOf(product)];
+    const candidates = [...new Set([
+      ...colors.flatMap((color) => groupHead(byCategoryColor, `${category}:${color}`)),
+      ...groupHead(byCategory, category),
+      ...colors.flatMap((color) => groupHead(byColor, color))
+    ])].sort((a, b) => salesRank.get(a._id.toString()) - salesRank.get(b._id.toString()));
+
+    const relatedIds = rankRelated(product, coPurchased.get(product._id.toString()) || [], candidates, activeIds);
+    pipeline.set(relatedKey(product._id), JSON.stringify(relatedIds), 'EX', RELATED_CACHE_TTL);
+  }
+  await pipeline.exec();
+
+  return products.length;
+};
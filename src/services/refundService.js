@@ -0,0 +1,267 @@
+import {
+  PaymentTransaction,
+  PaymentStatus as TransactionStatus,
+  PaymentProvider,
+  RefundStatus as TransactionRefundStatus
+} from '../models/paymentTransaction.model.js';
+import { NewOrder, OrderStatus, PaymentStatus, RefundStatus } from '../models/newOrder.model.js';
+import { paymentService } from './paymetService.js';
+import { canTransition, createStatusHistoryEntry, generateRefundId } from './orderUtils.js';
+import { recordRefund, reverseRefund } from './orderLedgerService.js';
+import { issueCreditNote } from './creditNoteService.js';
+
+const toPaise = (rupees) => Math.round(rupees * 100);
+
+/**
+ * Find the successful payment that paid for an order
+ * @param {Object} order - NewOrder document
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<Object|null>} - PaymentTransaction document
+ */
+export const findOrderTransaction = async (order, session = null) => {
+  const references = [{ orderId: order.orderId }];
+  if (order.transactionId) references.push({ transactionId: order.transactionId });
+  if (order.paymentOrderId) references.push({ orderId: order.paymentOrderId });
+
+  return PaymentTransaction.findOne({
+    user: order.user?._id || order.user,
+    status: { $in: [TransactionStatus.SUCCESS, TransactionStatus.REFUNDED] },
+    $or: references
+  })
+    .sort({ createdAt: -1 })
+    .session(session);
+};
+
+/**
+ * Reserve part of an online payment for an item refund.
+ * The refunded total is checked and bumped atomically, so concurrent
+ * approvals can never refund more than was paid.
+ * The caller must save the order afterwards.
+ * @param {Object} params
+ * @param {Object} params.order - NewOrder document
+ * @param {Object} params.item - Order item being refunded
+ * @param {number} params.amount - Refund amount in rupees
+ * @param {string} [params.reason] - Note sent to the provider
+ * @param {string} [params.initiatedBy] - Admin user ID
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<string>} - Refund ID
+ */
+export const reserveProviderRefund = async ({ order, item, amount, reason, initiatedBy }, session = null) => {
+  const transaction = await findOrderTransaction(order, session);
+  if (!transaction) {
+    throw new Error('No successful online payment found for this order');
+  }
+
+  const amountPaise = toPaise(amount);
+  const refundId = generateRefundId();
+
+  // Throws when the item has less than this left to refund
+  await recordRefund(order, item, { amount, refundId, actor: initiatedBy, note: reason }, session);
+
+  const updated = await PaymentTransaction.findOneAndUpdate(
+    {
+      _id: transaction._id,
+      $expr: { $lte: [{ $add: ['$refundedAmount', amountPaise] }, '$amount'] }
+    },
+    {
+      $inc: { refundedAmount: amountPaise },
+      $push: {
+        refunds: {
+          refundId,
+          amount: amountPaise,
+          orderId: order.orderId,
+          itemId: item._id.toString(),
+          reason,
+          initiatedBy
+        }
+      }
+    },
+    { new: true, session }
+  );
+  if (!updated) {
+    throw new Error('Refund amount exceeds the amount left on the payment');
+  }
+
+  item.refundId = refundId;
+  item.refundMethod = 'PROVIDER';
+  item.refundStatus = RefundStatus.PENDING;
+  item.refundAmount = amount;
+  item.providerRefundId = undefined;
+  item.refundFailureReason = undefined;
+
+  return refundId;
+};
+
+/**
+ * Send a reserved refund to the payment provider.
+ * Call after the order changes are committed. A provider error marks the refund as failed
+ * and gives the amount back to the payment so it can be retried.
+ * @param {string} refundId - Refund ID from reserveProviderRefund
+ * @returns {Promise<Object>} - { success, refundId, providerRefundId, message }
+ */
+export const executeProviderRefund = async (refundId) => {
+  const transaction = await PaymentTransaction.findOne({ 'refunds.refundId': refundId });
+  if (!transaction) {
+    throw new Error(`Refund ${refundId} not found`);
+  }
+  const refund = transaction.refunds.find((r) => r.refundId === refundId);
+
+  try {
+    let providerRefundId;
+    let isProcessed = false;
+
+    if (transaction.provider === PaymentProvider.RAZORPAY) {
+      const result = await paymentService.createRazorpayRefund({
+        paymentId: transaction.providerTransactionId,
+        amount: refund.amount,
+        refundId,
+        orderId: refund.orderId
+      });
+      providerRefundId = result.id;
+      isProcessed = result.status === 'processed';
+    } else if (transaction.provider === PaymentProvider.CASHFREE) {
+      const result = await paymentService.createCashfreeRefund({
+        providerOrderId: transaction.providerOrderId,
+        amount: refund.amount / 100, // Cashfree takes rupees
+        refundId,
+        orderId: refund.orderId,
+        note: refund.reason
+      });
+      providerRefundId = result.cf_refund_id ? String(result.cf_refund_id) : undefined;
+      isProcessed = result.refund_status === 'SUCCESS';
+    } else {
+      throw new Error(`Refunds are not supported for ${transaction.provider} payments`);
+    }
+
+    await PaymentTransaction.updateOne(
+      { _id: transaction._id, 'refunds.refundId': refundId },
+      { $set: { 'refunds.$.providerRefundId': providerRefundId } }
+    );
+    await NewOrder.updateOne(
+      { 'items.refundId': refundId },
+      { $set: { 'items.$.providerRefundId': providerRefundId } }
+    );
+
+    if (isProcessed) {
+      await settleRefund({ refundId, providerRefundId, isSuccess: true });
+    }
+
+    return { success: true, refundId, providerRefundId, message: 'Refund initiated with payment provider' };
+  } catch (error) {
+    const message = error.error?.description || error.message;
+    console.error(`Provider refund ${refundId} failed:`, message);
+    await settleRefund({ refundId, isSuccess: false, failureReason: message });
+    return { success: false, refundId, message };
+  }
+};
+
+/**
+ * Apply the final outcome of a provider refund to the payment and the order item.
+ * Safe to call more than once; only PENDING refunds are changed.
+ * @param {Object} params
+ * @param {string} [params.refundId] - Our refund ID
+ * @param {string} [params.providerRefundId] - Provider refund ID
+ * @param {boolean} params.isSuccess - Refund processed or failed
+ * @param {string} [params.failureReason] - Failure reason from the provider
+ * @returns {Promise<Object>} - { found, alreadySettled, refundId }
+ */
+export const settleRefund = async ({ refundId, providerRefundId, isSuccess, failureReason }) => {
+  const references = [];
+  if (refundId) references.push({ 'refunds.refundId': refundId });
+  if (providerRefundId) references.push({ 'refunds.providerRefundId': providerRefundId });
+  if (!references.length) return { found: false };
+
+  const transaction = await PaymentTransaction.findOne({ $or: references });
+  if (!transaction) return { found: false };
+
+  const refund = transaction.refunds.find((r) =>
+    (refundId && r.refundId === refundId) || (providerRefundId && r.providerRefundId === providerRefundId)
+  );
+  if (refund.status !== TransactionRefundStatus.PENDING) {
+    return { found: true, alreadySettled: true, refundId: refund.refundId };
+  }
+
+  const now = new Date();
+  let fullyRefunded = false;
+  const refundFilter = {
+    _id: transaction._id,
+    refunds: { $elemMatch: { refundId: refund.refundId, status: TransactionRefundStatus.PENDING } }
+  };
+
+  if (isSuccess) {
+    const updated = await PaymentTransaction.findOneAndUpdate(
+      refundFilter,
+      {
+        $set: {
+          'refunds.$.status': TransactionRefundStatus.REFUNDED,
+          'refunds.$.processedAt': now,
+          'refunds.$.providerRefundId': providerRefundId || refund.providerRefundId
+        }
+      },
+      { new: true }
+    );
+    if (!updated) return { found: true, alreadySettled: true, refundId: refund.refundId };
+
+    fullyRefunded = updated.refundedAmount >= updated.amount &&
+      updated.refunds.every((r) => r.status !== TransactionRefundStatus.PENDING);
+    if (fullyRefunded) {
+      updated.status = TransactionStatus.REFUNDED;
+      updated.refundedAt = now;
+      await updated.save();
+    }
+  } else {
+    const updated = await PaymentTransaction.findOneAndUpdate(
+      refundFilter,
+      {
+        $set: {
+          'refunds.$.status': TransactionRefundStatus.FAILED,
+          'refunds.$.processedAt': now,
+          'refunds.$.failureReason': failureReason
+        },
+        $inc: { refundedAmount: -refund.amount }
+      },
+      { new: true }
+    );
+    if (!updated) return { found: true, alreadySettled: true, refundId: refund.refundId };
+  }
+
+  // Reflect the outcome on the order item
+  const order = await NewOrder.findOne({ 'items.refundId': refund.refundId });
+  const item = order?.items.find((i) => i.refundId === refund.refundId);
+  if (item) {
+    if (isSuccess) {
+      item.refundStatus = RefundStatus.REFUNDED;
+      item.refundProcessedAt = now;
+      item.providerRefundId = providerRefundId || refund.providerRefundId;
+
+      if (canTransition(item.orderStatus, OrderStatus.REFUNDED.value)) {
+        item.orderStatus = OrderStatus.REFUNDED.value;
+        item.statusHistory.push(
+          createStatusHistoryEntry(OrderStatus.REFUNDED.value, `Refund of ₹${item.refundAmount} completed by payment provider`)
+        );
+      }
+
+      if (fullyRefunded) {
+        order.paymentStatus = PaymentStatus.REFUNDED;
+      }
+    } else {
+      await reverseRefund(order, item, {
+        amount: refund.amount / 100,
+        refundId: refund.refundId,
+        note: `Refund failed at payment provider: ${failureReason || 'unknown reason'}`
+      });
+      item.refundStatus = RefundStatus.FAILED;
+      item.refundFailureReason = failureReason;
+      item.statusHistory.push(
+        createStatusHistoryEntry(item.orderStatus, `Refund failed at payment provider: ${failureReason || 'unknown reason'}`)
+      );
+    }
+    await order.save();
+
+    if (isSuccess) {
+      await issueCreditNote(order, item);
+    }
+  }
+
+  return { found: true, alreadySettled: false, refundId: refund.refundId };
+};
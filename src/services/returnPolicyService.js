@@ -0,0 +1,151 @@
+import { ReturnPolicy } from '../models/returnPolicy.model.js';
+import { OrderStatus } from '../models/newOrder.model.js';
+import Product from '../models/product.model.js';
+
+// Matches the 7-day window that used to be hardcoded in returnOrderItem
+const DEFAULT_POLICY = {
+  defaultWindowDays: 7,
+  categoryWindows: [],
+  saleItemsReturnable: true,
+  reasons: [
+    { code: 'SIZE_TOO_SMALL', label: 'Size too small' },
+    { code: 'SIZE_TOO_LARGE', label: 'Size too large' },
+    { code: 'DAMAGED', label: 'Item arrived damaged', requiresEvidence: true },
+    { code: 'WRONG_ITEM', label: 'Received the wrong item', requiresEvidence: true },
+    { code: 'NOT_AS_DESCRIBED', label: 'Item not as described' },
+    { code: 'QUALITY_ISSUE', label: 'Quality not as expected', requiresEvidence: true },
+    { code: 'CHANGED_MIND', label: 'No longer needed' }
+  ],
+  maxEvidencePhotos: 5
+};
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Get the return policy, creating the defaults on first use
+ * @returns {Promise<Object>} - ReturnPolicy document
+ */
+export const getReturnPolicy = () =>
+  // An upsert, so concurrent first reads cannot create two documents
+  ReturnPolicy.findOneAndUpdate(
+    {},
+    { $setOnInsert: DEFAULT_POLICY },
+    { upsert: true, new: true }
+  );
+
+/**
+ * Update the return policy
+ * @param {Object} data - Fields to replace
+ * @returns {Promise<Object>} - Updated ReturnPolicy document
+ */
+export const updateReturnPolicy = async (data) => {
+  const policy = await getReturnPolicy();
+  const fields = ['defaultWindowDays', 'categoryWindows', 'saleItemsReturnable', 'reasons', 'maxEvidencePhotos'];
+
+  for (const field of fields) {
+    if (data[field] !== undefined) policy[field] = data[field];
+  }
+
+  await policy.save();
+  return policy;
+};
+
+/**
+ * Find an active reason by its code
+ * @param {Object} policy - ReturnPolicy document
+ * @param {string} code
+ * @returns {Object|null} - Reason or null if unknown or retired
+ */
+export const findReturnReason = (policy, code) => {
+  const normalized = (code || '').toString().trim().toUpperCase();
+  return policy.reasons.find((reason) => reason.isActive && reason.code === normalized) || null;
+};
+
+/**
+ * Days a category can be returned within, the default window when not configured
+ */
+const getWindowDays = (policy, categoryId) => {
+  const categoryWindow = categoryId && policy.categoryWindows.find((w) => w.category.equals(categoryId));
+  return categoryWindow ? categoryWindow.windowDays : policy.defaultWindowDays;
+};
+
+/**
+ * When the item reached the customer, the Delivered history entry on older orders
+ */
+const getDeliveryDate = (item) =>
+  item.deliveredAt ||
+  item.statusHistory?.find((s) => s.status === OrderStatus.DELIVERED.value)?.changedAt ||
+  null;
+
+/**
+ * Check whether an order item can still be returned or exchanged.
+ * The window runs until the end of the last day, counted from the delivery day.
+ * @param {Object} policy - ReturnPolicy document
+ * @param {Object} item - Order item
+ * @param {Object} [product] - Product of the item, { category, isReturnable }; null if deleted
+ * @param {Date} [now]
+ * @returns {Object} - { isEligible, message, deadline, windowDays }
+ */
+export const evaluateReturnEligibility = (policy, item, product, now = new Date()) => {
+  const verdict = (isEligible, message, deadline = null, windowDays = null) =>
+    ({ isEligible, message, deadline, windowDays });
+
+  // Snapshots on the item win, items ordered before they existed follow the product
+  if (item.isReturnable === false || (item.isReturnable === undefined && product?.isReturnable === false)) {
+    return verdict(false, 'This item is not returnable');
+  }
+  if (item.isOnSale && !policy.saleItemsReturnable) {
+    return verdict(false, 'Items bought on sale are not returnable');
+  }
+
+  const windowDays = getWindowDays(policy, product?.category);
+  if (windowDays === 0) {
+    return verdict(false, 'Items in this category are not returnable', null, 0);
+  }
+
+  const deliveredAt = getDeliveryDate(item);
+  if (!deliveredAt) {
+    return verdict(false, 'The item has not been delivered yet', null, windowDays);
+  }
+
+  const deadline = new Date(deliveredAt);
+  deadline.setHours(23, 59, 59, 999);
+  deadline.setTime(deadline.getTime() + windowDays * DAY_MS);
+
+  // Returned, exchanged or already in a return
+  if (item.orderStatus !== OrderStatus.DELIVERED.value) {
+    return verdict(false, `Cannot return item with status: ${item.orderStatus}`, deadline, windowDays);
+  }
+  if (now > deadline) {
+    const daysPassed = Math.floor((new Date(now).setHours(0, 0, 0, 0) - new Date(deliveredAt).setHours(0, 0, 0, 0)) / DAY_MS);
+    return verdict(false, `Return window expired (${daysPassed} days since delivery)`, deadline, windowDays);
+  }
+
+  return verdict(true, 'Item can be returned', deadline, windowDays);
+};
+
+/**
+ * Return eligibility of every item of an order
+ * @param {Object} order - NewOrder document or lean object
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<Map>} - itemId -> { isEligible, message, deadline, windowDays }
+ */
+export const getOrderReturnEligibility = async (order, session) => {
+  const productIds = [...new Set(order.items.map((item) => item.product.productId.toString()))];
+
+  const [policy, products] = await Promise.all([
+    getReturnPolicy(),
+    Product.find({ _id: { $in: productIds } })
+      .select('category isReturnable')
+      .session(session)
+      .lean()
+  ]);
+  const productsById = new Map(products.map((product) => [product._id.toString(), product]));
+
+  return new Map(
+    order.items.map((item) => [
+      item._id.toString(),
+      evaluateReturnEligibility(policy, item, productsById.get(item.product.productId.toString()))
+    ])
+  );
+};
@@ -0,0 +1,202 @@
+import Sale, { SaleRuleTarget } from '../models/sale.model.js';
+import Product from '../models/product.model.js';
+import { DiscountType } from '../models/coupon.model.js';
+
+// Product path a rule target is matched on
+const RULE_TARGET_PATHS = {
+  [SaleRuleTarget.PRODUCT]: '_id',
+  [SaleRuleTarget.CATEGORY]: 'category',
+  [SaleRuleTarget.COLOR]: 'variants.color'
+};
+
+// Fields pricing reads and writes
+const PRICING_FIELDS = 'category variants.color nonSalePrice salePrice isOnSale saleSnapshot';
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * A sale price with its discount percentage, as the product pre-save hook sets it
+ * @param {Object} [salePrice] - { price, discountedPrice }
+ * @returns {Object} - { price, discountedPrice, discount }
+ */
+const withDiscount = (salePrice) => {
+  const price = salePrice?.price || 0;
+  const discountedPrice = salePrice?.discountedPrice || price;
+  return {
+    price,
+    discountedPrice,
+    discount: price ? Math.round(((price - discountedPrice) / price) * 100) : 0
+  };
+};
+
+/**
+ * Sale price from the largest discount of the matching rules, off the regular
+ * selling price. The MRP stays the struck-through price.
+ * @param {Object} product
+ * @param {Array<Object>} rules - Matching sale rules
+ * @returns {Object|null} - { price, discountedPrice, discount }, null without a regular price
+ */
+export const computeRulePrice = (product, rules) => {
+  const regular = product.nonSalePrice?.discountedPrice || product.nonSalePrice?.price || 0;
+  const mrp = Math.max(product.nonSalePrice?.price || 0, regular);
+  if (!regular) return null;
+
+  const off = Math.max(...rules.map((rule) =>
+    rule.discountType === DiscountType.PERCENTAGE ? (regular * rule.value) / 100 : rule.value
+  ));
+
+  // A sale never gives a product away
+  const discountedPrice = Math.max(roundAmount(regular - off), 1);
+  return withDiscount({ price: mrp, discountedPrice: Math.min(discountedPrice, regular) });
+};
+
+/**
+ * Index a sale's products and rule targets for matching
+ */
+const prepareSale = (sale) => ({
+  sale,
+  productIds: new Set((sale.products || []).map(String)),
+  rules: (sale.rules || []).map((rule) => ({ ...rule, targets: new Set(rule.targetIds.map(String)) }))
+});
+
+const ruleMatches = (rule, product) => {
+  switch (rule.target) {
+    case SaleRuleTarget.PRODUCT:
+      return rule.targets.has(product._id.toString());
+    case SaleRuleTarget.CATEGORY:
+      return rule.targets.has(String(product.category));
+    case SaleRuleTarget.COLOR:
+      // The price is per product, so every color it comes in must be on sale
+      return Boolean(product.variants?.length) &&
+        product.variants.every((variant) => rule.targets.has(String(variant.color)));
+    default:
+      return false;
+  }
+};
+
+/**
+ * Price of a product in the first sale that covers it. Rules price the products
+ * they match; products listed on a sale without a matching rule keep their own
+ * sale price, so a listed product without one is not covered.
+ * @param {Object} product
+ * @param {Object} ownSalePrice - The product's own sale price
+ * @param {Array<Object>} sales - Prepared running sales, highest priority first
+ * @returns {Object|null} - { sale, salePrice }
+ */
+const priceInSales = (product, ownSalePrice, sales) => {
+  for (const { sale, productIds, rules } of sales) {
+    const matching = rules.filter((rule) => ruleMatches(rule, product));
+    const salePrice = matching.length
+      ? computeRulePrice(product, matching)
+      : productIds.has(product._id.toString()) && ownSalePrice.price ? ownSalePrice : null;
+    if (salePrice) return { sale, salePrice };
+  }
+  return null;
+};
+
+/**
+ * Running sales in the order they win an overlap: highest priority, then the
+ * one that started last
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<Array<Object>>}
+ */
+export const getRunningSales = (session = null) =>
+  Sale.find({ isActive: true })
+    .sort({ priority: -1, startDate: -1, _id: 1 })
+    .session(session)
+    .lean();
+
+/**
+ * Products a sale prices or may price: those it lists, those its rules may
+ * match, and those it priced last time. Color rules are narrowed down when priced.
+ * @param {Object} sale - Sale document or plain object
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<Array>} - Product IDs
+ */
+export const getSaleProductIds = (sale, session = null) => {
+  const filters = [
+    { _id: { $in: sale.products || [] } },
+    { 'saleSnapshot.sale': sale._id }
+  ];
+  for (const rule of sale.rules || []) {
+    filters.push({ [RULE_TARGET_PATHS[rule.target]]: { $in: rule.targetIds } });
+  }
+  return Product.distinct('_id', { $or: filters }).session(session);
+};
+
+/**
+ * Put the sale price of products in line with the running sales. A covered
+ * product gets the price of the winning sale, with its own sale price and flag
+ * kept in saleSnapshot the first time a sale takes over. A product no sale covers
+ * anymore gets them back. Products that were never priced by a sale are left alone.
+ * @param {Array} productIds
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<Array<string>>} - IDs of products whose price or flag changed
+ */
+export const repriceProducts = async (productIds, session = null) => {
+  if (!productIds.length) return [];
+
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select(PRICING_FIELDS)
+    .session(session)
+    .lean();
+  const sales = (await getRunningSales(session)).map(prepareSale);
+
+  const operations = [];
+  const changed = [];
+  for (const product of products) {
+    const snapshot = product.saleSnapshot;
+    const ownSalePrice = withDiscount(snapshot ? snapshot.salePrice : product.salePrice);
+    const ownIsOnSale = Boolean(snapshot ? snapshot.isOnSale : product.isOnSale);
+
+    const priced = priceInSales(product, ownSalePrice, sales);
+    let update;
+    if (priced) {
+      const sameSale = snapshot?.sale?.toString() === priced.sale._id.toString();
+      update = {
+        salePrice: priced.salePrice,
+        isOnSale: true,
+        saleSnapshot: {
+          sale: priced.sale._id,
+          salePrice: ownSalePrice,
+          isOnSale: ownIsOnSale,
+          appliedAt: sameSale ? snapshot.appliedAt : new Date()
+        }
+      };
+    } else if (snapshot) {
+      update = { salePrice: ownSalePrice, isOnSale: ownIsOnSale, saleSnapshot: null };
+    } else {
+      continue;
+    }
+
+    const priceChanged = JSON.stringify(withDiscount(product.salePrice)) !== JSON.stringify(update.salePrice) ||
+      Boolean(product.isOnSale) !== update.isOnSale;
+    const snapshotChanged = JSON.stringify(snapshot ?? null) !== JSON.stringify(update.saleSnapshot);
+    if (!priceChanged && !snapshotChanged) continue;
+
+    operations.push({ updateOne: { filter: { _id: product._id }, update: { $set: update } } });
+    if (priceChanged) changed.push(product._id.toString());
+  }
+
+  if (operations.length) {
+    await Product.bulkWrite(operations, { session });
+  }
+  return changed;
+};
+
+/**
+ * While a sale prices a product, the product's own sale price and flag live in
+ * its snapshot. Move admin edits of them there; call before saving the product,
+ * then reprice it.
+ * @param {Object} product - Product document
+ */
+export const keepOwnSalePrice = (product) => {
+  if (!product.saleSnapshot) return;
+
+  if (product.isModified('salePrice')) {
+    product.saleSnapshot.salePrice = withDiscount(product.salePrice);
+  }
+  if (product.isModified('isOnSale')) {
+    product.saleSnapshot.isOnSale = product.isOnSale;
+  }
+};
@@ -0,0 +1,252 @@
+import Sale from '../models/sale.model.js';
+import Product from '../models/product.model.js';
+import { SaleQueue } from '../queue/producer.js';
+import { withTransaction } from '../utils/withTransaction.js';
+import { invalidateCache, CacheTag } from '../utils/responseCache.js';
+import { dispatchProductAlerts } from './productAlertService.js';
+import { getSaleProductIds, repriceProducts } from './salePricingService.js';
+
+// Sales are planned in India time
+export const SALE_TIMEZONE = 'Asia/Kolkata';
+const IST_OFFSET = '+05:30';
+
+export const SaleTransition = {
+  ACTIVATE: 'activate-sale',
+  DEACTIVATE: 'deactivate-sale'
+};
+
+// Colons are not allowed in custom job IDs
+const transitionJobId = (saleId, transition) => `${transition}-${saleId}`;
+
+/**
+ * Parse a sale start or end. Times without an offset, e.g. 2026-11-01T00:00
+ * from a date picker, are India time whatever the server timezone is.
+ * @param {string|Date} value
+ * @returns {Date} - Invalid Date if it cannot be parsed
+ */
+export const parseSaleDate = (value) => {
+  if (value instanceof Date) return new Date(value);
+  const text = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return new Date(`${text}T00:00:00${IST_OFFSET}`);
+  if (/^\d{4}-\d{2}-\d{2}T[\d:.]+$/.test(text)) return new Date(`${text}${IST_OFFSET}`);
+  return new Date(text);
+};
+
+/**
+ * Format an instant in India time for admins
+ * @param {Date} date
+ * @returns {string}
+ */
+export const formatSaleDate = (date) =>
+  new Date(date).toLocaleString('en-IN', { timeZone: SALE_TIMEZONE, dateStyle: 'medium', timeStyle: 'short' });
+
+/**
+ * Whether a sale should be running at a moment, from its dates alone
+ * @param {Object} sale - { startDate, endDate }
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isSaleLive = (sale, now = new Date()) => sale.startDate <= now && now < sale.endDate;
+
+/**
+ * Whether an admin's manual switch still holds over the sale dates
+ * @param {Object} sale - { manualOverrideUntil }
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isManuallyOverridden = (sale, now = new Date()) =>
+  Boolean(sale.manualOverrideUntil) && now < sale.manualOverrideUntil;
+
+/**
+ * Turn a sale on and price the products it covers
+ * @param {string} saleId
+ * @returns {Promise<boolean>} - True if the sale was switched on
+ */
+export const activateSale = async (saleId) => {
+  const result = await withTransaction(async (session) => {
+    const found = await Sale.findById(saleId).session(session);
+    if (!found || found.isActive) return null;
+
+    found.isActive = true;
+    await found.save({ session });
+
+    const productIds = await getSaleProductIds(found, session);
+    const repriced = await repriceProducts(productIds, session);
+    return { sale: found, repriced };
+  });
+  if (!result) return false;
+
+  console.log(`✅ Sale "${result.sale.name}" activated, ${result.repriced.length} product price(s) changed`);
+  await invalidateCache(CacheTag.PRODUCTS);
+  await dispatchProductAlerts(result.repriced);
+  return true;
+};
+
+/**
+ * Turn a sale off. Its products go back to their own prices, or to the price
+ * of another running sale that covers them.
+ * @param {string} saleId
+ * @returns {Promise<boolean>} - True if the sale was switched off
+ */
+export const deactivateSale = async (saleId) => {
+  const result = await withTransaction(async (session) => {
+    const found = await Sale.findById(saleId).session(session);
+    if (!found || !found.isActive) return null;
+
+    found.isActive = false;
+    await found.save({ session });
+
+    const productIds = await getSaleProductIds(found, session);
+    const repriced = await repriceProducts(productIds, session);
+    return { sale: found, repriced };
+  });
+  if (!result) return false;
+
+  console.log(`❌ Sale "${result.sale.name}" deactivated`);
+  await invalidateCache(CacheTag.PRODUCTS);
+  // Products another sale took over may now be cheaper
+  await dispatchProductAlerts(result.repriced);
+  return true;
+};
+
+/**
+ * Price the products of a running sale again after its products, rules or
+ * priority changed. Products it no longer covers go back to their own prices.
+ * @param {Object} sale - Saved sale document
+ * @param {Array} [previousProductIds] - Products it covered before the change
+ * @returns {Promise<Array<string>>} - IDs of products whose price changed
+ */
+export const repriceSale = async (sale, previousProductIds = []) => {
+  if (!sale.isActive) return [];
+
+  const repriced = await withTransaction(async (session) => {
+    // Listed products without a snapshot were flagged by the sale, not the
+    // admin; clear the flag so it is not kept as their own
+    await Product.updateMany(
+      { _id: { $in: previousProductIds }, saleSnapshot: null },
+      { $set: { isOnSale: false } },
+      { session }
+    );
+
+    const productIds = await getSaleProductIds(sale, session);
+    return repriceProducts([...productIds, ...previousProductIds], session);
+  });
+
+  await invalidateCache(CacheTag.PRODUCTS);
+  await dispatchProductAlerts(repriced);
+  return repriced;
+};
+
+/**
+ * Remove the pending start and end jobs of a sale
+ * @param {string} saleId
+ */
+export const cancelSaleSchedule = async (saleId) => {
+  await Promise.all(Object.values(SaleTransition).map(async (transition) => {
+    const job = await SaleQueue.getJob(transitionJobId(saleId, transition));
+    // A job already running finishes, it checks the sale again anyway
+    await job?.remove().catch(() => {});
+  }));
+};
+
+/**
+ * Bring a sale in line with its dates now, unless an admin switched it by
+ * hand, and queue its future start and end. Call after a sale is created or
+ * its dates change.
+ * @param {Object} sale - Sale document
+ * @returns {Promise<boolean>} - True if the sale was switched on or off
+ */
+export const scheduleSale = async (sale) => {
+  await cancelSaleSchedule(sale._id);
+
+  const now = new Date();
+  let changed = false;
+  if (!isManuallyOverridden(sale, now)) {
+    changed = isSaleLive(sale, now) ? await activateSale(sale._id) : await deactivateSale(sale._id);
+  }
+
+  const transitions = [
+    [SaleTransition.ACTIVATE, sale.startDate],
+    [SaleTransition.DEACTIVATE, sale.endDate]
+  ];
+  for (const [transition, runAt] of transitions) {
+    if (runAt <= now) continue;
+    await SaleQueue.add(transition, { saleId: sale._id.toString() }, {
+      jobId: transitionJobId(sale._id, transition),
+      delay: runAt.getTime() - now.getTime()
+    });
+  }
+  return changed;
+};
+
+/**
+ * Run a start or end job. The sale is checked against its dates again, so a
+ * job left over from old dates changes nothing, and a manual switch holds.
+ * @param {string} transition - SaleTransition
+ * @param {string} saleId
+ * @returns {Promise<boolean>} - True if the sale changed
+ */
+export const runSaleTransition = async (transition, saleId) => {
+  const sale = await Sale.findById(saleId).select('startDate endDate manualOverrideUntil').lean();
+  if (!sale || isManuallyOverridden(sale)) return false;
+
+  const isLive = isSaleLive(sale);
+  if (transition === SaleTransition.ACTIVATE && isLive) return activateSale(saleId);
+  if (transition === SaleTransition.DEACTIVATE && !isLive) return deactivateSale(saleId);
+  return false;
+};
+
+/**
+ * Fix sales whose active flag does not match their dates, price running
+ * sales again and queue every future start and end again. Run at startup; jobs survive restarts, but
+ * anything missed while the server or Valkey was down is caught here.
+ * Sales an admin switched by hand stay as they are until the override ends.
+ * @returns {Promise<number>} - Sales switched on or off
+ */
+export const reconcileSales = async () => {
+  const now = new Date();
+  const sales = await Sale.find({
+    $or: [
+      { isActive: true },
+      { endDate: { $gt: now } }
+    ]
+  });
+
+  let changed = 0;
+  for (const sale of sales) {
+    if (await scheduleSale(sale)) {
+      changed++;
+    } else if (sale.isActive) {
+      // Products created or edited since it started, and sales from before snapshots
+      await repriceSale(sale, sale.products);
+    }
+  }
+  return changed;
+};
+
+/**
+ * Queued sale starts and ends, soonest first
+ * @returns {Promise<Array<Object>>}
+ */
+export const getUpcomingSaleTransitions = async () => {
+  const jobs = await SaleQueue.getJobs(['delayed', 'waiting']);
+  const sales = await Sale.find({ _id: { $in: jobs.map((job) => job.data.saleId) } })
+    .select('name startDate endDate isActive')
+    .lean();
+  const salesById = new Map(sales.map((sale) => [sale._id.toString(), sale]));
+
+  return jobs
+    .map((job) => {
+      const runAt = new Date(job.timestamp + (job.delay || 0));
+      const sale = salesById.get(job.data.saleId);
+      return {
+        saleId: job.data.saleId,
+        name: sale?.name || 'Deleted sale',
+        action: job.name === SaleTransition.ACTIVATE ? 'start' : 'end',
+        runAt,
+        runAtIst: formatSaleDate(runAt),
+        isActive: Boolean(sale?.isActive)
+      };
+    })
+    .sort((a, b) => a.runAt - b.runAt);
+};
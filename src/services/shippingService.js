@@ -0,0 +1,170 @@
+import { ShippingRule } from '../models/shippingRule.model.js';
+import { PaymentMethod } from '../models/newOrder.model.js';
+import Product from '../models/product.model.js';
+
+// Matches the charges that used to be hardcoded in createOrder
+const DEFAULT_RULES = {
+  paymentMethodRules: [
+    { paymentMethod: PaymentMethod.COD, baseCharge: 50, freeShippingThreshold: null },
+    { paymentMethod: PaymentMethod.ONLINE, baseCharge: 50, freeShippingThreshold: 599 }
+  ],
+  zones: [],
+  weightSlabs: [],
+  promotions: [],
+  defaultItemWeight: 500
+};
+
+const normalize = (value) => (value || '').toString().trim().toLowerCase();
+
+/**
+ * Get the shipping rules, creating the defaults on first use
+ * @returns {Promise<Object>} - ShippingRule document
+ */
+export const getShippingRules = () =>
+  // An upsert, so concurrent first reads cannot create two documents
+  ShippingRule.findOneAndUpdate(
+    {},
+    { $setOnInsert: DEFAULT_RULES },
+    { upsert: true, new: true }
+  );
+
+/**
+ * Update the shipping rules
+ * @param {Object} data - Fields to replace
+ * @returns {Promise<Object>} - Updated ShippingRule document
+ */
+export const updateShippingRules = async (data) => {
+  const rules = await getShippingRules();
+  const fields = ['paymentMethodRules', 'zones', 'weightSlabs', 'promotions', 'defaultItemWeight'];
+
+  for (const field of fields) {
+    if (data[field] !== undefined) rules[field] = data[field];
+  }
+
+  await rules.save();
+  return rules;
+};
+
+/**
+ * Find the first active zone matching a pincode or state.
+ * Exact pincodes win over prefixes, prefixes win over states.
+ */
+const findZone = (zones, postalCode, state) => {
+  const pincode = normalize(postalCode);
+  const stateName = normalize(state);
+  const active = zones.filter((zone) => zone.isActive);
+
+  return (
+    active.find((zone) => pincode && zone.pincodes.some((p) => normalize(p) === pincode)) ||
+    active.find((zone) => pincode && zone.pincodePrefixes.some((p) => pincode.startsWith(normalize(p)))) ||
+    active.find((zone) => stateName && zone.states.some((s) => normalize(s) === stateName)) ||
+    null
+  );
+};
+
+/**
+ * Find the slab a parcel weight falls into; open-ended slab goes last
+ */
+const findWeightSlab = (slabs, weight) => {
+  const sorted = [...slabs].sort((a, b) => (a.upToGrams ?? Infinity) - (b.upToGrams ?? Infinity));
+  return sorted.find((slab) => slab.upToGrams == null || weight <= slab.upToGrams) || null;
+};
+
+/**
+ * Calculate shipping for an order
+ * @param {Object} rules - ShippingRule document
+ * @param {Object} params
+ * @param {string} params.paymentMethod - COD or ONLINE
+ * @param {number} params.subtotal - Items total before coupon discount
+ * @param {Array} params.items - [{ weight, quantity }], weight in grams
+ * @param {string} [params.postalCode] - Delivery pincode
+ * @param {string} [params.state] - Delivery state
+ * @returns {Object} - { isServiceable, shippingCharges, breakdown, totalWeight, zone, freeShippingReason }
+ */
+export const calculateShipping = (rules, { paymentMethod, subtotal, items, postalCode, state }) => {
+  const totalWeight = items.reduce(
+    (sum, item) => sum + (item.weight ?? rules.defaultItemWeight) * item.quantity,
+    0
+  );
+
+  const zone = findZone(rules.zones, postalCode, state);
+  if (zone && !zone.isServiceable) {
+    return {
+      isServiceable: false,
+      shippingCharges: 0,
+      breakdown: { base: 0, zone: 0, weight: 0 },
+      totalWeight,
+      zone: zone.name,
+      freeShippingReason: null
+    };
+  }
+
+  const methodRule = rules.paymentMethodRules.find((rule) => rule.paymentMethod === paymentMethod);
+  const slab = findWeightSlab(rules.weightSlabs, totalWeight);
+  const breakdown = {
+    base: methodRule?.baseCharge || 0,
+    zone: zone?.extraCharge || 0,
+    weight: slab?.extraCharge || 0
+  };
+
+  let freeShippingReason = null;
+  if (methodRule?.freeShippingThreshold != null && subtotal >= methodRule.freeShippingThreshold) {
+    freeShippingReason = `Free shipping on orders of ₹${methodRule.freeShippingThreshold} and above`;
+  }
+
+  const now = new Date();
+  const promotion = rules.promotions.find((promo) =>
+    promo.isActive &&
+    now >= promo.startDate &&
+    now <= promo.endDate &&
+    subtotal >= promo.minOrderValue &&
+    (promo.paymentMethods.length === 0 || promo.paymentMethods.includes(paymentMethod))
+  );
+  if (promotion) {
+    freeShippingReason = promotion.name;
+  }
+
+  return {
+    isServiceable: true,
+    shippingCharges: freeShippingReason ? 0 : breakdown.base + breakdown.zone + breakdown.weight,
+    breakdown,
+    totalWeight,
+    zone: zone?.name || null,
+    freeShippingReason
+  };
+};
+
+/**
+ * Quote shipping for a list of products, priced the same way createOrder prices them
+ * @param {Object} params
+ * @param {string} params.paymentMethod - COD or ONLINE
+ * @param {Array} params.items - [{ productId, quantity }]
+ * @param {string} [params.postalCode] - Delivery pincode
+ * @param {string} [params.state] - Delivery state
+ * @returns {Promise<Object>} - Quote with subtotal
+ */
+export const quoteShipping = async ({ paymentMethod, items, postalCode, state }) => {
+  const productIds = items.map((item) => item.productId);
+  const products = await Product.find({ _id: { $in: productIds }, isActive: true })
+    .select('isOnSale salePrice nonSalePrice weight');
+  const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+
+  const lines = items.map((item) => {
+    const product = productMap.get(item.productId.toString());
+    if (!product) throw new Error('Product not found');
+
+    const price = product.isOnSale
+      ? product.salePrice.discountedPrice
+      : product.nonSalePrice.discountedPrice;
+
+    return { price, quantity: item.quantity, weight: product.weight };
+  });
+
+  const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  const rules = await getShippingRules();
+
+  return {
+    subtotal,
+    ...calculateShipping(rules, { paymentMethod, subtotal, items: lines, postalCode, state })
+  };
+};
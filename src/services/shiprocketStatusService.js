@@ -1,5 +1,6 @@
 import { NewOrder as Order, OrderStatus } from '../models/newOrder.model.js';
 import { createStatusHistoryEntry } from './orderUtils.js';
+import { queueDeliveryEmail } from './invoiceService.js';
 
 /**
  * Shiprocket Status Tracking Service
@@ -124,6 +125,8 @@ export const updateOrderStatus = async (orderId, status, trackingData = {}, opti
       throw new Error(`No items found for Shiprocket order ID: ${orderId}`);
     }
 
+    const deliveredItems = [];
+
     // Update each item
     for (const item of itemsToUpdate) {
       const itemIndex = order.items.findIndex(
@@ -149,6 +152,10 @@ export const updateOrderStatus = async (orderId, status, trackingData = {}, opti
           
           // Update specific fields based on status
           Object.assign(orderItem, statusConfig.updateFields);
+
+          if (statusConfig.status === OrderStatus.DELIVERED.value) {
+            deliveredItems.push(orderItem);
+          }
         }
         
         // Update Shiprocket tracking data
@@ -173,6 +180,10 @@ export const updateOrderStatus = async (orderId, status, trackingData = {}, opti
 
     await order.save();
     console.log(`Updated order ${order.orderId} with status ${statusConfig.status} for Shiprocket order ${orderId}`);
+
+    if (deliveredItems.length) {
+      await queueDeliveryEmail(order, deliveredItems);
+    }
     
     return {
       success: true,
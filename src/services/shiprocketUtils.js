@@ -1,5 +1,6 @@
 import { createReturnOrder } from './shiprocket.js';
 import { getReturnOrderData } from '../config/shiprocket.config.js';
+import { getGstRate } from './gstService.js';
 
 /**
  * Create a return order in ShipRocket
@@ -79,14 +80,17 @@ export const prepareShiprocketOrderData = (order, user, shippingData) => {
             .filter(item => item.orderStatus === 'Ordered')
             .map(item => ({
                 name: item.product.name,
-                sku: `${item.product.name}-${item.size}-${item.color.name}`,
+                // Orders placed before SKUs existed fall back to the old made up code
+                sku: item.sku || `${item.product.name}-${item.size}-${item.color.name}`,
                 units: item.quantity,
                 selling_price: item.amount,
                 discount: "",
-                tax: "",
-                hsn: ""
+                // Prices include GST, Shiprocket takes the rate in percent
+                tax: getGstRate(item.amount),
+                hsn: item.hsnCode || ""
             })),
-        payment_method: order.paymentMethod,
+        // Exchange replacements are already paid for
+        payment_method: order.exchangeFor ? "Prepaid" : order.paymentMethod,
         shipping_charges: order.amount.shippingCharges,
         giftwrap_charges: 0,
         transaction_charges: 0,
@@ -0,0 +1,30 @@
+import Product from '../models/product.model.js';
+
+/**
+ * Give SKUs to sizes created before SKUs existed. Safe to run on every start,
+ * only products with a size missing its SKU are touched.
+ * @returns {Promise<number>} - Number of products updated
+ */
+export const backfillSkus = async () => {
+  const products = await Product.find({
+    variants: { $elemMatch: { sizes: { $elemMatch: { sku: { $exists: false } } } } }
+  });
+
+  let updated = 0;
+  for (const product of products) {
+    try {
+      // The pre-validate hook fills in the missing SKUs
+      await product.save();
+      updated += 1;
+    } catch (error) {
+      console.error(`Failed to backfill SKUs for product ${product._id}:`, error.message);
+    }
+  }
+
+  // The unique SKU index can only be built once no size is left without one
+  if (updated) {
+    await Product.createIndexes();
+  }
+
+  return updated;
+};
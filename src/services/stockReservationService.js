@@ -0,0 +1,254 @@
+import Product from '../models/product.model.js';
+import { StockReservation, ReservationStatus, ReservationPurpose } from '../models/stockReservation.model.js';
+import { MovementReason } from '../models/stockMovement.model.js';
+import { adjustStock } from './inventoryService.js';
+import { ReservationQueue } from '../queue/producer.js';
+import { withTransaction } from '../utils/withTransaction.js';
+import { _config } from '../config/config.js';
+
+/**
+ * Give held stock back and move the holds to a final status.
+ * Each hold is flipped individually so a hold is never returned twice,
+ * even if the expiry job and a checkout race each other.
+ */
+const releaseMatching = async (filter, status, session) => {
+  const holds = await StockReservation.find(filter).session(session);
+
+  let released = 0;
+  for (const hold of holds) {
+    const { modifiedCount } = await StockReservation.updateOne(
+      { _id: hold._id, status: hold.status },
+      { status, releasedAt: new Date() },
+      { session }
+    );
+    if (!modifiedCount) continue;
+
+    await adjustStock({
+      productId: hold.product,
+      colorId: hold.color,
+      size: hold.size,
+      delta: hold.quantity,
+      reason: MovementReason.RESERVATION_RELEASE,
+      reference: hold.reference,
+      note: `Hold ${status.toLowerCase()}`
+    }, session);
+    released++;
+  }
+
+  return released;
+};
+
+/**
+ * Hold stock for the items of a checkout until payment is confirmed.
+ * Any active checkout holds the user still has from an earlier checkout are released first.
+ * @param {Object} params
+ * @param {string} params.userId - Shopper
+ * @param {string} params.reference - Payment orderId sent to the provider
+ * @param {string} params.transactionId - Internal payment transaction ID
+ * @param {Array} params.items - [{ productId, colorId, size, quantity }]
+ * @returns {Promise<Array>} - Created reservations
+ */
+export const reserveStock = async ({ userId, reference, transactionId, items }) => {
+  const ttlMinutes = _config.STOCK_RESERVATION_TTL_MINUTES;
+  const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+  const reservations = await withTransaction(async (session) => {
+    await releaseMatching(
+      { user: userId, status: ReservationStatus.ACTIVE, purpose: { $ne: ReservationPurpose.EXCHANGE } },
+      ReservationStatus.RELEASED,
+      session
+    );
+
+    const docs = [];
+    for (const item of items) {
+      const reserved = await adjustStock({
+        productId: item.productId,
+        colorId: item.colorId,
+        size: item.size,
+        delta: -item.quantity,
+        reason: MovementReason.RESERVATION,
+        actor: userId,
+        reference
+      }, session);
+      if (!reserved) {
+        const product = await Product.findById(item.productId).select('name').session(session);
+        throw new Error(`Insufficient stock for ${product?.name || 'product'} - size ${item.size}`);
+      }
+
+      docs.push({
+        user: userId,
+        reference,
+        transactionId,
+        product: item.productId,
+        color: item.colorId,
+        size: item.size,
+        quantity: item.quantity,
+        expiresAt
+      });
+    }
+
+    return StockReservation.insertMany(docs, { session });
+  });
+
+  await ReservationQueue.add(
+    'expire-reservation',
+    { reference },
+    { delay: ttlMinutes * 60 * 1000 }
+  );
+
+  return reservations;
+};
+
+/**
+ * Release active holds for a checkout reference.
+ * @param {string} reference - Payment orderId
+ * @param {Object} [options]
+ * @param {string} [options.status] - RELEASED or EXPIRED
+ * @param {boolean} [options.expiredOnly] - Only release holds past their expiry
+ * @returns {Promise<number>} - Number of holds released
+ */
+export const releaseReservations = async (reference, { status = ReservationStatus.RELEASED, expiredOnly = false } = {}) => {
+  const filter = { reference, status: ReservationStatus.ACTIVE };
+  if (expiredOnly) filter.expiresAt = { $lte: new Date() };
+
+  return withTransaction((session) => releaseMatching(filter, status, session));
+};
+
+/**
+ * Mark holds as paid for so the expiry job leaves them alone. Holds no order
+ * is created from are given back by releaseUnclaimedReservations.
+ * @returns {Promise<number>} - Number of holds confirmed
+ */
+export const confirmReservations = async ({ reference, transactionId, providerTransactionId }) => {
+  const filter = { status: ReservationStatus.ACTIVE };
+  if (reference) filter.reference = reference;
+  else filter.transactionId = transactionId;
+
+  const update = { status: ReservationStatus.CONFIRMED, confirmedAt: new Date() };
+  if (transactionId) update.transactionId = transactionId;
+  if (providerTransactionId) update.providerTransactionId = providerTransactionId;
+
+  const result = await StockReservation.updateMany(filter, update);
+  return result.modifiedCount;
+};
+
+/**
+ * Get confirmed holds for a payment, matched by either transaction ID the client may send.
+ */
+export const getConfirmedReservations = async ({ userId, transactionId }, session) => {
+  return StockReservation.find({
+    user: userId,
+    status: ReservationStatus.CONFIRMED,
+    $or: [
+      { transactionId },
+      { providerTransactionId: transactionId },
+      { reference: transactionId }
+    ]
+  }).session(session);
+};
+
+/**
+ * Close out confirmed holds once an order has been created from them.
+ * Holds not used by the order go back to stock.
+ * @param {Array} usedIds - Reservation IDs turned into order items
+ * @param {Array} reservations - All confirmed holds for the payment
+ */
+export const consumeReservations = async (usedIds, reservations, session) => {
+  if (usedIds.length) {
+    await StockReservation.updateMany(
+      { _id: { $in: usedIds } },
+      { status: ReservationStatus.CONSUMED },
+      { session }
+    );
+  }
+
+  const usedSet = new Set(usedIds.map(String));
+  const unusedIds = reservations.filter((r) => !usedSet.has(r._id.toString())).map((r) => r._id);
+  if (unusedIds.length) {
+    await releaseMatching({ _id: { $in: unusedIds } }, ReservationStatus.RELEASED, session);
+  }
+};
+
+/**
+ * Give back checkout holds that were paid for but never turned into an order,
+ * e.g. createOrder was never called or failed after the payment
+ * @param {Date} cutoff - Holds confirmed before this are given back
+ * @returns {Promise<Array<string>>} - Transaction IDs whose holds were given back
+ */
+export const releaseUnclaimedReservations = async (cutoff) => {
+  const filter = {
+    status: ReservationStatus.CONFIRMED,
+    purpose: { $ne: ReservationPurpose.EXCHANGE },
+    confirmedAt: { $lte: cutoff }
+  };
+  const transactionIds = await StockReservation.distinct('transactionId', filter);
+
+  const released = [];
+  for (const transactionId of transactionIds) {
+    const count = await withTransaction((session) =>
+      releaseMatching({ ...filter, transactionId }, ReservationStatus.EXPIRED, session)
+    );
+    if (count) released.push(transactionId);
+  }
+  return released;
+};
+
+/**
+ * Hold the replacement of an exchange until the exchanged unit comes back.
+ * Expires after EXCHANGE_HOLD_DAYS like any other hold.
+ * @param {Object} params
+ * @param {string} params.userId - Customer
+ * @param {string} params.reference - Exchange ID
+ * @param {Object} params.item - { productId, colorId, size, quantity }
+ * @param {Object} session - Mongoose session
+ * @returns {Promise<Object|null>} - The reservation, or null if the replacement is out of stock
+ */
+export const holdExchangeStock = async ({ userId, reference, item }, session) => {
+  const holdMs = _config.EXCHANGE_HOLD_DAYS * 24 * 60 * 60 * 1000;
+
+  const reserved = await adjustStock({
+    productId: item.productId,
+    colorId: item.colorId,
+    size: item.size,
+    delta: -item.quantity,
+    reason: MovementReason.RESERVATION,
+    actor: userId,
+    reference,
+    note: 'Held for exchange'
+  }, session);
+  if (!reserved) return null;
+
+  const [reservation] = await StockReservation.create([{
+    user: userId,
+    reference,
+    purpose: ReservationPurpose.EXCHANGE,
+    product: item.productId,
+    color: item.colorId,
+    size: item.size,
+    quantity: item.quantity,
+    expiresAt: new Date(Date.now() + holdMs)
+  }], { session });
+
+  await ReservationQueue.add('expire-reservation', { reference }, { delay: holdMs });
+  return reservation;
+};
+
+/**
+ * Give back the active hold of an exchange
+ * @returns {Promise<number>} - Number of holds released
+ */
+export const releaseExchangeHold = (reference, session) =>
+  releaseMatching({ reference, status: ReservationStatus.ACTIVE }, ReservationStatus.RELEASED, session);
+
+/**
+ * Turn the hold of an exchange into the replacement order
+ * @returns {Promise<boolean>} - False if the hold expired meanwhile
+ */
+export const consumeExchangeHold = async (reference, session) => {
+  const { modifiedCount } = await StockReservation.updateOne(
+    { reference, status: ReservationStatus.ACTIVE },
+    { status: ReservationStatus.CONSUMED },
+    { session }
+  );
+  return modifiedCount > 0;
+};
@@ -0,0 +1,83 @@
+// Minimal RFC 4180 CSV reader/writer used by the catalog import/export
+
+const escapeCell = (value) => {
+    if (value === null || value === undefined) return "";
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize rows of plain objects into CSV
+ * @param {Array<string>} columns - Header, also the key order of each row
+ * @param {Array<Object>} rows
+ * @returns {string}
+ */
+export const toCsv = (columns, rows) => {
+    const lines = [columns.map(escapeCell).join(",")];
+    for (const row of rows) {
+        lines.push(columns.map((column) => escapeCell(row[column])).join(","));
+    }
+    return lines.join("\r\n") + "\r\n";
+};
+
+/**
+ * Parse CSV text into objects keyed by the header row. Blank lines are skipped.
+ * @param {string} text
+ * @returns {Array<Object>}
+ */
+export const parseCsv = (text) => {
+    const records = [];
+    let record = [];
+    let cell = "";
+    let inQuotes = false;
+
+    // Strip a UTF-8 BOM, spreadsheet exports often start with one
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ",") {
+            record.push(cell);
+            cell = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && input[i + 1] === "\n") i++;
+            record.push(cell);
+            records.push(record);
+            record = [];
+            cell = "";
+        } else {
+            cell += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error("Unterminated quoted field");
+    }
+    if (cell !== "" || record.length) {
+        record.push(cell);
+        records.push(record);
+    }
+
+    const nonEmpty = records.filter((r) => r.some((value) => value.trim() !== ""));
+    if (!nonEmpty.length) return [];
+
+    const header = nonEmpty[0].map((column) => column.trim());
+    return nonEmpty.slice(1).map((values) =>
+        Object.fromEntries(header.map((column, index) => [column, values[index] ?? ""]))
+    );
+};
@@ -12,3 +12,4 @@ export const generateOrderId = () => `ORD-${getDateStamp()}-${getRandomHex()}`;
 export const generateItemId = () => `ITEM-${getDateStamp(4)}-${getRandomHex()}`;
 export const generateCancelId = () => `CNCL-${getDateStamp()}-${getRandomHex()}`;
 export const generateReturnId = () => `RETN-${getDateStamp()}-${getRandomHex()}`;
+export const generateSku = (size) => `VB-${getRandomHex(5)}-${size}`;
@@ -52,7 +52,7 @@ export const emailHelper = async (options) => {
     await transporter.verify();
     console.log('✅ SMTP connection verified successfully');
 
-    const { email, subject, template, data } = options;
+    const { email, subject, template, data, attachments } = options;
 
     const templatePath = path.join(__dirname, "../email", template);
 
@@ -68,6 +68,7 @@ export const emailHelper = async (options) => {
       to: email,
       subject,
       html,
+      attachments,
       // Add headers for better deliverability
       headers: {
         'X-Mailer': 'Vibly E-commerce',
@@ -0,0 +1,56 @@
+import puppeteer from "puppeteer";
+import ejs from "ejs";
+import path from "path";
+import { fileURLToPath } from 'url';
+
+// Get the directory name of the current module
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// One headless browser is shared by every render, started on first use
+let browserPromise = null;
+
+const getBrowser = () => {
+  if (!browserPromise) {
+    browserPromise = puppeteer
+      .launch({
+        headless: true,
+        args: ["--no-sandbox", "--disable-setuid-sandbox", "--disable-dev-shm-usage"],
+      })
+      .then((browser) => {
+        browser.on("disconnected", () => {
+          browserPromise = null;
+        });
+        return browser;
+      })
+      .catch((error) => {
+        browserPromise = null;
+        throw error;
+      });
+  }
+  return browserPromise;
+};
+
+/**
+ * Render an EJS template from the email folder to an A4 PDF
+ * @param {string} template - File name, e.g. Invoice.ejs
+ * @param {Object} data - Template data
+ * @returns {Promise<Buffer>}
+ */
+export const renderPdf = async (template, data) => {
+  const html = await ejs.renderFile(path.join(__dirname, "../email", template), data);
+
+  const browser = await getBrowser();
+  const page = await browser.newPage();
+  try {
+    await page.setContent(html, { waitUntil: "networkidle0", timeout: 30000 });
+    const pdf = await page.pdf({
+      format: "A4",
+      printBackground: true,
+      margin: { top: "16mm", right: "12mm", bottom: "16mm", left: "12mm" },
+    });
+    return Buffer.from(pdf);
+  } finally {
+    await page.close();
+  }
+};
@@ -0,0 +1,102 @@
+import crypto from "crypto";
+import { ValkeyConnection } from "../config/valkey.js";
+
+// What a cached response was built from, a change to any of them drops it
+export const CacheTag = {
+  PRODUCTS: "products",
+  CATEGORIES: "categories",
+  COLORS: "colors",
+  BANNERS: "banners",
+};
+
+// Upper bound on staleness for changes that do not invalidate, e.g. stock sold on orders
+export const RESPONSE_CACHE_TTL = 5 * 60;
+
+const versionKey = (tag) => `cache:tag:${tag}`;
+
+// Requests never wait on a cache that is down, they go to the database instead
+const isCacheReady = () => ValkeyConnection.status === "ready";
+
+const compareText = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+/**
+ * Query as [name, value] pairs, with nested values from the extended query
+ * parser (e.g. price[gte]) named by their bracketed path
+ * @param {Object} query
+ * @param {string} [prefix] - Bracketed path of the enclosing value
+ * @returns {Array<Array<string>>}
+ */
+const flattenQuery = (query, prefix = "") =>
+  Object.keys(query).flatMap((name) => {
+    const path = prefix ? `${prefix}[${name}]` : name;
+    return [].concat(query[name]).flatMap((value) =>
+      value !== null && typeof value === "object"
+        ? flattenQuery(value, path)
+        : [[path, String(value ?? "").trim()]]
+    );
+  });
+
+/**
+ * Cache key of a request: its path and sorted query, under the current
+ * version of every tag. Invalidating a tag bumps its version, so entries
+ * built before the change are never read again and expire on their own.
+ * @param {Object} req - Express request
+ * @param {Array<string>} tags - CacheTag values
+ * @returns {Promise<string|null>} - Null when the cache is unavailable
+ */
+export const getResponseCacheKey = async (req, tags) => {
+  if (!isCacheReady()) return null;
+
+  const versions = await ValkeyConnection.mget(tags.map(versionKey));
+
+  const params = new URLSearchParams(
+    flattenQuery(req.query)
+      .filter(([, value]) => value)
+      .sort(([nameA, valueA], [nameB, valueB]) =>
+        compareText(nameA, nameB) || compareText(valueA, valueB)
+      )
+  );
+
+  const tagPart = tags.map((tag, index) => `${tag}.${versions[index] || 0}`).join(",");
+  return `cache:response:${tagPart}:${req.baseUrl}${req.path}?${params}`;
+};
+
+/**
+ * @param {string} key
+ * @returns {Promise<Object|null>} - { etag, body } with body as a JSON string
+ */
+export const readCachedResponse = async (key) => {
+  const cached = await ValkeyConnection.get(key);
+  return cached ? JSON.parse(cached) : null;
+};
+
+/**
+ * Strong ETag of a response body
+ * @param {string} body
+ * @returns {string}
+ */
+export const createEtag = (body) => `"${crypto.createHash("sha1").update(body).digest("base64url")}"`;
+
+/**
+ * Store a JSON response body with its ETag
+ * @param {string} key
+ * @param {Object} response - { etag, body } with body as a JSON string
+ */
+export const storeCachedResponse = (key, { etag, body }) =>
+  ValkeyConnection.set(key, JSON.stringify({ etag, body }), "EX", RESPONSE_CACHE_TTL);
+
+/**
+ * Drop every cached response built from the given tags
+ * @param {...string} tags - CacheTag values
+ */
+export const invalidateCache = async (...tags) => {
+  if (!isCacheReady()) return;
+
+  try {
+    const pipeline = ValkeyConnection.pipeline();
+    tags.forEach((tag) => pipeline.incr(versionKey(tag)));
+    await pipeline.exec();
+  } catch (error) {
+    console.error(`Failed to invalidate cache tags ${tags.join(", ")}:`, error.message);
+  }
+};
@@ -0,0 +1,30 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import qs from "qs";
+import { ValkeyConnection } from "../config/valkey.js";
+import { getResponseCacheKey } from "./responseCache.js";
+
+// Keys are built without a running cache
+Object.defineProperty(ValkeyConnection, "status", { value: "ready" });
+ValkeyConnection.mget = async (keys) => keys.map(() => "1");
+
+after(() => ValkeyConnection.disconnect());
+
+// Parsed the way Express's extended query parser does
+const keyOf = (query) =>
+  getResponseCacheKey({ baseUrl: "/api/products", path: "/", query: qs.parse(query) }, ["products"]);
+
+test("different price filters get different keys", async () => {
+  const lte = await keyOf("price[lte]=500");
+  const range = await keyOf("price[gte]=100&price[lte]=2000");
+
+  assert.notEqual(lte, range);
+  assert.match(range, /price%5Bgte%5D=100&price%5Blte%5D=2000$/);
+});
+
+test("the order of query parameters does not change the key", async () => {
+  assert.equal(
+    await keyOf("sort=new&price[lte]=2000&price[gte]=100&color=red&color=blue"),
+    await keyOf("color=blue&price[gte]=100&color=red&price[lte]=2000&sort=new")
+  );
+});